@@ -1,5 +1,9 @@
 const { DocumentProcessor } = require("../../../models/documentProcessor");
 const { userFromSession, validSessionForUser } = require("../../../utils/http");
+const {
+  allowedFileTypes,
+  maxUploadSize,
+} = require("../../../utils/files/uploads");
 
 process.env.NODE_ENV === "development"
   ? require("dotenv").config({ path: `.env.${process.env.NODE_ENV}` })
@@ -38,13 +42,13 @@ function documentProcessorEndpoints(app) {
           return;
         }
 
-        const types = await DocumentProcessor.acceptedFileTypes();
+        const types = await allowedFileTypes();
         if (!types) {
           response.sendStatus(404).end();
           return;
         }
 
-        response.status(200).json({ types });
+        response.status(200).json({ types, maxUploadSize: maxUploadSize() });
       } catch (e) {
         console.log(e.message, e);
         response.sendStatus(500).end();
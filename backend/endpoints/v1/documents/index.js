@@ -1,5 +1,4 @@
 const { DocumentVectors } = require("../../../models/documentVectors");
-const { Organization } = require("../../../models/organization");
 const {
   OrganizationConnection,
 } = require("../../../models/organizationConnection");
@@ -8,9 +7,10 @@ const {
 } = require("../../../models/organizationWorkspace");
 const { WorkspaceDocument } = require("../../../models/workspaceDocument");
 const {
-  userFromSession,
   reqBody,
-  validSessionForUser,
+  validSessionOrApiKey,
+  organizationFromRequest,
+  denyUnlessRole,
 } = require("../../../utils/http");
 const {
   updateEmbeddingJob,
@@ -22,34 +22,60 @@ const { validEmbedding } = require("../../../utils/tokenizer");
 const { documentDeletedJob } = require("../../../utils/jobs/documentDeleteJob");
 const { cloneDocumentJob } = require("../../../utils/jobs/cloneDocumentJob");
 const { selectConnector } = require("../../../utils/vectordatabases/providers");
+const { auditDetails } = require("../../../utils/middleware/auditLog");
 const {
   documentEmbeddingSearch,
 } = require("../../../utils/search/documentEmbeddings");
 const {
   updateEmbeddingMetadataJob,
 } = require("../../../utils/jobs/updateEmbeddingMetadataJob");
+const {
+  workspaceSchema,
+  validateMetadata,
+  rejectsViolations,
+} = require("../../../utils/metadataSchema");
 
 process.env.NODE_ENV === "development"
   ? require("dotenv").config({ path: `.env.${process.env.NODE_ENV}` })
   : require("dotenv").config();
 
+// Current vector database metadata of a fragment so audit events show what was changed.
+async function fragmentMetadata(connector, workspace, fragment) {
+  try {
+    const results = await selectConnector(connector).getMetadata(
+      workspace.fname,
+      [fragment.vectorId]
+    );
+    return results?.[0] ?? null;
+  } catch (e) {
+    console.error(e.message);
+    return null;
+  }
+}
+
 function documentEndpoints(app) {
   if (!app) return;
 
   app.get(
     "/v1/document/:id",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { id } = request.params;
-        const user = await userFromSession(request);
-        if (!user) {
+        const document = await WorkspaceDocument.get({ id: Number(id) });
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { id: Number(document?.organization_id ?? 0) }
+        );
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const document = await WorkspaceDocument.get({ id: Number(id) });
-        response.status(200).json({ document });
+        response
+          .status(200)
+          .json({ document: !!organization ? document : null });
       } catch (e) {
         console.log(e.message, e);
         response.sendStatus(500).end();
@@ -59,20 +85,33 @@ function documentEndpoints(app) {
 
   app.delete(
     "/v1/document/:id",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { id } = request.params;
-        const user = await userFromSession(request);
-        if (!user) {
+        const document = await WorkspaceDocument.get({ id: Number(id) });
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, {
+            id: Number(document?.organization_id ?? 0),
+          });
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const document = await WorkspaceDocument.get({ id: Number(id) });
-        const organization = await Organization.get({
-          id: Number(document.organization_id),
+        if (!document || !organization) {
+          response.sendStatus(404).end();
+          return;
+        }
+
+        if (denyUnlessRole(response, role, "editor")) return;
+
+        auditDetails(response, {
+          organization,
+          targetId: document.id,
+          before: document,
         });
+
         const workspace = await OrganizationWorkspace.get({
           id: Number(document.workspace_id),
         });
@@ -96,19 +135,29 @@ function documentEndpoints(app) {
 
   app.get(
     "/v1/document/:id/fragments",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { id } = request.params;
         const page = parseInt(request.query.page) || 1;
         const pageSize = parseInt(request.query.pageSize) || 10;
 
-        const user = await userFromSession(request);
-        if (!user) {
+        const document = await WorkspaceDocument.get({ id: Number(id) });
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { id: Number(document?.organization_id ?? 0) }
+        );
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
+        if (!document || !organization) {
+          response.status(200).json({ fragments: [], totalFragments: 0 });
+          return;
+        }
+
         const offset = (page - 1) * pageSize;
         const fragments = await DocumentVectors.where(
           { document_id: Number(id) },
@@ -129,7 +178,7 @@ function documentEndpoints(app) {
 
   app.post(
     "/v1/document/:id/fragment",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { id } = request.params;
@@ -144,30 +193,40 @@ function documentEndpoints(app) {
           return;
         }
 
-        const user = await userFromSession(request);
-        if (!user) {
+        const fragment = await DocumentVectors.get({ id: Number(id) });
+        const document = !!fragment
+          ? await WorkspaceDocument.get({ id: Number(fragment.document_id) })
+          : null;
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, {
+            id: Number(document?.organization_id ?? 0),
+          });
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const fragment = await DocumentVectors.get({ id: Number(id) });
-        if (!fragment) {
+        if (!fragment || !document || !organization) {
           response.sendStatus(404).end();
           return;
         }
 
-        const document = await WorkspaceDocument.get({
-          id: Number(fragment.document_id),
-        });
+        if (denyUnlessRole(response, role, "editor")) return;
+
         const workspace = await OrganizationWorkspace.get({
           id: Number(document.workspace_id),
         });
-        const organization = await Organization.get({
-          id: Number(document.organization_id),
-        });
         const connector = await OrganizationConnection.get({
           organization_id: Number(organization.id),
         });
+        auditDetails(response, {
+          organization,
+          targetId: fragment.id,
+          before: {
+            ...fragment,
+            metadata: await fragmentMetadata(connector, workspace, fragment),
+          },
+        });
         await updateEmbeddingJob(
           fragment,
           document,
@@ -187,36 +246,58 @@ function documentEndpoints(app) {
 
   app.post(
     "/v1/document/:id/fragment-metadata",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { id } = request.params;
         const { newMetadata } = reqBody(request);
-        const user = await userFromSession(request);
-
-        if (!user) {
+        const fragment = await DocumentVectors.get({ id: Number(id) });
+        const document = !!fragment
+          ? await WorkspaceDocument.get({ id: Number(fragment.document_id) })
+          : null;
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, {
+            id: Number(document?.organization_id ?? 0),
+          });
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const fragment = await DocumentVectors.get({ id: Number(id) });
-        if (!fragment) {
+        if (!fragment || !document || !organization) {
           response.sendStatus(404).end();
           return;
         }
 
-        const document = await WorkspaceDocument.get({
-          id: Number(fragment.document_id),
-        });
+        if (denyUnlessRole(response, role, "editor")) return;
+
         const workspace = await OrganizationWorkspace.get({
           id: Number(document.workspace_id),
         });
-        const organization = await Organization.get({
-          id: Number(document.organization_id),
-        });
+        const schema = workspaceSchema(workspace);
+        const violations = validateMetadata(schema, newMetadata);
+        if (rejectsViolations(schema, violations)) {
+          response.status(200).json({
+            success: false,
+            error: `Metadata does not match the workspace schema: ${violations.join(
+              " "
+            )}`,
+            violations,
+          });
+          return;
+        }
+
         const connector = await OrganizationConnection.get({
           organization_id: Number(organization.id),
         });
+        auditDetails(response, {
+          organization,
+          targetId: fragment.id,
+          before: {
+            ...fragment,
+            metadata: await fragmentMetadata(connector, workspace, fragment),
+          },
+        });
         await updateEmbeddingMetadataJob(
           fragment,
           document,
@@ -226,7 +307,7 @@ function documentEndpoints(app) {
           user,
           newMetadata
         );
-        response.status(200).json({ success: true, error: null });
+        response.status(200).json({ success: true, error: null, violations });
       } catch (e) {
         console.log(e.message, e);
         response.sendStatus(500).end();
@@ -236,34 +317,44 @@ function documentEndpoints(app) {
 
   app.delete(
     "/v1/document/:id/fragment",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { id } = request.params;
-        const user = await userFromSession(request);
-        if (!user) {
+        const fragment = await DocumentVectors.get({ id: Number(id) });
+        const document = !!fragment
+          ? await WorkspaceDocument.get({ id: Number(fragment.document_id) })
+          : null;
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, {
+            id: Number(document?.organization_id ?? 0),
+          });
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const fragment = await DocumentVectors.get({ id: Number(id) });
-        if (!fragment) {
+        if (!fragment || !document || !organization) {
           response.sendStatus(404).end();
           return;
         }
 
-        const document = await WorkspaceDocument.get({
-          id: Number(fragment.document_id),
-        });
+        if (denyUnlessRole(response, role, "editor")) return;
+
         const workspace = await OrganizationWorkspace.get({
           id: Number(document.workspace_id),
         });
-        const organization = await Organization.get({
-          id: Number(document.organization_id),
-        });
         const connector = await OrganizationConnection.get({
           organization_id: Number(organization.id),
         });
+        auditDetails(response, {
+          organization,
+          targetId: fragment.id,
+          before: {
+            ...fragment,
+            metadata: await fragmentMetadata(connector, workspace, fragment),
+          },
+        });
         await createDeleteEmbeddingJob(
           fragment,
           workspace,
@@ -281,19 +372,23 @@ function documentEndpoints(app) {
 
   app.post(
     "/v1/document/:id/metadatas",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { id } = request.params;
         const { vectorIds } = reqBody(request);
-        const user = await userFromSession(request);
-        if (!user) {
+        const document = await WorkspaceDocument.get({ id: Number(id) });
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { id: Number(document?.organization_id ?? 0) }
+        );
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const document = await WorkspaceDocument.get({ id: Number(id) });
-        if (!document) {
+        if (!document || !organization) {
           response.sendStatus(404).end();
           return;
         }
@@ -321,27 +416,35 @@ function documentEndpoints(app) {
 
   app.post(
     "/v1/document/:id/clone",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { id } = request.params;
         const { toWorkspaceId } = reqBody(request);
-        const user = await userFromSession(request);
-        if (!user) {
+        const document = await WorkspaceDocument.get({ id: Number(id) });
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, {
+            id: Number(document?.organization_id ?? 0),
+          });
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const document = await WorkspaceDocument.get({ id: Number(id) });
-        if (!document) {
+        if (!document || !organization) {
           response
             .status(404)
             .json({ success: false, error: "Document does not exist" });
           return;
         }
 
+        if (denyUnlessRole(response, role, "editor")) return;
+
+        auditDetails(response, { organization, targetId: document.id });
+
         const workspace = await OrganizationWorkspace.get({
           id: Number(toWorkspaceId),
+          organization_id: Number(organization.id),
         });
         if (!workspace) {
           response.status(404).json({
@@ -351,9 +454,6 @@ function documentEndpoints(app) {
           return;
         }
 
-        const organization = await Organization.get({
-          id: Number(document.organization_id),
-        });
         const connector = await OrganizationConnection.get({
           organization_id: Number(organization.id),
         });
@@ -382,21 +482,25 @@ function documentEndpoints(app) {
 
   app.get(
     "/v1/documents/:documentId/search-embeddings",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { documentId } = request.params;
         const { method, q: query } = request.query;
-        const user = await userFromSession(request);
-        if (!user) {
+        const document = await WorkspaceDocument.get({
+          id: Number(documentId),
+        });
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { id: Number(document?.organization_id ?? 0) }
+        );
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const document = await WorkspaceDocument.get({
-          id: Number(documentId),
-        });
-        if (!document) {
+        if (!document || !organization) {
           response.status(200).json({
             fragments: [],
             error: "No document found.",
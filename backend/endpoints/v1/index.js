@@ -2,6 +2,7 @@ process.env.NODE_ENV === "development"
   ? require("dotenv").config({ path: `.env.${process.env.NODE_ENV}` })
   : require("dotenv").config();
 const { userFromSession, validSessionForUser } = require("../../utils/http");
+const { auditLog } = require("../../utils/middleware/auditLog");
 const { documentProcessorEndpoints } = require("./document-processor");
 const { documentEndpoints } = require("./documents");
 const { jobEndpoints } = require("./jobs");
@@ -12,6 +13,8 @@ const { workspaceEndpoints } = require("./workspaces");
 
 function v1Endpoints(app) {
   if (!app) return;
+  app.use("/v1", auditLog);
+
   app.get(
     "/v1/valid-session-token",
     [validSessionForUser],
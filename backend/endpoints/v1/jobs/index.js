@@ -1,5 +1,12 @@
+const { OrganizationUser } = require("../../../models/organizationUser");
 const { Queue } = require("../../../models/queue");
 const { userFromSession, validSessionForUser } = require("../../../utils/http");
+const { auditDetails } = require("../../../utils/middleware/auditLog");
+const {
+  BULK_UPLOAD_TASK,
+  refreshBulkUploadJob,
+  retryFailedBulkUpload,
+} = require("../../../utils/jobs/bulkUploadJob");
 
 process.env.NODE_ENV === "development"
   ? require("dotenv").config({ path: `.env.${process.env.NODE_ENV}` })
@@ -8,6 +15,33 @@ process.env.NODE_ENV === "development"
 function jobEndpoints(app) {
   if (!app) return;
 
+  app.get(
+    "/v1/jobs/:jobId",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { jobId } = request.params;
+        const user = await userFromSession(request);
+        const job = await Queue.get({ id: Number(jobId) });
+        if (!user || !job) {
+          response.sendStatus(404).end();
+          return;
+        }
+
+        const role = await OrganizationUser.roleFor(user, job.organization_id);
+        if (user.role !== "admin" && !role) {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        response.status(200).json({ job: await refreshBulkUploadJob(job) });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
   app.post(
     "/v1/jobs/:jobId/retry",
     [validSessionForUser],
@@ -26,6 +60,14 @@ function jobEndpoints(app) {
           return;
         }
 
+        auditDetails(response, {
+          organization: { id: existingJob.organization_id },
+          targetId: existingJob.id,
+          before: {
+            taskName: existingJob.taskName,
+            status: existingJob.status,
+          },
+        });
         const jobData = JSON.parse(existingJob.data);
         const { job, error } = await Queue.create(
           existingJob.taskName,
@@ -54,6 +96,48 @@ function jobEndpoints(app) {
     }
   );
 
+  app.post(
+    "/v1/jobs/:jobId/retry-failed",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { jobId } = request.params;
+        const user = await userFromSession(request);
+        if (!user || user.role !== "admin") {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const existingJob = await refreshBulkUploadJob(
+          await Queue.get({ id: Number(jobId) })
+        );
+        if (
+          !existingJob ||
+          existingJob.taskName !== BULK_UPLOAD_TASK ||
+          existingJob.status === Queue.status.pending ||
+          !JSON.parse(existingJob.result || "{}").canRetryFailed
+        ) {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        auditDetails(response, {
+          organization: { id: existingJob.organization_id },
+          targetId: existingJob.id,
+          before: {
+            taskName: existingJob.taskName,
+            status: existingJob.status,
+          },
+        });
+        const job = await retryFailedBulkUpload(existingJob, user);
+        response.status(200).json({ job, error: null });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
   app.delete(
     "/v1/jobs/:jobId",
     [validSessionForUser],
@@ -72,6 +156,14 @@ function jobEndpoints(app) {
           return;
         }
 
+        auditDetails(response, {
+          organization: { id: existingJob.organization_id },
+          targetId: existingJob.id,
+          before: {
+            taskName: existingJob.taskName,
+            status: existingJob.status,
+          },
+        });
         const result = {
           message: `Job was aborted by ${user.email}.`,
           error: `Job was aborted by ${user.email}.`,
@@ -1,12 +1,18 @@
+const { AlertChannel } = require("../../../models/alertChannel");
+const { AuditEvent } = require("../../../models/auditEvent");
 const { Notification } = require("../../../models/notification");
 const { Organization } = require("../../../models/organization");
 const { OrganizationApiKey } = require("../../../models/organizationApiKey");
+const {
+  OrganizationEmbedder,
+} = require("../../../models/organizationEmbedder");
 const {
   OrganizationConnection,
 } = require("../../../models/organizationConnection");
 const {
   OrganizationWorkspace,
 } = require("../../../models/organizationWorkspace");
+const { OrganizationUser } = require("../../../models/organizationUser");
 const { Queue } = require("../../../models/queue");
 const { User } = require("../../../models/user");
 const { WorkspaceDocument } = require("../../../models/workspaceDocument");
@@ -14,9 +20,16 @@ const {
   reqBody,
   userFromSession,
   validSessionForUser,
+  validSessionOrApiKey,
+  organizationFromRequest,
+  denyUnlessRole,
 } = require("../../../utils/http");
 const { createSyncJob } = require("../../../utils/jobs/createSyncJob");
+const { refreshBulkUploadJob } = require("../../../utils/jobs/bulkUploadJob");
+const { sendAlerts } = require("../../../utils/alerts");
+const { auditDetails } = require("../../../utils/middleware/auditLog");
 const { deleteVectorCacheFile } = require("../../../utils/storage");
+const { urlRejection } = require("../../../utils/webCrawler");
 const { selectConnector } = require("../../../utils/vectordatabases/providers");
 const {
   validateNewDatabaseConnector,
@@ -73,6 +86,7 @@ function organizationEndpoints(app) {
             user_id: user.id,
           },
         });
+        auditDetails(response, { organization, targetId: organization.id });
         response.status(200).json({ organization, error: null });
       } catch (e) {
         logger.error("Organization creation error", {
@@ -146,7 +160,8 @@ function organizationEndpoints(app) {
           return;
         }
 
-        response.status(200).json({ organization, error: null });
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        response.status(200).json({ organization, role, error: null });
       } catch (e) {
         console.log(e.message, e);
         response.sendStatus(500).end();
@@ -174,6 +189,14 @@ function organizationEndpoints(app) {
           return;
         }
 
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
+        auditDetails(response, {
+          targetId: organization.id,
+          before: { name: organization.name },
+        });
+
         const updateResponse = await Organization.update(
           organization.id,
           updates
@@ -206,6 +229,9 @@ function organizationEndpoints(app) {
           return;
         }
 
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "editor")) return;
+
         const apiKey = await OrganizationApiKey.get({
           organization_id: Number(organization.id),
         });
@@ -285,6 +311,9 @@ function organizationEndpoints(app) {
           return;
         }
 
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
         const connector = await OrganizationConnection.get({
           organization_id: Number(organization.id),
         });
@@ -327,6 +356,9 @@ function organizationEndpoints(app) {
           return;
         }
 
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
         const connector = await OrganizationConnection.get({
           organization_id: Number(organization.id),
         });
@@ -338,6 +370,13 @@ function organizationEndpoints(app) {
           return;
         }
 
+        auditDetails(response, {
+          targetId: connector.id,
+          before: {
+            type: connector.type,
+            settings: JSON.parse(connector.settings),
+          },
+        });
         const result = await validateUpdatedDatabaseConnector(
           connector,
           config
@@ -371,6 +410,9 @@ function organizationEndpoints(app) {
           return;
         }
 
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
         const connector = await OrganizationConnection.get({
           organization_id: Number(organization.id),
         });
@@ -416,10 +458,17 @@ function organizationEndpoints(app) {
           return;
         }
 
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
+        const dryRun = request.query.dryRun === "true";
+        auditDetails(response, { after: { dryRun } });
+
         const { job, error } = await createSyncJob(
           organization,
           connector,
-          user
+          user,
+          dryRun
         );
         response.status(200).json({ job, error });
       } catch (e) {
@@ -429,9 +478,57 @@ function organizationEndpoints(app) {
     }
   );
 
+  app.post(
+    "/v1/org/:slug/connector/:connectorId/sync-schedule",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { slug, connectorId } = request.params;
+        const { schedule } = reqBody(request);
+        const user = await userFromSession(request);
+        if (!user) {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const organization = await Organization.getWithOwner(user.id, { slug });
+        const connector = !!organization
+          ? await OrganizationConnection.get({
+              id: Number(connectorId),
+              organization_id: Number(organization.id),
+            })
+          : null;
+        if (!organization || !connector) {
+          response.status(200).json({
+            connector: null,
+            error: "No org or connector for org found.",
+          });
+          return;
+        }
+
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
+        auditDetails(response, {
+          targetId: connector.id,
+          before: { syncSchedule: connector.syncSchedule },
+          after: { syncSchedule: schedule },
+        });
+        const result = await OrganizationConnection.updateSyncSchedule(
+          connector.id,
+          schedule
+        );
+        response.status(200).json(result);
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
   app.get(
     "/v1/org/:slug/workspaces/search",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { slug } = request.params;
@@ -440,13 +537,16 @@ function organizationEndpoints(app) {
         const includeSlugs = request.query.includeSlugs?.split(",") || [];
         const searchTerm = request.query.searchTerm || "";
 
-        const user = await userFromSession(request);
-        if (!user) {
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { slug }
+        );
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const organization = await Organization.getWithOwner(user.id, { slug });
         if (!organization) {
           response
             .status(200)
@@ -474,7 +574,7 @@ function organizationEndpoints(app) {
 
   app.get(
     "/v1/org/:slug/workspaces",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { slug } = request.params;
@@ -482,13 +582,16 @@ function organizationEndpoints(app) {
         const pageSize = parseInt(request.query.pageSize) || 10;
         const includeSlugs = request.query.includeSlugs?.split(",") || [];
 
-        const user = await userFromSession(request);
-        if (!user) {
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { slug }
+        );
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const organization = await Organization.getWithOwner(user.id, { slug });
         if (!organization) {
           response
             .status(200)
@@ -540,6 +643,9 @@ function organizationEndpoints(app) {
           { createdAt: "desc" }
         );
         for (const job of jobs) {
+          if (job.status === Queue.status.pending)
+            Object.assign(job, await refreshBulkUploadJob(job));
+          if (!job.run_by_user_id) continue;
           const { id, email, role } = await User.get({
             id: Number(job.run_by_user_id),
           });
@@ -555,20 +661,23 @@ function organizationEndpoints(app) {
 
   app.get(
     "/v1/org/:slug/documents",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { slug } = request.params;
         const page = parseInt(request.query.page) || 1;
         const pageSize = parseInt(request.query.pageSize) || 10;
 
-        const user = await userFromSession(request);
-        if (!user) {
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { slug }
+        );
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const organization = await Organization.getWithOwner(user.id, { slug });
         if (!organization) {
           response
             .status(200)
@@ -642,14 +751,18 @@ function organizationEndpoints(app) {
 
   app.get(
     "/v1/org/:slug/namespace-search",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { slug } = request.params;
         const namespace = String(request.query?.name) || null;
 
-        const user = await userFromSession(request);
-        if (!user) {
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { slug }
+        );
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
@@ -661,7 +774,6 @@ function organizationEndpoints(app) {
           return;
         }
 
-        const organization = await Organization.getWithOwner(user.id, { slug });
         if (!organization) {
           response.status(200).json({ match: null, error: "No org found." });
           return;
@@ -716,6 +828,15 @@ function organizationEndpoints(app) {
           return;
         }
 
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+        // The organization no longer exists once this is recorded.
+        auditDetails(response, {
+          organization: null,
+          targetId: organization.id,
+          before: organization,
+        });
+
         const documents = await WorkspaceDocument.where({
           organization_id: Number(organization.id),
         });
@@ -818,6 +939,580 @@ function organizationEndpoints(app) {
       }
     }
   );
+  app.get(
+    "/v1/org/:slug/embedder",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { slug } = request.params;
+        const user = await userFromSession(request);
+        if (!user) {
+          response.sendStatus(403).end();
+          return;
+        }
+        const organization = await Organization.getWithOwner(user.id, { slug });
+        if (!organization) {
+          response
+            .status(200)
+            .json({ embedder: null, error: "No org by that slug." });
+          return;
+        }
+
+        const embedder = await OrganizationEmbedder.get({
+          organization_id: Number(organization.id),
+          workspace_id: null,
+        });
+        response.status(200).json({
+          embedder: OrganizationEmbedder.safeFields(embedder),
+          defaults: OrganizationEmbedder.defaults,
+          providers: OrganizationEmbedder.supportedProviders,
+          error: null,
+        });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/org/:slug/embedder",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { slug } = request.params;
+        const { embedder: config = {} } = reqBody(request);
+        const user = await userFromSession(request);
+        if (!user) {
+          response.sendStatus(403).end();
+          return;
+        }
+        const organization = await Organization.getWithOwner(user.id, { slug });
+        if (!organization) {
+          response
+            .status(200)
+            .json({ embedder: null, error: "No org by that slug." });
+          return;
+        }
+
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
+        auditDetails(response, {
+          before: OrganizationEmbedder.safeFields(
+            await OrganizationEmbedder.get({
+              organization_id: Number(organization.id),
+              workspace_id: null,
+            })
+          ),
+        });
+
+        const { embedder, message } = await OrganizationEmbedder.upsert(
+          organization.id,
+          null,
+          config
+        );
+        response.status(200).json({
+          embedder: OrganizationEmbedder.safeFields(embedder),
+          error: message,
+        });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.delete(
+    "/v1/org/:slug/embedder",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { slug } = request.params;
+        const user = await userFromSession(request);
+        if (!user) {
+          response.sendStatus(403).end();
+          return;
+        }
+        const organization = await Organization.getWithOwner(user.id, { slug });
+        if (!organization) {
+          response
+            .status(200)
+            .json({ success: false, error: "No org by that slug." });
+          return;
+        }
+
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
+        auditDetails(response, {
+          before: OrganizationEmbedder.safeFields(
+            await OrganizationEmbedder.get({
+              organization_id: Number(organization.id),
+              workspace_id: null,
+            })
+          ),
+        });
+
+        const success = await OrganizationEmbedder.delete({
+          organization_id: Number(organization.id),
+          workspace_id: null,
+        });
+        response.status(200).json({ success, error: null });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/v1/org/:slug/alert-channels",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { slug } = request.params;
+        const user = await userFromSession(request);
+        if (!user) {
+          response.sendStatus(403).end();
+          return;
+        }
+        const organization = await Organization.getWithOwner(user.id, { slug });
+        if (!organization) {
+          response
+            .status(200)
+            .json({ channels: [], error: "No org by that slug." });
+          return;
+        }
+
+        const channels = await AlertChannel.where(
+          { organization_id: Number(organization.id) },
+          null,
+          { createdAt: "asc" }
+        );
+        response.status(200).json({
+          channels: channels.map((channel) => AlertChannel.safeFields(channel)),
+          types: Object.values(AlertChannel.types),
+          error: null,
+        });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/org/:slug/alert-channels",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { slug } = request.params;
+        const { channel: data = {} } = reqBody(request);
+        const user = await userFromSession(request);
+        if (!user) {
+          response.sendStatus(403).end();
+          return;
+        }
+        const organization = await Organization.getWithOwner(user.id, { slug });
+        if (!organization) {
+          response
+            .status(200)
+            .json({ channel: null, error: "No org by that slug." });
+          return;
+        }
+
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
+        // Webhooks are sent from the server, so they may not point at its private network.
+        if (data.type === AlertChannel.types.webhook) {
+          const rejection = await urlRejection(data.config?.url);
+          if (rejection) {
+            response.status(200).json({ channel: null, error: rejection });
+            return;
+          }
+        }
+
+        const { channel, error } = await AlertChannel.create(
+          organization.id,
+          data
+        );
+        auditDetails(response, {
+          targetId: channel?.id,
+          after: AlertChannel.safeFields(channel),
+        });
+        response
+          .status(200)
+          .json({ channel: AlertChannel.safeFields(channel), error });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/org/:slug/alert-channels/:channelId",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { slug, channelId } = request.params;
+        const { enabled } = reqBody(request);
+        const user = await userFromSession(request);
+        if (!user) {
+          response.sendStatus(403).end();
+          return;
+        }
+        const organization = await Organization.getWithOwner(user.id, { slug });
+        if (!organization) {
+          response
+            .status(200)
+            .json({ channel: null, error: "No org by that slug." });
+          return;
+        }
+
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
+        const existing = await AlertChannel.get({
+          id: Number(channelId),
+          organization_id: Number(organization.id),
+        });
+        if (!existing) {
+          response
+            .status(200)
+            .json({ channel: null, error: "No alert channel found." });
+          return;
+        }
+
+        auditDetails(response, {
+          targetId: existing.id,
+          before: { enabled: existing.enabled },
+          after: { enabled: !!enabled },
+        });
+        const { channel, error } = await AlertChannel.update(existing.id, {
+          enabled: !!enabled,
+        });
+        response
+          .status(200)
+          .json({ channel: AlertChannel.safeFields(channel), error });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/org/:slug/alert-channels/:channelId/test",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { slug, channelId } = request.params;
+        const user = await userFromSession(request);
+        if (!user) {
+          response.sendStatus(403).end();
+          return;
+        }
+        const organization = await Organization.getWithOwner(user.id, { slug });
+        if (!organization) {
+          response
+            .status(200)
+            .json({ success: false, error: "No org by that slug." });
+          return;
+        }
+
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
+        const channel = await AlertChannel.get({
+          id: Number(channelId),
+          organization_id: Number(organization.id),
+        });
+        if (!channel) {
+          response
+            .status(200)
+            .json({ success: false, error: "No alert channel found." });
+          return;
+        }
+
+        const [delivery] = await sendAlerts([{ ...channel, enabled: true }], {
+          event: "alert_channel.test",
+          title: `Test alert from ${organization.name}`,
+          text: `This is a test of the "${channel.name}" alert channel.`,
+          link: `/dashboard/${organization.slug}/settings`,
+        });
+        response
+          .status(200)
+          .json({ success: delivery.success, error: delivery.error });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.delete(
+    "/v1/org/:slug/alert-channels/:channelId",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { slug, channelId } = request.params;
+        const user = await userFromSession(request);
+        if (!user) {
+          response.sendStatus(403).end();
+          return;
+        }
+        const organization = await Organization.getWithOwner(user.id, { slug });
+        if (!organization) {
+          response
+            .status(200)
+            .json({ success: false, error: "No org by that slug." });
+          return;
+        }
+
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
+        const channel = await AlertChannel.get({
+          id: Number(channelId),
+          organization_id: Number(organization.id),
+        });
+        auditDetails(response, {
+          targetId: channelId,
+          before: AlertChannel.safeFields(channel),
+        });
+
+        const success = !!channel
+          ? await AlertChannel.delete({ id: channel.id })
+          : false;
+        response.status(200).json({
+          success,
+          error: success ? null : "No alert channel found.",
+        });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/v1/org/:slug/members",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { slug } = request.params;
+        const user = await userFromSession(request);
+        if (!user) {
+          response.sendStatus(403).end();
+          return;
+        }
+        const organization = await Organization.getWithOwner(user.id, { slug });
+        if (!organization) {
+          response
+            .status(200)
+            .json({ members: [], error: "No org by that slug." });
+          return;
+        }
+
+        const members = await OrganizationUser.members(organization.id);
+        response.status(200).json({
+          members,
+          roles: OrganizationUser.roles,
+          error: null,
+        });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/org/:slug/members/:userId/role",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { slug, userId } = request.params;
+        const { role: newRole } = reqBody(request);
+        const user = await userFromSession(request);
+        if (!user) {
+          response.sendStatus(403).end();
+          return;
+        }
+        const organization = await Organization.getWithOwner(user.id, { slug });
+        if (!organization) {
+          response
+            .status(200)
+            .json({ membership: null, error: "No org by that slug." });
+          return;
+        }
+
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
+        auditDetails(response, {
+          targetId: userId,
+          before: await OrganizationUser.get({
+            user_id: Number(userId),
+            organization_id: Number(organization.id),
+          }),
+        });
+
+        const { membership, error } = await OrganizationUser.updateRole(
+          userId,
+          organization.id,
+          newRole
+        );
+        response.status(200).json({ membership, error });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.delete(
+    "/v1/org/:slug/members/:userId",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { slug, userId } = request.params;
+        const user = await userFromSession(request);
+        if (!user) {
+          response.sendStatus(403).end();
+          return;
+        }
+        const organization = await Organization.getWithOwner(user.id, { slug });
+        if (!organization) {
+          response
+            .status(200)
+            .json({ success: false, error: "No org by that slug." });
+          return;
+        }
+
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
+        auditDetails(response, {
+          targetId: userId,
+          before: await OrganizationUser.get({
+            user_id: Number(userId),
+            organization_id: Number(organization.id),
+          }),
+        });
+
+        const { success, error } = await OrganizationUser.removeMember(
+          userId,
+          organization.id
+        );
+        response.status(200).json({ success, error });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/v1/org/:slug/audit-events",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { slug } = request.params;
+        const page = parseInt(request.query.page) || 1;
+        const pageSize = parseInt(request.query.pageSize) || 25;
+        const user = await userFromSession(request);
+        if (!user) {
+          response.sendStatus(403).end();
+          return;
+        }
+        const organization = await Organization.getWithOwner(user.id, { slug });
+        if (!organization) {
+          response
+            .status(200)
+            .json({ events: [], total: 0, error: "No org by that slug." });
+          return;
+        }
+
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
+        const scope = AuditEvent.filterClause(
+          organization.id,
+          {},
+          user.role === "admin"
+        );
+        const clause = AuditEvent.filterClause(
+          organization.id,
+          request.query,
+          user.role === "admin"
+        );
+        const events = await AuditEvent.where(
+          clause,
+          pageSize,
+          { createdAt: "desc" },
+          (page - 1) * pageSize
+        );
+        response.status(200).json({
+          events,
+          total: await AuditEvent.count(clause),
+          actions: await AuditEvent.distinct(scope, "action"),
+          targets: await AuditEvent.distinct(scope, "target"),
+          error: null,
+        });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/v1/org/:slug/audit-events/export",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { slug } = request.params;
+        const user = await userFromSession(request);
+        if (!user) {
+          response.sendStatus(403).end();
+          return;
+        }
+        const organization = await Organization.getWithOwner(user.id, { slug });
+        if (!organization) {
+          response.sendStatus(404).end();
+          return;
+        }
+
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
+        const events = await AuditEvent.where(
+          AuditEvent.filterClause(
+            organization.id,
+            request.query,
+            user.role === "admin"
+          ),
+          null,
+          { createdAt: "desc" }
+        );
+        response
+          .status(200)
+          .set("Content-Type", "text/csv")
+          .set(
+            "Content-Disposition",
+            `attachment; filename="${organization.slug}-audit-log.csv"`
+          )
+          .send(AuditEvent.toCsv(events));
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
 }
 
 module.exports = { organizationEndpoints };
@@ -2,12 +2,15 @@ const { Organization } = require("../../../models/organization");
 const {
   OrganizationConnection,
 } = require("../../../models/organizationConnection");
+const { OrganizationUser } = require("../../../models/organizationUser");
 const { Queue } = require("../../../models/queue");
 const {
   userFromSession,
   validSessionForUser,
   reqBody,
+  denyUnlessRole,
 } = require("../../../utils/http");
+const { auditDetails } = require("../../../utils/middleware/auditLog");
 const {
   organizationMigrationJob,
 } = require("../../../utils/jobs/organizationMigrationJob");
@@ -17,7 +20,11 @@ const {
 const {
   workspaceSimilaritySearch,
 } = require("../../../utils/toolHelpers/workspaceSimilaritySearch");
+const {
+  retrievalComparison,
+} = require("../../../utils/toolHelpers/retrievalComparison");
 const { ragTestingEndpoints } = require("./ragTesting");
+const { snapshotEndpoints } = require("./snapshots");
 
 process.env.NODE_ENV === "development"
   ? require("dotenv").config({ path: `.env.${process.env.NODE_ENV}` })
@@ -26,6 +33,7 @@ process.env.NODE_ENV === "development"
 function toolEndpoints(app) {
   if (!app) return;
   ragTestingEndpoints(app);
+  snapshotEndpoints(app);
 
   app.post(
     "/v1/tools/org/:orgSlug/migrate",
@@ -50,6 +58,9 @@ function toolEndpoints(app) {
           return;
         }
 
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
         if (organization.id === Number(destinationOrgId)) {
           response.status(200).json({
             success: false,
@@ -113,6 +124,17 @@ function toolEndpoints(app) {
           return;
         }
 
+        auditDetails(response, {
+          targetId: organization.id,
+          before: { connector: originalConnector.type },
+          after: {
+            destinationOrganization: {
+              id: destinationOrg.id,
+              name: destinationOrg.name,
+            },
+            connector: destinationConnector.type,
+          },
+        });
         await organizationMigrationJob(organization, destinationOrg, user);
         response
           .status(200)
@@ -146,6 +168,9 @@ function toolEndpoints(app) {
           return;
         }
 
+        const role = await OrganizationUser.roleFor(user, organization.id);
+        if (denyUnlessRole(response, role, "owner")) return;
+
         const connector = await OrganizationConnection.get({
           organization_id: Number(organization.id),
         });
@@ -170,6 +195,10 @@ function toolEndpoints(app) {
           return;
         }
 
+        auditDetails(response, {
+          targetId: organization.id,
+          before: { connector: connector.type },
+        });
         await organizationResetJob(organization, user);
         response
           .status(200)
@@ -198,6 +227,24 @@ function toolEndpoints(app) {
       }
     }
   );
+
+  app.post(
+    "/v1/tools/org/:orgSlug/retrieval-comparison",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const user = await userFromSession(request);
+        if (!user || user.role !== "admin") {
+          response.sendStatus(403).end();
+          return;
+        }
+        return await retrievalComparison(user, request, response);
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
 }
 
 module.exports = { toolEndpoints };
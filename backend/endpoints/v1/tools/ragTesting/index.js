@@ -1,5 +1,10 @@
+const { AlertChannel } = require("../../../../models/alertChannel");
 const { Organization } = require("../../../../models/organization");
 const { RagTest } = require("../../../../models/ragTest");
+const { RagTestSuite } = require("../../../../models/ragTestSuite");
+const {
+  OrganizationWorkspace,
+} = require("../../../../models/organizationWorkspace");
 const {
   userFromSession,
   validSessionForUser,
@@ -8,9 +13,16 @@ const {
 const {
   createRagTestJobRun,
 } = require("../../../../utils/jobs/createRagTestJobRun");
+const {
+  createRagTestSuiteJobRun,
+} = require("../../../../utils/jobs/createRagTestSuiteJobRun");
+const { auditDetails } = require("../../../../utils/middleware/auditLog");
 const {
   createRagTest,
 } = require("../../../../utils/toolHelpers/RagTests/create");
+const {
+  parsePromptImport,
+} = require("../../../../utils/toolHelpers/RagTests/importPrompts");
 
 process.env.NODE_ENV === "development"
   ? require("dotenv").config({ path: `.env.${process.env.NODE_ENV}` })
@@ -50,6 +62,12 @@ function ragTestingEndpoints(app) {
             promptText: true,
             frequencyType: true,
             topK: true,
+            scoreDeltaThreshold: true,
+            rankTolerance: true,
+            newVectorSeverity: true,
+            minOverlapRatio: true,
+            alertChannelIds: true,
+            metadataFilter: true,
             lastRun: true,
             enabled: true,
             comparisons: true,
@@ -103,6 +121,12 @@ function ragTestingEndpoints(app) {
             promptText: true,
             frequencyType: true,
             topK: true,
+            scoreDeltaThreshold: true,
+            rankTolerance: true,
+            newVectorSeverity: true,
+            minOverlapRatio: true,
+            alertChannelIds: true,
+            metadataFilter: true,
             lastRun: true,
             enabled: true,
             comparisons: true,
@@ -200,6 +224,60 @@ function ragTestingEndpoints(app) {
     }
   );
 
+  app.post(
+    "/v1/tools/org/:orgSlug/rag-tests/:testId/alert-channels",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { orgSlug, testId } = request.params;
+        const { alertChannelIds = [] } = reqBody(request);
+        const user = await userFromSession(request);
+        if (!user || user.role !== "admin") {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const organization = await Organization.getWithOwner(user.id, {
+          slug: orgSlug,
+        });
+        if (!organization) {
+          response.status(200).json({ test: null, error: "No org found." });
+          return;
+        }
+
+        const test = await RagTest.get(
+          { id: Number(testId), organization_id: organization.id },
+          { id: true, alertChannelIds: true }
+        );
+        if (!test) {
+          response.status(200).json({ test: null, error: "No test found." });
+          return;
+        }
+
+        const validIds = await AlertChannel.validIds(
+          organization.id,
+          alertChannelIds
+        );
+        auditDetails(response, {
+          targetId: test.id,
+          before: { alertChannelIds: test.alertChannelIds },
+          after: { alertChannelIds: validIds },
+        });
+
+        const { success, error } = await RagTest.update(test.id, {
+          alertChannelIds: validIds,
+        });
+        response.status(200).json({
+          test: success ? { id: test.id, alertChannelIds: validIds } : null,
+          error,
+        });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
   app.post(
     "/v1/tools/org/:orgSlug/rag-tests/create",
     [validSessionForUser],
@@ -265,6 +343,296 @@ function ragTestingEndpoints(app) {
       }
     }
   );
+
+  app.get(
+    "/v1/tools/org/:orgSlug/rag-test-suites",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { orgSlug } = request.params;
+        const user = await userFromSession(request);
+        if (!user || user.role !== "admin") {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const organization = await Organization.getWithOwner(user.id, {
+          slug: orgSlug,
+        });
+        if (!organization) {
+          response.status(200).json({ suites: [], message: "No org found." });
+          return;
+        }
+
+        const suites = await RagTestSuite.where(
+          { organization_id: organization.id },
+          null,
+          { lastRun: "desc" },
+          {
+            id: true,
+            name: true,
+            topK: true,
+            lastRun: true,
+            createdAt: true,
+            workspace: true,
+            organization: true,
+            _count: { select: { prompts: true } },
+            runs: {
+              select: {
+                id: true,
+                status: true,
+                results: true,
+                createdAt: true,
+              },
+              orderBy: { id: "desc" },
+              take: 1,
+            },
+          }
+        );
+        response.status(200).json({ suites, message: null });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/v1/tools/org/:orgSlug/rag-test-suites/:suiteId",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { orgSlug, suiteId } = request.params;
+        const user = await userFromSession(request);
+        if (!user || user.role !== "admin") {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const organization = await Organization.getWithOwner(user.id, {
+          slug: orgSlug,
+        });
+        if (!organization) {
+          response.status(200).json({ suite: null, message: "No org found." });
+          return;
+        }
+
+        const suite = await RagTestSuite.get(
+          { id: Number(suiteId), organization_id: organization.id },
+          {
+            id: true,
+            name: true,
+            topK: true,
+            lastRun: true,
+            createdAt: true,
+            workspace: true,
+            organization: true,
+            _count: { select: { prompts: true } },
+          }
+        );
+        if (!suite) {
+          response
+            .status(200)
+            .json({ suite: null, runs: [], message: "No suite found." });
+          return;
+        }
+
+        const runs = await RagTestSuite.getRuns(suite.id, 30, {
+          createdAt: "desc",
+        });
+        response.status(200).json({ suite, runs, message: null });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/tools/org/:orgSlug/rag-test-suites/create",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { orgSlug } = request.params;
+        const { name, workspaceId, topK = 5 } = reqBody(request);
+        const user = await userFromSession(request);
+        if (!user || user.role !== "admin") {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const organization = await Organization.getWithOwner(user.id, {
+          slug: orgSlug,
+        });
+        if (!organization) {
+          response.status(200).json({ suite: null, error: "No org found." });
+          return;
+        }
+
+        const workspace = await OrganizationWorkspace.get({
+          id: Number(workspaceId),
+          organization_id: organization.id,
+        });
+        if (!workspace) {
+          response
+            .status(200)
+            .json({ suite: null, error: "No workspace found." });
+          return;
+        }
+
+        if (!name || Number(topK) < 1 || Number(topK) > 50) {
+          response.status(200).json({
+            suite: null,
+            error: "A suite needs a name and a top K between 1 and 50.",
+          });
+          return;
+        }
+
+        const { suite, error } = await RagTestSuite.create(
+          { name, topK },
+          organization.id,
+          workspace.id
+        );
+        response.status(200).json({ suite, error });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/tools/org/:orgSlug/rag-test-suites/:suiteId/import",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { orgSlug, suiteId } = request.params;
+        const { format = "csv", content = "" } = reqBody(request);
+        const user = await userFromSession(request);
+        if (!user || user.role !== "admin") {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const organization = await Organization.getWithOwner(user.id, {
+          slug: orgSlug,
+        });
+        const suite = !!organization
+          ? await RagTestSuite.get({
+              id: Number(suiteId),
+              organization_id: organization.id,
+            })
+          : null;
+        if (!suite) {
+          response
+            .status(200)
+            .json({ imported: 0, errors: [], error: "No suite found." });
+          return;
+        }
+
+        const { prompts, errors } = parsePromptImport(format, content);
+        const { count, error } = await RagTestSuite.addPrompts(
+          suite.id,
+          prompts
+        );
+        auditDetails(response, {
+          targetId: suite.id,
+          after: { format, imported: count, rejected: errors.length },
+        });
+        response.status(200).json({ imported: count, errors, error });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/tools/org/:orgSlug/rag-test-suites/:suiteId/run",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { orgSlug, suiteId } = request.params;
+        const user = await userFromSession(request);
+        if (!user || user.role !== "admin") {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const organization = await Organization.getWithOwner(user.id, {
+          slug: orgSlug,
+        });
+        const suite = !!organization
+          ? await RagTestSuite.get(
+              { id: Number(suiteId), organization_id: organization.id },
+              { id: true }
+            )
+          : null;
+        if (!suite) {
+          response
+            .status(200)
+            .json({ job: null, error: "No suite found for that id." });
+          return;
+        }
+
+        if ((await RagTestSuite.promptCount(suite.id)) === 0) {
+          response.status(200).json({
+            job: null,
+            error: "Import prompts into this suite before running it.",
+          });
+          return;
+        }
+
+        const { job, error } = await createRagTestSuiteJobRun(
+          organization,
+          suite.id,
+          user
+        );
+        response.status(200).json({ job, error });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.delete(
+    "/v1/tools/org/:orgSlug/rag-test-suites/:suiteId",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { orgSlug, suiteId } = request.params;
+        const user = await userFromSession(request);
+        if (!user || user.role !== "admin") {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const organization = await Organization.getWithOwner(user.id, {
+          slug: orgSlug,
+        });
+        if (!organization) {
+          response.sendStatus(200).end();
+          return;
+        }
+
+        const suite = await RagTestSuite.get(
+          { id: Number(suiteId), organization_id: organization.id },
+          { id: true }
+        );
+        if (!suite) {
+          response.sendStatus(400).end();
+          return;
+        }
+
+        await RagTestSuite.delete({ id: suite.id });
+        response.sendStatus(200).end();
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
 }
 
 module.exports = { ragTestingEndpoints };
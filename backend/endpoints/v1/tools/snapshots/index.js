@@ -0,0 +1,262 @@
+const { Organization } = require("../../../../models/organization");
+const {
+  OrganizationConnection,
+} = require("../../../../models/organizationConnection");
+const {
+  OrganizationSnapshot,
+} = require("../../../../models/organizationSnapshot");
+const { Queue } = require("../../../../models/queue");
+const {
+  userFromSession,
+  validSessionForUser,
+  reqBody,
+} = require("../../../../utils/http");
+const {
+  organizationSnapshotJob,
+} = require("../../../../utils/jobs/organizationSnapshotJob");
+const {
+  organizationSnapshotRestoreJob,
+} = require("../../../../utils/jobs/organizationSnapshotRestoreJob");
+const {
+  deleteSnapshotArchive,
+} = require("../../../../utils/storage/snapshots");
+
+process.env.NODE_ENV === "development"
+  ? require("dotenv").config({ path: `.env.${process.env.NODE_ENV}` })
+  : require("dotenv").config();
+
+const SNAPSHOT_TASKS = [
+  "organization/snapshot",
+  "organization/snapshot-restore",
+];
+
+function snapshotEndpoints(app) {
+  if (!app) return;
+
+  app.get(
+    "/v1/tools/org/:orgSlug/snapshots",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { orgSlug } = request.params;
+        const user = await userFromSession(request);
+        if (!user || user.role !== "admin") {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const organization = await Organization.getWithOwner(user.id, {
+          slug: orgSlug,
+        });
+        if (!organization) {
+          response
+            .status(200)
+            .json({ snapshots: [], message: "No org found." });
+          return;
+        }
+
+        const snapshots = await OrganizationSnapshot.where(
+          { organization_id: organization.id },
+          null,
+          { createdAt: "desc" }
+        );
+        response.status(200).json({ snapshots, message: null });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/tools/org/:orgSlug/snapshots/create",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { orgSlug } = request.params;
+        const { name = "" } = reqBody(request);
+        const user = await userFromSession(request);
+        if (!user || user.role !== "admin") {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const organization = await Organization.getWithOwner(user.id, {
+          slug: orgSlug,
+        });
+        if (!organization) {
+          response
+            .status(200)
+            .json({ success: false, message: "No org found." });
+          return;
+        }
+
+        const connector = await OrganizationConnection.get({
+          organization_id: Number(organization.id),
+        });
+        if (!connector) {
+          response.status(200).json({
+            success: false,
+            message: "No vector database is connected to this organization.",
+          });
+          return;
+        }
+
+        const existingJob = await Queue.get({
+          taskName: { in: SNAPSHOT_TASKS },
+          status: Queue.status.pending,
+          organization_id: organization.id,
+        });
+        if (!!existingJob) {
+          response.status(200).json({
+            success: false,
+            message:
+              "There is an existing snapshot or restore job already running for this organization.",
+          });
+          return;
+        }
+
+        const { snapshot, error } = await OrganizationSnapshot.create(
+          name,
+          organization,
+          connector.type
+        );
+        if (!snapshot) {
+          response.status(200).json({ success: false, message: error });
+          return;
+        }
+
+        await organizationSnapshotJob(organization, snapshot, user);
+        response
+          .status(200)
+          .json({ success: true, snapshot, message: "Snapshot job queued." });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/tools/org/:orgSlug/snapshots/:snapshotId/restore",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { orgSlug, snapshotId } = request.params;
+        const user = await userFromSession(request);
+        if (!user || user.role !== "admin") {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const organization = await Organization.getWithOwner(user.id, {
+          slug: orgSlug,
+        });
+        if (!organization) {
+          response
+            .status(200)
+            .json({ success: false, message: "No org found." });
+          return;
+        }
+
+        const connector = await OrganizationConnection.get({
+          organization_id: Number(organization.id),
+        });
+        if (!connector) {
+          response.status(200).json({
+            success: false,
+            message: "No vector database is connected to this organization.",
+          });
+          return;
+        }
+
+        const snapshot = await OrganizationSnapshot.get({
+          id: Number(snapshotId),
+          organization_id: organization.id,
+        });
+        if (
+          !snapshot ||
+          snapshot.status !== OrganizationSnapshot.status.complete
+        ) {
+          response.status(200).json({
+            success: false,
+            message: "No completed snapshot found for that id.",
+          });
+          return;
+        }
+
+        const pendingJobs = await Queue.where({
+          status: Queue.status.pending,
+          organization_id: organization.id,
+        });
+        if (pendingJobs.length > 0) {
+          response.status(200).json({
+            success: false,
+            message:
+              "There are pending jobs for this organization - you cannot restore a snapshot at this time.",
+          });
+          return;
+        }
+
+        await organizationSnapshotRestoreJob(organization, snapshot, user);
+        response
+          .status(200)
+          .json({ success: true, message: "Snapshot restore job queued." });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.delete(
+    "/v1/tools/org/:orgSlug/snapshots/:snapshotId",
+    [validSessionForUser],
+    async function (request, response) {
+      try {
+        const { orgSlug, snapshotId } = request.params;
+        const user = await userFromSession(request);
+        if (!user || user.role !== "admin") {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const organization = await Organization.getWithOwner(user.id, {
+          slug: orgSlug,
+        });
+        if (!organization) {
+          response.sendStatus(400).end();
+          return;
+        }
+
+        const snapshot = await OrganizationSnapshot.get({
+          id: Number(snapshotId),
+          organization_id: organization.id,
+        });
+        if (!snapshot) {
+          response.sendStatus(400).end();
+          return;
+        }
+
+        const existingJob = await Queue.get({
+          taskName: { in: SNAPSHOT_TASKS },
+          status: Queue.status.pending,
+          organization_id: organization.id,
+        });
+        if (!!existingJob) {
+          response.sendStatus(409).end();
+          return;
+        }
+
+        deleteSnapshotArchive(snapshot.uuid);
+        await OrganizationSnapshot.delete({ id: snapshot.id });
+        response.sendStatus(200).end();
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+}
+
+module.exports = { snapshotEndpoints };
@@ -4,6 +4,7 @@ const {
   reqBody,
   validSessionForUser,
 } = require("../../../utils/http");
+const { auditDetails } = require("../../../utils/middleware/auditLog");
 
 process.env.NODE_ENV === "development"
   ? require("dotenv").config({ path: `.env.${process.env.NODE_ENV}` })
@@ -55,6 +56,10 @@ function userEndpoints(app) {
           return;
         }
 
+        auditDetails(response, {
+          targetId: userId,
+          before: (await User.whereWithOrgs({ id: Number(userId) }))[0] ?? null,
+        });
         await User.delete({ id: Number(userId) });
         response.status(200).json({ success: true, error: null });
       } catch (e) {
@@ -81,6 +86,7 @@ function userEndpoints(app) {
           password,
           role,
         });
+        auditDetails(response, { targetId: newUser?.id ?? null });
         await User.addToAllOrgs(newUser.id);
         response.status(200).json({ success: !!newUser, error: message });
       } catch (e) {
@@ -104,6 +110,10 @@ function userEndpoints(app) {
           return;
         }
 
+        auditDetails(response, {
+          targetId: userId,
+          before: (await User.whereWithOrgs({ id: Number(userId) }))[0] ?? null,
+        });
         const { success, error } = await User.update(userId, updates);
         response.status(200).json({ success, error });
       } catch (e) {
@@ -1,4 +1,3 @@
-const { Organization } = require("../../../models/organization");
 const {
   OrganizationConnection,
 } = require("../../../models/organizationConnection");
@@ -7,13 +6,30 @@ const {
 } = require("../../../models/organizationWorkspace");
 const { WorkspaceDocument } = require("../../../models/workspaceDocument");
 const {
-  userFromSession,
+  OrganizationEmbedder,
+} = require("../../../models/organizationEmbedder");
+const {
   reqBody,
-  validSessionForUser,
+  validSessionOrApiKey,
+  organizationFromRequest,
+  denyUnlessRole,
 } = require("../../../utils/http");
 const { setupMulter } = require("../../..//utils/files/multer");
+const { removeStagedUpload } = require("../../../utils/files/uploads");
+const { DocumentUpload } = require("../../../models/documentUpload");
 const { DocumentProcessor } = require("../../../models/documentProcessor");
 const { addDocumentJob } = require("../../../utils/jobs/addDocumentsJob");
+const { bulkUploadJob } = require("../../../utils/jobs/bulkUploadJob");
+const { urlImportJob } = require("../../../utils/jobs/urlImportJob");
+const {
+  embeddingsImportJob,
+} = require("../../../utils/jobs/embeddingsImportJob");
+const {
+  MODES: CRAWL_MODES,
+  normalizeUrl,
+  urlRejection,
+  crawlOptions,
+} = require("../../../utils/webCrawler");
 const {
   workspaceDeletedJob,
 } = require("../../../utils/jobs/workspaceDeletedJob");
@@ -26,6 +42,24 @@ const {
   workspaceDocumentSearch,
 } = require("../../../utils/search/workspaceDocuments");
 const { selectConnector } = require("../../../utils/vectordatabases/providers");
+const { embedderConfigForWorkspace } = require("../../../utils/embedders");
+const { auditDetails } = require("../../../utils/middleware/auditLog");
+const {
+  validateOperations,
+  validateSelection,
+  pinSelection,
+  previewBulkMetadata,
+} = require("../../../utils/bulkMetadata");
+const {
+  bulkUpdateMetadataJob,
+} = require("../../../utils/jobs/bulkUpdateMetadataJob");
+const {
+  validateSchemaDefinition,
+  workspaceSchema,
+  rejectsViolations,
+  documentViolations,
+  metadataProfile,
+} = require("../../../utils/metadataSchema");
 
 process.env.NODE_ENV === "development"
   ? require("dotenv").config({ path: `.env.${process.env.NODE_ENV}` })
@@ -33,24 +67,23 @@ process.env.NODE_ENV === "development"
 
 function workspaceEndpoints(app) {
   if (!app) return;
-  const { handleUploads } = setupMulter();
+  const { handleUploads, stageUpload, stageUploads, stageEmbeddingsUpload } =
+    setupMulter();
 
   app.post(
     "/v1/org/:orgSlug/new-workspace",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { orgSlug } = request.params;
-        const { workspaceName } = reqBody(request);
-        const user = await userFromSession(request);
-        if (!user) {
+        const { workspaceName, chunking = {} } = reqBody(request);
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, { slug: orgSlug });
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const organization = await Organization.getWithOwner(user.id, {
-          slug: orgSlug,
-        });
         if (!organization) {
           response
             .status(200)
@@ -58,6 +91,8 @@ function workspaceEndpoints(app) {
           return;
         }
 
+        if (denyUnlessRole(response, role, "editor")) return;
+
         const connector = await OrganizationConnection.get({
           organization_id: Number(organization.id),
         });
@@ -87,8 +122,15 @@ function workspaceEndpoints(app) {
           await OrganizationWorkspace.safeCreate(
             workspaceName,
             organization.id,
-            connector
+            connector,
+            chunking
           );
+        if (!workspace) {
+          response.status(200).json({ workspace: null, error });
+          return;
+        }
+
+        auditDetails(response, { targetId: workspace.id });
         await newWorkspaceJob(organization, workspace, connector, user);
         response.status(200).json({ workspace, error });
       } catch (e) {
@@ -100,20 +142,18 @@ function workspaceEndpoints(app) {
 
   app.post(
     "/v1/org/:orgSlug/import-workspace",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { orgSlug } = request.params;
         const { workspaceName } = reqBody(request);
-        const user = await userFromSession(request);
-        if (!user) {
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, { slug: orgSlug });
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const organization = await Organization.getWithOwner(user.id, {
-          slug: orgSlug,
-        });
         if (!organization) {
           response
             .status(200)
@@ -121,6 +161,8 @@ function workspaceEndpoints(app) {
           return;
         }
 
+        if (denyUnlessRole(response, role, "editor")) return;
+
         const connector = await OrganizationConnection.get({
           organization_id: Number(organization.id),
         });
@@ -146,19 +188,20 @@ function workspaceEndpoints(app) {
 
   app.get(
     "/v1/org/:orgSlug/workspace/:wsSlug",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { orgSlug, wsSlug } = request.params;
-        const user = await userFromSession(request);
-        if (!user) {
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { slug: orgSlug }
+        );
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const organization = await Organization.getWithOwner(user.id, {
-          slug: orgSlug,
-        });
         if (!organization) {
           response
             .status(200)
@@ -166,7 +209,10 @@ function workspaceEndpoints(app) {
           return;
         }
 
-        const workspace = await OrganizationWorkspace.get({ slug: wsSlug });
+        const workspace = await OrganizationWorkspace.bySlugAndOrg(
+          wsSlug,
+          organization.id
+        );
         response.status(200).json({ workspace, error: null });
       } catch (e) {
         console.log(e.message, e);
@@ -177,19 +223,17 @@ function workspaceEndpoints(app) {
 
   app.delete(
     "/v1/org/:orgSlug/workspace/:wsSlug",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { orgSlug, wsSlug } = request.params;
-        const user = await userFromSession(request);
-        if (!user) {
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, { slug: orgSlug });
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const organization = await Organization.getWithOwner(user.id, {
-          slug: orgSlug,
-        });
         if (!organization) {
           response
             .status(200)
@@ -197,7 +241,10 @@ function workspaceEndpoints(app) {
           return;
         }
 
-        const workspace = await OrganizationWorkspace.get({ slug: wsSlug });
+        const workspace = await OrganizationWorkspace.bySlugAndOrg(
+          wsSlug,
+          organization.id
+        );
         if (!workspace) {
           response
             .status(200)
@@ -205,6 +252,10 @@ function workspaceEndpoints(app) {
           return;
         }
 
+        if (denyUnlessRole(response, role, "editor")) return;
+
+        auditDetails(response, { targetId: workspace.id, before: workspace });
+
         const documents = await WorkspaceDocument.where({
           workspace_id: Number(workspace.id),
         });
@@ -230,25 +281,25 @@ function workspaceEndpoints(app) {
 
   app.get(
     "/v1/org/:orgSlug/workspace/:wsSlug/documents",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { orgSlug, wsSlug } = request.params;
         const page = parseInt(request.query.page) || 1;
         const pageSize = parseInt(request.query.pageSize) || 10;
-        const user = await userFromSession(request);
-        if (!user) {
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { slug: orgSlug }
+        );
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const organization = await Organization.getWithOwner(user.id, {
-          slug: orgSlug,
-        });
-        const workspace = await OrganizationWorkspace.bySlugAndOrg(
-          wsSlug,
-          organization.id
-        );
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(wsSlug, organization.id)
+          : null;
         if (!organization || !workspace) {
           response
             .status(200)
@@ -279,21 +330,26 @@ function workspaceEndpoints(app) {
 
   app.get(
     "/v1/org/:slug/workspace/:workspaceSlug/statistics/:statistic",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { slug, workspaceSlug, statistic } = request.params;
-        const user = await userFromSession(request);
-        if (!user) {
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { slug }
+        );
+        if (!user && !apiKey) {
           response.status(200).json({ value: null });
           return;
         }
 
-        const organization = await Organization.getWithOwner(user.id, { slug });
-        const workspace = await OrganizationWorkspace.bySlugAndOrg(
-          workspaceSlug,
-          organization.id
-        );
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(
+              workspaceSlug,
+              organization.id
+            )
+          : null;
         if (!organization || !workspace) {
           response
             .status(200)
@@ -329,71 +385,381 @@ function workspaceEndpoints(app) {
 
   app.post(
     "/v1/org/:slug/workspace/:workspaceSlug/upload",
-    handleUploads.single("file"),
+    [validSessionOrApiKey, stageUpload("file")],
     async function (request, response) {
-      const { slug, workspaceSlug } = request.params;
-      const { originalname } = request.file;
-      const processingOnline = await DocumentProcessor.status();
-
-      if (!processingOnline) {
-        response.status(500).json({
-          success: false,
-          error: `Python processing API is not online. Document ${originalname} will not be processed automatically.`,
+      try {
+        const { slug, workspaceSlug } = request.params;
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, { slug });
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(
+              workspaceSlug,
+              organization.id
+            )
+          : null;
+
+        if (!user && !apiKey) {
+          removeStagedUpload(request.uploadId);
+          response.sendStatus(403).end();
+          return;
+        }
+
+        if (!organization || !workspace || !request.file) {
+          removeStagedUpload(request.uploadId);
+          response.status(200).json({
+            success: false,
+            error:
+              request.uploadRejection ||
+              "No file, org or workspace found for upload.",
+          });
+          return;
+        }
+
+        if (denyUnlessRole(response, role, "editor")) {
+          removeStagedUpload(request.uploadId);
+          return;
+        }
+
+        const { originalname, size } = request.file;
+        const processingOnline = await DocumentProcessor.status();
+
+        if (!processingOnline) {
+          removeStagedUpload(request.uploadId);
+          response.status(500).json({
+            success: false,
+            error: `Document processor is not online. Document ${originalname} will not be processed automatically.`,
+          });
+          return;
+        }
+
+        const { upload, error } = await DocumentUpload.create({
+          uuid: request.uploadId,
+          filename: originalname,
+          size,
+          workspace,
+          user,
         });
-        return;
+        if (!upload) {
+          removeStagedUpload(request.uploadId);
+          response.status(500).json({ success: false, error });
+          return;
+        }
+
+        // Processing can take a while for large files, so the client polls the upload instead.
+        response.status(200).json({
+          success: true,
+          error: null,
+          upload: DocumentUpload.toJSON(upload),
+        });
+        processUpload(upload, organization, workspace, user);
+      } catch (e) {
+        removeStagedUpload(request.uploadId);
+        console.log(e.message, e);
+        response.sendStatus(500).end();
       }
+    }
+  );
 
-      const {
-        success,
-        reason,
-        metadata = [],
-      } = await DocumentProcessor.prepareForEmbed(originalname);
-      if (!success) {
-        response.status(500).json({ success: false, error: reason });
-        return false;
+  app.get(
+    "/v1/org/:slug/workspace/:workspaceSlug/upload/:uploadId",
+    [validSessionOrApiKey],
+    async function (request, response) {
+      try {
+        const { slug, workspaceSlug, uploadId } = request.params;
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { slug }
+        );
+        if (!user && !apiKey) {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(
+              workspaceSlug,
+              organization.id
+            )
+          : null;
+        const upload = !!workspace
+          ? await DocumentUpload.get({
+              uuid: String(uploadId),
+              workspace_id: Number(workspace.id),
+            })
+          : null;
+        if (!upload) {
+          response
+            .status(200)
+            .json({ upload: null, error: "No upload found." });
+          return;
+        }
+
+        const current = (await DocumentUpload.refresh(upload)) || upload;
+        response
+          .status(200)
+          .json({ upload: DocumentUpload.toJSON(current), error: null });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
       }
+    }
+  );
 
+  app.post(
+    "/v1/org/:slug/workspace/:workspaceSlug/import-url",
+    [validSessionOrApiKey],
+    async function (request, response) {
       try {
-        const user = await userFromSession(request);
-        const organization = await Organization.get({ slug });
-        const workspace = await OrganizationWorkspace.bySlugAndOrg(
-          workspaceSlug,
-          organization.id
+        const { slug, workspaceSlug } = request.params;
+        const { url, mode, maxDepth, maxPages } = reqBody(request);
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, { slug });
+        if (!user && !apiKey) {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(
+              workspaceSlug,
+              organization.id
+            )
+          : null;
+        if (!workspace) {
+          response
+            .status(200)
+            .json({ job: null, error: "No org or workspace found." });
+          return;
+        }
+        if (denyUnlessRole(response, role, "editor")) return;
+
+        const target = normalizeUrl(url);
+        if (!target) {
+          response
+            .status(200)
+            .json({ job: null, error: "A valid http(s) url is required." });
+          return;
+        }
+        const rejection = await urlRejection(target);
+        if (rejection) {
+          response.status(200).json({ job: null, error: rejection });
+          return;
+        }
+        if (!!mode && !CRAWL_MODES.includes(mode)) {
+          response.status(200).json({
+            job: null,
+            error: `mode must be one of ${CRAWL_MODES.join(", ")}.`,
+          });
+          return;
+        }
+
+        const options = crawlOptions(target, { mode, maxDepth, maxPages });
+        const connector = await OrganizationConnection.get({
+          organization_id: Number(organization.id),
+        });
+        const { job, error } = await urlImportJob(
+          organization,
+          workspace,
+          connector,
+          user,
+          target,
+          options
         );
+        auditDetails(response, {
+          targetId: workspace.id,
+          after: { url: target, ...options, jobId: job?.id ?? null },
+        });
+        response.status(200).json({ job, error });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  // Imports vectors that were embedded elsewhere from a .jsonl or .parquet file. The
+  // file is staged and read by the import worker, no embedder is used.
+  app.post(
+    "/v1/org/:slug/workspace/:workspaceSlug/import-embeddings",
+    [validSessionOrApiKey, stageEmbeddingsUpload("file")],
+    async function (request, response) {
+      try {
+        const { slug, workspaceSlug } = request.params;
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, { slug });
+        if (!user && !apiKey) {
+          removeStagedUpload(request.uploadId);
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(
+              workspaceSlug,
+              organization.id
+            )
+          : null;
+        if (!workspace || !request.file) {
+          removeStagedUpload(request.uploadId);
+          response.status(200).json({
+            job: null,
+            error:
+              request.uploadRejection ||
+              "No file, org or workspace found for import.",
+          });
+          return;
+        }
+        if (denyUnlessRole(response, role, "editor")) {
+          removeStagedUpload(request.uploadId);
+          return;
+        }
+
         const connector = await OrganizationConnection.get({
           organization_id: Number(organization.id),
         });
-        await addDocumentJob(
-          metadata,
+        const { job, error } = await embeddingsImportJob(
           organization,
           workspace,
           connector,
-          user
+          user,
+          request.uploadId,
+          request.file.originalname
         );
+        if (!job) removeStagedUpload(request.uploadId);
+
+        auditDetails(response, {
+          targetId: workspace.id,
+          after: {
+            file: request.file.originalname,
+            jobId: job?.id ?? null,
+          },
+        });
+        response.status(200).json({ job, error });
       } catch (e) {
-        console.error(e.message);
-        response.status(500).json({ success: false, error: e.message });
-        return;
+        removeStagedUpload(request.uploadId);
+        console.log(e.message, e);
+        response.sendStatus(500).end();
       }
+    }
+  );
 
-      response.status(200).json({ success: true, error: null });
+  app.post(
+    "/v1/org/:slug/workspace/:workspaceSlug/bulk-upload",
+    [validSessionOrApiKey, stageUploads("files")],
+    async function (request, response) {
+      try {
+        const { slug, workspaceSlug } = request.params;
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, { slug });
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(
+              workspaceSlug,
+              organization.id
+            )
+          : null;
+        const rejected = request.uploadRejections || [];
+
+        if (!user && !apiKey) {
+          removeStagedUpload(request.uploadId);
+          response.sendStatus(403).end();
+          return;
+        }
+
+        if (!organization || !workspace || !request.files?.length) {
+          removeStagedUpload(request.uploadId);
+          response.status(200).json({
+            success: false,
+            job: null,
+            rejected,
+            error:
+              rejected.length > 0
+                ? "None of the files can be uploaded."
+                : "No files, org or workspace found for upload.",
+          });
+          return;
+        }
+
+        if (denyUnlessRole(response, role, "editor")) {
+          removeStagedUpload(request.uploadId);
+          return;
+        }
+
+        if (!(await DocumentProcessor.status())) {
+          removeStagedUpload(request.uploadId);
+          response.status(500).json({
+            success: false,
+            job: null,
+            rejected,
+            error: `Document processor is not online. The upload will not be processed.`,
+          });
+          return;
+        }
+
+        const connector = await OrganizationConnection.get({
+          organization_id: Number(organization.id),
+        });
+        const { job, error } = await bulkUploadJob(
+          organization,
+          workspace,
+          connector,
+          user,
+          request.uploadId,
+          rejected
+        );
+        if (!job) {
+          removeStagedUpload(request.uploadId);
+          response.status(200).json({ success: false, job, rejected, error });
+          return;
+        }
+
+        auditDetails(response, {
+          targetId: workspace.id,
+          after: { jobId: job.id, files: request.files.length },
+        });
+        response
+          .status(200)
+          .json({ success: true, job, rejected, error: null });
+      } catch (e) {
+        removeStagedUpload(request.uploadId);
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
     }
   );
 
   app.post(
     "/v1/org/:slug/workspace/:workspaceSlug/clone",
-    handleUploads.single("file"),
+    [validSessionOrApiKey, handleUploads.single("file")],
     async function (request, response) {
       try {
         const { slug, workspaceSlug } = request.params;
         const { newWorkspaceName } = reqBody(request);
 
-        const user = await userFromSession(request);
-        const organization = await Organization.get({ slug });
-        const workspace = await OrganizationWorkspace.bySlugAndOrg(
-          workspaceSlug,
-          organization.id
-        );
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, { slug });
+        if (!user && !apiKey) {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(
+              workspaceSlug,
+              organization.id
+            )
+          : null;
+        if (!organization || !workspace) {
+          response
+            .status(200)
+            .json({ success: false, error: "No org or workspace found." });
+          return;
+        }
+
+        if (denyUnlessRole(response, role, "editor")) return;
+
+        auditDetails(response, { targetId: workspace.id });
+
         const connector = await OrganizationConnection.get({
           organization_id: Number(organization.id),
         });
@@ -430,24 +796,29 @@ function workspaceEndpoints(app) {
 
   app.get(
     "/v1/org/:slug/connector/:connectorId/sync/:workspaceSlug",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { slug, workspaceSlug, connectorId } = request.params;
-        const user = await userFromSession(request);
-        if (!user) {
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, { slug });
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const connector = await OrganizationConnection.get({
-          id: Number(connectorId),
-        });
-        const organization = await Organization.getWithOwner(user.id, { slug });
-        const workspace = await OrganizationWorkspace.bySlugAndOrg(
-          workspaceSlug,
-          organization.id
-        );
+        const connector = !!organization
+          ? await OrganizationConnection.get({
+              id: Number(connectorId),
+              organization_id: Number(organization.id),
+            })
+          : null;
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(
+              workspaceSlug,
+              organization.id
+            )
+          : null;
         if (!organization || !connector || !workspace) {
           response.status(200).json({
             organization: null,
@@ -456,11 +827,17 @@ function workspaceEndpoints(app) {
           return;
         }
 
+        if (denyUnlessRole(response, role, "editor")) return;
+
+        const dryRun = request.query.dryRun === "true";
+        auditDetails(response, { targetId: workspace.id, after: { dryRun } });
+
         const { job, error } = await createWorkspaceSyncJob(
           organization,
           workspace,
           connector,
-          user
+          user,
+          dryRun
         );
         response.status(200).json({ job, error });
       } catch (e) {
@@ -472,21 +849,25 @@ function workspaceEndpoints(app) {
 
   app.get(
     "/v1/workspace/:workspaceId/search-documents",
-    [validSessionForUser],
+    [validSessionOrApiKey],
     async function (request, response) {
       try {
         const { workspaceId } = request.params;
         const { method, q: query } = request.query;
-        const user = await userFromSession(request);
-        if (!user) {
+        const workspace = await OrganizationWorkspace.get({
+          id: Number(workspaceId),
+        });
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { id: Number(workspace?.organization_id ?? 0) }
+        );
+        if (!user && !apiKey) {
           response.sendStatus(403).end();
           return;
         }
 
-        const workspace = await OrganizationWorkspace.get({
-          id: Number(workspaceId),
-        });
-        if (!workspace) {
+        if (!workspace || !organization) {
           response.status(200).json({
             documents: [],
             error: "No workspace found.",
@@ -506,6 +887,500 @@ function workspaceEndpoints(app) {
       }
     }
   );
+
+  app.post(
+    "/v1/org/:orgSlug/workspace/:wsSlug/settings",
+    [validSessionOrApiKey],
+    async function (request, response) {
+      try {
+        const { orgSlug, wsSlug } = request.params;
+        const { updates = {} } = reqBody(request);
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, { slug: orgSlug });
+        if (!user && !apiKey) {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(wsSlug, organization.id)
+          : null;
+        if (!workspace) {
+          response
+            .status(200)
+            .json({ workspace: null, error: "No workspace found." });
+          return;
+        }
+
+        if (denyUnlessRole(response, role, "editor")) return;
+
+        auditDetails(response, {
+          targetId: workspace.id,
+          before: {
+            chunkingStrategy: workspace.chunkingStrategy,
+            chunkSize: workspace.chunkSize,
+            chunkOverlap: workspace.chunkOverlap,
+          },
+        });
+
+        const { workspace: updatedWorkspace, message } =
+          await OrganizationWorkspace.update(workspace.id, updates);
+        response
+          .status(200)
+          .json({ workspace: updatedWorkspace, error: message });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/v1/org/:orgSlug/workspace/:wsSlug/embedder",
+    [validSessionOrApiKey],
+    async function (request, response) {
+      try {
+        const { orgSlug, wsSlug } = request.params;
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { slug: orgSlug }
+        );
+        if (!user && !apiKey) {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(wsSlug, organization.id)
+          : null;
+        if (!workspace) {
+          response
+            .status(200)
+            .json({ embedder: null, error: "No workspace found." });
+          return;
+        }
+
+        // The effective embedder is the workspace override or the organization default.
+        const embedder = await OrganizationEmbedder.get({
+          workspace_id: Number(workspace.id),
+        });
+        const effective = await embedderConfigForWorkspace(workspace);
+        response.status(200).json({
+          embedder: OrganizationEmbedder.safeFields(embedder),
+          effective: OrganizationEmbedder.safeFields(effective),
+          providers: OrganizationEmbedder.supportedProviders,
+          error: null,
+        });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/org/:orgSlug/workspace/:wsSlug/embedder",
+    [validSessionOrApiKey],
+    async function (request, response) {
+      try {
+        const { orgSlug, wsSlug } = request.params;
+        const { embedder: config = {} } = reqBody(request);
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, { slug: orgSlug });
+        if (!user && !apiKey) {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(wsSlug, organization.id)
+          : null;
+        if (!workspace) {
+          response
+            .status(200)
+            .json({ embedder: null, error: "No workspace found." });
+          return;
+        }
+
+        if (denyUnlessRole(response, role, "editor")) return;
+
+        auditDetails(response, {
+          targetId: workspace.id,
+          before: OrganizationEmbedder.safeFields(
+            await OrganizationEmbedder.get({
+              workspace_id: Number(workspace.id),
+            })
+          ),
+        });
+
+        const { embedder, message } = await OrganizationEmbedder.upsert(
+          organization.id,
+          workspace.id,
+          config
+        );
+        response.status(200).json({
+          embedder: OrganizationEmbedder.safeFields(embedder),
+          error: message,
+        });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.delete(
+    "/v1/org/:orgSlug/workspace/:wsSlug/embedder",
+    [validSessionOrApiKey],
+    async function (request, response) {
+      try {
+        const { orgSlug, wsSlug } = request.params;
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, { slug: orgSlug });
+        if (!user && !apiKey) {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(wsSlug, organization.id)
+          : null;
+        if (!workspace) {
+          response
+            .status(200)
+            .json({ success: false, error: "No workspace found." });
+          return;
+        }
+
+        if (denyUnlessRole(response, role, "editor")) return;
+
+        auditDetails(response, {
+          targetId: workspace.id,
+          before: OrganizationEmbedder.safeFields(
+            await OrganizationEmbedder.get({
+              workspace_id: Number(workspace.id),
+            })
+          ),
+        });
+
+        const success = await OrganizationEmbedder.delete({
+          workspace_id: Number(workspace.id),
+        });
+        response.status(200).json({ success, error: null });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/v1/org/:orgSlug/workspace/:wsSlug/metadata-profile",
+    [validSessionOrApiKey],
+    async function (request, response) {
+      try {
+        const { orgSlug, wsSlug } = request.params;
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { slug: orgSlug }
+        );
+        if (!user && !apiKey) {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(wsSlug, organization.id)
+          : null;
+        if (!workspace) {
+          response
+            .status(200)
+            .json({ profile: null, error: "No workspace found." });
+          return;
+        }
+
+        const connector = await OrganizationConnection.get({
+          organization_id: Number(organization.id),
+        });
+        const profile = await metadataProfile(workspace, connector);
+        response.status(200).json({ profile, error: null });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/v1/org/:orgSlug/workspace/:wsSlug/metadata-schema",
+    [validSessionOrApiKey],
+    async function (request, response) {
+      try {
+        const { orgSlug, wsSlug } = request.params;
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { slug: orgSlug }
+        );
+        if (!user && !apiKey) {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(wsSlug, organization.id)
+          : null;
+        if (!workspace) {
+          response
+            .status(200)
+            .json({ schema: null, error: "No workspace found." });
+          return;
+        }
+
+        response
+          .status(200)
+          .json({ schema: workspaceSchema(workspace), error: null });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/org/:orgSlug/workspace/:wsSlug/metadata-schema",
+    [validSessionOrApiKey],
+    async function (request, response) {
+      try {
+        const { orgSlug, wsSlug } = request.params;
+        const { schema = null } = reqBody(request);
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, { slug: orgSlug });
+        if (!user && !apiKey) {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(wsSlug, organization.id)
+          : null;
+        if (!workspace) {
+          response
+            .status(200)
+            .json({ schema: null, error: "No workspace found." });
+          return;
+        }
+
+        if (denyUnlessRole(response, role, "editor")) return;
+
+        const invalid = validateSchemaDefinition(schema);
+        if (invalid) {
+          response.status(200).json({ schema: null, error: invalid });
+          return;
+        }
+
+        auditDetails(response, {
+          targetId: workspace.id,
+          before: workspaceSchema(workspace),
+        });
+
+        const { workspace: updatedWorkspace, message } =
+          await OrganizationWorkspace.updateMetadataSchema(
+            workspace.id,
+            schema
+          );
+        response.status(200).json({
+          schema: workspaceSchema(updatedWorkspace),
+          error: message,
+        });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/org/:orgSlug/workspace/:wsSlug/bulk-metadata/preview",
+    [validSessionOrApiKey],
+    async function (request, response) {
+      try {
+        const { orgSlug, wsSlug } = request.params;
+        const { selection = {}, operations = [] } = reqBody(request);
+        const { user, apiKey, organization } = await organizationFromRequest(
+          request,
+          response,
+          { slug: orgSlug }
+        );
+        if (!user && !apiKey) {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(wsSlug, organization.id)
+          : null;
+        if (!workspace) {
+          response
+            .status(200)
+            .json({ preview: null, error: "No workspace found." });
+          return;
+        }
+
+        const connector = await OrganizationConnection.get({
+          organization_id: Number(organization.id),
+        });
+        const invalid =
+          validateSelection(selection) ||
+          validateOperations(operations, connector);
+        if (invalid) {
+          response.status(200).json({ preview: null, error: invalid });
+          return;
+        }
+
+        const { preview, error } = await previewBulkMetadata(
+          workspace,
+          selection,
+          operations
+        );
+        response.status(200).json({ preview, error });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/org/:orgSlug/workspace/:wsSlug/bulk-metadata",
+    [validSessionOrApiKey],
+    async function (request, response) {
+      try {
+        const { orgSlug, wsSlug } = request.params;
+        const { selection = {}, operations = [] } = reqBody(request);
+        const { user, apiKey, organization, role } =
+          await organizationFromRequest(request, response, { slug: orgSlug });
+        if (!user && !apiKey) {
+          response.sendStatus(403).end();
+          return;
+        }
+
+        const workspace = !!organization
+          ? await OrganizationWorkspace.bySlugAndOrg(wsSlug, organization.id)
+          : null;
+        if (!workspace) {
+          response
+            .status(200)
+            .json({ job: null, error: "No workspace found." });
+          return;
+        }
+
+        if (denyUnlessRole(response, role, "editor")) return;
+
+        const connector = await OrganizationConnection.get({
+          organization_id: Number(organization.id),
+        });
+        if (!connector) {
+          response.status(200).json({
+            job: null,
+            error: "No vector database connected to this organization.",
+          });
+          return;
+        }
+
+        const invalid =
+          validateSelection(selection) ||
+          validateOperations(operations, connector);
+        if (invalid) {
+          response.status(200).json({ job: null, error: invalid });
+          return;
+        }
+
+        const { selection: pinned, error: selectionError } = await pinSelection(
+          workspace,
+          selection
+        );
+        if (selectionError) {
+          response.status(200).json({ job: null, error: selectionError });
+          return;
+        }
+
+        auditDetails(response, {
+          targetId: workspace.id,
+          after: { selection: pinned, operations },
+        });
+
+        const { job, error } = await bulkUpdateMetadataJob(
+          organization,
+          workspace,
+          connector,
+          user,
+          pinned,
+          operations
+        );
+        response.status(200).json({ job, error });
+      } catch (e) {
+        console.log(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+}
+
+// Converts a staged upload into documents and queues them for embedding, recording each
+// step on the upload. The staged file is removed once it has been processed.
+async function processUpload(upload, organization, workspace, user) {
+  try {
+    const {
+      success,
+      reason,
+      metadata = [],
+    } = await DocumentProcessor.prepareForEmbed(
+      `${upload.uuid}/${upload.filename}`
+    );
+    if (!success) {
+      await DocumentUpload.fail(upload.id, reason || "Processing failed.");
+      return;
+    }
+
+    const violations = documentViolations(workspace, metadata);
+    if (rejectsViolations(workspaceSchema(workspace), violations)) {
+      await DocumentUpload.fail(
+        upload.id,
+        `${upload.filename} does not match the workspace metadata schema.`,
+        violations
+      );
+      return;
+    }
+
+    const connector = await OrganizationConnection.get({
+      organization_id: Number(organization.id),
+    });
+    const { job, error } = await addDocumentJob(
+      metadata,
+      organization,
+      workspace,
+      connector,
+      user
+    );
+    if (!job) {
+      await DocumentUpload.fail(upload.id, error, violations);
+      return;
+    }
+
+    await DocumentUpload.update(upload.id, {
+      status: DocumentUpload.status.embedding,
+      job_id: Number(job.id),
+      violations: violations.length > 0 ? JSON.stringify(violations) : null,
+    });
+  } catch (e) {
+    console.error(`processUpload`, e.message);
+    await DocumentUpload.fail(upload.id, e.message);
+  } finally {
+    removeStagedUpload(upload.uuid);
+  }
 }
 
 module.exports = { workspaceEndpoints };
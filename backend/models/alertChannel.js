@@ -0,0 +1,156 @@
+const prisma = require("../utils/prisma");
+
+// Where an organization's alerts are delivered besides the in-app notification bell.
+// The shape of `config` depends on the channel type:
+//   webhook - { url, secret }   secret is optional and used to sign each payload
+//   email   - { recipients }    an array of addresses, sent through the SMTP_* env settings
+//   nats    - { subject }       published on the connection from utils/logger/nats.js
+const AlertChannel = {
+  types: {
+    webhook: "webhook",
+    email: "email",
+    nats: "nats",
+  },
+
+  // Never send a webhook signing secret back to the client.
+  safeFields: function (channel = null) {
+    if (!channel) return null;
+    const { secret, ...config } = channel.config || {};
+    return { ...channel, config: { ...config, hasSecret: !!secret } };
+  },
+
+  validate: function (type = null, config = {}) {
+    switch (type) {
+      case this.types.webhook:
+        try {
+          const url = new URL(config.url);
+          if (!["http:", "https:"].includes(url.protocol))
+            return { config: null, error: "Webhook URL must be http(s)." };
+        } catch {
+          return { config: null, error: "A valid webhook URL is required." };
+        }
+        return {
+          config: { url: config.url, secret: config.secret || null },
+          error: null,
+        };
+      case this.types.email: {
+        const recipients = (
+          Array.isArray(config.recipients)
+            ? config.recipients
+            : String(config.recipients || "").split(/[,;\s]+/)
+        )
+          .map((address) => address.trim())
+          .filter((address) => address.length > 0);
+        if (recipients.length === 0)
+          return { config: null, error: "At least one recipient is required." };
+        const invalid = recipients.find(
+          (address) => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(address)
+        );
+        if (invalid)
+          return { config: null, error: `${invalid} is not a valid email.` };
+        return { config: { recipients }, error: null };
+      }
+      case this.types.nats:
+        if (!/^[\w-]+(\.[\w-]+)*$/.test(config.subject || ""))
+          return {
+            config: null,
+            error:
+              "NATS subject must be dot-separated tokens without wildcards.",
+          };
+        return { config: { subject: config.subject }, error: null };
+      default:
+        return { config: null, error: `Unsupported alert channel ${type}.` };
+    }
+  },
+
+  create: async function (organizationId = 0, data = {}) {
+    try {
+      if (!data.name) return { channel: null, error: "A name is required." };
+      const { config, error } = this.validate(data.type, data.config);
+      if (error) return { channel: null, error };
+
+      const channel = await prisma.organization_alert_channels.create({
+        data: {
+          name: String(data.name),
+          type: data.type,
+          config,
+          organization_id: Number(organizationId),
+        },
+      });
+      return { channel, error: null };
+    } catch (e) {
+      console.error(e.message);
+      return { channel: null, error: e.message };
+    }
+  },
+
+  update: async function (channelId = 0, updates = {}) {
+    try {
+      if (!channelId)
+        throw new Error("No alert channel id provided for update");
+      const channel = await prisma.organization_alert_channels.update({
+        where: { id: Number(channelId) },
+        data: { ...updates, lastUpdatedAt: new Date() },
+      });
+      return { channel, error: null };
+    } catch (e) {
+      console.error(e.message);
+      return { channel: null, error: e.message };
+    }
+  },
+
+  get: async function (clause = {}) {
+    try {
+      const channel = await prisma.organization_alert_channels.findFirst({
+        where: clause,
+      });
+      return channel ? { ...channel } : null;
+    } catch (e) {
+      console.error(e.message);
+      return null;
+    }
+  },
+
+  where: async function (clause = {}, limit = null, orderBy = null) {
+    try {
+      const channels = await prisma.organization_alert_channels.findMany({
+        where: clause,
+        ...(limit !== null ? { take: limit } : {}),
+        ...(orderBy !== null ? { orderBy } : {}),
+      });
+      return channels;
+    } catch (e) {
+      console.error(e.message);
+      return [];
+    }
+  },
+
+  // Drops ids that are not channels of this organization so a test can never
+  // deliver to another organization's channel.
+  validIds: async function (organizationId = 0, channelIds = []) {
+    const ids = (Array.isArray(channelIds) ? channelIds : [channelIds])
+      .map(Number)
+      .filter((id) => Number.isInteger(id) && id > 0);
+    if (ids.length === 0) return [];
+
+    const channels = await this.where({
+      id: { in: ids },
+      organization_id: Number(organizationId),
+    });
+    return channels.map((channel) => channel.id);
+  },
+
+  delete: async function (clause = {}) {
+    try {
+      await prisma.organization_alert_channels.deleteMany({
+        where: clause,
+      });
+      return true;
+    } catch (e) {
+      console.error(e.message);
+      return false;
+    }
+  },
+};
+
+module.exports.AlertChannel = AlertChannel;
@@ -0,0 +1,165 @@
+const prisma = require("../utils/prisma");
+
+// Values for keys that look like credentials are never written to the audit log.
+const REDACTED_KEYS = /(password|secret|token|apikey|api_key)/i;
+
+const AuditEvent = {
+  csvColumns: [
+    "id",
+    "createdAt",
+    "actor",
+    "action",
+    "target",
+    "targetId",
+    "method",
+    "path",
+    "statusCode",
+    "before",
+    "after",
+  ],
+
+  redact: function (payload = null) {
+    if (Array.isArray(payload)) return payload.map((item) => this.redact(item));
+    if (!payload || typeof payload !== "object" || payload instanceof Date)
+      return payload;
+
+    const redacted = {};
+    for (const [key, value] of Object.entries(payload)) {
+      redacted[key] =
+        REDACTED_KEYS.test(key) && !!value ? "[redacted]" : this.redact(value);
+    }
+    return redacted;
+  },
+
+  serialize: function (payload) {
+    if (payload === undefined || payload === null) return null;
+    return JSON.stringify(this.redact(payload));
+  },
+
+  create: async function (eventData = {}) {
+    try {
+      const {
+        action,
+        method,
+        path,
+        statusCode,
+        actor = null,
+        target = null,
+        targetId = null,
+        before = null,
+        after = null,
+        userId = null,
+        organizationId = null,
+      } = eventData;
+      const event = await prisma.audit_events.create({
+        data: {
+          action,
+          method,
+          path,
+          statusCode: Number(statusCode),
+          actor,
+          target,
+          targetId: targetId !== null ? String(targetId) : null,
+          before: this.serialize(before),
+          after: this.serialize(after),
+          user_id: userId ? Number(userId) : null,
+          organization_id: organizationId ? Number(organizationId) : null,
+        },
+      });
+      return { event, message: null };
+    } catch (e) {
+      console.error(e.message);
+      return { event: null, message: e.message };
+    }
+  },
+
+  // Builds a where clause for an organization's audit log from viewer filters.
+  // Instance-wide events (no organization) are only included when requested.
+  filterClause: function (
+    organizationId = null,
+    filters = {},
+    includeInstanceEvents = false
+  ) {
+    const { action, actor, target, from, to } = filters;
+    const clause = includeInstanceEvents
+      ? {
+          OR: [
+            { organization_id: Number(organizationId) },
+            { organization_id: null },
+          ],
+        }
+      : { organization_id: Number(organizationId) };
+
+    if (!!action) clause.action = { contains: action };
+    if (!!actor) clause.actor = { contains: actor, mode: "insensitive" };
+    if (!!target) clause.target = target;
+    if (!!from || !!to) {
+      clause.createdAt = {
+        ...(!!from ? { gte: new Date(from) } : {}),
+        ...(!!to ? { lte: new Date(to) } : {}),
+      };
+    }
+    return clause;
+  },
+
+  where: async function (
+    clause = {},
+    limit = null,
+    orderBy = null,
+    offset = null
+  ) {
+    try {
+      const events = await prisma.audit_events.findMany({
+        where: clause,
+        ...(limit !== null ? { take: limit } : {}),
+        ...(offset !== null ? { skip: offset } : {}),
+        ...(orderBy !== null ? { orderBy } : {}),
+      });
+      return events;
+    } catch (e) {
+      console.error(e.message);
+      return [];
+    }
+  },
+
+  count: async function (clause = {}) {
+    try {
+      const count = await prisma.audit_events.count({ where: clause });
+      return count;
+    } catch (e) {
+      console.error(e.message);
+      return 0;
+    }
+  },
+
+  // Distinct values to populate the viewer filter dropdowns.
+  distinct: async function (clause = {}, field = "action") {
+    try {
+      const rows = await prisma.audit_events.findMany({
+        where: clause,
+        distinct: [field],
+        select: { [field]: true },
+        orderBy: { [field]: "asc" },
+      });
+      return rows.map((row) => row[field]).filter((value) => value !== null);
+    } catch (e) {
+      console.error(e.message);
+      return [];
+    }
+  },
+
+  toCsv: function (events = []) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return "";
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = events.map((event) =>
+      this.csvColumns.map((column) => escape(event[column])).join(",")
+    );
+    return [this.csvColumns.join(","), ...rows].join("\n");
+  },
+};
+
+module.exports.AuditEvent = AuditEvent;
@@ -1,9 +1,22 @@
+const path = require("path");
+const {
+  nativeFileTypes,
+  processDocument,
+} = require("../utils/documentProcessor");
+
 // When running locally will occupy the 0.0.0.0 hostname space but when deployed inside
 // of docker this endpoint is not exposed so it is only on the Docker instances internal network
 // so no additional security is needed on the endpoint directly. Auth is done however by the express
 // middleware prior to leaving the node-side of the application so that is good enough >:)
 const PYTHON_API = "http://0.0.0.0:8888";
-const DocumentProcessor = {
+
+// DOCUMENT_PROCESSOR picks who converts uploads into documents:
+//   auto   - the Python API for the files it accepts, the built-in Node parsers otherwise (default)
+//   python - only the Python API
+//   native - only the built-in Node parsers, the Python API is never called
+const MODES = ["auto", "python", "native"];
+
+const PythonProcessor = {
   status: async function () {
     return await fetch(`${PYTHON_API}`)
       .then((res) => res.ok)
@@ -18,6 +31,13 @@ const DocumentProcessor = {
       .then((res) => res)
       .catch(() => null);
   },
+  accepts: async function (filename = "") {
+    const types = await this.acceptedFileTypes();
+    if (!types) return false;
+    return Object.values(types)
+      .flat()
+      .includes(path.extname(filename).toLowerCase());
+  },
   prepareForEmbed: async function (filename = null) {
     if (!filename) return false;
     return await fetch(`${PYTHON_API}/process`, {
@@ -39,4 +59,39 @@ const DocumentProcessor = {
   },
 };
 
+const DocumentProcessor = {
+  mode: function () {
+    const mode = process.env.DOCUMENT_PROCESSOR?.toLowerCase();
+    return MODES.includes(mode) ? mode : "auto";
+  },
+  status: async function () {
+    if (this.mode() !== "python") return true;
+    return await PythonProcessor.status();
+  },
+  acceptedFileTypes: async function () {
+    const mode = this.mode();
+    if (mode === "native") return nativeFileTypes();
+
+    const pythonTypes = await PythonProcessor.acceptedFileTypes();
+    if (mode === "python") return pythonTypes;
+
+    const types = { ...nativeFileTypes() };
+    Object.entries(pythonTypes || {}).forEach(([mime, extensions]) => {
+      types[mime] = [...new Set([...(types[mime] || []), ...extensions])];
+    });
+    return types;
+  },
+  prepareForEmbed: async function (filename = null) {
+    if (!filename) return false;
+    const mode = this.mode();
+    if (mode === "native") return await processDocument(filename);
+    if (mode === "python")
+      return await PythonProcessor.prepareForEmbed(filename);
+
+    if (await PythonProcessor.accepts(filename))
+      return await PythonProcessor.prepareForEmbed(filename);
+    return await processDocument(filename);
+  },
+};
+
 module.exports.DocumentProcessor = DocumentProcessor;
@@ -0,0 +1,109 @@
+const prisma = require("../utils/prisma");
+const { Queue } = require("./queue");
+
+const DocumentUpload = {
+  status: {
+    processing: "processing",
+    embedding: "embedding",
+    complete: "complete",
+    failed: "failed",
+  },
+
+  create: async function ({
+    uuid,
+    filename,
+    size = 0,
+    workspace,
+    user = null,
+  }) {
+    try {
+      const upload = await prisma.document_uploads.create({
+        data: {
+          uuid,
+          filename,
+          size: Number(size),
+          status: this.status.processing,
+          user_id: user?.id ? Number(user.id) : null,
+          workspace_id: Number(workspace.id),
+          organization_id: Number(workspace.organization_id),
+        },
+      });
+      return { upload, error: null };
+    } catch (e) {
+      console.error(e.message);
+      return { upload: null, error: e.message };
+    }
+  },
+
+  update: async function (uploadId = 0, updates = {}) {
+    try {
+      if (!uploadId) throw new Error("No upload id provided for update");
+      const upload = await prisma.document_uploads.update({
+        where: { id: Number(uploadId) },
+        data: { ...updates, lastUpdatedAt: new Date() },
+      });
+      return upload;
+    } catch (e) {
+      console.error(e.message);
+      return null;
+    }
+  },
+
+  fail: async function (uploadId, error, violations = []) {
+    return await this.update(uploadId, {
+      status: this.status.failed,
+      error,
+      violations: violations.length > 0 ? JSON.stringify(violations) : null,
+    });
+  },
+
+  get: async function (clause = {}) {
+    try {
+      const upload = await prisma.document_uploads.findFirst({
+        where: clause,
+      });
+      return upload ? { ...upload } : null;
+    } catch (e) {
+      console.error(e.message);
+      return null;
+    }
+  },
+
+  // Embedding runs in the addDocument job, so an embedding upload takes its status from
+  // that job once it has finished.
+  refresh: async function (upload) {
+    if (upload.status !== this.status.embedding || !upload.job_id)
+      return upload;
+    const job = await Queue.get({ id: Number(upload.job_id) });
+    if (!job || job.status === Queue.status.pending) return upload;
+
+    const result = JSON.parse(job.result || "{}");
+    if (job.status === Queue.status.failed)
+      return await this.update(upload.id, {
+        status: this.status.failed,
+        error: result.error || result.message || "Embedding failed.",
+      });
+
+    const file = Object.values(result.files || {})[0];
+    if (file?.skipped)
+      return await this.update(upload.id, {
+        status: this.status.failed,
+        error: "A document with this name already exists in the workspace.",
+      });
+    if (file && !file.createStatus)
+      return await this.update(upload.id, {
+        status: this.status.failed,
+        error: file.message || "The document could not be embedded.",
+      });
+    return await this.update(upload.id, { status: this.status.complete });
+  },
+
+  // Violations are stored as a JSON string, the API returns them as a list.
+  toJSON: function (upload) {
+    if (!upload) return null;
+    const { violations, ...rest } = upload;
+    return { ...rest, violations: violations ? JSON.parse(violations) : [] };
+  },
+};
+
+module.exports.DocumentUpload = DocumentUpload;
@@ -0,0 +1,145 @@
+const prisma = require("../utils/prisma");
+
+// Checkpoints are kept once a migration completes so running it again only copies
+// what is new. `migration` is always { organizationId, destinationOrganizationId }.
+const MigrationCheckpoint = {
+  status: {
+    pending: "pending",
+    copied: "copied",
+    skipped: "skipped",
+  },
+
+  scope: function ({ organizationId, destinationOrganizationId }) {
+    return {
+      organization_id: Number(organizationId),
+      destination_organization_id: Number(destinationOrganizationId),
+    };
+  },
+
+  get: async function (clause = {}) {
+    try {
+      const checkpoint =
+        await prisma.organization_migration_checkpoints.findFirst({
+          where: clause,
+        });
+      return checkpoint ? { ...checkpoint } : null;
+    } catch (e) {
+      console.error(e.message);
+      return null;
+    }
+  },
+
+  where: async function (clause = {}, limit = null) {
+    try {
+      const checkpoints =
+        await prisma.organization_migration_checkpoints.findMany({
+          where: clause,
+          ...(limit !== null ? { take: limit } : {}),
+        });
+      return checkpoints;
+    } catch (e) {
+      console.error(e.message);
+      return [];
+    }
+  },
+
+  forWorkspace: async function (migration, sourceWorkspaceId) {
+    return await this.get({
+      ...this.scope(migration),
+      sourceWorkspaceId: Number(sourceWorkspaceId),
+      sourceDocumentId: null,
+    });
+  },
+
+  forDocument: async function (migration, sourceDocumentId) {
+    return await this.get({
+      ...this.scope(migration),
+      sourceDocumentId: Number(sourceDocumentId),
+    });
+  },
+
+  // Creates or updates the checkpoint for a workspace, or a document when sourceDocumentId is set.
+  mark: async function (migration, data = {}) {
+    try {
+      const {
+        sourceWorkspaceId,
+        destinationWorkspaceId = null,
+        sourceDocumentId = null,
+        destinationDocumentId = null,
+        status = this.status.pending,
+        reason = null,
+      } = data;
+      const existing = !!sourceDocumentId
+        ? await this.forDocument(migration, sourceDocumentId)
+        : await this.forWorkspace(migration, sourceWorkspaceId);
+      const values = {
+        destinationWorkspaceId: destinationWorkspaceId
+          ? Number(destinationWorkspaceId)
+          : null,
+        destinationDocumentId: destinationDocumentId
+          ? Number(destinationDocumentId)
+          : null,
+        status,
+        reason,
+      };
+
+      const checkpoint = !!existing
+        ? await prisma.organization_migration_checkpoints.update({
+            where: { id: Number(existing.id) },
+            data: { ...values, lastUpdatedAt: new Date() },
+          })
+        : await prisma.organization_migration_checkpoints.create({
+            data: {
+              ...this.scope(migration),
+              ...values,
+              sourceWorkspaceId: Number(sourceWorkspaceId),
+              sourceDocumentId: sourceDocumentId
+                ? Number(sourceDocumentId)
+                : null,
+            },
+          });
+      return checkpoint;
+    } catch (e) {
+      console.error(e.message);
+      return null;
+    }
+  },
+
+  // Forgets a workspace and its documents, used when the destination workspace was removed.
+  reset: async function (migration, sourceWorkspaceId) {
+    try {
+      await prisma.organization_migration_checkpoints.deleteMany({
+        where: {
+          ...this.scope(migration),
+          sourceWorkspaceId: Number(sourceWorkspaceId),
+        },
+      });
+      return true;
+    } catch (e) {
+      console.error(e.message);
+      return false;
+    }
+  },
+
+  summary: async function (migration) {
+    const checkpoints = await this.where(this.scope(migration));
+    const count = (documents, status) =>
+      checkpoints.filter(
+        (checkpoint) =>
+          !!checkpoint.sourceDocumentId === documents &&
+          checkpoint.status === status
+      ).length;
+
+    return {
+      workspacesCopied: count(false, this.status.copied),
+      documentsCopied: count(true, this.status.copied),
+      skipped: checkpoints
+        .filter((checkpoint) => checkpoint.status === this.status.skipped)
+        .map(({ sourceWorkspaceId, sourceDocumentId, reason }) => {
+          return { sourceWorkspaceId, sourceDocumentId, reason };
+        }),
+    };
+  },
+};
+
+module.exports.MigrationCheckpoint = MigrationCheckpoint;
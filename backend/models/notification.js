@@ -9,6 +9,8 @@ const Notification = {
     pinecone: "pinecone",
     qdrant: "qdrant",
     weaviate: "weaviate",
+    milvus: "milvus",
+    clickhouse: "clickhouse",
   },
   create: async function (organizationId = 0, notificationData = {}) {
     try {
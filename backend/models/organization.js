@@ -42,7 +42,7 @@ const Organization = {
         return { organization: null, message };
       }
 
-      await OrganizationUser.create(adminId, organization.id);
+      await OrganizationUser.create(adminId, organization.id, "owner");
       await OrganizationApiKey.create(organization.id);
       return { organization, message: null };
     } catch (e) {
@@ -89,16 +89,15 @@ const Organization = {
     }
   },
 
+  // The clause is matched only within the organizations the user is a member of, so
+  // asking for another organization by id finds nothing instead of one of theirs.
   getWithOwner: async function (userId, clause = {}) {
     try {
       const orgIds = (
         await OrganizationUser.where({ user_id: Number(userId) })
       ).map((record) => record.organization_id);
       const result = await prisma.organizations.findFirst({
-        where: {
-          ...clause,
-          id: { in: orgIds },
-        },
+        where: { AND: [clause, { id: { in: orgIds } }] },
       });
       return result;
     } catch (e) {
@@ -142,10 +141,7 @@ const Organization = {
         await OrganizationUser.where({ user_id: Number(userId) })
       ).map((record) => record.organization_id);
       const results = await prisma.organizations.findMany({
-        where: {
-          id: { in: orgIds },
-          ...clause,
-        },
+        where: { AND: [clause, { id: { in: orgIds } }] },
         ...(limit ? { take: limit } : {}),
         ...(orderBy ? { orderBy } : {}),
       });
@@ -3,6 +3,12 @@ const prisma = require("../utils/prisma");
 const OrganizationConnection = {
   supportedConnectors: ["chroma", "pinecone", "qdrant", "weaviate", "milvus", "clickhouse"],
   writable: ["type", "settings"],
+  syncSchedules: {
+    demand: "demand",
+    hourly: "hourly",
+    daily: "daily",
+    weekly: "weekly",
+  },
 
   create: async function (
     organizationId = 0,
@@ -102,6 +108,41 @@ const OrganizationConnection = {
       return null;
     }
   },
+
+  updateSyncSchedule: async function (id = null, schedule = null) {
+    try {
+      if (!id) throw new Error("No connector id provided for update");
+      if (!Object.values(this.syncSchedules).includes(schedule))
+        return {
+          connector: null,
+          error: `Invalid sync schedule ${schedule}.`,
+        };
+
+      const connector = await prisma.organization_connections.update({
+        where: { id: Number(id) },
+        data: { syncSchedule: schedule, lastUpdatedAt: new Date() },
+      });
+      return { connector, error: null };
+    } catch (e) {
+      console.error(e.message);
+      return { connector: null, error: e.message };
+    }
+  },
+
+  // Called by the sync jobs once a (non dry-run) sync has completed.
+  markSynced: async function (id = null) {
+    try {
+      if (!id) throw new Error("No connector id provided for update");
+      await prisma.organization_connections.update({
+        where: { id: Number(id) },
+        data: { lastSyncedAt: new Date() },
+      });
+      return true;
+    } catch (e) {
+      console.error(e.message);
+      return false;
+    }
+  },
 };
 
 module.exports.OrganizationConnection = OrganizationConnection;
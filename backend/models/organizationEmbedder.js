@@ -0,0 +1,157 @@
+const prisma = require("../utils/prisma");
+
+// Embedding model configuration for an organization. A record without a workspace_id
+// is the organization default - a record with a workspace_id overrides it for that workspace.
+const OrganizationEmbedder = {
+  supportedProviders: ["openai", "cohere", "openai-compatible"],
+  writable: ["provider", "model", "endpoint", "apiKey", "dimensions"],
+  defaults: {
+    provider: "openai",
+    model: "text-embedding-ada-002",
+    endpoint: null,
+    dimensions: 1536,
+  },
+
+  // Never send the embedder API key back to the client.
+  safeFields: function (embedder = null) {
+    if (!embedder) return null;
+    const { apiKey, ...rest } = embedder;
+    return { ...rest, hasApiKey: !!apiKey };
+  },
+
+  validate: function (data = {}) {
+    const provider = data.provider || this.defaults.provider;
+    if (!this.supportedProviders.includes(provider))
+      return `Unsupported embedding provider ${provider} provided.`;
+    if (!data.model) return "An embedding model name is required.";
+    if (provider === "openai-compatible" && !data.endpoint)
+      return "An endpoint is required for OpenAI-compatible embedders.";
+    if (
+      isNaN(Number(data.dimensions)) ||
+      !Number.isInteger(Number(data.dimensions)) ||
+      Number(data.dimensions) <= 0
+    )
+      return "Dimensions must be a positive whole number.";
+    return null;
+  },
+
+  upsert: async function (organizationId = 0, workspaceId = null, data = {}) {
+    try {
+      const error = this.validate(data);
+      if (error) return { embedder: null, message: error };
+
+      const validUpdates = {};
+      Object.keys(data)
+        .filter((key) => this.writable.includes(key))
+        .forEach((key) => {
+          validUpdates[key] = data[key];
+        });
+      validUpdates.dimensions = Number(validUpdates.dimensions);
+      if (!validUpdates.endpoint) validUpdates.endpoint = null;
+
+      // An empty key on update keeps the currently stored key.
+      if (!validUpdates.apiKey) delete validUpdates.apiKey;
+
+      const existing = await this.get({
+        organization_id: Number(organizationId),
+        workspace_id: workspaceId ? Number(workspaceId) : null,
+      });
+
+      const embedder = !!existing
+        ? await prisma.organization_embedders.update({
+            where: { id: Number(existing.id) },
+            data: { ...validUpdates, lastUpdatedAt: new Date() },
+          })
+        : await prisma.organization_embedders.create({
+            data: {
+              ...validUpdates,
+              organization_id: Number(organizationId),
+              workspace_id: workspaceId ? Number(workspaceId) : null,
+            },
+          });
+
+      return { embedder, message: null };
+    } catch (e) {
+      console.error(e.message);
+      return { embedder: null, message: e.message };
+    }
+  },
+
+  get: async function (clause = {}) {
+    try {
+      const embedder = await prisma.organization_embedders.findFirst({
+        where: clause,
+      });
+      return embedder ? { ...embedder } : null;
+    } catch (e) {
+      console.error(e.message);
+      return null;
+    }
+  },
+
+  where: async function (clause = {}, limit = null) {
+    try {
+      const embedders = await prisma.organization_embedders.findMany({
+        where: clause,
+        ...(limit !== null ? { take: limit } : {}),
+      });
+      return embedders;
+    } catch (e) {
+      console.error(e.message);
+      return [];
+    }
+  },
+
+  // Resolves the embedder config that applies to a workspace - the workspace override first,
+  // then the organization default. Returns null if neither exist.
+  forWorkspace: async function (workspace = null) {
+    if (!workspace) return null;
+    const override = await this.get({ workspace_id: Number(workspace.id) });
+    if (override) return override;
+    return await this.get({
+      organization_id: Number(workspace.organization_id),
+      workspace_id: null,
+    });
+  },
+
+  // Carries a workspace embedder override over to a clone so the cloned vectors stay searchable.
+  cloneForWorkspace: async function (
+    fromWorkspaceId = null,
+    toWorkspace = null
+  ) {
+    try {
+      const override = await this.get({
+        workspace_id: Number(fromWorkspaceId),
+      });
+      if (!override || !toWorkspace) return null;
+
+      const { provider, model, endpoint, apiKey, dimensions } = override;
+      return await prisma.organization_embedders.create({
+        data: {
+          provider,
+          model,
+          endpoint,
+          apiKey,
+          dimensions,
+          organization_id: Number(toWorkspace.organization_id),
+          workspace_id: Number(toWorkspace.id),
+        },
+      });
+    } catch (e) {
+      console.error(e.message);
+      return null;
+    }
+  },
+
+  delete: async function (clause = {}) {
+    try {
+      await prisma.organization_embedders.deleteMany({ where: clause });
+      return true;
+    } catch (e) {
+      console.error(e.message);
+      return false;
+    }
+  },
+};
+
+module.exports.OrganizationEmbedder = OrganizationEmbedder;
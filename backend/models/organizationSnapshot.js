@@ -0,0 +1,108 @@
+const prisma = require("../utils/prisma");
+const { v4 } = require("uuid");
+
+const OrganizationSnapshot = {
+  // Bump when the on-disk layout of a snapshot archive changes so restores
+  // can refuse archives they do not know how to read.
+  version: 1,
+  status: {
+    pending: "pending",
+    complete: "complete",
+    failed: "failed",
+  },
+
+  create: async function (name = "", organization, connectorType) {
+    try {
+      const snapshotName =
+        !!name && name.trim().length > 0
+          ? name.trim()
+          : `${organization.name} snapshot ${new Date().toISOString()}`;
+      const snapshot = await prisma.organization_snapshots.create({
+        data: {
+          uuid: v4(),
+          name: snapshotName,
+          status: this.status.pending,
+          version: this.version,
+          connectorType,
+          organization_id: Number(organization.id),
+        },
+      });
+
+      if (!snapshot) {
+        console.error("FAILED TO CREATE SNAPSHOT.");
+        return { snapshot: null, error: "Could not create snapshot" };
+      }
+
+      return { snapshot, error: null };
+    } catch (e) {
+      console.error(e.message);
+      return { snapshot: null, error: e.message };
+    }
+  },
+
+  update: async function (snapshotId = 0, updates = {}) {
+    try {
+      if (!snapshotId) throw new Error("No snapshot id provided for update");
+      const snapshot = await prisma.organization_snapshots.update({
+        where: { id: Number(snapshotId) },
+        data: { ...updates, lastUpdatedAt: new Date() },
+      });
+      return { success: !!snapshot, error: null };
+    } catch (e) {
+      console.error(e.message);
+      return { success: false, error: e.message };
+    }
+  },
+
+  get: async function (clause = {}) {
+    try {
+      const snapshot = await prisma.organization_snapshots.findFirst({
+        where: clause,
+      });
+      return snapshot ? { ...snapshot } : null;
+    } catch (e) {
+      console.error(e.message);
+      return null;
+    }
+  },
+
+  where: async function (clause = {}, limit = null, orderBy = null) {
+    try {
+      const snapshots = await prisma.organization_snapshots.findMany({
+        where: clause,
+        ...(limit !== null ? { take: limit } : {}),
+        ...(orderBy !== null ? { orderBy } : {}),
+      });
+      return snapshots;
+    } catch (e) {
+      console.error(e.message);
+      return [];
+    }
+  },
+
+  count: async function (clause = {}) {
+    try {
+      const count = await prisma.organization_snapshots.count({
+        where: clause,
+      });
+      return count;
+    } catch (e) {
+      console.error(e.message);
+      return 0;
+    }
+  },
+
+  delete: async function (clause = {}) {
+    try {
+      await prisma.organization_snapshots.deleteMany({
+        where: clause,
+      });
+      return true;
+    } catch (e) {
+      console.error(e.message);
+      return false;
+    }
+  },
+};
+
+module.exports.OrganizationSnapshot = OrganizationSnapshot;
@@ -1,13 +1,39 @@
 const prisma = require("../utils/prisma");
 
 const OrganizationUser = {
-  createMany: async function (userId, organizationIds = []) {
+  // Ordered from most to least privileged.
+  roles: ["owner", "editor", "viewer"],
+  defaultRole: "editor",
+
+  // Check if a role is at least as privileged as the minimum role.
+  hasRole: function (role = null, minimum = "viewer") {
+    if (!this.roles.includes(role)) return false;
+    return this.roles.indexOf(role) <= this.roles.indexOf(minimum);
+  },
+
+  // Instance admins can manage every organization they belong to.
+  roleFor: async function (user = null, organizationId = null) {
+    if (!user || !organizationId) return null;
+    const membership = await this.get({
+      user_id: Number(user.id),
+      organization_id: Number(organizationId),
+    });
+    if (!membership) return null;
+    return user.role === "admin" ? "owner" : membership.role;
+  },
+
+  createMany: async function (
+    userId,
+    organizationIds = [],
+    role = this.defaultRole
+  ) {
     try {
       if (organizationIds.length === 0) return;
       const inserts = organizationIds.map((orgId) => {
         return {
           user_id: Number(userId),
           organization_id: Number(orgId),
+          role,
         };
       });
 
@@ -20,12 +46,19 @@ const OrganizationUser = {
       return false;
     }
   },
-  create: async function (userId = 0, organizationId = 0) {
+  create: async function (
+    userId = 0,
+    organizationId = 0,
+    role = this.defaultRole
+  ) {
     try {
+      if (!this.roles.includes(role))
+        throw new Error(`Invalid organization role ${role} provided.`);
       const relationship = await prisma.organization_users.create({
         data: {
           organization_id: Number(organizationId),
           user_id: Number(userId),
+          role,
         },
       });
 
@@ -85,11 +118,98 @@ const OrganizationUser = {
     }
   },
 
+  // Memberships that are kept retain their role, new memberships get the default role.
   updateOrgPermissions: async function (userId, _orgIds = []) {
     const orgIds = _orgIds.filter((id) => id !== null).map((id) => Number(id));
     if (orgIds.length === 0) return; // Must belong to at least one org.
-    await this.delete({ user_id: Number(userId) });
-    await this.createMany(userId, orgIds);
+    const existingIds = (await this.where({ user_id: Number(userId) })).map(
+      (membership) => membership.organization_id
+    );
+    await this.delete({
+      user_id: Number(userId),
+      organization_id: { notIn: orgIds },
+    });
+    await this.createMany(
+      userId,
+      orgIds.filter((id) => !existingIds.includes(id))
+    );
+  },
+
+  // Members of an organization with their role - never includes passwords.
+  members: async function (organizationId = null) {
+    try {
+      const memberships = await prisma.organization_users.findMany({
+        where: { organization_id: Number(organizationId) },
+        include: { user: { select: { id: true, email: true, role: true } } },
+        orderBy: { createdAt: "asc" },
+      });
+      return memberships.map(({ user, ...membership }) => {
+        return { ...membership, email: user.email, userRole: user.role };
+      });
+    } catch (e) {
+      console.error(e.message);
+      return [];
+    }
+  },
+
+  isLastOwner: async function (membership = null) {
+    if (membership?.role !== "owner") return false;
+    const owners = await this.count({
+      organization_id: Number(membership.organization_id),
+      role: "owner",
+    });
+    return owners <= 1;
+  },
+
+  updateRole: async function (userId = null, organizationId = null, role) {
+    try {
+      if (!this.roles.includes(role))
+        return { membership: null, error: `Invalid role ${role} provided.` };
+
+      const membership = await this.get({
+        user_id: Number(userId),
+        organization_id: Number(organizationId),
+      });
+      if (!membership)
+        return { membership: null, error: "User is not a member." };
+
+      if (role !== "owner" && (await this.isLastOwner(membership)))
+        return {
+          membership: null,
+          error: "An organization must have at least one owner.",
+        };
+
+      const updated = await prisma.organization_users.update({
+        where: { id: Number(membership.id) },
+        data: { role, lastUpdatedAt: new Date() },
+      });
+      return { membership: updated, error: null };
+    } catch (e) {
+      console.error(e.message);
+      return { membership: null, error: e.message };
+    }
+  },
+
+  removeMember: async function (userId = null, organizationId = null) {
+    try {
+      const membership = await this.get({
+        user_id: Number(userId),
+        organization_id: Number(organizationId),
+      });
+      if (!membership)
+        return { success: false, error: "User is not a member." };
+      if (await this.isLastOwner(membership))
+        return {
+          success: false,
+          error: "An organization must have at least one owner.",
+        };
+
+      await this.delete({ id: Number(membership.id) });
+      return { success: true, error: null };
+    } catch (e) {
+      console.error(e.message);
+      return { success: false, error: e.message };
+    }
   },
 };
 
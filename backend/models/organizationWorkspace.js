@@ -3,8 +3,13 @@ const uuidAPIKey = require("uuid-apikey");
 const slugify = require("slugify");
 const { WorkspaceDocument } = require("./workspaceDocument");
 const { selectConnector } = require("../utils/vectordatabases/providers");
+const {
+  chunkingSettings,
+  validateChunkingSettings,
+} = require("../utils/chunking");
 
 const OrganizationWorkspace = {
+  writable: ["chunkingStrategy", "chunkSize", "chunkOverlap"],
   makeKey: () => {
     return `ws-${uuidAPIKey.create().apiKey}`;
   },
@@ -12,11 +17,14 @@ const OrganizationWorkspace = {
   safeCreate: async function (
     workspaceName = "",
     organizationId = 0,
-    dbConnectorRecord
+    dbConnectorRecord,
+    chunking = {}
   ) {
     try {
       if (!workspaceName)
         return { workspace: null, message: "No Workspace name provided." };
+      const chunkingError = validateChunkingSettings(chunking);
+      if (chunkingError) return { workspace: null, message: chunkingError };
       const connector = selectConnector(dbConnectorRecord);
 
       var slug = slugify(workspaceName, { lower: true });
@@ -37,6 +45,7 @@ const OrganizationWorkspace = {
           fname: slug,
           uuid: this.makeKey(),
           organization_id: Number(organizationId),
+          ...chunkingSettings(chunking),
         },
       });
 
@@ -145,6 +154,52 @@ const OrganizationWorkspace = {
     }
   },
 
+  update: async function (id = null, data = {}) {
+    try {
+      if (!id) throw new Error("No workspace id provided for update");
+      const validUpdates = {};
+      Object.keys(data)
+        .filter((key) => this.writable.includes(key))
+        .forEach((key) => {
+          validUpdates[key] = data[key];
+        });
+      if (Object.keys(validUpdates).length === 0)
+        return { workspace: { id }, message: "No valid fields to update!" };
+
+      const current = await this.get({ id: Number(id) });
+      const chunking = chunkingSettings({ ...current, ...validUpdates });
+      const chunkingError = validateChunkingSettings(chunking);
+      if (chunkingError) return { workspace: null, message: chunkingError };
+
+      const workspace = await prisma.organization_workspaces.update({
+        where: { id: Number(id) },
+        data: { ...validUpdates, ...chunking, lastUpdatedAt: new Date() },
+      });
+      return { workspace, message: null };
+    } catch (e) {
+      console.error(e.message);
+      return { workspace: null, message: e.message };
+    }
+  },
+
+  // schema is an already validated object, or null to remove the declared schema.
+  updateMetadataSchema: async function (id = null, schema = null) {
+    try {
+      if (!id) throw new Error("No workspace id provided for update");
+      const workspace = await prisma.organization_workspaces.update({
+        where: { id: Number(id) },
+        data: {
+          metadataSchema: schema ? JSON.stringify(schema) : null,
+          lastUpdatedAt: new Date(),
+        },
+      });
+      return { workspace, message: null };
+    } catch (e) {
+      console.error(e.message);
+      return { workspace: null, message: e.message };
+    }
+  },
+
   bySlugAndOrg: async function (wsSlug, organizationId = null) {
     return await this.get({
       slug: wsSlug,
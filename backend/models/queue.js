@@ -8,7 +8,13 @@ const Queue = {
     complete: "complete",
   },
 
-  create: async function (task, data = {}, userId = null, organizationId) {
+  create: async function (
+    task,
+    data = {},
+    userId = null,
+    organizationId,
+    parentJobId = null
+  ) {
     try {
       const { Telemetry } = require("./telemetry");
       const newJob = await prisma.jobs.create({
@@ -16,7 +22,8 @@ const Queue = {
           taskName: task,
           data: JSON.stringify(data),
           result: JSON.stringify({ status: "Job queued" }),
-          run_by_user_id: Number(userId),
+          run_by_user_id: !!userId ? Number(userId) : null,
+          parent_job_id: !!parentJobId ? Number(parentJobId) : null,
           organization_id: Number(organizationId),
         },
       });
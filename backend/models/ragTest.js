@@ -13,6 +13,55 @@ const RagTest = {
     complete: "complete",
     alert: "deviation_alert",
   },
+  severity: {
+    alert: "alert",
+    warning: "warning",
+  },
+  // Every entry in a run's errorLog records which of these produced it.
+  rules: {
+    newVector: "new_vector",
+    missingVector: "missing_vector",
+    rankChange: "rank_change",
+    scoreDelta: "score_delta",
+    minOverlap: "min_overlap",
+  },
+  defaultDriftSettings: {
+    scoreDeltaThreshold: 0.25,
+    rankTolerance: 0,
+    newVectorSeverity: "alert",
+    minOverlapRatio: 1,
+  },
+
+  // Thresholds and ratios arrive as percentages from the test form.
+  driftSettings: function (settings = {}) {
+    const defaults = this.defaultDriftSettings;
+    const percent = (value, fallback) => {
+      const number = Number(value);
+      if (value === undefined || value === "" || isNaN(number)) return fallback;
+      return Math.min(Math.max(number, 0), 100) / 100;
+    };
+    const rankTolerance = Number(settings.rankTolerance);
+
+    return {
+      scoreDeltaThreshold: percent(
+        settings.scoreDeltaThreshold,
+        defaults.scoreDeltaThreshold
+      ),
+      rankTolerance:
+        isNaN(rankTolerance) || rankTolerance < 0
+          ? defaults.rankTolerance
+          : Math.min(Math.floor(rankTolerance), 10),
+      newVectorSeverity: Object.values(this.severity).includes(
+        settings.newVectorSeverity
+      )
+        ? settings.newVectorSeverity
+        : defaults.newVectorSeverity,
+      minOverlapRatio: percent(
+        settings.minOverlapRatio,
+        defaults.minOverlapRatio
+      ),
+    };
+  },
 
   create: async function (data = {}, organizationId, workspaceId) {
     try {
@@ -0,0 +1,217 @@
+const prisma = require("../utils/prisma");
+
+// A suite groups many golden prompts, each with the vector ids it is expected to retrieve,
+// and is scored as a whole with recall@k, MRR and nDCG on every run.
+const RagTestSuite = {
+  status: {
+    running: "running",
+    failed: "failed",
+    complete: "complete",
+  },
+  maxPrompts: 1_000,
+
+  create: async function (data = {}, organizationId, workspaceId) {
+    try {
+      const suite = await prisma.organization_rag_test_suites.create({
+        data: {
+          name: String(data.name),
+          topK: Number(data.topK),
+          organization_id: Number(organizationId),
+          workspace_id: Number(workspaceId),
+        },
+      });
+
+      if (!suite) {
+        console.error("FAILED TO CREATE RAG TEST SUITE.");
+        return { suite: null, error: "Could not create RAG Test suite" };
+      }
+      return { suite, error: null };
+    } catch (e) {
+      console.error(e.message);
+      return { suite: null, error: e.message };
+    }
+  },
+
+  update: async function (suiteId = 0, updates = {}) {
+    try {
+      if (!suiteId) throw new Error("No RAG test suite id provided for update");
+      const suite = await prisma.organization_rag_test_suites.update({
+        where: { id: Number(suiteId) },
+        data: { ...updates, lastUpdatedAt: new Date() },
+      });
+      return { success: !!suite, error: null };
+    } catch (e) {
+      console.error(e.message);
+      return { success: false, error: e.message };
+    }
+  },
+
+  get: async function (clause = {}, select = null) {
+    try {
+      const suite = await prisma.organization_rag_test_suites.findFirst({
+        where: clause,
+        ...(select !== null ? { select } : {}),
+      });
+      return suite ? { ...suite } : null;
+    } catch (e) {
+      console.error(e.message);
+      return null;
+    }
+  },
+
+  where: async function (
+    clause = {},
+    limit = null,
+    orderBy = null,
+    select = null
+  ) {
+    try {
+      const suites = await prisma.organization_rag_test_suites.findMany({
+        where: clause,
+        ...(select !== null ? { select } : {}),
+        ...(limit !== null ? { take: limit } : {}),
+        ...(orderBy !== null ? { orderBy } : {}),
+      });
+      return suites;
+    } catch (e) {
+      console.error(e.message);
+      return [];
+    }
+  },
+
+  delete: async function (clause = {}) {
+    try {
+      await prisma.organization_rag_test_suites.deleteMany({
+        where: clause,
+      });
+      return true;
+    } catch (e) {
+      console.error(e.message);
+      return false;
+    }
+  },
+
+  // prompts are { promptText, expectedVectorIds } parsed from an imported file.
+  addPrompts: async function (suiteId = 0, prompts = []) {
+    try {
+      if (prompts.length === 0) return { count: 0, error: null };
+      const existing = await this.promptCount(suiteId);
+      if (existing + prompts.length > this.maxPrompts)
+        return {
+          count: 0,
+          error: `A suite can hold at most ${this.maxPrompts} prompts.`,
+        };
+
+      const { count } =
+        await prisma.organization_rag_test_suite_prompts.createMany({
+          data: prompts.map((prompt) => {
+            return {
+              promptText: prompt.promptText ?? null,
+              promptVector: prompt.promptVector ?? [],
+              expectedVectorIds: prompt.expectedVectorIds.map(String),
+              suite_id: Number(suiteId),
+            };
+          }),
+        });
+      return { count, error: null };
+    } catch (e) {
+      console.error(e.message);
+      return { count: 0, error: e.message };
+    }
+  },
+
+  prompts: async function (suiteId = 0) {
+    try {
+      return await prisma.organization_rag_test_suite_prompts.findMany({
+        where: { suite_id: Number(suiteId) },
+        orderBy: { id: "asc" },
+      });
+    } catch (e) {
+      console.error(e.message);
+      return [];
+    }
+  },
+
+  promptCount: async function (suiteId = 0) {
+    try {
+      return await prisma.organization_rag_test_suite_prompts.count({
+        where: { suite_id: Number(suiteId) },
+      });
+    } catch (e) {
+      console.error(e.message);
+      return 0;
+    }
+  },
+
+  // Prompts imported as text are embedded on their first run and the vector is kept.
+  updatePromptVector: async function (promptId = 0, promptVector = []) {
+    try {
+      await prisma.organization_rag_test_suite_prompts.update({
+        where: { id: Number(promptId) },
+        data: { promptVector },
+      });
+      return true;
+    } catch (e) {
+      console.error(e.message);
+      return false;
+    }
+  },
+
+  createRun: async function (suiteId = 0, status = null, resultJson = {}) {
+    try {
+      const suite = await this.get({ id: Number(suiteId) });
+      if (!suite) throw new Error("Not a valid RAG Test suite id.");
+      if (!status) throw new Error("Invalid status for RAG test suite run.");
+
+      const run = await prisma.organization_rag_test_suite_runs.create({
+        data: {
+          status,
+          results: resultJson,
+          suite_id: suite.id,
+          organization_id: suite.organization_id,
+          workspace_id: suite.workspace_id,
+        },
+      });
+      if (!run) throw new Error("Failed to create a valid RAG Test suite run.");
+
+      await prisma.organization_rag_test_suites.update({
+        where: { id: suite.id },
+        data: { lastRun: new Date() },
+      });
+      return { run, error: null };
+    } catch (e) {
+      console.error(e.message);
+      return { run: null, error: e.message };
+    }
+  },
+
+  updateRun: async function (runId = 0, updates = {}) {
+    try {
+      if (!runId)
+        throw new Error("No RAG test suite run id provided for update");
+      const run = await prisma.organization_rag_test_suite_runs.update({
+        where: { id: Number(runId) },
+        data: updates,
+      });
+      return { success: !!run, error: null };
+    } catch (e) {
+      console.error(e.message);
+      return { success: false, error: e.message };
+    }
+  },
+
+  getRuns: async function (suiteId, limit = null, orderBy = null) {
+    try {
+      return await prisma.organization_rag_test_suite_runs.findMany({
+        where: { suite_id: Number(suiteId) },
+        ...(limit !== null ? { take: limit } : {}),
+        ...(orderBy !== null ? { orderBy } : {}),
+      });
+    } catch (e) {
+      console.error(e.message);
+      return [];
+    }
+  },
+};
+
+module.exports.RagTestSuite = RagTestSuite;
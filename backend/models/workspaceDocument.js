@@ -107,6 +107,25 @@ const WorkspaceDocument = {
     }
   },
 
+  // Used by connector syncs when a document's title changed in the vector database.
+  update: async function (id = null, data = {}) {
+    try {
+      if (!id) throw new Error("No document id provided for update");
+      const { name } = data;
+      if (!name)
+        return { document: { id }, message: "No valid fields to update!" };
+
+      const document = await prisma.workspace_documents.update({
+        where: { id: Number(id) },
+        data: { name, lastUpdatedAt: new Date() },
+      });
+      return { document, message: null };
+    } catch (e) {
+      console.error(e.message);
+      return { document: null, message: e.message };
+    }
+  },
+
   count: async function (clause = {}) {
     try {
       const count = await prisma.workspace_documents.count({ where: clause });
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "organization_snapshots" (
+    "id" SERIAL NOT NULL,
+    "uuid" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "connectorType" TEXT NOT NULL,
+    "workspaceCount" INTEGER NOT NULL DEFAULT 0,
+    "documentCount" INTEGER NOT NULL DEFAULT 0,
+    "vectorCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "organization_id" INTEGER NOT NULL,
+
+    CONSTRAINT "organization_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "organization_snapshots_uuid_key" ON "organization_snapshots"("uuid");
+
+-- AddForeignKey
+ALTER TABLE "organization_snapshots" ADD CONSTRAINT "organization_snapshots_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "jobs" ALTER COLUMN "run_by_user_id" DROP NOT NULL;
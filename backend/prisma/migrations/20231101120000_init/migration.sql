@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "organization_embedders" (
+    "id" SERIAL NOT NULL,
+    "provider" TEXT NOT NULL DEFAULT 'openai',
+    "model" TEXT NOT NULL DEFAULT 'text-embedding-ada-002',
+    "endpoint" TEXT,
+    "apiKey" TEXT,
+    "dimensions" INTEGER NOT NULL DEFAULT 1536,
+    "organization_id" INTEGER NOT NULL,
+    "workspace_id" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "organization_embedders_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "organization_embedders_workspace_id_key" ON "organization_embedders"("workspace_id");
+
+-- AddForeignKey
+ALTER TABLE "organization_embedders" ADD CONSTRAINT "organization_embedders_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "organization_embedders" ADD CONSTRAINT "organization_embedders_workspace_id_fkey" FOREIGN KEY ("workspace_id") REFERENCES "organization_workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "organization_workspaces" ADD COLUMN     "chunkOverlap" INTEGER NOT NULL DEFAULT 20,
+ADD COLUMN     "chunkSize" INTEGER NOT NULL DEFAULT 1000,
+ADD COLUMN     "chunkingStrategy" TEXT NOT NULL DEFAULT 'character';
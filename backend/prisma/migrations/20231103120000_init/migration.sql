@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "organization_users" ADD COLUMN     "role" TEXT NOT NULL DEFAULT 'editor';
+
+-- Existing members had full access to their organizations so they keep it as owners.
+UPDATE "organization_users" SET "role" = 'owner';
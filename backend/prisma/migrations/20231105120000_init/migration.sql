@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "organization_migration_checkpoints" (
+    "id" SERIAL NOT NULL,
+    "organization_id" INTEGER NOT NULL,
+    "destination_organization_id" INTEGER NOT NULL,
+    "sourceWorkspaceId" INTEGER NOT NULL,
+    "destinationWorkspaceId" INTEGER,
+    "sourceDocumentId" INTEGER,
+    "destinationDocumentId" INTEGER,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "organization_migration_checkpoints_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "organization_migration_checkpoints_organization_id_destinat_idx" ON "organization_migration_checkpoints"("organization_id", "destination_organization_id");
+
+-- AddForeignKey
+ALTER TABLE "organization_migration_checkpoints" ADD CONSTRAINT "organization_migration_checkpoints_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
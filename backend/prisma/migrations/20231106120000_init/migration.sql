@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "organization_connections" ADD COLUMN     "lastSyncedAt" TIMESTAMP(3),
+ADD COLUMN     "syncSchedule" TEXT NOT NULL DEFAULT 'demand';
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "organization_rag_tests" ADD COLUMN     "minOverlapRatio" DOUBLE PRECISION NOT NULL DEFAULT 1,
+ADD COLUMN     "newVectorSeverity" TEXT NOT NULL DEFAULT 'alert',
+ADD COLUMN     "rankTolerance" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "scoreDeltaThreshold" DOUBLE PRECISION NOT NULL DEFAULT 0.25;
@@ -0,0 +1,62 @@
+-- CreateTable
+CREATE TABLE "organization_rag_test_suites" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "topK" INTEGER NOT NULL DEFAULT 5,
+    "lastRun" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "organization_id" INTEGER NOT NULL,
+    "workspace_id" INTEGER NOT NULL,
+
+    CONSTRAINT "organization_rag_test_suites_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "organization_rag_test_suite_prompts" (
+    "id" SERIAL NOT NULL,
+    "promptText" TEXT,
+    "promptVector" DOUBLE PRECISION[],
+    "expectedVectorIds" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "suite_id" INTEGER NOT NULL,
+
+    CONSTRAINT "organization_rag_test_suite_prompts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "organization_rag_test_suite_runs" (
+    "id" SERIAL NOT NULL,
+    "status" TEXT NOT NULL,
+    "results" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "suite_id" INTEGER NOT NULL,
+    "organization_id" INTEGER NOT NULL,
+    "workspace_id" INTEGER NOT NULL,
+
+    CONSTRAINT "organization_rag_test_suite_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "organization_rag_test_suite_prompts_suite_id_idx" ON "organization_rag_test_suite_prompts"("suite_id");
+
+-- CreateIndex
+CREATE INDEX "organization_rag_test_suite_runs_suite_id_idx" ON "organization_rag_test_suite_runs"("suite_id");
+
+-- AddForeignKey
+ALTER TABLE "organization_rag_test_suites" ADD CONSTRAINT "organization_rag_test_suites_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "organization_rag_test_suites" ADD CONSTRAINT "organization_rag_test_suites_workspace_id_fkey" FOREIGN KEY ("workspace_id") REFERENCES "organization_workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "organization_rag_test_suite_prompts" ADD CONSTRAINT "organization_rag_test_suite_prompts_suite_id_fkey" FOREIGN KEY ("suite_id") REFERENCES "organization_rag_test_suites"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "organization_rag_test_suite_runs" ADD CONSTRAINT "organization_rag_test_suite_runs_suite_id_fkey" FOREIGN KEY ("suite_id") REFERENCES "organization_rag_test_suites"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "organization_rag_test_suite_runs" ADD CONSTRAINT "organization_rag_test_suite_runs_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "organization_rag_test_suite_runs" ADD CONSTRAINT "organization_rag_test_suite_runs_workspace_id_fkey" FOREIGN KEY ("workspace_id") REFERENCES "organization_workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
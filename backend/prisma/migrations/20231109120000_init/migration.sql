@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "organization_rag_tests" ADD COLUMN     "alertChannelIds" INTEGER[] DEFAULT ARRAY[]::INTEGER[];
+
+-- CreateTable
+CREATE TABLE "organization_alert_channels" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "config" JSONB NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "organization_id" INTEGER NOT NULL,
+
+    CONSTRAINT "organization_alert_channels_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "organization_alert_channels" ADD CONSTRAINT "organization_alert_channels_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
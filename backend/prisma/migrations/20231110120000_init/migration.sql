@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "organization_rag_tests" ADD COLUMN     "metadataFilter" TEXT;
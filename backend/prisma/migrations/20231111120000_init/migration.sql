@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "organization_workspaces" ADD COLUMN     "metadataSchema" TEXT;
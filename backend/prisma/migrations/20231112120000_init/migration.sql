@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "document_uploads" (
+    "id" SERIAL NOT NULL,
+    "uuid" TEXT NOT NULL,
+    "filename" TEXT NOT NULL,
+    "size" INTEGER NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'processing',
+    "error" TEXT,
+    "violations" TEXT,
+    "job_id" INTEGER,
+    "user_id" INTEGER,
+    "workspace_id" INTEGER NOT NULL,
+    "organization_id" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "document_uploads_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "document_uploads_uuid_key" ON "document_uploads"("uuid");
+
+-- AddForeignKey
+ALTER TABLE "document_uploads" ADD CONSTRAINT "document_uploads_workspace_id_fkey" FOREIGN KEY ("workspace_id") REFERENCES "organization_workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "document_uploads" ADD CONSTRAINT "document_uploads_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "jobs" ADD COLUMN     "parent_job_id" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "jobs_parent_job_id_idx" ON "jobs"("parent_job_id");
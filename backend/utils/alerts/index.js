@@ -0,0 +1,135 @@
+const crypto = require("crypto");
+const { AlertChannel } = require("../../models/alertChannel");
+const logger = require("../logger");
+const { urlRejection } = require("../webCrawler");
+
+const WEBHOOK_TIMEOUT_MS = 10_000;
+
+// Links in alerts are relative to the UI unless APP_URL says where it is served from.
+function absoluteLink(path = "") {
+  if (!process.env.APP_URL) return path;
+  return new URL(path, process.env.APP_URL).toString();
+}
+
+// alert: { event, title, text, link, details } - details is any JSON the
+// receiver may want, like the run results of a RAG test.
+async function sendAlerts(channels = [], alert = {}) {
+  const payload = { ...alert, link: absoluteLink(alert.link) };
+  const deliveries = [];
+  for (const channel of channels) {
+    if (!channel.enabled) continue;
+    try {
+      switch (channel.type) {
+        case AlertChannel.types.webhook:
+          await sendWebhook(channel.config, payload);
+          break;
+        case AlertChannel.types.email:
+          await sendEmail(channel.config, payload);
+          break;
+        case AlertChannel.types.nats: {
+          const { error } = await logger.publish(
+            channel.config.subject,
+            payload
+          );
+          if (error) throw new Error(error);
+          break;
+        }
+        default:
+          throw new Error(`Unsupported alert channel ${channel.type}.`);
+      }
+      deliveries.push({ channelId: channel.id, success: true, error: null });
+    } catch (e) {
+      console.error(`Alert channel ${channel.id} failed: ${e.message}`);
+      deliveries.push({
+        channelId: channel.id,
+        success: false,
+        error: e.message,
+      });
+    }
+  }
+  return deliveries;
+}
+
+// Slack incoming webhooks only read `text`, so it holds the formatted alert. Other
+// receivers also get the rest of the alert fields.
+// With a secret, X-VectorAdmin-Signature is the hex HMAC-SHA256 of "<timestamp>.<body>".
+// The url is checked again on every send as its host may resolve elsewhere by now, and
+// redirects are not followed so they cannot lead to the server's private network.
+async function sendWebhook(config = {}, payload = {}) {
+  const rejection = await urlRejection(config.url);
+  if (rejection) throw new Error(rejection);
+
+  const body = JSON.stringify({
+    ...payload,
+    text: `*${payload.title}*\n${payload.text}${
+      payload.link ? `\n<${payload.link}|View test details>` : ""
+    }`,
+  });
+  const headers = { "Content-Type": "application/json" };
+  if (config.secret) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    headers["X-VectorAdmin-Timestamp"] = timestamp;
+    headers["X-VectorAdmin-Signature"] = `sha256=${crypto
+      .createHmac("sha256", config.secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex")}`;
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+  try {
+    const response = await fetch(config.url, {
+      method: "POST",
+      headers,
+      body,
+      redirect: "manual",
+      signal: controller.signal,
+    });
+    if (!response.ok)
+      throw new Error(`Webhook responded with status ${response.status}.`);
+  } catch (e) {
+    if (e.name === "AbortError")
+      throw new Error(
+        `Webhook did not respond within ${WEBHOOK_TIMEOUT_MS / 1000}s.`
+      );
+    throw e;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function sendEmail(config = {}, payload = {}) {
+  if (!process.env.SMTP_HOST)
+    throw new Error("SMTP_HOST is not set - email alerts are disabled.");
+
+  const nodemailer = require("nodemailer");
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === "true",
+    ...(process.env.SMTP_USER
+      ? {
+          auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+        }
+      : {}),
+  });
+
+  await transport.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: config.recipients.join(", "),
+    subject: `[Vector Admin] ${payload.title}`,
+    text: [
+      payload.text,
+      payload.link ? `View test details: ${payload.link}` : null,
+      payload.details
+        ? `\nRun results:\n${JSON.stringify(payload.details, null, 2)}`
+        : null,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+  });
+}
+
+module.exports = {
+  sendAlerts,
+};
@@ -5,6 +5,7 @@ process.env.NODE_ENV === "development"
 const { Telemetry } = require("../../models/telemetry");
 const { User } = require("../../models/user");
 const { getGitVersion } = require("../metrics");
+const { cleanupStagedUploads } = require("../files/uploads");
 
 function setupVectorCacheStorage() {
   const fs = require("fs");
@@ -44,6 +45,7 @@ async function setupTelemetry() {
 async function systemInit() {
   try {
     setupVectorCacheStorage();
+    cleanupStagedUploads();
     await setupTelemetry();
     const completeSetup = (await User.count({ role: "admin" })) > 0;
     if (completeSetup) return;
@@ -0,0 +1,213 @@
+const { WorkspaceDocument } = require("../../models/workspaceDocument");
+const { readJSON } = require("../storage");
+const { documentEmbeddingSearch } = require("../search/documentEmbeddings");
+const {
+  parseFilter,
+  evaluateFilter,
+} = require("../vectordatabases/metadataFilter");
+
+// Bulk metadata edits run a list of operations against every fragment in a selection.
+//   add    - key, value: set the key only where it is missing
+//   set    - key, value: set the key everywhere, overwriting existing values
+//   rename - key, newKey: move the value of key to newKey
+//   remove - key: drop the key
+// The chunk text is stored as the `text` key by most providers, so it can never be touched.
+const ACTIONS = ["add", "set", "rename", "remove"];
+const RESERVED_KEYS = ["text", "vectorId"];
+const MAX_OPERATIONS = 25;
+
+// Weaviate cannot drop properties from a class, the single fragment editor has the same limit.
+const APPEND_ONLY_PROVIDERS = ["weaviate"];
+
+function validKey(key) {
+  return typeof key === "string" && key.trim().length > 0;
+}
+
+function validateOperations(operations = [], connector = null) {
+  if (!Array.isArray(operations) || operations.length === 0)
+    return "At least one metadata operation is required.";
+  if (operations.length > MAX_OPERATIONS)
+    return `A bulk edit can run at most ${MAX_OPERATIONS} operations.`;
+
+  for (const [i, operation] of operations.entries()) {
+    const { action, key, newKey, value } = operation || {};
+    const label = `Operation ${i + 1}`;
+    if (!ACTIONS.includes(action))
+      return `${label}: action must be one of ${ACTIONS.join(", ")}.`;
+    if (!validKey(key)) return `${label}: a metadata key is required.`;
+    if (RESERVED_KEYS.includes(key) || RESERVED_KEYS.includes(newKey))
+      return `${label}: the ${RESERVED_KEYS.join(
+        " and "
+      )} keys cannot be edited.`;
+
+    if (["add", "set"].includes(action)) {
+      if (!["string", "number", "boolean"].includes(typeof value))
+        return `${label}: value must be a string, number or boolean.`;
+    }
+
+    if (action === "rename") {
+      if (!validKey(newKey)) return `${label}: a new key name is required.`;
+      if (newKey === key)
+        return `${label}: the new key name must differ from the old one.`;
+    }
+
+    if (
+      ["rename", "remove"].includes(action) &&
+      APPEND_ONLY_PROVIDERS.includes(connector?.type)
+    )
+      return `${label}: ${connector.type} does not support removing metadata keys, so keys cannot be renamed or removed.`;
+  }
+  return null;
+}
+
+// Returns the edited copy of the metadata and which operations changed anything.
+function applyOperations(metadata = {}, operations = []) {
+  const updated = { ...metadata };
+  const applied = operations.map((operation) => {
+    const { action, key, newKey, value } = operation;
+    const exists = Object.hasOwn(updated, key);
+    switch (action) {
+      case "add":
+        if (exists) return false;
+        updated[key] = value;
+        return true;
+      case "set":
+        if (exists && updated[key] === value) return false;
+        updated[key] = value;
+        return true;
+      case "rename":
+        if (!exists) return false;
+        updated[newKey] = updated[key];
+        delete updated[key];
+        return true;
+      case "remove":
+        if (!exists) return false;
+        delete updated[key];
+        return true;
+      default:
+        return false;
+    }
+  });
+  return { metadata: updated, changed: applied.some(Boolean), applied };
+}
+
+async function cachedChunks(document) {
+  try {
+    return await readJSON(WorkspaceDocument.vectorFilepath(document));
+  } catch (e) {
+    console.error(e.message);
+    return [];
+  }
+}
+
+// A selection is one of
+//   { type: "workspace", filter? }                 - every fragment in the workspace
+//   { type: "document", documentId, filter? }      - every fragment in one document
+//   { type: "search", documentId, method, query }  - the fragments a document search returned
+//   { type: "fragments", documentId, vectorIds }   - an explicit list of fragments
+// filter is an optional metadata filter expression that narrows the selection further.
+function validateSelection(selection = {}) {
+  const { type, documentId, method, query, vectorIds } = selection || {};
+  if (!["workspace", "document", "search", "fragments"].includes(type))
+    return "Selection type must be one of workspace, document, search or fragments.";
+  if (type !== "workspace" && !documentId)
+    return "A document is required for this selection.";
+  if (type === "search" && (!method || !query))
+    return "A search method and query are required to select search results.";
+  if (type === "fragments" && !Array.isArray(vectorIds))
+    return "A list of vector ids is required to select fragments.";
+  return parseFilter(selection.filter).error;
+}
+
+// Search results depend on when the search ran, so they are turned into a fixed list of
+// fragments before a job is queued.
+async function pinSelection(workspace, selection = {}) {
+  if (selection.type !== "search") return { selection, error: null };
+
+  const document = await WorkspaceDocument.get({
+    id: Number(selection.documentId),
+    workspace_id: Number(workspace.id),
+  });
+  if (!document) return { selection: null, error: "No document found." };
+
+  const { fragments = [], error } = await documentEmbeddingSearch(
+    document,
+    selection.method,
+    encodeURIComponent(selection.query)
+  );
+  if (error) return { selection: null, error };
+  return {
+    selection: {
+      type: "fragments",
+      documentId: document.id,
+      vectorIds: fragments.map((fragment) => fragment.vectorId),
+    },
+    error: null,
+  };
+}
+
+// Returns [{ document, chunks: [{ vectorId, metadata }] }] for every document with selected
+// fragments. Metadata comes from the vector cache, which mirrors the vector database.
+async function resolveSelection(workspace, selection = {}) {
+  const { selection: pinned, error } = await pinSelection(workspace, selection);
+  if (error) return { groups: [], error };
+
+  const { filter } = parseFilter(pinned.filter);
+  const documents =
+    pinned.type === "workspace"
+      ? await WorkspaceDocument.where({ workspace_id: Number(workspace.id) })
+      : await WorkspaceDocument.where({
+          id: Number(pinned.documentId),
+          workspace_id: Number(workspace.id),
+        });
+  if (pinned.type !== "workspace" && documents.length === 0)
+    return { groups: [], error: "No document found." };
+
+  const vectorIds =
+    pinned.type === "fragments" ? new Set(pinned.vectorIds.map(String)) : null;
+  const groups = [];
+  for (const document of documents) {
+    const chunks = [];
+    for (const chunk of await cachedChunks(document)) {
+      if (!chunk.vectorDbId) continue;
+      if (vectorIds && !vectorIds.has(String(chunk.vectorDbId))) continue;
+      const { text: _, ...metadata } = chunk.metadata || {};
+      if (!evaluateFilter(filter, metadata)) continue;
+      chunks.push({ vectorId: chunk.vectorDbId, metadata });
+    }
+    if (chunks.length > 0) groups.push({ document, chunks });
+  }
+  return { groups, error: null };
+}
+
+// Counts what a bulk edit would change without touching the vector database.
+async function previewBulkMetadata(workspace, selection, operations) {
+  const { groups, error } = await resolveSelection(workspace, selection);
+  if (error) return { preview: null, error };
+
+  const preview = {
+    documents: groups.length,
+    vectors: 0,
+    affected: 0,
+    operations: operations.map(() => 0),
+  };
+  groups.forEach(({ chunks }) => {
+    chunks.forEach(({ metadata }) => {
+      const { changed, applied } = applyOperations(metadata, operations);
+      preview.vectors++;
+      if (changed) preview.affected++;
+      applied.forEach((didApply, i) => didApply && preview.operations[i]++);
+    });
+  });
+  return { preview, error: null };
+}
+
+module.exports = {
+  ACTIONS,
+  validateOperations,
+  validateSelection,
+  applyOperations,
+  pinSelection,
+  resolveSelection,
+  previewBulkMetadata,
+};
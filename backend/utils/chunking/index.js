@@ -0,0 +1,152 @@
+const { RecursiveCharacterTextSplitter } = require("langchain/text_splitter");
+const { tokenizer } = require("../tokenizer");
+
+const CHUNKING_STRATEGIES = ["character", "token", "markdown"];
+const DEFAULT_CHUNKING = {
+  chunkingStrategy: "character",
+  chunkSize: 1000,
+  chunkOverlap: 20,
+};
+
+// Splits text into windows of chunkSize tokens using the same cl100k_base encoding
+// we use to validate embedding inputs.
+class TokenTextSplitter {
+  constructor({ chunkSize, chunkOverlap }) {
+    this.chunkSize = chunkSize;
+    this.chunkOverlap = chunkOverlap;
+  }
+
+  async splitText(text = "") {
+    const encoding = tokenizer();
+    const tokens = encoding.encode(text);
+    const step = this.chunkSize - this.chunkOverlap;
+    const chunks = [];
+
+    for (let start = 0; start < tokens.length; start += step) {
+      const chunk = encoding.decode(
+        tokens.slice(start, start + this.chunkSize)
+      );
+      if (chunk.trim().length > 0) chunks.push(chunk);
+      if (start + this.chunkSize >= tokens.length) break;
+    }
+    return chunks;
+  }
+}
+
+// Splits markdown on its headers so chunks never span two sections. Each chunk is prefixed
+// with the headers it sits under so the section context is embedded with it.
+// Sections that do not fit in chunkSize with their headers are split further by character.
+class MarkdownHeaderTextSplitter {
+  constructor({ chunkSize, chunkOverlap }) {
+    this.chunkSize = chunkSize;
+    this.chunkOverlap = chunkOverlap;
+    // The least room a chunk keeps for its text, outer headers are dropped to keep it.
+    this.minContentSize = Math.max(chunkOverlap + 1, Math.ceil(chunkSize / 2));
+  }
+
+  breadcrumb(headers = []) {
+    const kept = [...headers];
+    const prefix = () => (kept.length > 0 ? `${kept.join("\n")}\n\n` : "");
+    while (
+      kept.length > 0 &&
+      this.chunkSize - prefix().length < this.minContentSize
+    )
+      kept.shift();
+    return prefix();
+  }
+
+  sections(text = "") {
+    const sections = [];
+    const headers = [];
+    let lines = [];
+    let inCodeBlock = false;
+
+    const closeSection = () => {
+      const content = lines.join("\n").trim();
+      if (content.length > 0) sections.push({ headers: [...headers], content });
+      lines = [];
+    };
+
+    for (const line of text.split("\n")) {
+      if (line.trim().startsWith("```")) inCodeBlock = !inCodeBlock;
+      const header = !inCodeBlock ? line.match(/^(#{1,6})\s+(.*)$/) : null;
+      if (!header) {
+        lines.push(line);
+        continue;
+      }
+
+      closeSection();
+      const depth = header[1].length;
+      headers.splice(depth - 1, headers.length, line.trim());
+    }
+    closeSection();
+    return sections;
+  }
+
+  async splitText(text = "") {
+    const chunks = [];
+    for (const { headers, content } of this.sections(text)) {
+      const prefix = this.breadcrumb(headers);
+      const pieces =
+        content.length + prefix.length <= this.chunkSize
+          ? [content]
+          : await new RecursiveCharacterTextSplitter({
+              chunkSize: this.chunkSize - prefix.length,
+              chunkOverlap: this.chunkOverlap,
+            }).splitText(content);
+      pieces.forEach((piece) => chunks.push(`${prefix}${piece}`));
+    }
+    return chunks;
+  }
+}
+
+function chunkingSettings(workspace = null) {
+  return {
+    chunkingStrategy:
+      workspace?.chunkingStrategy || DEFAULT_CHUNKING.chunkingStrategy,
+    chunkSize: Number(workspace?.chunkSize || DEFAULT_CHUNKING.chunkSize),
+    chunkOverlap: Number(
+      workspace?.chunkOverlap ?? DEFAULT_CHUNKING.chunkOverlap
+    ),
+  };
+}
+
+// Returns an error message for invalid chunking settings or null if they can be used.
+function validateChunkingSettings(settings = {}) {
+  const { chunkingStrategy, chunkSize, chunkOverlap } = {
+    ...DEFAULT_CHUNKING,
+    ...settings,
+  };
+  if (!CHUNKING_STRATEGIES.includes(chunkingStrategy))
+    return `Unsupported chunking strategy ${chunkingStrategy} provided.`;
+  if (!Number.isInteger(Number(chunkSize)) || Number(chunkSize) <= 0)
+    return "Chunk size must be a positive whole number.";
+  if (!Number.isInteger(Number(chunkOverlap)) || Number(chunkOverlap) < 0)
+    return "Chunk overlap must be zero or a positive whole number.";
+  if (Number(chunkOverlap) >= Number(chunkSize))
+    return "Chunk overlap must be smaller than the chunk size.";
+  return null;
+}
+
+// Every text splitter returned has an async splitText(text) method that returns string[].
+function textSplitterForWorkspace(workspace = null) {
+  const { chunkingStrategy, chunkSize, chunkOverlap } =
+    chunkingSettings(workspace);
+
+  switch (chunkingStrategy) {
+    case "token":
+      return new TokenTextSplitter({ chunkSize, chunkOverlap });
+    case "markdown":
+      return new MarkdownHeaderTextSplitter({ chunkSize, chunkOverlap });
+    default:
+      return new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap });
+  }
+}
+
+module.exports = {
+  CHUNKING_STRATEGIES,
+  DEFAULT_CHUNKING,
+  chunkingSettings,
+  validateChunkingSettings,
+  textSplitterForWorkspace,
+};
@@ -0,0 +1,159 @@
+const fs = require("fs");
+const path = require("path");
+const moment = require("moment");
+const { v4 } = require("uuid");
+const { tokenizer } = require("../tokenizer");
+const { parseText } = require("./parsers/text");
+const { parseMarkdown } = require("./parsers/markdown");
+const { parseHtml } = require("./parsers/html");
+const { parseJson, parseJsonl } = require("./parsers/json");
+const { parseCsv, parseTsv } = require("./parsers/csv");
+const { parsePdf } = require("./parsers/pdf");
+
+// Uploads are written here by multer, the Python processor reads from the same folder.
+const HOTDIR = path.resolve(__dirname, "../../../document-processor/hotdir");
+
+// A parser takes the file contents as a Buffer and returns { content } plus any of
+// docTitle, docAuthor and description it could read from the file itself.
+const PARSERS = {};
+
+function registerParser(extension, { mime, parse, source }) {
+  PARSERS[extension.toLowerCase()] = { mime, parse, source };
+}
+
+registerParser(".txt", {
+  mime: "text/plain",
+  parse: parseText,
+  source: "text file",
+});
+registerParser(".md", {
+  mime: "text/markdown",
+  parse: parseMarkdown,
+  source: "markdown file",
+});
+registerParser(".html", {
+  mime: "text/html",
+  parse: parseHtml,
+  source: "html file",
+});
+registerParser(".htm", {
+  mime: "text/html",
+  parse: parseHtml,
+  source: "html file",
+});
+registerParser(".json", {
+  mime: "application/json",
+  parse: parseJson,
+  source: "json file",
+});
+registerParser(".jsonl", {
+  mime: "application/jsonl",
+  parse: parseJsonl,
+  source: "jsonl file",
+});
+registerParser(".csv", {
+  mime: "text/csv",
+  parse: parseCsv,
+  source: "csv file",
+});
+registerParser(".tsv", {
+  mime: "text/tab-separated-values",
+  parse: parseTsv,
+  source: "tsv file",
+});
+registerParser(".pdf", {
+  mime: "application/pdf",
+  parse: parsePdf,
+  source: "pdf file",
+});
+
+// Same { mime: [extensions] } shape the Python processor reports.
+function nativeFileTypes() {
+  const types = {};
+  Object.entries(PARSERS).forEach(([extension, { mime }]) => {
+    types[mime] = [...(types[mime] || []), extension];
+  });
+  return types;
+}
+
+function creationTime(filepath) {
+  const { birthtime, mtime } = fs.statSync(filepath);
+  return moment(birthtime.getTime() > 0 ? birthtime : mtime).format(
+    "YYYY-MM-DD HH:mm:ss"
+  );
+}
+
+// Converts a file in the hotdir into the documents addDocumentJob embeds and removes the
+// source file, returning the same { success, reason, metadata } the Python processor does.
+// filename is relative to the hotdir, eg: <upload id>/report.pdf for a staged upload.
+async function processDocument(filename = null) {
+  if (!filename) return { success: false, reason: "No file to process." };
+  const target = path.basename(filename);
+  const filepath = path.resolve(HOTDIR, path.normalize(filename));
+  if (
+    !filepath.startsWith(HOTDIR + path.sep) ||
+    !fs.existsSync(filepath) ||
+    fs.lstatSync(filepath).isDirectory()
+  )
+    return {
+      success: false,
+      reason: `${target} does not exist.`,
+      metadata: [],
+    };
+
+  const extension = path.extname(target).toLowerCase();
+  const parser = PARSERS[extension];
+  if (!parser) {
+    fs.rmSync(filepath);
+    return {
+      success: false,
+      reason: `${extension} not a supported file type for conversion. It will not be processed.`,
+      metadata: [],
+    };
+  }
+
+  try {
+    const published = creationTime(filepath);
+    const { content, docTitle, docAuthor, description } = await parser.parse(
+      fs.readFileSync(filepath)
+    );
+    if (!content || content.trim().length === 0)
+      return {
+        success: false,
+        reason: `No text could be extracted from ${target}.`,
+        metadata: [],
+      };
+
+    const document = {
+      id: v4(),
+      url: `file://${path.resolve(HOTDIR, "processed", target)}`,
+      title: docTitle || target,
+      docAuthor: docAuthor || "No author found",
+      description: description || "a custom file uploaded by the user.",
+      docSource: `${parser.source} uploaded by the user.`,
+      chunkSource: target,
+      published,
+      wordCount: content.length,
+      pageContent: content,
+      token_count_estimate: tokenizer().encode(content).length,
+    };
+    console.log(`[SUCCESS]: ${target} converted & ready for embedding.`);
+    return { success: true, reason: null, metadata: [document] };
+  } catch (e) {
+    console.error(`processDocument`, e.message);
+    return {
+      success: false,
+      reason: `Could not process ${target}: ${e.message}`,
+      metadata: [],
+    };
+  } finally {
+    if (fs.existsSync(filepath)) fs.rmSync(filepath);
+  }
+}
+
+module.exports = {
+  HOTDIR,
+  registerParser,
+  nativeFileTypes,
+  processDocument,
+};
@@ -0,0 +1,67 @@
+const { recordsToText } = require("./json");
+
+// RFC 4180 rows - quoted fields may contain the delimiter, newlines and "" escapes.
+function parseRows(text = "", delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim().length > 0));
+}
+
+// Every row becomes a record keyed by the header row.
+function csvParser(delimiter) {
+  return async function (buffer) {
+    const [header = [], ...rows] = parseRows(
+      buffer.toString("utf8").replace(/^\uFEFF/, ""),
+      delimiter
+    );
+    const records = rows.map((cells) =>
+      Object.fromEntries(
+        header.map((column, i) => [
+          column.trim() || `column${i + 1}`,
+          cells[i] ?? "",
+        ])
+      )
+    );
+    return { content: recordsToText(records) };
+  };
+}
+
+module.exports = {
+  parseCsv: csvParser(","),
+  parseTsv: csvParser("\t"),
+};
@@ -0,0 +1,55 @@
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+function decodeEntities(text = "") {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] !== "#") return ENTITIES[entity.toLowerCase()] ?? match;
+    const code =
+      entity[1].toLowerCase() === "x"
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+    return Number.isNaN(code) ? match : String.fromCodePoint(code);
+  });
+}
+
+// Strips markup, scripts and styles, keeping block elements on their own lines.
+function htmlToText(html = "") {
+  return decodeEntities(
+    html
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<(script|style|noscript|svg|head)[\s\S]*?<\/\1>/gi, "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(
+        /<\/(p|div|section|article|li|tr|h[1-6]|pre|blockquote|table)>/gi,
+        "\n"
+      )
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/[ \t\f\v\u00a0]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+async function parseHtml(buffer) {
+  const html = buffer.toString("utf8");
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+  const description = html.match(
+    /<meta\s+name=["']description["']\s+content=["']([^"']*)["']/i
+  )?.[1];
+  // The page title is kept as the description - documents are named after the uploaded
+  // file so two pages sharing a <title> are not mistaken for the same document.
+  const summary = description || title;
+  return {
+    content: htmlToText(html),
+    description: summary ? decodeEntities(summary.trim()) : null,
+  };
+}
+
+module.exports = { parseHtml, htmlToText, decodeEntities };
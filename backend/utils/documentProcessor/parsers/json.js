@@ -0,0 +1,46 @@
+// Records are written out as "key: value" lines, one record per paragraph, which embeds
+// far better than raw JSON syntax. Nested values use dotted keys.
+function flatten(value, prefix = "", lines = []) {
+  if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, child]) =>
+      flatten(child, prefix ? `${prefix}.${key}` : key, lines)
+    );
+    return lines;
+  }
+
+  if (Array.isArray(value) && value.some((item) => typeof item === "object")) {
+    value.forEach((item, i) => flatten(item, `${prefix}[${i}]`, lines));
+    return lines;
+  }
+
+  const text = Array.isArray(value) ? value.join(", ") : String(value);
+  lines.push(prefix ? `${prefix}: ${text}` : text);
+  return lines;
+}
+
+function recordsToText(records = []) {
+  return records.map((record) => flatten(record).join("\n")).join("\n\n");
+}
+
+async function parseJson(buffer) {
+  const data = JSON.parse(buffer.toString("utf8"));
+  const records = Array.isArray(data) ? data : [data];
+  return { content: recordsToText(records) };
+}
+
+async function parseJsonl(buffer) {
+  const records = buffer
+    .toString("utf8")
+    .split(/\r?\n/)
+    .filter((line) => line.trim().length > 0)
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new Error(`Line ${i + 1} is not valid JSON: ${e.message}`);
+      }
+    });
+  return { content: recordsToText(records) };
+}
+
+module.exports = { parseJson, parseJsonl, recordsToText };
@@ -0,0 +1,19 @@
+// Keeps the prose of a markdown file and drops the syntax around it - code blocks and
+// link targets are kept as plain text since they often carry the useful part.
+async function parseMarkdown(buffer) {
+  const content = buffer
+    .toString("utf8")
+    .replace(/^---\n[\s\S]*?\n---\n/, "") // front matter
+    .replace(/^```.*$/gm, "")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]*)\]\(([^)]*)\)/g, "$1 ($2)")
+    .replace(/^\s{0,3}#{1,6}\s+/gm, "")
+    .replace(/^\s{0,3}>\s?/gm, "")
+    .replace(/(\*\*|__)(.*?)\1/g, "$2")
+    .replace(/`([^`]*)`/g, "$1")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  return { content };
+}
+
+module.exports = { parseMarkdown };
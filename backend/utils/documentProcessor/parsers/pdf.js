@@ -0,0 +1,12 @@
+async function parsePdf(buffer) {
+  const pdf = require("pdf-parse");
+  const { text = "", info = {} } = await pdf(buffer);
+  return {
+    content: text.trim(),
+    docTitle: info?.Title || null,
+    docAuthor: info?.Author || "No author found",
+    description: info?.Subject || "No description found.",
+  };
+}
+
+module.exports = { parsePdf };
@@ -0,0 +1,6 @@
+// Plain text needs no conversion.
+async function parseText(buffer) {
+  return { content: buffer.toString("utf8") };
+}
+
+module.exports = { parseText };
@@ -0,0 +1,123 @@
+const { OrganizationEmbedder } = require("../../models/organizationEmbedder");
+const { SystemSettings } = require("../../models/systemSettings");
+const { OpenAi } = require("../openAi");
+const { toChunks } = require("../vectordatabases/utils");
+
+class CohereEmbedder {
+  constructor(apiKey = "", options = {}) {
+    this.apiKey = apiKey;
+    this.model = options.model || "embed-english-v3.0";
+    this.basePath = options.basePath || "https://api.cohere.ai/v1";
+    this.maxBatchSize = 96; // Cohere will reject requests with more than 96 texts.
+  }
+
+  // Text embedded here is both stored and used to query so we embed everything as a document.
+  async #embed(texts = []) {
+    const response = await fetch(`${this.basePath}/embed`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${this.apiKey}`,
+      },
+      body: JSON.stringify({
+        texts,
+        model: this.model,
+        input_type: "search_document",
+      }),
+    });
+    if (!response.ok)
+      throw new Error(
+        `Cohere embedding request failed with status ${response.status}.`
+      );
+    const { embeddings } = await response.json();
+    return embeddings;
+  }
+
+  async embedTextChunk(textChunk = "") {
+    const embeddings = await this.#embed([textChunk]);
+    return embeddings?.length > 0 ? embeddings[0] : null;
+  }
+
+  async embedTextChunks(chunks = []) {
+    const results = [];
+    for (const batch of toChunks(chunks, this.maxBatchSize)) {
+      const embeddings = await this.#embed(batch);
+      if (!embeddings || embeddings.length !== batch.length) return null;
+      results.push(...embeddings);
+    }
+    return results.length > 0 ? results : null;
+  }
+}
+
+// Resolve the embedder config for a workspace. Workspaces without their own config use the
+// organization config and if that does not exist we use OpenAI with the instance API key.
+async function embedderConfigForWorkspace(workspace = null) {
+  const config = await OrganizationEmbedder.forWorkspace(workspace);
+  if (config) return config;
+
+  const openAiKey = (await SystemSettings.get({ label: "open_ai_api_key" }))
+    ?.value;
+  return { ...OrganizationEmbedder.defaults, apiKey: openAiKey || null };
+}
+
+// Returns an embedder with embedTextChunk & embedTextChunks methods for the workspace as well
+// as the dimensions the embedder will output.
+async function embedderForWorkspace(workspace = null) {
+  const config = await embedderConfigForWorkspace(workspace);
+  const { provider, model, endpoint, dimensions } = config;
+
+  // OpenAI configs without their own key fall back to the instance OpenAI key.
+  const apiKey =
+    config.apiKey ||
+    (provider === "openai"
+      ? (await SystemSettings.get({ label: "open_ai_api_key" }))?.value
+      : null);
+
+  switch (provider) {
+    case "openai":
+      if (!apiKey)
+        return {
+          embedder: null,
+          dimensions,
+          error: "No OpenAI key available for embedding.",
+        };
+      return {
+        embedder: new OpenAi(apiKey, { model }),
+        dimensions,
+        error: null,
+      };
+    case "cohere":
+      if (!apiKey)
+        return {
+          embedder: null,
+          dimensions,
+          error: "No Cohere key available for embedding.",
+        };
+      return {
+        embedder: new CohereEmbedder(apiKey, {
+          model,
+          ...(endpoint ? { basePath: endpoint } : {}),
+        }),
+        dimensions,
+        error: null,
+      };
+    case "openai-compatible":
+      return {
+        embedder: new OpenAi(apiKey || "", { model, basePath: endpoint }),
+        dimensions,
+        error: null,
+      };
+    default:
+      return {
+        embedder: null,
+        dimensions,
+        error: `Unsupported embedding provider ${provider}.`,
+      };
+  }
+}
+
+module.exports = {
+  CohereEmbedder,
+  embedderConfigForWorkspace,
+  embedderForWorkspace,
+};
@@ -0,0 +1,152 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { v4, v5, validate } = require("uuid");
+
+// Pre-computed embeddings are imported from files holding one vector per row as
+// { id?, text, values, metadata? }. Parquet files use the same columns, with
+// metadata either as a struct or a JSON string.
+const FILE_TYPES = [".jsonl", ".parquet"];
+const MAX_REPORTED_ERRORS = 25;
+
+function isEmbeddingsFile(filename = "") {
+  return FILE_TYPES.includes(path.extname(filename).toLowerCase());
+}
+
+async function* jsonlRows(filepath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filepath, { encoding: "utf8" }),
+    crlfDelay: Infinity,
+  });
+  let line = 0;
+  for await (const content of lines) {
+    line++;
+    if (!content.trim()) continue;
+    try {
+      yield { row: line, data: JSON.parse(content) };
+    } catch {
+      yield { row: line, data: null, error: "is not valid JSON." };
+    }
+  }
+}
+
+async function* parquetRows(filepath) {
+  const parquet = require("parquetjs-lite");
+  const reader = await parquet.ParquetReader.openFile(filepath);
+  try {
+    const cursor = reader.getCursor();
+    let row = 0;
+    let data = null;
+    while ((data = await cursor.next())) yield { row: ++row, data };
+  } finally {
+    await reader.close();
+  }
+}
+
+// Parquet lists are read back as { list: [{ element }] } by most writers, eg: pyarrow.
+function listValues(value) {
+  if (Array.isArray(value)) return value;
+  if (Array.isArray(value?.list))
+    return value.list.map((entry) =>
+      typeof entry === "object" && entry !== null
+        ? entry.element ?? entry.item
+        : entry
+    );
+  return null;
+}
+
+function rowMetadata(metadata) {
+  if (metadata === undefined || metadata === null || metadata === "") return {};
+  let parsed = metadata;
+  if (typeof metadata === "string") {
+    try {
+      parsed = JSON.parse(metadata);
+    } catch {
+      return null;
+    }
+  }
+  return typeof parsed === "object" && parsed !== null && !Array.isArray(parsed)
+    ? parsed
+    : null;
+}
+
+// Vector databases like Qdrant and Weaviate only take UUIDs as ids, so any other id is
+// turned into a UUID derived from it. Importing the same file again gives the same ids.
+function vectorId(id) {
+  if (id === undefined || id === null || id === "") return v4();
+  return validate(String(id)) ? String(id) : v5(String(id), v5.URL);
+}
+
+// Reads and validates every row of an embeddings file. When dimensions is 0 the
+// namespace has no fixed size yet and the first row sets it for the rest.
+// Returns { rows: [{ id, text, values, metadata }], dimensions, errors, invalid }.
+async function readEmbeddingsFile(filepath, dimensions = 0) {
+  const rows = [];
+  const errors = [];
+  let invalid = 0;
+  let expected = Number(dimensions) || 0;
+  const ids = new Set();
+  const reject = (row, error) => {
+    invalid++;
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push(`Row ${row} ${error}`);
+  };
+
+  const source =
+    path.extname(filepath).toLowerCase() === ".parquet"
+      ? parquetRows(filepath)
+      : jsonlRows(filepath);
+  for await (const { row, data, error } of source) {
+    if (error) {
+      reject(row, error);
+      continue;
+    }
+    if (typeof data !== "object" || data === null || Array.isArray(data)) {
+      reject(row, "is not an object.");
+      continue;
+    }
+
+    const values = listValues(data.values)?.map(Number) ?? null;
+    if (!values || values.length === 0 || !values.every(Number.isFinite)) {
+      reject(row, "needs values as a list of numbers.");
+      continue;
+    }
+    if (expected > 0 && values.length !== expected) {
+      reject(
+        row,
+        `has ${values.length} dimensions but ${
+          dimensions > 0 ? "the namespace uses" : "the first row has"
+        } ${expected}.`
+      );
+      continue;
+    }
+    if (typeof data.text !== "string" || !data.text.trim()) {
+      reject(row, "needs the text that was embedded.");
+      continue;
+    }
+    const metadata = rowMetadata(data.metadata);
+    if (!metadata) {
+      reject(row, "has metadata that is not an object.");
+      continue;
+    }
+
+    const id = vectorId(data.id);
+    if (ids.has(id)) {
+      reject(row, `repeats the id ${data.id}.`);
+      continue;
+    }
+
+    ids.add(id);
+    expected = expected || values.length;
+    rows.push({ id, text: data.text, values, metadata });
+  }
+
+  if (rows.length === 0 && invalid === 0)
+    errors.push("The file does not contain any rows.");
+  return { rows, dimensions: expected, errors, invalid };
+}
+
+module.exports = {
+  FILE_TYPES,
+  isEmbeddingsFile,
+  readEmbeddingsFile,
+};
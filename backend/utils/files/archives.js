@@ -0,0 +1,143 @@
+const fs = require("fs");
+const path = require("path");
+
+const ARCHIVE_EXTENSIONS = [".zip", ".tar", ".tar.gz", ".tgz"];
+// Folders and files archivers add that are never documents, eg: macOS resource forks.
+const IGNORED_ENTRIES = /(^|\/)(__MACOSX|\.DS_Store|Thumbs\.db)(\/|$)/;
+
+function isArchive(filename = "") {
+  const name = filename.toLowerCase();
+  return ARCHIVE_EXTENSIONS.some((extension) => name.endsWith(extension));
+}
+
+function archiveBasename(filename = "") {
+  const name = path.basename(filename);
+  const extension = ARCHIVE_EXTENSIONS.find((extension) =>
+    name.toLowerCase().endsWith(extension)
+  );
+  return extension ? name.slice(0, -extension.length) : name;
+}
+
+// Returns the entry path with any absolute or parent segments removed, or null when
+// nothing safe is left to write to. Also used for the folder paths of bulk uploads.
+function safeEntryPath(entryName = "") {
+  const normalized = path.posix
+    .normalize(entryName.replace(/\\/g, "/"))
+    .split("/")
+    .filter((segment) => segment && segment !== "." && segment !== "..")
+    .join("/");
+  return normalized.length > 0 ? normalized : null;
+}
+
+// Unpacks a zip or tar (optionally gzipped) archive into destination. Entries over
+// maxFileSize or past maxFiles are skipped rather than failing the whole archive, but an
+// archive that unpacks to more than maxTotalSize bytes is aborted and its files removed.
+// Returns { files, skipped, bytes } with file paths relative to destination and the
+// number of bytes written.
+async function extractArchive(filepath, destination, limits = {}) {
+  const {
+    maxFiles = 10_000,
+    maxFileSize = Infinity,
+    maxTotalSize = Infinity,
+  } = limits;
+  const files = [];
+  const skipped = [];
+  let bytes = 0;
+  fs.mkdirSync(destination, { recursive: true });
+
+  const tooLarge = () =>
+    new Error("Unpacking would go past the size limit for extracted files.");
+  // size is the size an entry declares. Both extractors write at most that many bytes,
+  // so it is counted against maxTotalSize before anything is written.
+  const accept = (entryName, size) => {
+    const name = safeEntryPath(entryName);
+    if (!name || IGNORED_ENTRIES.test(name)) return null;
+    if (size > maxFileSize) {
+      skipped.push({
+        file: name,
+        reason: "File is larger than the upload limit.",
+      });
+      return null;
+    }
+    if (files.length >= maxFiles) {
+      skipped.push({
+        file: name,
+        reason: `Archive holds more than ${maxFiles} files.`,
+      });
+      return null;
+    }
+    if (bytes + size > maxTotalSize) throw tooLarge();
+    bytes += size;
+    files.push(name);
+    return name;
+  };
+
+  try {
+    if (filepath.toLowerCase().endsWith(".zip")) {
+      const AdmZip = require("adm-zip");
+      const zip = new AdmZip(filepath);
+      for (const entry of zip.getEntries()) {
+        if (entry.isDirectory) continue;
+        const name = accept(entry.entryName, entry.header.size);
+        if (!name) continue;
+        // adm-zip inflates no more than the declared size and throws on an entry that
+        // holds more than it declares.
+        const data = entry.getData();
+        bytes += data.length - entry.header.size;
+        const target = path.resolve(destination, name);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, data);
+      }
+      return { files, skipped, bytes };
+    }
+
+    // tar strips absolute paths and refuses ".." entries on its own, filter only decides
+    // which regular files are written.
+    const tar = require("tar");
+    const input = fs.createReadStream(filepath);
+    const unpack = new tar.Unpack({
+      cwd: destination,
+      filter: (entryName, entry) => {
+        if (entry.type !== "File") return false;
+        try {
+          return !!accept(entryName, entry.size);
+        } catch (e) {
+          unpack.abort(e);
+          return false;
+        }
+      },
+    });
+    await new Promise((resolve, reject) => {
+      unpack.on("close", resolve);
+      unpack.on("error", reject);
+      input.on("error", reject);
+      input.pipe(unpack);
+    }).finally(() => input.destroy());
+
+    const written = files.filter((file) =>
+      fs.existsSync(path.resolve(destination, file))
+    );
+    return {
+      files: written,
+      skipped,
+      bytes: written.reduce(
+        (total, file) =>
+          total + fs.statSync(path.resolve(destination, file)).size,
+        0
+      ),
+    };
+  } catch (e) {
+    files.forEach((file) =>
+      fs.rmSync(path.resolve(destination, file), { force: true })
+    );
+    throw e;
+  }
+}
+
+module.exports = {
+  ARCHIVE_EXTENSIONS,
+  isArchive,
+  archiveBasename,
+  safeEntryPath,
+  extractArchive,
+};
@@ -1,31 +1,141 @@
 function setupMulter() {
+  const fs = require("fs");
+  const path = require("path");
   const multer = require("multer");
+  const { v4 } = require("uuid");
+  const {
+    maxUploadSize,
+    uploadRejection,
+    stagingFolder,
+    removeStagedUpload,
+  } = require("./uploads");
+  const { safeEntryPath } = require("./archives");
+  const { FILE_TYPES, isEmbeddingsFile } = require("../embeddingsFile");
+  const MAX_BULK_FILES = 5_000;
 
-  // Handle File uploads for auto-uploading.
+  // Handle File uploads for auto-uploading. Every upload is staged in its own folder in the
+  // hotdir named after a new upload id, so two files with the same name never collide.
   const storage = multer.diskStorage({
-    destination: function (_, _, cb) {
-      const path = require("path");
-      const uploadOutput = path.resolve(
-        __dirname,
-        `../../../document-processor/hotdir`
-      );
+    destination: function (request, _, cb) {
+      request.uploadId = request.uploadId || v4();
+      const uploadOutput = stagingFolder(request.uploadId);
+      fs.mkdirSync(uploadOutput, { recursive: true });
       cb(null, uploadOutput);
     },
     filename: function (_, file, cb) {
-      cb(null, file.originalname);
+      cb(null, path.basename(file.originalname));
     },
   });
   const upload = multer({
     storage,
-    fileFilter: function (req, file, callback) {
+    limits: { fileSize: maxUploadSize() },
+    fileFilter: function (request, file, callback) {
       // Solve the problem of garbled Chinese names
       file.originalname = Buffer.from(file.originalname, "latin1").toString(
         "utf8"
       );
-      callback(null, true);
+      uploadRejection(file.originalname)
+        .then((reason) => {
+          request.uploadRejection = reason;
+          callback(null, !reason);
+        })
+        .catch((e) => callback(e));
+    },
+  });
+
+  // Files of a bulk upload may be named by their path inside a picked folder, eg:
+  // handbook/intro.md, which is kept so same-named files in different folders do not collide.
+  const bulkStorage = multer.diskStorage({
+    destination: function (request, file, cb) {
+      request.uploadId = request.uploadId || v4();
+      const uploadOutput = stagingFolder(request.uploadId);
+      const folder = path.dirname(safeEntryPath(file.originalname) || ".");
+      fs.mkdirSync(path.resolve(uploadOutput, folder), { recursive: true });
+      cb(null, uploadOutput);
+    },
+    filename: function (_, file, cb) {
+      cb(null, safeEntryPath(file.originalname) || v4());
+    },
+  });
+
+  // Bulk uploads take many files and archives in one request. Refused files are collected
+  // in request.uploadRejections so they can be reported with the rest of the upload.
+  const bulkUpload = multer({
+    storage: bulkStorage,
+    limits: { fileSize: maxUploadSize(), files: MAX_BULK_FILES },
+    fileFilter: function (request, file, callback) {
+      file.originalname = Buffer.from(file.originalname, "latin1").toString(
+        "utf8"
+      );
+      uploadRejection(file.originalname, true)
+        .then((reason) => {
+          if (reason) {
+            request.uploadRejections = [
+              ...(request.uploadRejections || []),
+              { file: file.originalname, reason },
+            ];
+          }
+          callback(null, !reason);
+        })
+        .catch((e) => callback(e));
     },
   });
-  return { handleUploads: upload };
+
+  // Embedding files are imported as vectors rather than sent to the document processor.
+  const embeddingsUpload = multer({
+    storage,
+    limits: { fileSize: maxUploadSize() },
+    fileFilter: function (request, file, callback) {
+      file.originalname = Buffer.from(file.originalname, "latin1").toString(
+        "utf8"
+      );
+      const accepted = isEmbeddingsFile(file.originalname);
+      if (!accepted)
+        request.uploadRejection = `Only ${FILE_TYPES.join(
+          " and "
+        )} files can be imported as embeddings.`;
+      callback(null, accepted);
+    },
+  });
+
+  // Like handleUploads.single but answers with the reason an upload was refused, eg: the
+  // file is too large, instead of handing the error to express.
+  function stageUpload(field = "file") {
+    return respondWithUploadErrors(upload.single(field));
+  }
+
+  function stageUploads(field = "files") {
+    return respondWithUploadErrors(bulkUpload.array(field, MAX_BULK_FILES));
+  }
+
+  function stageEmbeddingsUpload(field = "file") {
+    return respondWithUploadErrors(embeddingsUpload.single(field));
+  }
+
+  function respondWithUploadErrors(middleware) {
+    return function (request, response, next) {
+      middleware(request, response, (error) => {
+        if (!error) return next();
+        removeStagedUpload(request.uploadId);
+        response.status(200).json({
+          success: false,
+          error:
+            error.code === "LIMIT_FILE_SIZE"
+              ? `File is larger than the ${Math.round(
+                  maxUploadSize() / 1024 / 1024
+                )}MB upload limit.`
+              : error.message,
+        });
+      });
+    };
+  }
+
+  return {
+    handleUploads: upload,
+    stageUpload,
+    stageUploads,
+    stageEmbeddingsUpload,
+  };
 }
 
 module.exports = {
@@ -0,0 +1,112 @@
+const fs = require("fs");
+const path = require("path");
+const { DocumentProcessor } = require("../../models/documentProcessor");
+const { HOTDIR } = require("../documentProcessor");
+const { isArchive } = require("./archives");
+
+// UPLOAD_MAX_SIZE_MB caps the size of a single upload. UPLOAD_ALLOWED_TYPES narrows what
+// the document processor accepts down to a comma separated list of extensions, eg: ".pdf,.txt"
+const DEFAULT_MAX_SIZE_MB = 100;
+const DEFAULT_MAX_EXTRACTED_MB = 1024;
+const STALE_UPLOAD_MS = 24 * 60 * 60 * 1000;
+const UPLOAD_ID =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function maxUploadSize() {
+  const megabytes = Number(process.env.UPLOAD_MAX_SIZE_MB);
+  return (
+    (Number.isFinite(megabytes) && megabytes > 0
+      ? megabytes
+      : DEFAULT_MAX_SIZE_MB) *
+    1024 *
+    1024
+  );
+}
+
+// UPLOAD_MAX_EXTRACTED_MB caps how much the archives of one bulk upload may unpack to.
+function maxExtractedSize() {
+  const megabytes = Number(process.env.UPLOAD_MAX_EXTRACTED_MB);
+  return (
+    (Number.isFinite(megabytes) && megabytes > 0
+      ? megabytes
+      : DEFAULT_MAX_EXTRACTED_MB) *
+    1024 *
+    1024
+  );
+}
+
+function configuredExtensions() {
+  if (!process.env.UPLOAD_ALLOWED_TYPES) return null;
+  return process.env.UPLOAD_ALLOWED_TYPES.split(",")
+    .map((extension) => extension.trim().toLowerCase())
+    .filter(Boolean)
+    .map((extension) =>
+      extension.startsWith(".") ? extension : `.${extension}`
+    );
+}
+
+// The { mime: [extensions] } the processor accepts, limited to UPLOAD_ALLOWED_TYPES.
+async function allowedFileTypes() {
+  const types = await DocumentProcessor.acceptedFileTypes();
+  if (!types) return null;
+
+  const allowed = configuredExtensions();
+  if (!allowed) return types;
+  const filtered = {};
+  Object.entries(types).forEach(([mime, extensions]) => {
+    const kept = extensions.filter((extension) => allowed.includes(extension));
+    if (kept.length > 0) filtered[mime] = kept;
+  });
+  return filtered;
+}
+
+// Returns why a file cannot be uploaded, or null when it can. Bulk uploads may also
+// send archives, which are unpacked and checked file by file later.
+async function uploadRejection(filename = "", allowArchives = false) {
+  if (allowArchives && isArchive(filename)) return null;
+  const extension = path.extname(filename).toLowerCase();
+  if (!extension) return `${filename} has no file extension.`;
+
+  const types = await allowedFileTypes();
+  if (!types) return "Could not read the file types the processor accepts.";
+  if (!Object.values(types).flat().includes(extension))
+    return `${extension} files cannot be uploaded.`;
+  return null;
+}
+
+function stagingFolder(uploadId) {
+  return path.resolve(HOTDIR, path.basename(String(uploadId)));
+}
+
+function removeStagedUpload(uploadId = null) {
+  if (!uploadId) return;
+  try {
+    fs.rmSync(stagingFolder(uploadId), { recursive: true, force: true });
+  } catch (e) {
+    console.error(`removeStagedUpload`, e.message);
+  }
+}
+
+// Staged folders normally go away once their upload is processed, this clears the ones left
+// behind by a crash or restart mid-upload.
+function cleanupStagedUploads(maxAge = STALE_UPLOAD_MS) {
+  if (!fs.existsSync(HOTDIR)) return;
+  fs.readdirSync(HOTDIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && UPLOAD_ID.test(entry.name))
+    .forEach((entry) => {
+      const folder = path.resolve(HOTDIR, entry.name);
+      if (Date.now() - fs.statSync(folder).mtimeMs < maxAge) return;
+      console.log(`Removing stale upload ${entry.name}`);
+      removeStagedUpload(entry.name);
+    });
+}
+
+module.exports = {
+  maxUploadSize,
+  maxExtractedSize,
+  allowedFileTypes,
+  uploadRejection,
+  stagingFolder,
+  removeStagedUpload,
+  cleanupStagedUploads,
+};
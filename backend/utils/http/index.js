@@ -3,6 +3,9 @@ process.env.NODE_ENV === "development"
   : require("dotenv").config();
 const JWT = require("jsonwebtoken");
 const { User } = require("../../models/user");
+const { Organization } = require("../../models/organization");
+const { OrganizationApiKey } = require("../../models/organizationApiKey");
+const { OrganizationUser } = require("../../models/organizationUser");
 const SECRET = process.env.JWT_SECRET;
 
 function reqBody(request) {
@@ -47,6 +50,77 @@ function validSessionForUser(request, response, next) {
   next();
 }
 
+// Organization API keys can be sent in place of a session JWT as `Authorization: Bearer vdms-...`
+function apiKeyFromRequest(request) {
+  const auth = request.header("Authorization");
+  const token = auth ? auth.split(" ")[1] : null;
+  return !!token && token.startsWith("vdms-") ? token : null;
+}
+
+// Allows either a valid user session or a valid organization API key.
+// The resolved key is stored on response.locals so handlers can scope the
+// request to the single organization the key was issued for.
+async function validSessionOrApiKey(request, response, next) {
+  const apiKey = apiKeyFromRequest(request);
+  if (!apiKey) return validSessionForUser(request, response, next);
+
+  const organizationApiKey = await OrganizationApiKey.get({ apiKey });
+  if (!organizationApiKey) {
+    response.sendStatus(403).end();
+    return;
+  }
+
+  response.locals.organizationApiKey = organizationApiKey;
+  next();
+}
+
+// Resolves the caller of a request and the organization matching `clause` they are allowed to act on.
+// Session users can reach any organization they are a member of, API keys only their own organization.
+// user and apiKey will both be null if the caller could not be identified.
+// role is the caller's role in the organization - API keys act as editors.
+async function organizationFromRequest(request, response, clause = {}) {
+  const apiKey = response.locals?.organizationApiKey || null;
+  if (!!apiKey) {
+    if (
+      clause.hasOwnProperty("id") &&
+      Number(clause.id) !== Number(apiKey.organization_id)
+    )
+      return { user: null, apiKey, organization: null, role: null };
+
+    const organization = await Organization.get({
+      ...clause,
+      id: Number(apiKey.organization_id),
+    });
+    return {
+      user: null,
+      apiKey,
+      organization,
+      role: !!organization ? "editor" : null,
+    };
+  }
+
+  const user = await userFromSession(request);
+  if (!user)
+    return { user: null, apiKey: null, organization: null, role: null };
+
+  // The role always comes from the membership in the organization that was found, so a
+  // caller without a membership there gets neither the organization nor a role.
+  const organization = await Organization.getWithOwner(user.id, clause);
+  const role = await OrganizationUser.roleFor(user, organization?.id);
+  if (!role) return { user, apiKey: null, organization: null, role: null };
+  return { user, apiKey: null, organization, role };
+}
+
+// Responds with a 403 if the caller's organization role is below `minimum`.
+// Returns true when the request was rejected so the handler can return early.
+function denyUnlessRole(response, role = null, minimum = "viewer") {
+  if (OrganizationUser.hasRole(role, minimum)) return false;
+  response.status(403).json({
+    error: `This action requires the ${minimum} role in this organization.`,
+  });
+  return true;
+}
+
 async function userFromSession(request) {
   const auth = request.header("Authorization");
   const email = request.header("requester-email");
@@ -76,6 +150,9 @@ module.exports = {
   reqBody,
   userFromSession,
   validSessionForUser,
+  validSessionOrApiKey,
+  organizationFromRequest,
+  denyUnlessRole,
   queryParams,
   makeJWT,
   decodeJWT,
@@ -5,15 +5,17 @@ async function addDocumentJob(
   organization,
   workspace,
   connector,
-  user
+  user,
+  parentJobId = null
 ) {
   const taskName = `${connector.type}/addDocument`;
   const jobData = { documents: metadata, organization, workspace, connector };
   const { job, error } = await Queue.create(
     taskName,
     jobData,
-    user.id,
-    organization.id
+    user?.id,
+    organization.id,
+    parentJobId
   );
   if (!!error) return { job, error };
 
@@ -0,0 +1,38 @@
+const { Queue } = require("../../../models/queue");
+
+async function bulkUpdateMetadataJob(
+  organization,
+  workspace,
+  connector,
+  user,
+  selection,
+  operations
+) {
+  const taskName = `${connector.type}/bulkUpdateFragmentMetadata`;
+  const jobData = {
+    organization,
+    workspace,
+    connector,
+    selection,
+    operations,
+  };
+  const { job, error } = await Queue.create(
+    taskName,
+    jobData,
+    user?.id,
+    organization.id
+  );
+  if (!!error) return { job, error };
+  await Queue.sendJob({
+    name: taskName,
+    data: {
+      jobId: job.id,
+      ...jobData,
+    },
+  });
+  return { job, error: null };
+}
+
+module.exports = {
+  bulkUpdateMetadataJob,
+};
@@ -0,0 +1,228 @@
+const { Queue } = require("../../../models/queue");
+
+const BULK_UPLOAD_TASK = `workspace/bulk-upload`;
+
+// The parent job's result while it runs, and what the UI reads for progress:
+//   phase              - processing (files are converted and queued) then embedding, then done
+//   progress           - { files, processed, queued, embedded, failed }
+//   processingFailures - [{ file, reason, retryable }] for files that never made it into a batch
+//   batches            - [{ jobId, documents: [{ file, title }] }] one per addDocument job
+//   failures           - processingFailures plus the files a batch could not embed
+async function bulkUploadJob(
+  organization,
+  workspace,
+  connector,
+  user,
+  uploadId,
+  rejected = []
+) {
+  const jobData = {
+    uploadId,
+    organization,
+    workspace,
+    connector,
+    userId: user?.id ?? null,
+  };
+  const { job, error } = await Queue.create(
+    BULK_UPLOAD_TASK,
+    jobData,
+    user?.id,
+    organization.id
+  );
+  if (!!error) return { job, error };
+
+  await Queue.updateJob(job.id, Queue.status.pending, {
+    message: "Unpacking upload.",
+    phase: "processing",
+    progress: { files: 0, processed: 0, queued: 0, embedded: 0, failed: 0 },
+    processingFailures: rejected.map(({ file, reason }) => ({
+      file,
+      reason,
+      retryable: false,
+    })),
+    batches: [],
+    failures: [],
+  });
+  await Queue.sendJob({
+    name: BULK_UPLOAD_TASK,
+    data: { jobId: job.id, ...jobData },
+  });
+  return { job, error: null };
+}
+
+// The embedding outcome of every document in one addDocument job.
+function batchOutcome(batch, childJob) {
+  if (!childJob || childJob.status === Queue.status.pending)
+    return { pending: true, embedded: [], failures: [] };
+
+  const result = JSON.parse(childJob.result || "{}");
+  if (childJob.status === Queue.status.failed)
+    return {
+      pending: false,
+      embedded: [],
+      failures: batch.documents.map(({ file, title }) => ({
+        file,
+        title,
+        reason: result.error || result.message || "Embedding job failed.",
+        retryable: true,
+      })),
+    };
+
+  const embedded = [];
+  const failures = [];
+  batch.documents.forEach(({ file, title }) => {
+    const outcome = result.files?.[title];
+    if (outcome?.skipped) {
+      failures.push({
+        file,
+        title,
+        reason: "A document with this name already exists in the workspace.",
+        retryable: false,
+      });
+    } else if (!!outcome && !outcome.createStatus) {
+      failures.push({
+        file,
+        title,
+        reason: outcome.message || "The document could not be embedded.",
+        retryable: true,
+      });
+    } else {
+      embedded.push(file);
+    }
+  });
+  return { pending: false, embedded, failures };
+}
+
+// Bulk uploads finish when the last of their addDocument jobs does, so the parent is
+// settled from its children whenever one of them settles or the parent is read.
+async function refreshBulkUploadJob(job) {
+  if (job?.taskName !== BULK_UPLOAD_TASK) return job;
+  const result = JSON.parse(job.result || "{}");
+  if (result.phase !== "embedding" || job.status !== Queue.status.pending)
+    return job;
+
+  let pending = false;
+  const embedded = [];
+  const embeddingFailures = [];
+  for (const batch of result.batches || []) {
+    const childJob = await Queue.get({ id: Number(batch.jobId) });
+    const outcome = batchOutcome(batch, childJob);
+    pending = pending || outcome.pending;
+    embedded.push(...outcome.embedded);
+    embeddingFailures.push(...outcome.failures);
+  }
+
+  const failures = [...(result.processingFailures || []), ...embeddingFailures];
+  const updated = {
+    ...result,
+    phase: pending ? "embedding" : "done",
+    progress: {
+      ...result.progress,
+      embedded: embedded.length,
+      failed: failures.length,
+    },
+    failures,
+  };
+  if (pending) {
+    updated.message = `Embedded ${embedded.length} of ${result.progress.queued} queued files.`;
+    return (
+      (await Queue.updateJob(job.id, Queue.status.pending, updated)) || job
+    );
+  }
+
+  updated.message = `Embedded ${embedded.length} of ${result.progress.files} files, ${failures.length} failed.`;
+  updated.canRetryFailed = failures.some((failure) => failure.retryable);
+  const status =
+    embedded.length === 0 && failures.length > 0
+      ? Queue.status.failed
+      : Queue.status.complete;
+  return (await Queue.updateJob(job.id, status, updated)) || job;
+}
+
+// Called by the workers once a job settled, so the bulk upload it belongs to finishes
+// without waiting for someone to read it.
+async function settleParentJob(jobId) {
+  const job = await Queue.get({ id: Number(jobId) });
+  if (!job?.parent_job_id) return null;
+  const parent = await Queue.get({ id: Number(job.parent_job_id) });
+  return await refreshBulkUploadJob(parent);
+}
+
+// Queues the retryable failures of a settled bulk upload again. Batches whose job failed are
+// re-run whole, documents that failed inside a finished batch get a new batch of their own
+// and files that could not be processed are sent back to the worker.
+async function retryFailedBulkUpload(job, user = null) {
+  const result = JSON.parse(job.result || "{}");
+  const jobData = JSON.parse(job.data);
+  const batches = [];
+  for (const batch of result.batches || []) {
+    const childJob = await Queue.get({ id: Number(batch.jobId) });
+    const { failures } = batchOutcome(batch, childJob);
+    const retry = failures.filter((failure) => failure.retryable);
+    if (!childJob || retry.length === 0) {
+      batches.push(batch);
+      continue;
+    }
+
+    const childData = JSON.parse(childJob.data);
+    const titles = retry.map((failure) => failure.title);
+    const documents = childData.documents.filter((document) =>
+      titles.includes(document.title)
+    );
+    const { job: retryJob } =
+      (await Queue.create(
+        childJob.taskName,
+        { ...childData, documents },
+        user?.id,
+        job.organization_id,
+        job.id
+      )) || {};
+    if (!retryJob) {
+      batches.push(batch);
+      continue;
+    }
+    await Queue.sendJob({
+      name: childJob.taskName,
+      data: {
+        jobId: retryJob.id,
+        organization: childData.organization,
+        workspace: childData.workspace,
+        connector: childData.connector,
+      },
+    });
+
+    const remaining = batch.documents.filter(
+      ({ title }) => !titles.includes(title)
+    );
+    if (remaining.length > 0) batches.push({ ...batch, documents: remaining });
+    batches.push({
+      jobId: retryJob.id,
+      documents: batch.documents.filter(({ title }) => titles.includes(title)),
+    });
+  }
+
+  const reprocess = (result.processingFailures || []).some(
+    (failure) => failure.retryable
+  );
+  await Queue.updateJob(job.id, Queue.status.pending, {
+    ...result,
+    message: "Retrying failed files.",
+    phase: reprocess ? "processing" : "embedding",
+    batches,
+    canRetryFailed: false,
+  });
+  if (reprocess)
+    await Queue.sendJob({
+      name: BULK_UPLOAD_TASK,
+      data: { jobId: job.id, ...jobData, retry: true },
+    });
+  return await Queue.get({ id: Number(job.id) });
+}
+
+module.exports = {
+  BULK_UPLOAD_TASK,
+  bulkUploadJob,
+  refreshBulkUploadJob,
+  settleParentJob,
+  retryFailedBulkUpload,
+};
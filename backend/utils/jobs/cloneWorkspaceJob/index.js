@@ -22,7 +22,7 @@ async function cloneWorkspaceJob(
   const { job, error } = await Queue.create(
     taskName,
     jobData,
-    user.id,
+    user?.id,
     organization.id
   );
   if (!!error) return { job, error };
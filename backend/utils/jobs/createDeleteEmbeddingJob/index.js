@@ -12,7 +12,7 @@ async function createDeleteEmbeddingJob(
   const { job, error } = await Queue.create(
     taskName,
     jobData,
-    user.id,
+    user?.id,
     organization.id
   );
   if (!!error) return { job, error };
@@ -19,7 +19,7 @@ async function createRagTestJobRun(organization, testId, user) {
   const { job, error } = await Queue.create(
     taskName,
     jobData,
-    user.id,
+    user?.id,
     organization.id
   );
   if (!!error) return { job, error };
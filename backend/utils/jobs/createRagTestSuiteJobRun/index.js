@@ -0,0 +1,38 @@
+const { Queue } = require("../../../models/queue");
+
+async function createRagTestSuiteJobRun(organization, suiteId, user) {
+  const taskName = `rag-test-suite/run`;
+  const pendingJob = await Queue.get({
+    organization_id: Number(organization.id),
+    status: Queue.status.pending,
+    taskName,
+  });
+
+  if (pendingJob) {
+    const pendingJobData = JSON.parse(pendingJob.data);
+    if (pendingJobData.suiteId === suiteId) {
+      return { job: null, error: "A job like this is currently running." };
+    }
+  }
+
+  const jobData = { organization, suiteId };
+  const { job, error } = await Queue.create(
+    taskName,
+    jobData,
+    user?.id,
+    organization.id
+  );
+  if (!!error) return { job, error };
+  await Queue.sendJob({
+    name: taskName,
+    data: {
+      jobId: job.id,
+      ...jobData,
+    },
+  });
+  return { job, error: null };
+}
+
+module.exports = {
+  createRagTestSuiteJobRun,
+};
@@ -1,6 +1,6 @@
 const { Queue } = require("../../../models/queue");
 
-async function createSyncJob(organization, connector, user) {
+async function createSyncJob(organization, connector, user, dryRun = false) {
   const taskName = `${connector.type}/sync`;
   const hasPendingJob = await Queue.get({
     organization_id: Number(organization.id),
@@ -9,11 +9,12 @@ async function createSyncJob(organization, connector, user) {
   });
   if (hasPendingJob) return { job: hasPendingJob, error: null };
 
-  const jobData = { organization, connector };
+  // A dry run only reports what the sync would change.
+  const jobData = { organization, connector, dryRun: !!dryRun };
   const { job, error } = await Queue.create(
     taskName,
     jobData,
-    user.id,
+    user?.id,
     organization.id
   );
   if (!!error) return { job, error };
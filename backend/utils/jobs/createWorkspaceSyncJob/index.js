@@ -4,7 +4,8 @@ async function createWorkspaceSyncJob(
   organization,
   workspace,
   connector,
-  user
+  user,
+  dryRun = false
 ) {
   const taskName = `${connector.type}/sync-workspace`;
   const hasPendingJob = await Queue.get({
@@ -14,11 +15,12 @@ async function createWorkspaceSyncJob(
   });
   if (hasPendingJob) return { job: hasPendingJob, error: null };
 
-  const jobData = { organization, workspace, connector };
+  // A dry run only reports what the sync would change.
+  const jobData = { organization, workspace, connector, dryRun: !!dryRun };
   const { job, error } = await Queue.create(
     taskName,
     jobData,
-    user.id,
+    user?.id,
     organization.id
   );
   if (!!error) return { job, error };
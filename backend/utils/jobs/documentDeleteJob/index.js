@@ -5,15 +5,17 @@ async function documentDeletedJob(
   workspace,
   document,
   connector,
-  user
+  user,
+  parentJobId = null
 ) {
   const taskName = `${connector.type}/deleteDocument`;
   const jobData = { organization, workspace, connector, document };
   const { job, error } = await Queue.create(
     taskName,
     jobData,
-    user.id,
-    organization.id
+    user?.id,
+    organization.id,
+    parentJobId
   );
   if (!!error) return { job, error };
   await Queue.sendJob({
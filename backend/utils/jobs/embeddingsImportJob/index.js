@@ -0,0 +1,40 @@
+const { Queue } = require("../../../models/queue");
+
+async function embeddingsImportJob(
+  organization,
+  workspace,
+  connector,
+  user,
+  uploadId,
+  filename
+) {
+  const taskName = `workspace/import-embeddings`;
+  const jobData = {
+    organization,
+    workspace,
+    connector,
+    uploadId,
+    filename,
+    userId: user?.id ?? null,
+  };
+  const { job, error } = await Queue.create(
+    taskName,
+    jobData,
+    user?.id,
+    organization.id
+  );
+  if (!!error) return { job, error };
+
+  await Queue.sendJob({
+    name: taskName,
+    data: {
+      jobId: job.id,
+      ...jobData,
+    },
+  });
+  return { job, error: null };
+}
+
+module.exports = {
+  embeddingsImportJob,
+};
@@ -16,7 +16,7 @@ async function newWorkspaceJob(organization, workspace, connector, user) {
   const { job, error } = await Queue.create(
     taskName,
     jobData,
-    user.id,
+    user?.id,
     organization.id
   );
   if (!!error) return { job, error };
@@ -10,7 +10,7 @@ async function organizationMigrationJob(
   const { job, error } = await Queue.create(
     taskName,
     jobData,
-    user.id,
+    user?.id,
     organization.id
   );
   if (!!error) return { job, error };
@@ -6,7 +6,7 @@ async function organizationResetJob(organization, user) {
   const { job, error } = await Queue.create(
     taskName,
     jobData,
-    user.id,
+    user?.id,
     organization.id
   );
   if (!!error) return { job, error };
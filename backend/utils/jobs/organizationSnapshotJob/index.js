@@ -0,0 +1,25 @@
+const { Queue } = require("../../../models/queue");
+
+async function organizationSnapshotJob(organization, snapshot, user) {
+  const taskName = `organization/snapshot`;
+  const jobData = { organization, snapshot };
+  const { job, error } = await Queue.create(
+    taskName,
+    jobData,
+    user?.id,
+    organization.id
+  );
+  if (!!error) return { job, error };
+  await Queue.sendJob({
+    name: taskName,
+    data: {
+      jobId: job.id,
+      ...jobData,
+    },
+  });
+  return { job, error: null };
+}
+
+module.exports = {
+  organizationSnapshotJob,
+};
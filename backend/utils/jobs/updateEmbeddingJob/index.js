@@ -21,7 +21,7 @@ async function updateEmbeddingJob(
   const { job, error } = await Queue.create(
     taskName,
     jobData,
-    user.id,
+    user?.id,
     organization.id
   );
   if (!!error) return { job, error };
@@ -0,0 +1,40 @@
+const { Queue } = require("../../../models/queue");
+
+async function urlImportJob(
+  organization,
+  workspace,
+  connector,
+  user,
+  url,
+  options = {}
+) {
+  const taskName = `workspace/import-url`;
+  const jobData = {
+    organization,
+    workspace,
+    connector,
+    url,
+    options,
+    userId: user?.id ?? null,
+  };
+  const { job, error } = await Queue.create(
+    taskName,
+    jobData,
+    user?.id,
+    organization.id
+  );
+  if (!!error) return { job, error };
+
+  await Queue.sendJob({
+    name: taskName,
+    data: {
+      jobId: job.id,
+      ...jobData,
+    },
+  });
+  return { job, error: null };
+}
+
+module.exports = {
+  urlImportJob,
+};
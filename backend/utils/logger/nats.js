@@ -88,11 +88,33 @@ async function publishLog(level, message, metadata = {}) {
   }
 }
 
+/**
+ * Publish a JSON message on any subject over core NATS. Connects on first use so
+ * processes that never started the logger (like the workers) can still publish.
+ */
+async function publishMessage(subject, data = {}) {
+  if (!connected) await initNatsLogger();
+  if (!connected || !nc)
+    return { success: false, error: "NATS is not connected." };
+
+  try {
+    nc.publish(subject, sc.encode(JSON.stringify(data)));
+    await nc.flush();
+    return { success: true, error: null };
+  } catch (err) {
+    console.error(
+      `[NATS Logger] Failed to publish to ${subject}: ${err.message}`
+    );
+    return { success: false, error: err.message };
+  }
+}
+
 // Convenience methods
 const logger = {
   init: initNatsLogger,
   close: closeNatsLogger,
   isConnected: () => connected,
+  publish: publishMessage,
 
   trace: (message, metadata = {}) => publishLog("trace", message, metadata),
   debug: (message, metadata = {}) => publishLog("debug", message, metadata),
@@ -0,0 +1,304 @@
+const { WorkspaceDocument } = require("../../models/workspaceDocument");
+const { readJSON } = require("../storage");
+const { selectConnector } = require("../vectordatabases/providers");
+
+// A declared schema describes the metadata keys a workspace's vectors should carry, eg:
+//   {
+//     "enforcement": "warn",
+//     "additionalKeys": true,
+//     "fields": {
+//       "source": { "type": "string", "required": true, "enum": ["wiki", "docs"] },
+//       "year": { "type": "number" }
+//     }
+//   }
+// With "warn" violations are reported but the metadata is saved, with "reject" it is not.
+const FIELD_TYPES = ["string", "number", "boolean", "array", "object"];
+const ENFORCEMENT = ["warn", "reject"];
+const IGNORED_KEYS = ["text", "vectorId"];
+const TOP_VALUES = 5;
+const MAX_TRACKED_VALUES = 1000;
+const MAX_EXAMPLES = 10;
+const SAMPLE_SIZE = 500;
+
+function typeOf(value) {
+  if (value === null || value === undefined) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value === "object" ? "object" : typeof value;
+}
+
+function validateSchemaDefinition(schema = null) {
+  if (schema === null) return null;
+  if (typeOf(schema) !== "object") return "The schema must be a JSON object.";
+  if (schema.enforcement && !ENFORCEMENT.includes(schema.enforcement))
+    return `enforcement must be one of ${ENFORCEMENT.join(", ")}.`;
+  if (
+    schema.hasOwnProperty("additionalKeys") &&
+    typeof schema.additionalKeys !== "boolean"
+  )
+    return "additionalKeys must be true or false.";
+  if (typeOf(schema.fields) !== "object" || !Object.keys(schema.fields).length)
+    return "The schema must declare at least one field.";
+
+  for (const [key, field] of Object.entries(schema.fields)) {
+    if (IGNORED_KEYS.includes(key))
+      return `${key} is managed by VectorAdmin and cannot be declared.`;
+    if (typeOf(field) !== "object" || !FIELD_TYPES.includes(field.type))
+      return `${key}: type must be one of ${FIELD_TYPES.join(", ")}.`;
+    if (field.hasOwnProperty("required") && typeof field.required !== "boolean")
+      return `${key}: required must be true or false.`;
+    if (field.hasOwnProperty("enum") && !Array.isArray(field.enum))
+      return `${key}: enum must be a list of allowed values.`;
+  }
+  return null;
+}
+
+// Workspaces store their schema as a JSON string - returns null when none is declared.
+function workspaceSchema(workspace = {}) {
+  if (!workspace?.metadataSchema) return null;
+  try {
+    return JSON.parse(workspace.metadataSchema);
+  } catch (e) {
+    console.error(`Invalid metadata schema for workspace ${workspace.id}`);
+    return null;
+  }
+}
+
+// Returns a list of human readable violations, empty when the metadata is valid.
+function validateMetadata(schema = null, metadata = {}) {
+  if (!schema) return [];
+  const violations = [];
+  const fields = schema.fields || {};
+
+  Object.entries(fields).forEach(([key, field]) => {
+    const value = metadata?.[key];
+    if (value === undefined || value === null) {
+      if (field.required) violations.push(`${key} is required.`);
+      return;
+    }
+    if (typeOf(value) !== field.type) {
+      violations.push(
+        `${key} should be a ${field.type}, not a ${typeOf(value)}.`
+      );
+      return;
+    }
+    if (Array.isArray(field.enum) && !field.enum.includes(value))
+      violations.push(
+        `${key} must be one of ${field.enum.map(String).join(", ")}.`
+      );
+  });
+
+  if (schema.additionalKeys === false) {
+    Object.keys(metadata || {})
+      .filter(
+        (key) => !IGNORED_KEYS.includes(key) && !fields.hasOwnProperty(key)
+      )
+      .forEach((key) =>
+        violations.push(`${key} is not declared in the schema.`)
+      );
+  }
+  return violations;
+}
+
+// Whether a write with these violations should be refused.
+function rejectsViolations(schema = null, violations = []) {
+  return schema?.enforcement === "reject" && violations.length > 0;
+}
+
+// Violations of every prepared document's metadata, prefixed with the document title.
+function documentViolations(workspace, documents = []) {
+  const schema = workspaceSchema(workspace);
+  return documents.flatMap(({ pageContent: _, id: __, ...metadata }) =>
+    validateMetadata(schema, metadata).map(
+      (violation) => `${metadata.title || "Document"}: ${violation}`
+    )
+  );
+}
+
+async function cachedMetadata(workspace) {
+  const documents = await WorkspaceDocument.where({
+    workspace_id: Number(workspace.id),
+  });
+  const records = [];
+  for (const document of documents) {
+    try {
+      const data = await readJSON(WorkspaceDocument.vectorFilepath(document));
+      data.forEach((chunk) =>
+        records.push({
+          vectorId: chunk.vectorDbId,
+          documentId: document.id,
+          metadata: chunk.metadata || {},
+        })
+      );
+    } catch (e) {
+      console.error(e.message);
+    }
+  }
+  return records;
+}
+
+// Reads the first SAMPLE_SIZE vectors straight from the vector database for workspaces
+// without a vector cache, eg: ones that have not been synced yet.
+async function sampledMetadata(connector, workspace) {
+  const vectorDb = selectConnector(connector);
+  const asRecords = (ids = [], metadatas = []) =>
+    ids.map((id, i) => ({
+      vectorId: id,
+      documentId: null,
+      metadata: metadatas[i] || {},
+    }));
+
+  if (vectorDb.name === "chroma") {
+    const { client } = await vectorDb.connect();
+    const collection = await client.getCollection({ name: workspace.fname });
+    const { ids = [], metadatas = [] } = await vectorDb.rawGet(
+      collection.id,
+      SAMPLE_SIZE,
+      0
+    );
+    return asRecords(ids, metadatas);
+  }
+
+  if (vectorDb.name === "pinecone") {
+    const { host } = await vectorDb.connect();
+    const { ids = [], metadatas = [] } = await vectorDb.rawGet(
+      host,
+      workspace.fname,
+      SAMPLE_SIZE
+    );
+    return asRecords(ids, metadatas);
+  }
+
+  if (vectorDb.name === "qdrant") {
+    const { client } = await vectorDb.connect();
+    const { points = [] } = await client.scroll(workspace.fname, {
+      limit: SAMPLE_SIZE,
+      with_payload: true,
+      with_vector: false,
+    });
+    return asRecords(
+      points.map((point) => point.id),
+      points.map((point) => point.payload)
+    );
+  }
+
+  if (vectorDb.name === "weaviate") {
+    const { client } = await vectorDb.connect();
+    const className = vectorDb.camelCase(workspace.fname);
+    const fieldNames = await vectorDb.fieldNamesForCollection(workspace.fname);
+    const objects =
+      (
+        await client.graphql
+          .get()
+          .withClassName(className)
+          .withFields(`${fieldNames.join(" ")} _additional { id }`)
+          .withLimit(SAMPLE_SIZE)
+          .do()
+      )?.data?.Get?.[className] || [];
+    return objects.map(({ _additional, ...metadata }) => ({
+      vectorId: _additional.id,
+      documentId: null,
+      metadata,
+    }));
+  }
+
+  if (["milvus", "clickhouse"].includes(vectorDb.name)) {
+    const { data = [] } = await vectorDb.rawGet(
+      workspace.fname,
+      SAMPLE_SIZE,
+      0
+    );
+    return data.map((record) => {
+      const vector = vectorDb.recordToVector(record);
+      return {
+        vectorId: vector.id,
+        documentId: null,
+        metadata: vector.metadata,
+      };
+    });
+  }
+
+  return [];
+}
+
+function valueLabel(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+// Reports every metadata key across the workspace's vectors - how often it is set, which
+// types it holds and its most common values - plus how the vectors fare against the schema.
+async function metadataProfile(workspace, connector = null) {
+  let source = "cache";
+  let records = await cachedMetadata(workspace);
+  if (records.length === 0 && !!connector) {
+    source = "sample";
+    records = await sampledMetadata(connector, workspace);
+  }
+
+  const schema = workspaceSchema(workspace);
+  const keys = {};
+  const violations = { vectors: 0, examples: [] };
+  for (const { vectorId, documentId, metadata } of records) {
+    Object.entries(metadata).forEach(([key, value]) => {
+      if (IGNORED_KEYS.includes(key)) return;
+      if (!keys.hasOwnProperty(key))
+        keys[key] = {
+          count: 0,
+          types: {},
+          values: new Map(),
+          truncated: false,
+        };
+
+      const stats = keys[key];
+      const type = typeOf(value);
+      stats.count++;
+      stats.types[type] = (stats.types[type] || 0) + 1;
+      if (["object", "null"].includes(type)) return;
+
+      const label = valueLabel(value);
+      if (stats.values.has(label)) {
+        stats.values.set(label, stats.values.get(label) + 1);
+      } else if (stats.values.size < MAX_TRACKED_VALUES) {
+        stats.values.set(label, 1);
+      } else {
+        stats.truncated = true;
+      }
+    });
+
+    const messages = validateMetadata(schema, metadata);
+    if (messages.length === 0) continue;
+    violations.vectors++;
+    if (violations.examples.length < MAX_EXAMPLES)
+      violations.examples.push({ vectorId, documentId, messages });
+  }
+
+  return {
+    source,
+    vectors: records.length,
+    keys: Object.entries(keys)
+      .map(([key, stats]) => ({
+        key,
+        count: stats.count,
+        fillRate: records.length > 0 ? stats.count / records.length : 0,
+        types: stats.types,
+        distinctValues: stats.values.size,
+        truncated: stats.truncated,
+        topValues: [...stats.values.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, TOP_VALUES)
+          .map(([value, count]) => ({ value, count })),
+      }))
+      .sort((a, b) => b.count - a.count),
+    schema,
+    violations: schema ? violations : null,
+  };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  validateSchemaDefinition,
+  workspaceSchema,
+  validateMetadata,
+  rejectsViolations,
+  documentViolations,
+  metadataProfile,
+};
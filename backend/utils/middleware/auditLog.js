@@ -0,0 +1,143 @@
+const { AuditEvent } = require("../../models/auditEvent");
+const { Organization } = require("../../models/organization");
+const { reqBody, userFromSession } = require("../http");
+
+// Every route that changes data, keyed by method and route path. GET routes that queue
+// syncs are included - POST routes that only read or search are not.
+const AUDITED_ACTIONS = {
+  "POST /v1/org/create": "organization.create",
+  "POST /v1/org/:slug": "organization.update",
+  "DELETE /v1/org/:orgSlug": "organization.delete",
+  "POST /v1/org/:slug/add-connection": "connector.create",
+  "POST /v1/org/:slug/update-connection": "connector.update",
+  "POST /v1/org/:slug/connector/:command": "connector.command",
+  "GET /v1/org/:slug/connector/:connectorId/sync": "connector.sync",
+  "POST /v1/org/:slug/connector/:connectorId/sync-schedule":
+    "connector.update_sync_schedule",
+  "POST /v1/org/:slug/embedder": "embedder.update",
+  "DELETE /v1/org/:slug/embedder": "embedder.reset",
+  "POST /v1/org/:slug/alert-channels": "alert_channel.create",
+  "POST /v1/org/:slug/alert-channels/:channelId": "alert_channel.update",
+  "DELETE /v1/org/:slug/alert-channels/:channelId": "alert_channel.delete",
+  "POST /v1/org/:slug/members/:userId/role": "member.update_role",
+  "DELETE /v1/org/:slug/members/:userId": "member.remove",
+  "POST /v1/org/:orgSlug/new-workspace": "workspace.create",
+  "POST /v1/org/:orgSlug/import-workspace": "workspace.import",
+  "DELETE /v1/org/:orgSlug/workspace/:wsSlug": "workspace.delete",
+  "POST /v1/org/:slug/workspace/:workspaceSlug/upload": "document.upload",
+  "POST /v1/org/:slug/workspace/:workspaceSlug/bulk-upload":
+    "document.bulk_upload",
+  "POST /v1/org/:slug/workspace/:workspaceSlug/import-url":
+    "document.import_url",
+  "POST /v1/org/:slug/workspace/:workspaceSlug/import-embeddings":
+    "document.import_embeddings",
+  "POST /v1/org/:slug/workspace/:workspaceSlug/clone": "workspace.clone",
+  "GET /v1/org/:slug/connector/:connectorId/sync/:workspaceSlug":
+    "workspace.sync",
+  "POST /v1/org/:orgSlug/workspace/:wsSlug/settings": "workspace.update",
+  "POST /v1/org/:orgSlug/workspace/:wsSlug/embedder":
+    "workspace.embedder_update",
+  "DELETE /v1/org/:orgSlug/workspace/:wsSlug/embedder":
+    "workspace.embedder_reset",
+  "POST /v1/org/:orgSlug/workspace/:wsSlug/metadata-schema":
+    "workspace.update_metadata_schema",
+  "POST /v1/org/:orgSlug/workspace/:wsSlug/bulk-metadata":
+    "fragment.bulk_update_metadata",
+  "DELETE /v1/document/:id": "document.delete",
+  "POST /v1/document/:id/clone": "document.clone",
+  "POST /v1/document/:id/fragment": "fragment.update",
+  "POST /v1/document/:id/fragment-metadata": "fragment.update_metadata",
+  "DELETE /v1/document/:id/fragment": "fragment.delete",
+  "POST /v1/jobs/:jobId/retry": "job.retry",
+  "POST /v1/jobs/:jobId/retry-failed": "job.retry_failed",
+  "DELETE /v1/jobs/:jobId": "job.cancel",
+  "POST /v1/user/new": "user.create",
+  "POST /v1/users/:userId": "user.update",
+  "DELETE /v1/users/:userId": "user.delete",
+  "POST /v1/tools/org/:orgSlug/migrate": "organization.migrate",
+  "POST /v1/tools/org/:orgSlug/reset": "organization.reset",
+  "POST /v1/tools/org/:orgSlug/rag-tests/create": "rag_test.create",
+  "DELETE /v1/tools/org/:orgSlug/rag-tests/:testId": "rag_test.delete",
+  "POST /v1/tools/org/:orgSlug/rag-tests/:testId/toggle-enabled":
+    "rag_test.toggle",
+  "POST /v1/tools/org/:orgSlug/rag-tests/:testId/run": "rag_test.run",
+  "POST /v1/tools/org/:orgSlug/rag-tests/:testId/alert-channels":
+    "rag_test.update_alert_channels",
+  "POST /v1/tools/org/:orgSlug/rag-test-suites/create": "rag_test_suite.create",
+  "POST /v1/tools/org/:orgSlug/rag-test-suites/:suiteId/import":
+    "rag_test_suite.import",
+  "POST /v1/tools/org/:orgSlug/rag-test-suites/:suiteId/run":
+    "rag_test_suite.run",
+  "DELETE /v1/tools/org/:orgSlug/rag-test-suites/:suiteId":
+    "rag_test_suite.delete",
+  "POST /v1/tools/org/:orgSlug/snapshots/create": "snapshot.create",
+  "POST /v1/tools/org/:orgSlug/snapshots/:snapshotId/restore":
+    "snapshot.restore",
+  "DELETE /v1/tools/org/:orgSlug/snapshots/:snapshotId": "snapshot.delete",
+};
+
+// Lets a handler describe what it changed. Anything not set here is inferred from the
+// request once the response has been sent - the target defaults to the action prefix.
+function auditDetails(response, details = {}) {
+  response.locals.audit = { ...(response.locals.audit || {}), ...details };
+}
+
+function requestPayload(request) {
+  if (!!request.file) return { filename: request.file.originalname };
+  try {
+    const body = reqBody(request);
+    return !!body && Object.keys(body).length > 0 ? body : null;
+  } catch {
+    return null;
+  }
+}
+
+async function recordAuditEvent(request, response) {
+  const action =
+    AUDITED_ACTIONS[`${request.method} ${request.route?.path}`] || null;
+  if (!action) return;
+
+  const apiKey = response.locals?.organizationApiKey || null;
+  const user = !apiKey ? await userFromSession(request) : null;
+  if (!user && !apiKey) return; // Unidentified callers never reach a handler.
+
+  const details = response.locals?.audit || {};
+  const slug = request.params?.slug || request.params?.orgSlug || null;
+  const organization =
+    details.organization !== undefined
+      ? details.organization
+      : !!slug
+      ? await Organization.get({ slug })
+      : null;
+
+  await AuditEvent.create({
+    action,
+    method: request.method,
+    path: request.originalUrl.split("?")[0],
+    statusCode: response.statusCode,
+    actor: !!user ? user.email : `API key #${apiKey.id}`,
+    target: details.target ?? action.split(".")[0],
+    targetId: details.targetId ?? null,
+    before: details.before ?? null,
+    after:
+      details.after !== undefined ? details.after : requestPayload(request),
+    userId: user?.id ?? null,
+    organizationId: organization?.id ?? apiKey?.organization_id ?? null,
+  });
+}
+
+// Records an audit event for every mutating v1 route once its response is sent.
+function auditLog(request, response, next) {
+  response.on("finish", () => {
+    recordAuditEvent(request, response).catch((e) =>
+      console.error("Failed to record audit event.", e.message)
+    );
+  });
+  next();
+}
+
+module.exports = {
+  AUDITED_ACTIONS,
+  auditLog,
+  auditDetails,
+};
@@ -1,16 +1,21 @@
 const { Configuration, OpenAIApi } = require("openai");
 class OpenAi {
-  constructor(apiKey = "") {
-    const config = new Configuration({ apiKey });
+  // basePath allows any OpenAI-compatible embedding server to be used in place of OpenAI.
+  constructor(apiKey = "", options = {}) {
+    const config = new Configuration({
+      apiKey,
+      ...(options.basePath ? { basePath: options.basePath } : {}),
+    });
     const openai = new OpenAIApi(config);
     this.openai = openai;
+    this.model = options.model || "text-embedding-ada-002";
   }
 
   async embedTextChunk(textChunk = "") {
     const {
       data: { data },
     } = await this.openai.createEmbedding({
-      model: "text-embedding-ada-002",
+      model: this.model,
       input: textChunk,
     });
     return data.length > 0 && data[0].hasOwnProperty("embedding")
@@ -22,7 +27,7 @@ class OpenAi {
     const {
       data: { data },
     } = await this.openai.createEmbedding({
-      model: "text-embedding-ada-002",
+      model: this.model,
       input: chunks,
     });
     return data.length > 0 &&
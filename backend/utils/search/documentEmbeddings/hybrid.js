@@ -0,0 +1,29 @@
+const { DocumentVectors } = require("../../../models/documentVectors");
+const {
+  OrganizationWorkspace,
+} = require("../../../models/organizationWorkspace");
+const { hybridSearch } = require("../hybrid");
+
+async function hybridFragmentSearch(document, query) {
+  const workspace = await OrganizationWorkspace.get({
+    id: Number(document.workspace_id),
+  });
+  const { results, error } = await hybridSearch(workspace, query, document.id);
+  if (error) return { fragments: [], error };
+
+  const vectorIds = results.map((result) => result.vectorId);
+  if (vectorIds.length === 0) return { fragments: [], error: null };
+
+  const fragments = await DocumentVectors.where(
+    { vectorId: { in: vectorIds }, document_id: Number(document.id) },
+    100
+  );
+  fragments.sort(
+    (a, b) => vectorIds.indexOf(a.vectorId) - vectorIds.indexOf(b.vectorId)
+  );
+  return { fragments, error: null };
+}
+
+module.exports = {
+  hybridFragmentSearch,
+};
@@ -0,0 +1,27 @@
+const { DocumentVectors } = require("../../../models/documentVectors");
+const {
+  OrganizationWorkspace,
+} = require("../../../models/organizationWorkspace");
+const { keywordSearch } = require("../keywordIndex");
+
+async function keywordFragmentSearch(document, query) {
+  const workspace = await OrganizationWorkspace.get({
+    id: Number(document.workspace_id),
+  });
+  const matches = await keywordSearch(workspace, query, 100, document.id);
+  const vectorIds = matches.map((match) => match.vectorId);
+  if (vectorIds.length === 0) return { fragments: [], error: null };
+
+  const fragments = await DocumentVectors.where(
+    { vectorId: { in: vectorIds }, document_id: Number(document.id) },
+    100
+  );
+  fragments.sort(
+    (a, b) => vectorIds.indexOf(a.vectorId) - vectorIds.indexOf(b.vectorId)
+  );
+  return { fragments, error: null };
+}
+
+module.exports = {
+  keywordFragmentSearch,
+};
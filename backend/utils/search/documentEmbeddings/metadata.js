@@ -1,4 +1,4 @@
-const { fuzzyMatch } = require("..");
+const { metadataMatcher } = require("..");
 const { DocumentVectors } = require("../../../models/documentVectors");
 const { WorkspaceDocument } = require("../../../models/workspaceDocument");
 const { readJSON } = require("../../storage");
@@ -7,16 +7,11 @@ async function findKeyValueInDoc(wsDoc, query) {
   try {
     const fragmentIds = [];
     const data = await readJSON(WorkspaceDocument.vectorFilepath(wsDoc));
-    const [keyToFind, valueToFind] = query.split(":");
+    const matches = metadataMatcher(query);
 
     for (const chunk of data) {
       if (!chunk.hasOwnProperty("metadata")) continue;
-      for (const [key, value] of Object.entries(chunk?.metadata)) {
-        const validKey = fuzzyMatch(keyToFind, key);
-        if (!validKey) continue;
-        const match = fuzzyMatch(valueToFind, String(value));
-        if (match) fragmentIds.push(chunk.vectorDbId);
-      }
+      if (matches(chunk.metadata)) fragmentIds.push(chunk.vectorDbId);
     }
 
     return fragmentIds;
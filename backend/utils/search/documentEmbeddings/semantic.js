@@ -5,8 +5,7 @@ const {
 const {
   OrganizationWorkspace,
 } = require("../../../models/organizationWorkspace");
-const { SystemSettings } = require("../../../models/systemSettings");
-const { OpenAi } = require("../../openAi");
+const { embedderForWorkspace } = require("../../embedders");
 const { selectConnector } = require("../../vectordatabases/providers");
 
 async function semanticSearch(document, query) {
@@ -19,15 +18,11 @@ async function semanticSearch(document, query) {
   if (!connector)
     return { fragments: [], error: "No connector found for org." };
 
-  const openAiKey = (await SystemSettings.get({ label: "open_ai_api_key" }))
-    ?.value;
-  if (!openAiKey)
-    return { fragments: [], error: "No OpenAI key available to embed query." };
+  const { embedder, error } = await embedderForWorkspace(workspace);
+  if (!embedder) return { fragments: [], error };
 
   const vectorDb = selectConnector(connector);
-  const openai = new OpenAi(openAiKey);
-
-  const queryVector = await openai.embedTextChunk(query);
+  const queryVector = await embedder.embedTextChunk(query);
   if (!queryVector) return { fragments: [], error: "Failed to embed query." };
 
   // Execute Similarity search for vector DB provider so we can find inferred documents.
@@ -0,0 +1,69 @@
+const {
+  OrganizationConnection,
+} = require("../../models/organizationConnection");
+const { embedderForWorkspace } = require("../embedders");
+const { selectConnector } = require("../vectordatabases/providers");
+const { keywordSearch } = require("./keywordIndex");
+
+// Standard constant from the reciprocal rank fusion paper - dampens how much
+// the very top ranks of either list dominate the fused order.
+const RRF_K = 60;
+const CANDIDATES = 20;
+
+async function semanticVectorIds(workspace, query, topK = CANDIDATES) {
+  const connector = await OrganizationConnection.get({
+    organization_id: Number(workspace.organization_id),
+  });
+  if (!connector)
+    return { vectorIds: [], error: "No connector found for org." };
+
+  const { embedder, error } = await embedderForWorkspace(workspace);
+  if (!embedder) return { vectorIds: [], error };
+
+  const queryVector = await embedder.embedTextChunk(query);
+  if (!queryVector) return { vectorIds: [], error: "Failed to embed query." };
+
+  const vectorDb = selectConnector(connector);
+  const searchResults = await vectorDb.similarityResponse(
+    workspace.fname,
+    queryVector,
+    topK
+  );
+  return { vectorIds: searchResults?.vectorIds || [], error: null };
+}
+
+// Each ranking is an ordered list of vector ids, best first.
+function reciprocalRankFusion(rankings = [], k = RRF_K) {
+  const scores = new Map();
+  rankings.forEach((ranking) => {
+    ranking.forEach((vectorId, i) => {
+      scores.set(vectorId, (scores.get(vectorId) || 0) + 1 / (k + i + 1));
+    });
+  });
+  return Array.from(scores.entries())
+    .map(([vectorId, score]) => ({ vectorId, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// Fuses the BM25 keyword ranking with the vector database similarity ranking.
+// Returns [{ vectorId, score }] with the best match first.
+async function hybridSearch(workspace, query, documentId = null) {
+  const [keywordResults, semantic] = await Promise.all([
+    keywordSearch(workspace, query, CANDIDATES, documentId),
+    semanticVectorIds(workspace, query),
+  ]);
+  if (semantic.error && keywordResults.length === 0)
+    return { results: [], error: semantic.error };
+
+  return {
+    results: reciprocalRankFusion([
+      keywordResults.map((result) => result.vectorId),
+      semantic.vectorIds,
+    ]),
+    error: null,
+  };
+}
+
+module.exports = {
+  hybridSearch,
+};
@@ -1,3 +1,8 @@
+const {
+  parseFilter,
+  evaluateFilter,
+} = require("../vectordatabases/metadataFilter");
+
 // Dirty, but works fast for most cases. Wont be perfect but also not something we should rely
 // heavily on for exact text searching.
 function fuzzyMatch(pattern, str) {
@@ -6,6 +11,21 @@ function fuzzyMatch(pattern, str) {
   return re.test(str);
 }
 
+// Metadata queries are either a filter expression like `source = "wiki" AND year >= 2022`
+// or the original fuzzy key:value pair. Returns a predicate for a chunk's metadata.
+function metadataMatcher(query = "") {
+  const { filter } = parseFilter(query);
+  if (filter) return (metadata = {}) => evaluateFilter(filter, metadata);
+
+  const [keyToFind, valueToFind] = query.split(":");
+  return (metadata = {}) =>
+    Object.entries(metadata).some(
+      ([key, value]) =>
+        fuzzyMatch(keyToFind, key) && fuzzyMatch(valueToFind, String(value))
+    );
+}
+
 module.exports = {
   fuzzyMatch,
+  metadataMatcher,
 };
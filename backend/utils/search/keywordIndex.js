@@ -0,0 +1,188 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { WorkspaceDocument } = require("../../models/workspaceDocument");
+const { readJSON, fetchMetadata } = require("../storage");
+
+// Okapi BM25 over the chunk texts found in a workspace's vector-cache files.
+// The index is written to storage/search-index and rebuilt whenever a document
+// is added, removed or has its cache file rewritten, so nothing else needs to keep it in sync.
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "by",
+  "for",
+  "from",
+  "in",
+  "is",
+  "it",
+  "of",
+  "on",
+  "or",
+  "that",
+  "the",
+  "this",
+  "to",
+  "was",
+  "with",
+]);
+const loadedIndexes = new Map();
+
+function tokenize(text = "") {
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+// Terms like "constructor" would otherwise resolve to Object.prototype members.
+function countOf(counts = {}, term) {
+  return Object.hasOwn(counts, term) ? counts[term] : 0;
+}
+
+function indexFilepath(workspace) {
+  return path.resolve(
+    __dirname,
+    `../../storage/search-index/ws_${workspace.id}.json`
+  );
+}
+
+// Fingerprint of every document cache file in the workspace, used to tell if a stored index is stale.
+async function workspaceSignature(documents = []) {
+  const hash = crypto.createHash("sha256");
+  for (const document of documents.sort((a, b) => a.id - b.id)) {
+    let modified = 0;
+    try {
+      const metadata = await fetchMetadata(
+        WorkspaceDocument.vectorFilepath(document)
+      );
+      modified = metadata.mtimeMs;
+    } catch {}
+    hash.update(`${document.id}:${modified};`);
+  }
+  return hash.digest("hex");
+}
+
+async function buildIndex(documents = [], signature = null) {
+  const chunks = [];
+  const documentFrequency = {};
+  let totalLength = 0;
+
+  for (const document of documents) {
+    let data = [];
+    try {
+      data = await readJSON(WorkspaceDocument.vectorFilepath(document));
+    } catch (e) {
+      console.error(e.message);
+      continue;
+    }
+
+    for (const chunk of data) {
+      const tokens = tokenize(chunk?.metadata?.text);
+      if (!chunk.vectorDbId || tokens.length === 0) continue;
+
+      const termFrequency = {};
+      tokens.forEach((token) => {
+        termFrequency[token] = countOf(termFrequency, token) + 1;
+      });
+      Object.keys(termFrequency).forEach((term) => {
+        documentFrequency[term] = countOf(documentFrequency, term) + 1;
+      });
+      totalLength += tokens.length;
+      chunks.push({
+        vectorId: chunk.vectorDbId,
+        documentId: document.id,
+        length: tokens.length,
+        termFrequency,
+      });
+    }
+  }
+
+  return {
+    signature,
+    averageLength: chunks.length > 0 ? totalLength / chunks.length : 0,
+    documentFrequency,
+    chunks,
+  };
+}
+
+async function loadIndex(workspace) {
+  const documents = await WorkspaceDocument.where({
+    workspace_id: Number(workspace.id),
+  });
+  const signature = await workspaceSignature(documents);
+
+  const cached = loadedIndexes.get(workspace.id);
+  if (cached?.signature === signature) return cached;
+
+  const filepath = indexFilepath(workspace);
+  if (fs.existsSync(filepath)) {
+    try {
+      const stored = await readJSON(filepath);
+      if (stored.signature === signature) {
+        loadedIndexes.set(workspace.id, stored);
+        return stored;
+      }
+    } catch {}
+  }
+
+  const index = await buildIndex(documents, signature);
+  fs.mkdirSync(path.dirname(filepath), { recursive: true });
+  fs.writeFileSync(filepath, JSON.stringify(index), "utf8");
+  loadedIndexes.set(workspace.id, index);
+  return index;
+}
+
+// Returns the best matching chunks as [{ vectorId, documentId, score }], highest score first.
+// Pass documentId to only rank the chunks of a single document.
+async function keywordSearch(
+  workspace,
+  query = "",
+  limit = 100,
+  documentId = null
+) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return [];
+
+  const index = await loadIndex(workspace);
+  const total = index.chunks.length;
+  const idf = {};
+  terms.forEach((term) => {
+    const df = countOf(index.documentFrequency, term);
+    idf[term] = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+  });
+
+  const results = [];
+  for (const chunk of index.chunks) {
+    if (documentId !== null && chunk.documentId !== Number(documentId))
+      continue;
+
+    let score = 0;
+    for (const term of terms) {
+      const tf = countOf(chunk.termFrequency, term);
+      if (!tf) continue;
+      const norm =
+        1 - BM25_B + BM25_B * (chunk.length / (index.averageLength || 1));
+      score += idf[term] * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm));
+    }
+    if (score > 0)
+      results.push({
+        vectorId: chunk.vectorId,
+        documentId: chunk.documentId,
+        score,
+      });
+  }
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+module.exports = {
+  keywordSearch,
+};
@@ -0,0 +1,34 @@
+const { DocumentVectors } = require("../../../models/documentVectors");
+const { WorkspaceDocument } = require("../../../models/workspaceDocument");
+const { hybridSearch } = require("../hybrid");
+
+async function hybridDocumentSearch(workspace, query) {
+  const { results, error } = await hybridSearch(workspace, query);
+  if (error) return { documents: [], error };
+
+  // Semantic-only matches carry no document id, so resolve every match through its vector record.
+  const vectorIds = results.map((result) => result.vectorId);
+  const documentVectors = await DocumentVectors.where({
+    vectorId: { in: vectorIds },
+  });
+  const docIds = [
+    ...new Set(
+      vectorIds
+        .map(
+          (vectorId) =>
+            documentVectors.find((record) => record.vectorId === vectorId)
+              ?.document_id
+        )
+        .filter((id) => id !== undefined)
+    ),
+  ];
+  if (docIds.length === 0) return { documents: [], error: null };
+
+  const documents = await WorkspaceDocument.where({ id: { in: docIds } });
+  documents.sort((a, b) => docIds.indexOf(a.id) - docIds.indexOf(b.id));
+  return { documents, error: null };
+}
+
+module.exports = {
+  hybridDocumentSearch,
+};
@@ -1,5 +1,7 @@
 const { Telemetry } = require("../../../models/telemetry");
 const { exactTextSearch } = require("./exactText");
+const { hybridDocumentSearch } = require("./hybrid");
+const { keywordDocumentSearch } = require("./keyword");
 const { metadataSearch } = require("./metadata");
 const { semanticSearch } = require("./semantic");
 const { vectorIdSearch } = require("./vectorId");
@@ -9,6 +11,8 @@ const SEARCH_METHODS = {
   exactText: exactTextSearch,
   metadata: metadataSearch,
   vectorId: vectorIdSearch,
+  keyword: keywordDocumentSearch,
+  hybrid: hybridDocumentSearch,
 };
 
 function validSearchMethod(method) {
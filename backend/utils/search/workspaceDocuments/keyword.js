@@ -0,0 +1,17 @@
+const { WorkspaceDocument } = require("../../../models/workspaceDocument");
+const { keywordSearch } = require("../keywordIndex");
+
+// Documents in order of their best scoring chunk.
+async function keywordDocumentSearch(workspace, query) {
+  const matches = await keywordSearch(workspace, query);
+  const docIds = [...new Set(matches.map((match) => match.documentId))];
+  if (docIds.length === 0) return { documents: [], error: null };
+
+  const documents = await WorkspaceDocument.where({ id: { in: docIds } });
+  documents.sort((a, b) => docIds.indexOf(a.id) - docIds.indexOf(b.id));
+  return { documents, error: null };
+}
+
+module.exports = {
+  keywordDocumentSearch,
+};
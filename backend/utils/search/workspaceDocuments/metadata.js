@@ -1,20 +1,15 @@
-const { fuzzyMatch } = require("..");
+const { metadataMatcher } = require("..");
 const { WorkspaceDocument } = require("../../../models/workspaceDocument");
 const { readJSON } = require("../../storage");
 
 async function findKeyValueInDoc(wsDoc, query) {
   try {
     const data = await readJSON(WorkspaceDocument.vectorFilepath(wsDoc));
-    const [keyToFind, valueToFind] = query.split(":");
+    const matches = metadataMatcher(query);
 
     for (const chunk of data) {
       if (!chunk.hasOwnProperty("metadata")) continue;
-      for (const [key, value] of Object.entries(chunk?.metadata)) {
-        const validKey = fuzzyMatch(keyToFind, key);
-        if (!validKey) continue;
-        const match = fuzzyMatch(valueToFind, String(value));
-        if (match) return wsDoc;
-      }
+      if (matches(chunk.metadata)) return wsDoc;
     }
 
     return false;
@@ -2,9 +2,8 @@ const { DocumentVectors } = require("../../../models/documentVectors");
 const {
   OrganizationConnection,
 } = require("../../../models/organizationConnection");
-const { SystemSettings } = require("../../../models/systemSettings");
 const { WorkspaceDocument } = require("../../../models/workspaceDocument");
-const { OpenAi } = require("../../openAi");
+const { embedderForWorkspace } = require("../../embedders");
 const { selectConnector } = require("../../vectordatabases/providers");
 
 async function semanticSearch(workspace, query) {
@@ -14,15 +13,11 @@ async function semanticSearch(workspace, query) {
   if (!connector)
     return { documents: [], error: "No connector found for org." };
 
-  const openAiKey = (await SystemSettings.get({ label: "open_ai_api_key" }))
-    ?.value;
-  if (!openAiKey)
-    return { documents: [], error: "No OpenAI key available to embed query." };
+  const { embedder, error } = await embedderForWorkspace(workspace);
+  if (!embedder) return { documents: [], error };
 
   const vectorDb = selectConnector(connector);
-  const openai = new OpenAi(openAiKey);
-
-  const queryVector = await openai.embedTextChunk(query);
+  const queryVector = await embedder.embedTextChunk(query);
   if (!queryVector) return { documents: [], error: "Failed to embed query." };
 
   // Execute Similarity search for vector DB provider so we can find inferred documents.
@@ -0,0 +1,72 @@
+const fs = require("fs");
+const path = require("path");
+
+// Snapshots are stored as a folder per snapshot uuid:
+// storage/snapshots/<uuid>/manifest.json - version, org, connector and workspace list.
+// storage/snapshots/<uuid>/documents/<docId>.json - document record, its document_vectors rows and vector-cache payload.
+function snapshotFolder(snapshotUuid = null) {
+  if (!snapshotUuid) throw new Error("No snapshot uuid provided.");
+  return path.resolve(__dirname, `../../storage/snapshots/${snapshotUuid}`);
+}
+
+function writeSnapshotManifest(snapshotUuid = null, manifest = {}) {
+  const folder = snapshotFolder(snapshotUuid);
+  if (!fs.existsSync(folder)) fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(
+    path.resolve(folder, "manifest.json"),
+    JSON.stringify(manifest),
+    "utf8"
+  );
+  return;
+}
+
+function writeSnapshotDocument(snapshotUuid = null, docId = null, data = {}) {
+  if (!docId) throw new Error("No document id provided for snapshot.");
+  const folder = path.resolve(snapshotFolder(snapshotUuid), "documents");
+  if (!fs.existsSync(folder)) fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(
+    path.resolve(folder, `${docId}.json`),
+    JSON.stringify(data),
+    "utf8"
+  );
+  return;
+}
+
+function readSnapshotManifest(snapshotUuid = null) {
+  const file = path.resolve(snapshotFolder(snapshotUuid), "manifest.json");
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function readSnapshotDocument(snapshotUuid = null, docId = null) {
+  const file = path.resolve(
+    snapshotFolder(snapshotUuid),
+    "documents",
+    `${docId}.json`
+  );
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function deleteSnapshotArchive(snapshotUuid = null) {
+  try {
+    const folder = snapshotFolder(snapshotUuid);
+    if (!fs.existsSync(folder)) return false;
+
+    console.log(`Removing snapshot archive ${snapshotUuid}`);
+    fs.rmSync(folder, { recursive: true, force: true });
+    return true;
+  } catch (e) {
+    console.error(`deleteSnapshotArchive`, e.message);
+    return false;
+  }
+}
+
+module.exports = {
+  snapshotFolder,
+  writeSnapshotManifest,
+  writeSnapshotDocument,
+  readSnapshotManifest,
+  readSnapshotDocument,
+  deleteSnapshotArchive,
+};
@@ -3,8 +3,12 @@ const MAX_TOKENS = {
   cl100k_base: 8192, // https://platform.openai.com/docs/guides/embeddings/second-generation-models
 };
 
+function tokenizer(model = "cl100k_base") {
+  return getEncoding(model);
+}
+
 function countLLMTokens(input) {
-  const encoding = getEncoding("cl100k_base");
+  const encoding = tokenizer("cl100k_base");
   const tokens = encoding.encode(input);
   return { tokens, length: tokens.length };
 }
@@ -17,5 +21,6 @@ function validEmbedding(input = "", buffer = 50, model = "cl100k_base") {
 
 module.exports = {
   MAX_TOKENS,
+  tokenizer,
   validEmbedding,
 };
@@ -1,9 +1,11 @@
+const { AlertChannel } = require("../../../models/alertChannel");
 const { Organization } = require("../../../models/organization");
 const {
   OrganizationWorkspace,
 } = require("../../../models/organizationWorkspace");
 const { RagTest } = require("../../../models/ragTest");
 const { reqBody } = require("../../http");
+const { parseFilter } = require("../../vectordatabases/metadataFilter");
 const { promptToVector } = require("../utils");
 
 async function createRagTest(user, request, response) {
@@ -16,6 +18,9 @@ async function createRagTest(user, request, response) {
       prompt,
       promptType = "text",
       embeddings,
+      alertChannelIds = [],
+      metadataFilter = null,
+      ...driftSettings
     },
   } = reqBody(request);
 
@@ -36,7 +41,17 @@ async function createRagTest(user, request, response) {
     return;
   }
 
-  const { queryVector, error } = await promptToVector(prompt, promptType);
+  const { error: filterError } = parseFilter(metadataFilter);
+  if (filterError) {
+    response.status(200).json({ test: null, error: filterError });
+    return;
+  }
+
+  const { queryVector, error } = await promptToVector(
+    prompt,
+    promptType,
+    workspace
+  );
   if (error) {
     response.status(200).json({
       test: null,
@@ -60,6 +75,12 @@ async function createRagTest(user, request, response) {
       promptVector: queryVector,
       topK: Number(topK),
       comparisons: embeddings,
+      metadataFilter: metadataFilter ? String(metadataFilter).trim() : null,
+      ...RagTest.driftSettings(driftSettings),
+      alertChannelIds: await AlertChannel.validIds(
+        organization.id,
+        alertChannelIds
+      ),
     },
     organization.id,
     workspace.id
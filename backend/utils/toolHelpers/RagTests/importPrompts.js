@@ -0,0 +1,157 @@
+// Parses golden prompts for a RAG test suite from CSV or JSONL.
+// CSV needs a header row with a `prompt` and an `expected_vector_ids` column, where the ids
+// are separated by `|` or `;`. JSONL lines look like
+// {"prompt": "...", "expectedVectorIds": ["id-1", "id-2"]} and may carry a pre-computed `vector`.
+const ID_SEPARATOR = /[|;]/;
+
+function parsePromptImport(format = "csv", content = "") {
+  if (!content || content.trim().length === 0)
+    return { prompts: [], errors: [{ line: 0, message: "File is empty." }] };
+
+  switch (format) {
+    case "csv":
+      return fromCSV(content);
+    case "jsonl":
+      return fromJSONL(content);
+    default:
+      return {
+        prompts: [],
+        errors: [{ line: 0, message: `Unsupported import format ${format}.` }],
+      };
+  }
+}
+
+function toPrompt({ prompt = null, expected = [], vector = null }) {
+  const expectedVectorIds = (
+    Array.isArray(expected) ? expected : String(expected).split(ID_SEPARATOR)
+  )
+    .map((id) => String(id).trim())
+    .filter((id) => id.length > 0);
+
+  if (expectedVectorIds.length === 0)
+    return { prompt: null, error: "No expected vector ids." };
+  if (Array.isArray(vector) && vector.length > 0)
+    return {
+      prompt: {
+        promptText: prompt || null,
+        promptVector: vector.map(Number),
+        expectedVectorIds,
+      },
+      error: null,
+    };
+  if (!prompt || String(prompt).trim().length === 0)
+    return { prompt: null, error: "No prompt text or vector." };
+  return {
+    prompt: { promptText: String(prompt).trim(), expectedVectorIds },
+    error: null,
+  };
+}
+
+function fromJSONL(content) {
+  const prompts = [];
+  const errors = [];
+  content.split(/\r?\n/).forEach((line, i) => {
+    if (line.trim().length === 0) return;
+    try {
+      const data = JSON.parse(line);
+      const { prompt, error } = toPrompt({
+        prompt: data.prompt ?? data.promptText,
+        expected:
+          data.expectedVectorIds ??
+          data.expected_vector_ids ??
+          data.expected ??
+          [],
+        vector: data.vector ?? data.promptVector ?? null,
+      });
+      error
+        ? errors.push({ line: i + 1, message: error })
+        : prompts.push(prompt);
+    } catch (e) {
+      errors.push({ line: i + 1, message: `Invalid JSON - ${e.message}` });
+    }
+  });
+  return { prompts, errors };
+}
+
+function fromCSV(content) {
+  const [header = [], ...rows] = csvRows(content);
+  const columns = header.map((column) => column.trim().toLowerCase());
+  const promptIdx = columns.findIndex((column) =>
+    ["prompt", "prompttext", "query"].includes(column)
+  );
+  const expectedIdx = columns.findIndex((column) =>
+    ["expected_vector_ids", "expectedvectorids", "expected"].includes(column)
+  );
+  if (promptIdx === -1 || expectedIdx === -1)
+    return {
+      prompts: [],
+      errors: [
+        {
+          line: 1,
+          message:
+            "CSV header must have a prompt and an expected_vector_ids column.",
+        },
+      ],
+    };
+
+  const prompts = [];
+  const errors = [];
+  rows.forEach((row, i) => {
+    if (row.every((cell) => cell.trim().length === 0)) return;
+    const { prompt, error } = toPrompt({
+      prompt: row[promptIdx],
+      expected: row[expectedIdx] ?? "",
+    });
+    // +2 for the header row and 1-based line numbers.
+    error ? errors.push({ line: i + 2, message: error }) : prompts.push(prompt);
+  });
+  return { prompts, errors };
+}
+
+// Minimal RFC 4180 reader - handles quoted cells with commas, newlines and "" escapes.
+function csvRows(content) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell.length > 0 || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+module.exports = {
+  parsePromptImport,
+};
@@ -0,0 +1,241 @@
+const { Organization } = require("../../models/organization");
+const {
+  OrganizationConnection,
+} = require("../../models/organizationConnection");
+const { OrganizationWorkspace } = require("../../models/organizationWorkspace");
+const { reqBody } = require("../http");
+const { selectConnector } = require("../vectordatabases/providers");
+const { promptToVector } = require("./utils");
+
+const MAX_PROMPTS = 25;
+const HISTOGRAM_BUCKETS = 10;
+
+// Runs the same prompts against two workspaces - which can live in different
+// organizations and so on different connectors - and reports how the results differ.
+async function retrievalComparison(user, request, response) {
+  const { orgSlug } = request.params;
+  const { prompts = [], topK = 5, sideA = {}, sideB = {} } = reqBody(request);
+
+  const inputs = (Array.isArray(prompts) ? prompts : [prompts])
+    .map((prompt) => String(prompt).trim())
+    .filter((prompt) => prompt.length > 0);
+  if (inputs.length === 0 || inputs.length > MAX_PROMPTS) {
+    response.status(200).json({
+      comparison: null,
+      error: `Provide between 1 and ${MAX_PROMPTS} prompts.`,
+    });
+    return;
+  }
+  if (Number(topK) < 1 || Number(topK) > 50) {
+    response
+      .status(200)
+      .json({ comparison: null, error: "Top K must be between 1 and 50." });
+    return;
+  }
+
+  const sides = [];
+  for (const side of [sideA, sideB]) {
+    const { target, error } = await resolveSide(user, orgSlug, side);
+    if (error) {
+      response.status(200).json({ comparison: null, error });
+      return;
+    }
+    sides.push(target);
+  }
+
+  const results = [];
+  for (const prompt of inputs) {
+    const [a, b] = await Promise.all(
+      sides.map((side) => searchSide(side, prompt, Number(topK)))
+    );
+    results.push({ prompt, ...comparePrompt(a, b) });
+  }
+
+  response.status(200).json({
+    comparison: {
+      topK: Number(topK),
+      sideA: describeSide(sides[0]),
+      sideB: describeSide(sides[1]),
+      summary: summarize(results),
+      results,
+    },
+    error: null,
+  });
+}
+
+async function resolveSide(user, defaultSlug, side = {}) {
+  const organization = await Organization.getWithOwner(user.id, {
+    slug: side.orgSlug || defaultSlug,
+  });
+  if (!organization) return { target: null, error: "No org found." };
+
+  const workspace = await OrganizationWorkspace.get({
+    id: Number(side.workspaceId),
+    organization_id: organization.id,
+  });
+  if (!workspace)
+    return {
+      target: null,
+      error: `No workspace found in ${organization.name}.`,
+    };
+
+  const connector = await OrganizationConnection.get({
+    organization_id: Number(organization.id),
+  });
+  if (!connector)
+    return {
+      target: null,
+      error: `No vector database is connected to ${organization.name}.`,
+    };
+
+  return { target: { organization, workspace, connector }, error: null };
+}
+
+function describeSide({ organization, workspace, connector }) {
+  return {
+    organization: { name: organization.name, slug: organization.slug },
+    workspace: { id: workspace.id, name: workspace.name },
+    connector: { type: connector.type },
+  };
+}
+
+// Each side embeds the prompt with its own workspace embedder, since a re-embedded
+// workspace may use a different model than the one it is compared against.
+async function searchSide({ workspace, connector }, prompt, topK) {
+  const { queryVector, error } = await promptToVector(
+    prompt,
+    "text",
+    workspace
+  );
+  if (!queryVector) return { results: [], error: error || "Could not embed." };
+
+  try {
+    const vectorDb = selectConnector(connector);
+    const { vectorIds, contextTexts, scores } =
+      await vectorDb.similarityResponse(workspace.fname, queryVector, topK);
+    return {
+      results: vectorIds.map((vectorId, i) => {
+        return {
+          vectorId,
+          text: contextTexts[i] ?? null,
+          score: scores[i] ?? null,
+          rank: i + 1,
+        };
+      }),
+      error: null,
+    };
+  } catch (e) {
+    return { results: [], error: e.message };
+  }
+}
+
+// Vector ids only match when both sides hold the same copy of the data, so a chunk
+// with identical text counts as the same chunk too.
+function sameChunk(a, b) {
+  if (a.vectorId === b.vectorId) return true;
+  if (!a.text || !b.text) return false;
+  const normalize = (text) => text.replace(/\s+/g, " ").trim();
+  return normalize(a.text) === normalize(b.text);
+}
+
+function comparePrompt(a, b) {
+  const matches = [];
+  const matchedB = new Set();
+  a.results.forEach((resultA) => {
+    const idx = b.results.findIndex(
+      (resultB, i) => !matchedB.has(i) && sameChunk(resultA, resultB)
+    );
+    if (idx === -1) return;
+    matchedB.add(idx);
+    const resultB = b.results[idx];
+    matches.push({
+      vectorIdA: resultA.vectorId,
+      vectorIdB: resultB.vectorId,
+      rankA: resultA.rank,
+      rankB: resultB.rank,
+      rankDelta: resultB.rank - resultA.rank,
+      scoreDelta:
+        resultA.score !== null && resultB.score !== null
+          ? resultB.score - resultA.score
+          : null,
+    });
+  });
+
+  const size = Math.max(a.results.length, b.results.length);
+  return {
+    sideA: a,
+    sideB: b,
+    matches,
+    overlapRatio: size > 0 ? matches.length / size : 0,
+    meanRankShift:
+      matches.length > 0
+        ? matches.reduce((sum, match) => sum + Math.abs(match.rankDelta), 0) /
+          matches.length
+        : null,
+    onlyInA: a.results
+      .filter((result) => !matches.some((m) => m.vectorIdA === result.vectorId))
+      .map((result) => result.vectorId),
+    onlyInB: b.results
+      .filter((_, i) => !matchedB.has(i))
+      .map((result) => result.vectorId),
+  };
+}
+
+function summarize(results = []) {
+  const mean = (values) =>
+    values.length > 0
+      ? values.reduce((sum, value) => sum + value, 0) / values.length
+      : null;
+  const scoresA = results.flatMap((r) =>
+    r.sideA.results.map((x) => x.score).filter((s) => s !== null)
+  );
+  const scoresB = results.flatMap((r) =>
+    r.sideB.results.map((x) => x.score).filter((s) => s !== null)
+  );
+
+  // Both histograms share one range so their bars line up.
+  const all = [...scoresA, ...scoresB];
+  const min = all.length > 0 ? Math.min(...all) : 0;
+  const max = all.length > 0 ? Math.max(...all) : 1;
+  const histogram = (scores) => {
+    const buckets = new Array(HISTOGRAM_BUCKETS).fill(0);
+    const width = (max - min) / HISTOGRAM_BUCKETS || 1;
+    scores.forEach((score) => {
+      const idx = Math.min(
+        Math.floor((score - min) / width),
+        HISTOGRAM_BUCKETS - 1
+      );
+      buckets[idx]++;
+    });
+    return buckets;
+  };
+  const distribution = (scores) => {
+    const sorted = [...scores].sort((x, y) => x - y);
+    return {
+      mean: mean(sorted),
+      median: sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : null,
+      min: sorted[0] ?? null,
+      max: sorted[sorted.length - 1] ?? null,
+      histogram: histogram(sorted),
+    };
+  };
+
+  return {
+    meanOverlapRatio: mean(results.map((r) => r.overlapRatio)),
+    meanRankShift: mean(
+      results.map((r) => r.meanRankShift).filter((shift) => shift !== null)
+    ),
+    identicalPrompts: results.filter(
+      (r) =>
+        r.overlapRatio === 1 &&
+        r.matches.every((match) => match.rankDelta === 0)
+    ).length,
+    scoreRange: { min, max },
+    scoresA: distribution(scoresA),
+    scoresB: distribution(scoresB),
+  };
+}
+
+module.exports = {
+  retrievalComparison,
+};
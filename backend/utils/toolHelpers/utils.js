@@ -1,7 +1,8 @@
-const { SystemSettings } = require("../../models/systemSettings");
-const { OpenAi } = require("../openAi");
+const { embedderForWorkspace } = require("../embedders");
 
-async function promptToVector(input, type = "text") {
+// Text input is embedded with the embedder configured for the workspace so the query vector
+// matches the vector space it will be compared against.
+async function promptToVector(input, type = "text", workspace = null) {
   if (input.length === 0)
     return { queryVector: null, error: "No input data to embed." };
   if (type === "vector")
@@ -10,17 +11,14 @@ async function promptToVector(input, type = "text") {
       error: null,
     };
 
-  const openAiKey = (await SystemSettings.get({ label: "open_ai_api_key" }))
-    ?.value;
-
-  if (!openAiKey)
+  const { embedder, error } = await embedderForWorkspace(workspace);
+  if (!embedder)
     return {
       queryVector: null,
-      error: "No embedding API key set - cannot embed text data.",
+      error: error || "No embedder available - cannot embed text data.",
     };
 
-  const openai = new OpenAi(openAiKey);
-  const queryVector = await openai.embedTextChunk(input);
+  const queryVector = await embedder.embedTextChunk(input);
   return { queryVector, error: null };
 }
 
@@ -4,12 +4,24 @@ const {
 } = require("../../models/organizationConnection");
 const { OrganizationWorkspace } = require("../../models/organizationWorkspace");
 const { reqBody } = require("../http");
+const { parseFilter } = require("../vectordatabases/metadataFilter");
 const { selectConnector } = require("../vectordatabases/providers");
 const { promptToVector } = require("./utils");
 
 async function workspaceSimilaritySearch(user, request, response) {
   const { orgSlug } = request.params;
-  const { workspaceId, input, inputType = "text", topK = 3 } = reqBody(request);
+  const {
+    workspaceId,
+    input,
+    inputType = "text",
+    topK = 3,
+    filter: filterExpression = null,
+  } = reqBody(request);
+  const { filter, error: filterError } = parseFilter(filterExpression);
+  if (filterError) {
+    response.status(200).json({ results: [], error: filterError });
+    return;
+  }
 
   const organization = await Organization.getWithOwner(user.id, {
     slug: orgSlug,
@@ -39,7 +51,11 @@ async function workspaceSimilaritySearch(user, request, response) {
     return;
   }
 
-  const { queryVector, error } = await promptToVector(input, inputType);
+  const { queryVector, error } = await promptToVector(
+    input,
+    inputType,
+    workspace
+  );
   if (error) {
     response.status(200).json({
       results: [],
@@ -60,7 +76,8 @@ async function workspaceSimilaritySearch(user, request, response) {
   const searchResults = await vectorDb.similarityResponse(
     workspace.fname,
     queryVector,
-    topK
+    topK,
+    filter
   );
   const results = searchResults.vectorIds.map((_, i) => {
     return {
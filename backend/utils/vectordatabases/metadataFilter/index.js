@@ -0,0 +1,319 @@
+// A small filter language over chunk metadata, eg:
+//   source = "wiki" AND year >= 2022 AND tags IN ["hr", "legal"]
+//
+// Grammar, loosest binding first. Keywords are case-insensitive.
+//   expression := and ("OR" and)*
+//   and        := unary ("AND" unary)*
+//   unary      := "NOT" unary | "(" expression ")" | condition
+//   condition  := field op value | field ["NOT"] "IN" "[" value ("," value)* "]"
+//   op         := = | != | > | >= | < | <=
+//   value      := "string" | 'string' | number | true | false
+//
+// parseFilter returns a tree with NOT already pushed down into the conditions, so a
+// provider only has to translate "and", "or" and a condition with one of OPERATORS.
+const OPERATORS = {
+  eq: "eq",
+  ne: "ne",
+  gt: "gt",
+  gte: "gte",
+  lt: "lt",
+  lte: "lte",
+  in: "in",
+  nin: "nin",
+};
+const COMPARISONS = {
+  "=": OPERATORS.eq,
+  "==": OPERATORS.eq,
+  "!=": OPERATORS.ne,
+  ">": OPERATORS.gt,
+  ">=": OPERATORS.gte,
+  "<": OPERATORS.lt,
+  "<=": OPERATORS.lte,
+};
+const NEGATIONS = {
+  eq: OPERATORS.ne,
+  ne: OPERATORS.eq,
+  gt: OPERATORS.lte,
+  gte: OPERATORS.lt,
+  lt: OPERATORS.gte,
+  lte: OPERATORS.gt,
+  in: OPERATORS.nin,
+  nin: OPERATORS.in,
+};
+const KEYWORDS = ["and", "or", "not", "in", "true", "false"];
+
+function tokenize(expression = "") {
+  const tokens = [];
+  let i = 0;
+  while (i < expression.length) {
+    const char = expression[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = "";
+      let j = i + 1;
+      while (j < expression.length && expression[j] !== char) {
+        if (expression[j] === "\\" && j + 1 < expression.length) j++;
+        value += expression[j];
+        j++;
+      }
+      if (j >= expression.length)
+        throw new Error(`Unterminated string starting at position ${i + 1}.`);
+      tokens.push({ type: "value", value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    const number = expression.slice(i).match(/^-?\d+(\.\d+)?/);
+    if (number) {
+      tokens.push({ type: "value", value: Number(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const operator = expression.slice(i).match(/^(==|!=|>=|<=|=|>|<)/);
+    if (operator) {
+      tokens.push({ type: "operator", value: operator[0], position: i });
+      i += operator[0].length;
+      continue;
+    }
+
+    if ("()[],".includes(char)) {
+      tokens.push({ type: char, value: char, position: i });
+      i++;
+      continue;
+    }
+
+    const word = expression.slice(i).match(/^[A-Za-z_][\w.-]*/);
+    if (word) {
+      const keyword = word[0].toLowerCase();
+      if (keyword === "true" || keyword === "false") {
+        tokens.push({ type: "value", value: keyword === "true", position: i });
+      } else if (KEYWORDS.includes(keyword)) {
+        tokens.push({ type: keyword, value: word[0], position: i });
+      } else {
+        tokens.push({ type: "field", value: word[0], position: i });
+      }
+      i += word[0].length;
+      continue;
+    }
+
+    throw new Error(`Unexpected "${char}" at position ${i + 1}.`);
+  }
+  return tokens;
+}
+
+function parseTokens(tokens = []) {
+  let pos = 0;
+  const peek = () => tokens[pos] || null;
+  const describe = (token) =>
+    token ? `"${token.value}" at position ${token.position + 1}` : "the end";
+  const expect = (type) => {
+    const token = peek();
+    if (token?.type !== type)
+      throw new Error(`Expected ${type} but found ${describe(token)}.`);
+    pos++;
+    return token;
+  };
+
+  function group(type, parseNext, keyword) {
+    const clauses = [parseNext()];
+    while (peek()?.type === keyword) {
+      pos++;
+      clauses.push(parseNext());
+    }
+    return clauses.length === 1 ? clauses[0] : { type, clauses };
+  }
+
+  const expression = () => group("or", and, "or");
+  const and = () => group("and", unary, "and");
+
+  function unary() {
+    const token = peek();
+    if (token?.type === "not") {
+      pos++;
+      return { type: "not", clause: unary() };
+    }
+    if (token?.type === "(") {
+      pos++;
+      const inner = expression();
+      expect(")");
+      return inner;
+    }
+    return condition();
+  }
+
+  function condition() {
+    const field = expect("field").value;
+    const token = peek();
+
+    if (token?.type === "not" || token?.type === "in") {
+      const negate = token.type === "not";
+      pos++;
+      if (negate) expect("in");
+      expect("[");
+      const values = [expect("value").value];
+      while (peek()?.type === ",") {
+        pos++;
+        values.push(expect("value").value);
+      }
+      expect("]");
+      return {
+        type: "condition",
+        field,
+        op: negate ? OPERATORS.nin : OPERATORS.in,
+        value: values,
+      };
+    }
+
+    const op = expect("operator").value;
+    return {
+      type: "condition",
+      field,
+      op: COMPARISONS[op],
+      value: expect("value").value,
+    };
+  }
+
+  const tree = expression();
+  if (pos < tokens.length)
+    throw new Error(`Unexpected ${describe(tokens[pos])}.`);
+  return tree;
+}
+
+// Pushes NOT into the conditions (De Morgan) and merges nested groups of the same type.
+function normalize(node, negated = false) {
+  if (node.type === "not") return normalize(node.clause, !negated);
+  if (node.type === "condition")
+    return negated ? { ...node, op: NEGATIONS[node.op] } : node;
+
+  const type = negated ? (node.type === "and" ? "or" : "and") : node.type;
+  const clauses = [];
+  node.clauses.forEach((clause) => {
+    const normalized = normalize(clause, negated);
+    normalized.type === type
+      ? clauses.push(...normalized.clauses)
+      : clauses.push(normalized);
+  });
+  return { type, clauses };
+}
+
+// Returns { filter, error } - filter is null for an empty expression.
+function parseFilter(expression = null) {
+  if (expression === null || String(expression).trim() === "")
+    return { filter: null, error: null };
+  try {
+    const tokens = tokenize(String(expression));
+    return { filter: normalize(parseTokens(tokens)), error: null };
+  } catch (e) {
+    return { filter: null, error: `Invalid metadata filter: ${e.message}` };
+  }
+}
+
+function filterFields(filter = null) {
+  if (!filter) return [];
+  if (filter.type === "condition") return [filter.field];
+  return [...new Set(filter.clauses.flatMap(filterFields))];
+}
+
+function fieldValue(metadata = {}, field = "") {
+  if (Object.hasOwn(metadata, field)) return metadata[field];
+  return field
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== null && typeof value === "object" && Object.hasOwn(value, key)
+          ? value[key]
+          : undefined,
+      metadata
+    );
+}
+
+function compare(actual, op, expected) {
+  switch (op) {
+    case OPERATORS.eq:
+      return actual === expected;
+    case OPERATORS.ne:
+      return actual !== expected;
+    case OPERATORS.in:
+      return expected.includes(actual);
+    case OPERATORS.nin:
+      return !expected.includes(actual);
+  }
+
+  if (typeof actual !== typeof expected) return false;
+  if (op === OPERATORS.gt) return actual > expected;
+  if (op === OPERATORS.gte) return actual >= expected;
+  if (op === OPERATORS.lt) return actual < expected;
+  if (op === OPERATORS.lte) return actual <= expected;
+  return false;
+}
+
+// A list-valued field matches when any of its items does, like tags IN ["hr"].
+function evaluateFilter(filter = null, metadata = {}) {
+  if (!filter) return true;
+  if (filter.type === "and")
+    return filter.clauses.every((clause) => evaluateFilter(clause, metadata));
+  if (filter.type === "or")
+    return filter.clauses.some((clause) => evaluateFilter(clause, metadata));
+
+  const actual = fieldValue(metadata || {}, filter.field);
+  const negative = [OPERATORS.ne, OPERATORS.nin].includes(filter.op);
+  if (actual === undefined || actual === null) return negative;
+  if (Array.isArray(actual)) {
+    return negative
+      ? actual.every((item) => compare(item, filter.op, filter.value))
+      : actual.some((item) => compare(item, filter.op, filter.value));
+  }
+  return compare(actual, filter.op, filter.value);
+}
+
+// The { $and, $or, field: { $op: value } } shape shared by Pinecone and Chroma.
+function toOperatorFilter(filter = null) {
+  if (!filter) return null;
+  if (filter.type === "and")
+    return { $and: filter.clauses.map(toOperatorFilter) };
+  if (filter.type === "or")
+    return { $or: filter.clauses.map(toOperatorFilter) };
+  return { [filter.field]: { [`$${filter.op}`]: filter.value } };
+}
+
+// For providers that cannot filter natively: search wider than topK, then keep the
+// first topK results whose metadata passes the filter.
+const POST_FILTER_FACTOR = 10;
+const POST_FILTER_LIMIT = 1000;
+
+function postFilterTopK(topK = 4) {
+  return Math.min(topK * POST_FILTER_FACTOR, POST_FILTER_LIMIT);
+}
+
+function applyFilter(result = {}, filter = null, topK = 4) {
+  const filtered = {
+    vectorIds: [],
+    contextTexts: [],
+    sourceDocuments: [],
+    scores: [],
+  };
+  result.vectorIds.forEach((vectorId, i) => {
+    if (filtered.vectorIds.length >= topK) return;
+    if (!evaluateFilter(filter, result.sourceDocuments[i])) return;
+    filtered.vectorIds.push(vectorId);
+    filtered.contextTexts.push(result.contextTexts[i]);
+    filtered.sourceDocuments.push(result.sourceDocuments[i]);
+    filtered.scores.push(result.scores[i]);
+  });
+  return filtered;
+}
+
+module.exports = {
+  OPERATORS,
+  parseFilter,
+  filterFields,
+  evaluateFilter,
+  toOperatorFilter,
+  postFilterTopK,
+  applyFilter,
+};
@@ -1,10 +1,10 @@
-const { RecursiveCharacterTextSplitter } = require("langchain/text_splitter");
-const { OpenAi } = require("../../../openAi");
+const { textSplitterForWorkspace } = require("../../../chunking");
 const { v4 } = require("uuid");
 const { DocumentVectors } = require("../../../../models/documentVectors");
 const { toChunks } = require("../../utils");
 const { storeVectorResult } = require("../../../storage");
 const { WorkspaceDocument } = require("../../../../models/workspaceDocument");
+const { toOperatorFilter } = require("../../metadataFilter");
 
 class Chroma {
   constructor(connector) {
@@ -98,10 +98,19 @@ class Chroma {
     return { result: totalVectors, error: null };
   }
 
-  // TODO: Solve this issue
-  async indexDimensions() {
-    // Chroma does not support this, defaulting to openai's 1536
-    return 1536;
+  // Chroma does not report this, so it is read from a stored embedding. An empty collection
+  // takes whatever size it is first given, which is reported as 0.
+  async indexDimensions(namespace = null) {
+    if (!namespace) return 1536;
+    try {
+      const { client } = await this.connect();
+      const collection = await client.getCollection({ name: namespace });
+      const { embeddings = [] } = await collection.peek({ limit: 1 });
+      return embeddings?.[0]?.length || 0;
+    } catch (e) {
+      console.error("indexDimensions error:", e.message);
+      return 1536;
+    }
   }
 
   // Collections === namespaces for Chroma to normalize interfaces
@@ -175,23 +184,19 @@ class Chroma {
   async processDocument(
     collectionName,
     documentData,
-    embedderApiKey,
-    dbDocument
+    embedder,
+    dbDocument,
+    textSplitter = textSplitterForWorkspace()
   ) {
     try {
-      const openai = new OpenAi(embedderApiKey);
       const { pageContent, id, ...metadata } = documentData;
-      const textSplitter = new RecursiveCharacterTextSplitter({
-        chunkSize: 1000,
-        chunkOverlap: 20,
-      });
       const textChunks = await textSplitter.splitText(pageContent);
 
       console.log("Chunks created from document:", textChunks.length);
       const documentVectors = [];
       const cacheInfo = [];
       const vectors = [];
-      const vectorValues = await openai.embedTextChunks(textChunks);
+      const vectorValues = await embedder.embedTextChunks(textChunks);
       const submission = {
         ids: [],
         embeddings: [],
@@ -231,7 +236,7 @@ class Chroma {
         }
       } else {
         console.error(
-          "Could not use OpenAI to embed document chunk! This document will not be recorded."
+          "Could not embed document chunks with the workspace embedder! This document will not be recorded."
         );
       }
 
@@ -261,7 +266,36 @@ class Chroma {
     }
   }
 
-  async similarityResponse(namespace, queryVector, topK = 4) {
+  // Writes vectors that were embedded outside of VectorAdmin, as { id, values, metadata }[]
+  // with the chunk text in metadata.text.
+  async importVectors(collectionName, vectors = []) {
+    try {
+      const { client } = await this.connect();
+      const collection = await client.getCollection({ name: collectionName });
+      for (const chunk of toChunks(vectors, 500)) {
+        const additionResult = await collection.add({
+          ids: chunk.map((v) => v.id),
+          embeddings: chunk.map((v) => v.values),
+          metadatas: chunk.map(
+            ({ metadata: { text, ...metadata } }) => metadata
+          ),
+          documents: chunk.map((v) => v.metadata.text),
+        });
+        if (!additionResult)
+          return {
+            success: false,
+            message: "Failed to push data to Chroma instance.",
+          };
+      }
+      return { success: true, message: null };
+    } catch (e) {
+      console.error("importVectors", e.message);
+      return { success: false, message: e.message };
+    }
+  }
+
+  // filter is a parsed expression from utils/vectordatabases/metadataFilter.
+  async similarityResponse(namespace, queryVector, topK = 4, filter = null) {
     const { client } = await this.connect();
     const collection = await client.getCollection({ name: namespace });
     const result = {
@@ -274,6 +308,7 @@ class Chroma {
     const response = await collection.query({
       queryEmbeddings: queryVector,
       nResults: topK,
+      ...(filter ? { where: toOperatorFilter(filter) } : {}),
     });
     response.ids[0].forEach((_, i) => {
       result.vectorIds.push(response.ids[0][i]);
@@ -3,8 +3,17 @@
  *
  * Note: ClickHouse is primarily an OLAP database, not a vector DB.
  * This connector provides browsing capabilities for Silas time-series data
- * (jobs, metrics, logs) stored in ClickHouse.
+ * (jobs, metrics, logs) stored in ClickHouse, and stores embeddings in tables
+ * with a managed layout (see createTable) that are searched with
+ * cosineDistance or L2Distance.
  */
+const { textSplitterForWorkspace } = require("../../../chunking");
+const { v4 } = require("uuid");
+const { DocumentVectors } = require("../../../../models/documentVectors");
+const { toChunks } = require("../../utils");
+const { storeVectorResult } = require("../../../storage");
+const { WorkspaceDocument } = require("../../../../models/workspaceDocument");
+const { postFilterTopK, applyFilter } = require("../../metadataFilter");
 
 class ClickHouse {
   constructor(connector) {
@@ -18,6 +27,26 @@ class ClickHouse {
     return { type, settings };
   }
 
+  // Distance function used for similarity search - "cosine" unless the connector
+  // settings ask for "l2".
+  distanceMetric() {
+    const { settings } = this.config;
+    return String(settings.metric || "cosine").toLowerCase() === "l2"
+      ? "l2"
+      : "cosine";
+  }
+
+  // cosineDistance is 0-2 where 0 is identical, L2Distance is unbounded.
+  // Both are normalized to a 0-1 similarity score like the other providers.
+  distanceToScore(distance = null) {
+    if (distance === null || isNaN(Number(distance))) return 0.0;
+    distance = Number(distance);
+    if (this.distanceMetric() === "l2") return 1 / (1 + Math.max(distance, 0));
+    if (distance >= 1.0) return 0;
+    if (distance <= 0) return 1;
+    return 1 - distance;
+  }
+
   async connect() {
     const { createClient } = require("@clickhouse/client");
     const { settings } = this.config;
@@ -56,7 +85,8 @@ class ClickHouse {
       const database = settings.database || "default";
 
       const result = await client.query({
-        query: `SELECT sum(rows) as total FROM system.parts WHERE database = '${database}' AND active = 1`,
+        query: `SELECT sum(rows) as total FROM system.parts WHERE database = {database:String} AND active = 1`,
+        query_params: { database },
         format: "JSONEachRow",
       });
 
@@ -88,9 +118,10 @@ class ClickHouse {
             total_bytes,
             engine
           FROM system.tables
-          WHERE database = '${database}'
+          WHERE database = {database:String}
           ORDER BY name
         `,
+        query_params: { database },
         format: "JSONEachRow",
       });
 
@@ -129,8 +160,9 @@ class ClickHouse {
             engine,
             create_table_query
           FROM system.tables
-          WHERE database = '${database}' AND name = '${name}'
+          WHERE database = {database:String} AND name = {name:String}
         `,
+        query_params: { database, name },
         format: "JSONEachRow",
       });
 
@@ -149,8 +181,9 @@ class ClickHouse {
             default_kind,
             default_expression
           FROM system.columns
-          WHERE database = '${database}' AND table = '${name}'
+          WHERE database = {database:String} AND table = {name:String}
         `,
+        query_params: { database, name },
         format: "JSONEachRow",
       });
 
@@ -181,7 +214,8 @@ class ClickHouse {
       const database = settings.database || "default";
 
       const result = await client.query({
-        query: `SELECT 1 FROM system.tables WHERE database = '${database}' AND name = '${name}'`,
+        query: `SELECT 1 FROM system.tables WHERE database = {database:String} AND name = {name:String}`,
+        query_params: { database, name },
         format: "JSONEachRow",
       });
 
@@ -193,14 +227,197 @@ class ClickHouse {
     }
   }
 
-  async rawGet(tableName, pageSize = 10, offset = 0) {
+  // Fully qualified and escaped `database`.`table` identifier for use in queries.
+  // Backslashes are escaped first, otherwise a trailing one would escape the closing quote.
+  tableIdentifier(name = "") {
+    const { settings } = this.config;
+    const database = settings.database || "default";
+    const escape = (value) =>
+      `\`${String(value).replace(/\\/g, "\\\\").replace(/`/g, "\\`")}\``;
+    return `${escape(database)}.${escape(name)}`;
+  }
+
+  // Vector columns have no fixed size, so this is the length of a stored vector
+  // or 0 when the table is empty or missing.
+  async indexDimensions(name = null) {
+    if (!name || !(await this.isVectorTable(name))) return 0;
+    try {
+      const { client } = await this.connect();
+      const result = await client.query({
+        query: `SELECT length(vector) AS dimensions FROM ${this.tableIdentifier(
+          name
+        )} LIMIT 1`,
+        format: "JSONEachRow",
+      });
+      const data = await result.json();
+      await client.close();
+      return Number(data[0]?.dimensions || 0);
+    } catch (e) {
+      console.error("indexDimensions error:", e.message);
+      return 0;
+    }
+  }
+
+  // Tables created by VectorAdmin to hold embeddings all share this layout.
+  // Any other table in the database is treated as non-vector data and is ignored by syncs.
+  async createTable(name = null) {
+    if (!name) throw new Error("No namespace (table) value provided.");
+    const { client } = await this.connect();
+    await client.command({
+      query: `
+        CREATE TABLE IF NOT EXISTS ${this.tableIdentifier(name)} (
+          id String,
+          vector Array(Float32),
+          text String,
+          metadata String
+        ) ENGINE = MergeTree ORDER BY id
+      `,
+    });
+    await client.close();
+    return { name };
+  }
+
+  async dropTable(name = null) {
+    if (!name) throw new Error("No namespace (table) value provided.");
+    const { client } = await this.connect();
+    await client.command({
+      query: `DROP TABLE IF EXISTS ${this.tableIdentifier(name)}`,
+    });
+    await client.close();
+    return true;
+  }
+
+  async isVectorTable(name = null) {
+    if (!name) return false;
     try {
       const { client } = await this.connect();
       const { settings } = this.config;
-      const database = settings.database || "default";
+      const result = await client.query({
+        query: `SELECT name FROM system.columns WHERE database = {database:String} AND table = {table:String}`,
+        query_params: { database: settings.database || "default", table: name },
+        format: "JSONEachRow",
+      });
+      const columns = (await result.json()).map((column) => column.name);
+      await client.close();
+      return ["id", "vector", "text", "metadata"].every((column) =>
+        columns.includes(column)
+      );
+    } catch (e) {
+      console.error("isVectorTable error:", e.message);
+      return false;
+    }
+  }
+
+  // Normalize a table row into the { id, values, metadata } format used by the vector cache.
+  recordToVector(record = {}) {
+    let metadata = {};
+    try {
+      metadata = record.metadata ? JSON.parse(record.metadata) : {};
+    } catch (e) {
+      metadata = {};
+    }
+    return {
+      id: record.id,
+      values: (record.vector || []).map(Number),
+      metadata: { ...metadata, text: record.text || metadata.text || "" },
+    };
+  }
+
+  // vectors: { id, values, metadata }[]
+  async insertVectors(name, vectors = []) {
+    const { client } = await this.connect();
+    for (const chunk of toChunks(vectors, 500)) {
+      await client.insert({
+        table: this.tableIdentifier(name),
+        values: chunk.map((v) => ({
+          id: v.id,
+          vector: v.values,
+          text: v.metadata?.text || "",
+          metadata: JSON.stringify(v.metadata || {}),
+        })),
+        format: "JSONEachRow",
+      });
+    }
+    await client.close();
+    return true;
+  }
+
+  // MergeTree keeps every inserted row, so rows with the same ids are removed first and
+  // writing the same vectors twice leaves a single copy of each.
+  async upsertVectors(name, vectors = []) {
+    const { client } = await this.connect();
+    for (const chunk of toChunks(vectors, 500)) {
+      await client.command({
+        query: `ALTER TABLE ${this.tableIdentifier(
+          name
+        )} DELETE WHERE id IN {ids:Array(String)}`,
+        query_params: { ids: chunk.map((v) => String(v.id)) },
+        clickhouse_settings: { mutations_sync: "1" },
+      });
+    }
+    await client.close();
+    return await this.insertVectors(name, vectors);
+  }
 
+  // Rewrites an existing row in place. Mutations are run synchronously so the
+  // change is visible to the next read.
+  async updateVector(name, { id, values, metadata = {} }) {
+    const { client } = await this.connect();
+    await client.command({
+      query: `
+        ALTER TABLE ${this.tableIdentifier(name)}
+        UPDATE vector = {vector:Array(Float32)}, text = {text:String}, metadata = {metadata:String}
+        WHERE id = {id:String}
+      `,
+      query_params: {
+        id,
+        vector: values,
+        text: metadata?.text || "",
+        metadata: JSON.stringify(metadata),
+      },
+      clickhouse_settings: { mutations_sync: "1" },
+    });
+    await client.close();
+    return true;
+  }
+
+  async getVectors(name, ids = []) {
+    if (ids.length === 0) return [];
+    const { client } = await this.connect();
+    const result = await client.query({
+      query: `SELECT id, vector, text, metadata FROM ${this.tableIdentifier(
+        name
+      )} WHERE id IN {ids:Array(String)}`,
+      query_params: { ids: ids.map(String) },
+      format: "JSONEachRow",
+    });
+    const data = await result.json();
+    await client.close();
+    return data.map((record) => this.recordToVector(record));
+  }
+
+  async paginateVectors(name, pageSize = 500, offset = 0) {
+    const { client } = await this.connect();
+    const result = await client.query({
+      query: `SELECT id, vector, text, metadata FROM ${this.tableIdentifier(
+        name
+      )} ORDER BY id LIMIT {limit:UInt32} OFFSET {offset:UInt32}`,
+      query_params: { limit: pageSize, offset },
+      format: "JSONEachRow",
+    });
+    const data = await result.json();
+    await client.close();
+    return data.map((record) => this.recordToVector(record));
+  }
+
+  async rawGet(tableName, pageSize = 10, offset = 0) {
+    try {
+      const { client } = await this.connect();
       const result = await client.query({
-        query: `SELECT * FROM ${database}.${tableName} LIMIT ${pageSize} OFFSET ${offset}`,
+        query: `SELECT * FROM ${this.tableIdentifier(
+          tableName
+        )} LIMIT {limit:UInt32} OFFSET {offset:UInt32}`,
+        query_params: { limit: Number(pageSize), offset: Number(offset) },
         format: "JSONEachRow",
       });
 
@@ -218,49 +435,144 @@ class ClickHouse {
     }
   }
 
-  // ClickHouse is not a vector DB, so these methods are simplified/stubbed
   async processDocument(
     tableName,
     documentData,
-    embedderApiKey,
-    dbDocument
+    embedder,
+    dbDocument,
+    textSplitter = textSplitterForWorkspace()
   ) {
-    // ClickHouse doesn't process documents the same way vector DBs do
-    // This is a stub to maintain interface compatibility
-    return {
-      success: false,
-      message: "ClickHouse is not a vector database - document processing not supported"
-    };
+    try {
+      const { pageContent, id, ...metadata } = documentData;
+      const textChunks = await textSplitter.splitText(pageContent);
+
+      console.log("Chunks created from document:", textChunks.length);
+      const documentVectors = [];
+      const cacheInfo = [];
+      const vectors = [];
+      const vectorValues = await embedder.embedTextChunks(textChunks);
+
+      if (!!vectorValues && vectorValues.length > 0) {
+        for (const [i, vector] of vectorValues.entries()) {
+          const vectorRecord = {
+            id: v4(),
+            values: vector,
+            metadata: { ...metadata, text: textChunks[i] },
+          };
+
+          vectors.push(vectorRecord);
+          documentVectors.push({
+            docId: id,
+            vectorId: vectorRecord.id,
+            documentId: dbDocument.id,
+            workspaceId: dbDocument.workspace_id,
+            organizationId: dbDocument.organization_id,
+          });
+          cacheInfo.push({
+            vectorDbId: vectorRecord.id,
+            values: vector,
+            metadata: vectorRecord.metadata,
+          });
+        }
+      } else {
+        console.error(
+          "Could not embed document chunks with the workspace embedder! This document will not be recorded."
+        );
+        return { success: false, message: "Failed to generate embeddings" };
+      }
+
+      if (!(await this.namespaceExists(null, tableName)))
+        await this.createTable(tableName);
+      if (!(await this.isVectorTable(tableName)))
+        return {
+          success: false,
+          message: `ClickHouse table ${tableName} is not a vector table.`,
+        };
+
+      await this.insertVectors(tableName, vectors);
+      await DocumentVectors.createMany(documentVectors);
+      await storeVectorResult(
+        cacheInfo,
+        WorkspaceDocument.vectorFilename(dbDocument)
+      );
+      return { success: true, message: null };
+    } catch (e) {
+      console.error("processDocument error:", e.message);
+      return { success: false, message: e.message };
+    }
   }
 
-  async similarityResponse(namespace, queryVector, topK = 4) {
-    // ClickHouse can support vector similarity with specialized functions
-    // but this would require specific table schema setup
-    return {
+  // vectors: { id, values, metadata }[] embedded outside of VectorAdmin.
+  async importVectors(tableName, vectors = []) {
+    try {
+      if (!(await this.namespaceExists(null, tableName)))
+        await this.createTable(tableName);
+      if (!(await this.isVectorTable(tableName)))
+        return {
+          success: false,
+          message: `ClickHouse table ${tableName} is not a vector table.`,
+        };
+
+      await this.insertVectors(tableName, vectors);
+      return { success: true, message: null };
+    } catch (e) {
+      console.error("importVectors error:", e.message);
+      return { success: false, message: e.message };
+    }
+  }
+
+  // Metadata is stored as a JSON string, so a filter is applied to a wider search
+  // in process rather than in SQL.
+  async similarityResponse(namespace, queryVector, topK = 4, filter = null) {
+    const response = {
       vectorIds: [],
       contextTexts: [],
       sourceDocuments: [],
       scores: [],
     };
-  }
-
-  async getMetadata(namespace = "", ids = []) {
-    if (!ids.length) return [];
 
     try {
+      const distanceFn =
+        this.distanceMetric() === "l2" ? "L2Distance" : "cosineDistance";
       const { client } = await this.connect();
-      const { settings } = this.config;
-      const database = settings.database || "default";
-
-      const idList = ids.map((id) => `'${id}'`).join(",");
       const result = await client.query({
-        query: `SELECT * FROM ${database}.${namespace} WHERE id IN (${idList})`,
+        query: `
+          SELECT id, text, metadata, ${distanceFn}(vector, {vector:Array(Float32)}) AS distance
+          FROM ${this.tableIdentifier(namespace)}
+          ORDER BY distance ASC
+          LIMIT {limit:UInt32}
+        `,
+        query_params: {
+          vector: queryVector,
+          limit: filter ? postFilterTopK(Number(topK)) : Number(topK),
+        },
         format: "JSONEachRow",
       });
-
       const data = await result.json();
       await client.close();
-      return data;
+
+      for (const row of data) {
+        const { metadata } = this.recordToVector(row);
+        response.vectorIds.push(row.id);
+        response.contextTexts.push(row.text || "");
+        response.sourceDocuments.push(metadata);
+        response.scores.push(this.distanceToScore(row.distance));
+      }
+      return filter ? applyFilter(response, filter, Number(topK)) : response;
+    } catch (e) {
+      console.error("similarityResponse error:", e.message);
+      return response;
+    }
+  }
+
+  async getMetadata(namespace = "", ids = []) {
+    if (!ids.length) return [];
+
+    try {
+      const vectors = await this.getVectors(namespace, ids);
+      return vectors.map(({ id, metadata }) => {
+        return { ...metadata, vectorId: id };
+      });
     } catch (e) {
       console.error("getMetadata error:", e.message);
       return [];
@@ -270,12 +582,11 @@ class ClickHouse {
   async deleteVectors(namespace, ids = []) {
     try {
       const { client } = await this.connect();
-      const { settings } = this.config;
-      const database = settings.database || "default";
-
-      const idList = ids.map((id) => `'${id}'`).join(",");
       await client.command({
-        query: `ALTER TABLE ${database}.${namespace} DELETE WHERE id IN (${idList})`,
+        query: `ALTER TABLE ${this.tableIdentifier(
+          namespace
+        )} DELETE WHERE id IN {ids:Array(String)}`,
+        query_params: { ids: ids.map(String) },
       });
 
       await client.close();
@@ -1,10 +1,15 @@
-const { RecursiveCharacterTextSplitter } = require("langchain/text_splitter");
-const { OpenAi } = require("../../../openAi");
+const { textSplitterForWorkspace } = require("../../../chunking");
 const { v4 } = require("uuid");
 const { DocumentVectors } = require("../../../../models/documentVectors");
 const { toChunks } = require("../../utils");
 const { storeVectorResult } = require("../../../storage");
 const { WorkspaceDocument } = require("../../../../models/workspaceDocument");
+const {
+  OPERATORS,
+  filterFields,
+  postFilterTopK,
+  applyFilter,
+} = require("../../metadataFilter");
 
 class Milvus {
   constructor(connector) {
@@ -88,7 +93,10 @@ class Milvus {
           });
           totalVectors += parseInt(stats.data?.row_count || 0);
         } catch (e) {
-          console.error(`Failed to get stats for ${collectionName}:`, e.message);
+          console.error(
+            `Failed to get stats for ${collectionName}:`,
+            e.message
+          );
         }
       }
 
@@ -199,6 +207,100 @@ class Milvus {
     }
   }
 
+  // Collections created by VectorAdmin all share the same schema as what processDocument
+  // inserts - a string primary key, the embedding, the chunk text and a JSON metadata string.
+  async createCollection(name = null, dimensions = 1536) {
+    if (!name) throw new Error("No namespace value provided.");
+    const { DataType } = require("@zilliz/milvus2-sdk-node");
+    const { client } = await this.connect();
+
+    await client.createCollection({
+      collection_name: name,
+      description: `Collection created by VectorAdmin named ${name}`,
+      fields: [
+        {
+          name: "id",
+          data_type: DataType.VarChar,
+          is_primary_key: true,
+          max_length: 64,
+        },
+        {
+          name: "vector",
+          data_type: DataType.FloatVector,
+          dim: dimensions,
+        },
+        { name: "text", data_type: DataType.VarChar, max_length: 65535 },
+        { name: "metadata", data_type: DataType.VarChar, max_length: 65535 },
+      ],
+    });
+    await client.createIndex({
+      collection_name: name,
+      field_name: "vector",
+      index_type: "AUTOINDEX",
+      metric_type: "COSINE",
+    });
+    await client.loadCollection({ collection_name: name });
+    return { name };
+  }
+
+  async dropCollection(name = null) {
+    if (!name) throw new Error("No namespace value provided.");
+    const { client } = await this.connect();
+    await client.dropCollection({ collection_name: name });
+    return true;
+  }
+
+  // Normalize a Milvus row into the { id, values, metadata } format used by the vector cache.
+  recordToVector(record = {}) {
+    let metadata = {};
+    try {
+      metadata = record.metadata ? JSON.parse(record.metadata) : {};
+    } catch (e) {
+      metadata = {};
+    }
+    return {
+      id: record.id,
+      values: record.vector || [],
+      metadata: { ...metadata, text: record.text || metadata.text || "" },
+    };
+  }
+
+  // vectors: { id, values, metadata }[] - rows with an existing id are overwritten.
+  async upsertVectors(name, vectors = []) {
+    const { client } = await this.connect();
+    await client.loadCollection({ collection_name: name });
+
+    for (const chunk of toChunks(vectors, 500)) {
+      const result = await client.upsert({
+        collection_name: name,
+        data: chunk.map((v) => ({
+          id: v.id,
+          vector: v.values,
+          text: v.metadata?.text || "",
+          metadata: JSON.stringify(v.metadata || {}),
+        })),
+      });
+      if (result?.status?.error_code && result.status.error_code !== "Success")
+        throw new Error(`Milvus::Upsert failed ${result.status.reason}`);
+    }
+    return true;
+  }
+
+  async getVectors(name, ids = []) {
+    if (ids.length === 0) return [];
+    const { client } = await this.connect();
+    await client.loadCollection({ collection_name: name });
+
+    const result = await client.query({
+      collection_name: name,
+      filter: `id in [${ids
+        .map((id) => JSON.stringify(String(id)))
+        .join(",")}]`,
+      output_fields: ["id", "vector", "text", "metadata"],
+    });
+    return (result.data || []).map((record) => this.recordToVector(record));
+  }
+
   async rawGet(collectionName, pageSize = 10, offset = 0) {
     try {
       const { client } = await this.connect();
@@ -228,23 +330,19 @@ class Milvus {
   async processDocument(
     collectionName,
     documentData,
-    embedderApiKey,
-    dbDocument
+    embedder,
+    dbDocument,
+    textSplitter = textSplitterForWorkspace()
   ) {
     try {
-      const openai = new OpenAi(embedderApiKey);
       const { pageContent, id, ...metadata } = documentData;
-      const textSplitter = new RecursiveCharacterTextSplitter({
-        chunkSize: 1000,
-        chunkOverlap: 20,
-      });
       const textChunks = await textSplitter.splitText(pageContent);
 
       console.log("Chunks created from document:", textChunks.length);
       const documentVectors = [];
       const cacheInfo = [];
       const vectors = [];
-      const vectorValues = await openai.embedTextChunks(textChunks);
+      const vectorValues = await embedder.embedTextChunks(textChunks);
 
       if (!!vectorValues && vectorValues.length > 0) {
         for (const [i, vector] of vectorValues.entries()) {
@@ -270,7 +368,7 @@ class Milvus {
         }
       } else {
         console.error(
-          "Could not use OpenAI to embed document chunk! This document will not be recorded."
+          "Could not embed document chunks with the workspace embedder! This document will not be recorded."
         );
         return { success: false, message: "Failed to generate embeddings" };
       }
@@ -307,18 +405,94 @@ class Milvus {
     }
   }
 
-  async similarityResponse(namespace, queryVector, topK = 4) {
+  // vectors: { id, values, metadata }[] embedded outside of VectorAdmin.
+  async importVectors(collectionName, vectors = []) {
+    try {
+      const { client } = await this.connect();
+      await client.loadCollection({ collection_name: collectionName });
+      for (const chunk of toChunks(vectors, 500)) {
+        await client.insert({
+          collection_name: collectionName,
+          data: chunk.map((v) => ({
+            id: v.id,
+            vector: v.values,
+            text: v.metadata.text || "",
+            metadata: JSON.stringify(v.metadata),
+          })),
+        });
+      }
+      return { success: true, message: null };
+    } catch (e) {
+      console.error("importVectors error:", e.message);
+      return { success: false, message: e.message };
+    }
+  }
+
+  // Builds a Milvus boolean expression when every filtered field can be addressed natively -
+  // as a scalar field of the collection or a key of a JSON typed metadata field. Collections
+  // created by VectorAdmin keep metadata as a JSON string, which Milvus cannot filter on.
+  async nativeFilter(client, namespace, filter) {
+    const info = await client.describeCollection({
+      collection_name: namespace,
+    });
+    const fields = info.schema?.fields || [];
+    const jsonMetadata = fields.some(
+      (field) =>
+        field.name === "metadata" &&
+        (field.data_type === "JSON" || field.data_type === 23)
+    );
+    const scalarFields = fields
+      .filter((field) => !["id", "vector", "metadata"].includes(field.name))
+      .map((field) => field.name);
+    if (
+      !jsonMetadata &&
+      !filterFields(filter).every((field) => scalarFields.includes(field))
+    )
+      return null;
+
+    const expression = (node) => {
+      if (node.type !== "condition")
+        return `(${node.clauses
+          .map(expression)
+          .join(node.type === "and" ? " && " : " || ")})`;
+
+      const field = scalarFields.includes(node.field)
+        ? node.field
+        : `metadata[${JSON.stringify(node.field)}]`;
+      const value = JSON.stringify(node.value);
+      const operators = {
+        [OPERATORS.eq]: "==",
+        [OPERATORS.ne]: "!=",
+        [OPERATORS.gt]: ">",
+        [OPERATORS.gte]: ">=",
+        [OPERATORS.lt]: "<",
+        [OPERATORS.lte]: "<=",
+        [OPERATORS.in]: "in",
+        [OPERATORS.nin]: "not in",
+      };
+      return `${field} ${operators[node.op]} ${value}`;
+    };
+    return expression(filter);
+  }
+
+  // filter is a parsed expression from utils/vectordatabases/metadataFilter.
+  async similarityResponse(namespace, queryVector, topK = 4, filter = null) {
     try {
       const { client } = await this.connect();
 
       // Ensure collection is loaded
       await client.loadCollection({ collection_name: namespace });
 
+      const expression = filter
+        ? await this.nativeFilter(client, namespace, filter)
+        : null;
+      const postFilter = !!filter && expression === null;
       const result = await client.search({
         collection_name: namespace,
         vector: queryVector,
-        limit: topK,
+        limit: postFilter ? postFilterTopK(topK) : topK,
         output_fields: ["*"],
+        ...(expression ? { filter: expression } : {}),
       });
 
       const response = {
@@ -342,7 +516,7 @@ class Milvus {
         response.sourceDocuments.push(metadata);
       }
 
-      return response;
+      return postFilter ? applyFilter(response, filter, topK) : response;
     } catch (e) {
       console.error("similarityResponse error:", e.message);
       return {
@@ -1,10 +1,10 @@
-const { RecursiveCharacterTextSplitter } = require("langchain/text_splitter");
-const { OpenAi } = require("../../../openAi");
+const { textSplitterForWorkspace } = require("../../../chunking");
 const { v4 } = require("uuid");
 const { DocumentVectors } = require("../../../../models/documentVectors");
 const { toChunks } = require("../../utils");
 const { storeVectorResult } = require("../../../storage");
 const { WorkspaceDocument } = require("../../../../models/workspaceDocument");
+const { toOperatorFilter } = require("../../metadataFilter");
 
 class Pinecone {
   constructor(connector) {
@@ -288,24 +288,20 @@ class Pinecone {
   async processDocument(
     namespace,
     documentData,
-    embedderApiKey,
+    embedder,
     dbDocument,
-    pineconeIndex
+    pineconeIndex,
+    textSplitter = textSplitterForWorkspace()
   ) {
     try {
-      const openai = new OpenAi(embedderApiKey);
       const { pageContent, id, ...metadata } = documentData;
-      const textSplitter = new RecursiveCharacterTextSplitter({
-        chunkSize: 1000,
-        chunkOverlap: 20,
-      });
       const textChunks = await textSplitter.splitText(pageContent);
 
       console.log("Chunks created from document:", textChunks.length);
       const documentVectors = [];
       const cacheInfo = [];
       const vectors = [];
-      const vectorValues = await openai.embedTextChunks(textChunks);
+      const vectorValues = await embedder.embedTextChunks(textChunks);
       const submission = {
         ids: [],
         embeddings: [],
@@ -345,7 +341,7 @@ class Pinecone {
         }
       } else {
         console.error(
-          "Could not use OpenAI to embed document chunk! This document will not be recorded."
+          "Could not embed document chunks with the workspace embedder! This document will not be recorded."
         );
       }
 
@@ -374,7 +370,24 @@ class Pinecone {
     }
   }
 
-  async similarityResponse(namespace, queryVector, topK = 4) {
+  // vectors: { id, values, metadata }[] embedded outside of VectorAdmin.
+  async importVectors(namespace, vectors = []) {
+    try {
+      const { pineconeIndex } = await this.connect();
+      for (const chunk of toChunks(vectors, 500)) {
+        await pineconeIndex.upsert({
+          upsertRequest: { vectors: [...chunk], namespace },
+        });
+      }
+      return { success: true, message: null };
+    } catch (e) {
+      console.error("importVectors", e.message);
+      return { success: false, message: e.message };
+    }
+  }
+
+  // filter is a parsed expression from utils/vectordatabases/metadataFilter.
+  async similarityResponse(namespace, queryVector, topK = 4, filter = null) {
     const { pineconeIndex } = await this.connect();
     const result = {
       vectorIds: [],
@@ -388,6 +401,7 @@ class Pinecone {
         vector: queryVector,
         topK,
         includeMetadata: true,
+        ...(filter ? { filter: toOperatorFilter(filter) } : {}),
       },
     });
 
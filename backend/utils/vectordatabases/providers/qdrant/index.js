@@ -1,10 +1,10 @@
-const { RecursiveCharacterTextSplitter } = require("langchain/text_splitter");
-const { OpenAi } = require("../../../openAi");
+const { textSplitterForWorkspace } = require("../../../chunking");
 const { v4 } = require("uuid");
 const { DocumentVectors } = require("../../../../models/documentVectors");
 const { toChunks } = require("../../utils");
 const { storeVectorResult } = require("../../../storage");
 const { WorkspaceDocument } = require("../../../../models/workspaceDocument");
+const { OPERATORS } = require("../../metadataFilter");
 
 class QDrant {
   constructor(connector) {
@@ -121,21 +121,22 @@ class QDrant {
 
   // Split, embed, and save a given document data that we get from the document processor
   // API.
-  async processDocument(namespace, documentData, embedderApiKey, dbDocument) {
+  async processDocument(
+    namespace,
+    documentData,
+    embedder,
+    dbDocument,
+    textSplitter = textSplitterForWorkspace()
+  ) {
     try {
-      const openai = new OpenAi(embedderApiKey);
       const { pageContent, id, ...metadata } = documentData;
-      const textSplitter = new RecursiveCharacterTextSplitter({
-        chunkSize: 1000,
-        chunkOverlap: 20,
-      });
       const textChunks = await textSplitter.splitText(pageContent);
 
       console.log("Chunks created from document:", textChunks.length);
       const documentVectors = [];
       const cacheInfo = [];
       const vectors = [];
-      const vectorValues = await openai.embedTextChunks(textChunks);
+      const vectorValues = await embedder.embedTextChunks(textChunks);
 
       if (!!vectorValues && vectorValues.length > 0) {
         for (const [i, vector] of vectorValues.entries()) {
@@ -164,7 +165,7 @@ class QDrant {
         }
       } else {
         console.error(
-          "Could not use OpenAI to embed document chunk! This document will not be recorded."
+          "Could not embed document chunks with the workspace embedder! This document will not be recorded."
         );
       }
 
@@ -195,7 +196,55 @@ class QDrant {
     }
   }
 
-  async similarityResponse(namespace, queryVector, topK = 4) {
+  // vectors: { id, values, metadata }[] embedded outside of VectorAdmin.
+  async importVectors(namespace, vectors = []) {
+    try {
+      const { client } = await this.connect();
+      for (const chunk of toChunks(vectors, 500)) {
+        await client.upsert(namespace, {
+          wait: true,
+          batch: {
+            ids: chunk.map((v) => v.id),
+            vectors: chunk.map((v) => v.values),
+            payloads: chunk.map((v) => v.metadata),
+          },
+        });
+      }
+      return { success: true, message: null };
+    } catch (e) {
+      console.error("importVectors", e.message);
+      return { success: false, message: e.message };
+    }
+  }
+
+  // Qdrant nests filters as conditions, so every group maps onto must/should directly.
+  nativeFilter(filter) {
+    if (filter.type === "and")
+      return {
+        must: filter.clauses.map((clause) => this.nativeFilter(clause)),
+      };
+    if (filter.type === "or")
+      return {
+        should: filter.clauses.map((clause) => this.nativeFilter(clause)),
+      };
+
+    const { field: key, op, value } = filter;
+    switch (op) {
+      case OPERATORS.eq:
+        return { key, match: { value } };
+      case OPERATORS.ne:
+        return { must_not: [{ key, match: { value } }] };
+      case OPERATORS.in:
+        return { key, match: { any: value } };
+      case OPERATORS.nin:
+        return { key, match: { except: value } };
+      default:
+        return { key, range: { [op]: value } };
+    }
+  }
+
+  // filter is a parsed expression from utils/vectordatabases/metadataFilter.
+  async similarityResponse(namespace, queryVector, topK = 4, filter = null) {
     const { client } = await this.connect();
     const result = {
       vectorIds: [],
@@ -208,6 +257,14 @@ class QDrant {
       vector: queryVector,
       limit: topK,
       with_payload: true,
+      ...(filter
+        ? {
+            filter:
+              filter.type === "condition"
+                ? { must: [this.nativeFilter(filter)] }
+                : this.nativeFilter(filter),
+          }
+        : {}),
     });
 
     responses.forEach((response) => {
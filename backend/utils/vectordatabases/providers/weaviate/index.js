@@ -1,10 +1,10 @@
-const { RecursiveCharacterTextSplitter } = require("langchain/text_splitter");
-const { OpenAi } = require("../../../openAi");
+const { textSplitterForWorkspace } = require("../../../chunking");
 const { v4 } = require("uuid");
 const { DocumentVectors } = require("../../../../models/documentVectors");
 const { toChunks } = require("../../utils");
 const { storeVectorResult } = require("../../../storage");
 const { WorkspaceDocument } = require("../../../../models/workspaceDocument");
+const { OPERATORS } = require("../../metadataFilter");
 
 class Weaviate {
   constructor(connector) {
@@ -307,22 +307,23 @@ class Weaviate {
 
   // Split, embed, and save a given document data that we get from the document processor
   // API.
-  async processDocument(namespace, documentData, embedderApiKey, dbDocument) {
+  async processDocument(
+    namespace,
+    documentData,
+    embedder,
+    dbDocument,
+    textSplitter = textSplitterForWorkspace()
+  ) {
     try {
       const className = this.camelCase(namespace);
-      const openai = new OpenAi(embedderApiKey);
       const { pageContent, id, ...metadata } = documentData;
-      const textSplitter = new RecursiveCharacterTextSplitter({
-        chunkSize: 1000,
-        chunkOverlap: 20,
-      });
       const textChunks = await textSplitter.splitText(pageContent);
 
       console.log("Chunks created from document:", textChunks.length);
       const documentVectors = [];
       const cacheInfo = [];
       const vectors = [];
-      const vectorValues = await openai.embedTextChunks(textChunks);
+      const vectorValues = await embedder.embedTextChunks(textChunks);
 
       if (!!vectorValues && vectorValues.length > 0) {
         for (const [i, vector] of vectorValues.entries()) {
@@ -355,7 +356,7 @@ class Weaviate {
         }
       } else {
         console.error(
-          "Could not use OpenAI to embed document chunk! This document will not be recorded."
+          "Could not embed document chunks with the workspace embedder! This document will not be recorded."
         );
       }
 
@@ -378,7 +379,76 @@ class Weaviate {
     }
   }
 
-  async similarityResponse(namespace, queryVector, topK = 4) {
+  // vectors: { id, values, metadata }[] embedded outside of VectorAdmin.
+  async importVectors(namespace, vectors = []) {
+    try {
+      const className = this.camelCase(namespace);
+      const { client } = await this.connect();
+      for (const chunk of toChunks(vectors, 500)) {
+        const { success, errors } = await this.addVectors(
+          client,
+          chunk.map((v) => ({
+            id: v.id,
+            class: className,
+            vector: v.values,
+            properties: this.flattenObjectForWeaviate(v.metadata),
+          }))
+        );
+        if (!success)
+          return {
+            success: false,
+            message:
+              errors.filter(Boolean).join(" ") ||
+              "Failed to push data to Weaviate instance.",
+          };
+      }
+      return { success: true, message: null };
+    } catch (e) {
+      console.error("importVectors", e.message);
+      return { success: false, message: e.message };
+    }
+  }
+
+  // Weaviate has no IN operator for scalar properties, so IN and NOT IN expand
+  // into Or/And groups of Equal and NotEqual.
+  nativeFilter(filter) {
+    if (filter.type !== "condition")
+      return {
+        operator: filter.type === "and" ? "And" : "Or",
+        operands: filter.clauses.map((clause) => this.nativeFilter(clause)),
+      };
+
+    const { field, op, value } = filter;
+    if (op === OPERATORS.in || op === OPERATORS.nin) {
+      const operands = value.map((item) =>
+        this.nativeFilter({
+          type: "condition",
+          field,
+          op: op === OPERATORS.in ? OPERATORS.eq : OPERATORS.ne,
+          value: item,
+        })
+      );
+      if (operands.length === 1) return operands[0];
+      return { operator: op === OPERATORS.in ? "Or" : "And", operands };
+    }
+
+    const operators = {
+      [OPERATORS.eq]: "Equal",
+      [OPERATORS.ne]: "NotEqual",
+      [OPERATORS.gt]: "GreaterThan",
+      [OPERATORS.gte]: "GreaterThanEqual",
+      [OPERATORS.lt]: "LessThan",
+      [OPERATORS.lte]: "LessThanEqual",
+    };
+    let valueKey = "valueNumber";
+    if (typeof value === "string") valueKey = "valueText";
+    if (typeof value === "boolean") valueKey = "valueBoolean";
+    if (Number.isInteger(value)) valueKey = "valueInt";
+    return { path: [field], operator: operators[op], [valueKey]: value };
+  }
+
+  // filter is a parsed expression from utils/vectordatabases/metadataFilter.
+  async similarityResponse(namespace, queryVector, topK = 4, filter = null) {
     const { client } = await this.connect();
     const className = this.camelCase(namespace);
     const result = {
@@ -391,13 +461,14 @@ class Weaviate {
     const queryString = `${fieldsForCollection.join(
       " "
     )} _additional { id certainty }`;
-    const queryResponse = await client.graphql
+    let query = client.graphql
       .get()
       .withClassName(className)
       .withFields(queryString)
       .withNearVector({ vector: queryVector })
-      .withLimit(topK)
-      .do();
+      .withLimit(topK);
+    if (filter) query = query.withWhere(this.nativeFilter(filter));
+    const queryResponse = await query.do();
 
     const responses = queryResponse?.data?.Get?.[className];
     responses.forEach((response) => {
@@ -0,0 +1,382 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const moment = require("moment");
+const { v4 } = require("uuid");
+const { tokenizer } = require("../tokenizer");
+const {
+  parseHtml,
+  decodeEntities,
+} = require("../documentProcessor/parsers/html");
+
+// page    - only the given url
+// sitemap - every page listed in the sitemap.xml at the url, following nested sitemaps
+// crawl   - the url and the same-origin pages it links to, up to maxDepth links away
+const MODES = ["page", "sitemap", "crawl"];
+const DEFAULT_MAX_PAGES = 25;
+const MAX_PAGES = 500;
+const DEFAULT_MAX_DEPTH = 1;
+const MAX_DEPTH = 5;
+const MAX_SITEMAPS = 20;
+const FETCH_TIMEOUT_MS = 15_000;
+const MAX_REDIRECTS = 5;
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+const HTML_TYPES = ["text/html", "application/xhtml+xml"];
+const TEXT_TYPES = ["text/plain", "text/markdown"];
+// Links to these are never pages, so they are not worth fetching while crawling.
+const SKIPPED_LINKS =
+  /\.(png|jpe?g|gif|svg|webp|ico|css|js|mjs|woff2?|ttf|mp3|mp4|webm|zip|gz|tar|exe|dmg)$/i;
+
+// The url as an absolute http(s) url without its fragment, or null when it is not one.
+function normalizeUrl(input = "", base = undefined) {
+  try {
+    const url = new URL(String(input).trim(), base);
+    if (!["http:", "https:"].includes(url.protocol)) return null;
+    url.hash = "";
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+function clamp(value, fallback, max) {
+  const number = Math.floor(Number(value));
+  if (!Number.isFinite(number) || number < 0) return fallback;
+  return Math.min(number, max);
+}
+
+// Fills in and bounds the options of an import, a url ending in .xml is read as a sitemap.
+function crawlOptions(url, options = {}) {
+  const mode = MODES.includes(options.mode)
+    ? options.mode
+    : new URL(url).pathname.toLowerCase().endsWith(".xml")
+    ? "sitemap"
+    : "page";
+  return {
+    mode,
+    maxDepth: clamp(options.maxDepth, DEFAULT_MAX_DEPTH, MAX_DEPTH),
+    maxPages: Math.max(
+      1,
+      clamp(options.maxPages, DEFAULT_MAX_PAGES, MAX_PAGES)
+    ),
+  };
+}
+
+// Documents are named after their url, so importing the same page again finds the
+// document it created the first time.
+function documentName(url) {
+  return url.replace(/^https?:\/\//, "");
+}
+
+// Addresses on the server's own network, IPv4-mapped IPv6 addresses are matched against
+// the IPv4 ranges. Pages are read back into the workspace, so
+// fetching these would expose internal services and cloud metadata endpoints.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv6")
+);
+
+// URL_IMPORT_ALLOWED_HOSTS lets imports reach hosts on the private network, eg: a local
+// test server, as a comma separated list of hostnames or host:port pairs.
+function allowedPrivateHosts() {
+  return (process.env.URL_IMPORT_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function isAllowedHost(url) {
+  const { host, hostname } = new URL(url);
+  const allowed = allowedPrivateHosts();
+  return allowed.includes(host.toLowerCase()) || allowed.includes(hostname);
+}
+
+function isPrivateAddress(address = "") {
+  const type = net.isIP(address);
+  if (!type) return true;
+  return PRIVATE_ADDRESSES.check(address, type === 4 ? "ipv4" : "ipv6");
+}
+
+// Used as the lookup of page requests so the addresses a connection is made to are the
+// ones that were checked, a host cannot pass urlRejection and then resolve elsewhere.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address)))
+      return callback(
+        new Error(`${hostname} is on a private network and cannot be reached.`)
+      );
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Returns why a url cannot be imported or sent alerts, or null when it can.
+async function urlRejection(input = "") {
+  const url = normalizeUrl(input);
+  if (!url) return `${input} is not a valid http(s) url.`;
+  if (isAllowedHost(url)) return null;
+
+  const { hostname } = new URL(url);
+  const name = hostname.replace(/^\[(.*)\]$/, "$1");
+  try {
+    const addresses = net.isIP(name)
+      ? [{ address: name }]
+      : await dns.promises.lookup(name, { all: true, verbatim: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address)))
+      return `${hostname} is on a private network and cannot be reached.`;
+    return null;
+  } catch {
+    return `${hostname} could not be resolved.`;
+  }
+}
+
+// A single GET of the url without following redirects. The body is only read for
+// successful responses and never past MAX_PAGE_BYTES.
+function request(url, signal) {
+  const client = new URL(url).protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.get(
+      url,
+      {
+        signal,
+        headers: { "User-Agent": "VectorAdmin URL importer" },
+        ...(isAllowedHost(url) ? {} : { lookup: publicLookup }),
+      },
+      (response) => {
+        const { statusCode: status, headers } = response;
+        if (status < 200 || status >= 300) {
+          response.resume();
+          resolve({ status, headers, body: null });
+          return;
+        }
+        if (Number(headers["content-length"]) > MAX_PAGE_BYTES) {
+          response.destroy();
+          reject(new Error("Page is larger than 5MB."));
+          return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        response.on("data", (chunk) => {
+          size += chunk.length;
+          if (size > MAX_PAGE_BYTES) {
+            response.destroy();
+            reject(new Error("Page is larger than 5MB."));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        response.on("end", () =>
+          resolve({ status, headers, body: Buffer.concat(chunks) })
+        );
+        response.on("error", reject);
+        response.on("close", () => {
+          if (!response.complete)
+            reject(
+              new Error("The connection closed before the page was read.")
+            );
+        });
+      }
+    );
+    req.on("error", reject);
+  });
+}
+
+// Redirects are followed by hand so every hop is checked before it is requested.
+async function fetchPage(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    let response = null;
+    let location = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const rejection = await urlRejection(location);
+      if (rejection) throw new Error(rejection);
+      response = await request(location, controller.signal);
+      if (response.status < 300 || response.status >= 400) break;
+
+      const redirect = response.headers.location;
+      const next = redirect ? normalizeUrl(redirect, location) : null;
+      if (!next) throw new Error("Redirected to an invalid url.");
+      if (hop === MAX_REDIRECTS)
+        throw new Error(`More than ${MAX_REDIRECTS} redirects.`);
+      location = next;
+    }
+    if (!response.body)
+      throw new Error(`Request failed with status ${response.status}.`);
+
+    return {
+      url: location,
+      contentType: (response.headers["content-type"] || "")
+        .split(";")[0]
+        .trim()
+        .toLowerCase(),
+      body: response.body,
+    };
+  } catch (e) {
+    if (e.name === "AbortError")
+      throw new Error(`No response within ${FETCH_TIMEOUT_MS / 1000}s.`);
+    throw e;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// The page and nested sitemap urls of a sitemap.xml or sitemap index.
+function sitemapLocations(xml = "") {
+  const locations = (block) =>
+    [
+      ...block.matchAll(
+        /<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/gi
+      ),
+    ]
+      .map(([, loc]) => normalizeUrl(decodeEntities(loc)))
+      .filter(Boolean);
+  return {
+    pages: [...xml.matchAll(/<url>([\s\S]*?)<\/url>/gi)].flatMap(([, block]) =>
+      locations(block)
+    ),
+    sitemaps: [...xml.matchAll(/<sitemap>([\s\S]*?)<\/sitemap>/gi)].flatMap(
+      ([, block]) => locations(block)
+    ),
+  };
+}
+
+// The links of a page that stay on the origin it was crawled from.
+function pageLinks(html = "", pageUrl, origin) {
+  return [...html.matchAll(/<a\s[^>]*?href\s*=\s*["']([^"']+)["']/gi)]
+    .map(([, href]) => normalizeUrl(decodeEntities(href), pageUrl))
+    .filter(
+      (link) =>
+        !!link &&
+        new URL(link).origin === origin &&
+        !SKIPPED_LINKS.test(new URL(link).pathname)
+    );
+}
+
+// Converts a fetched page into the same document shape the document processor returns.
+// contentHash lets a later import of the page tell whether its text changed.
+async function pageDocument({ url, contentType, body }) {
+  let content = null;
+  let description = null;
+  if (HTML_TYPES.includes(contentType)) {
+    ({ content, description } = await parseHtml(body));
+  } else if (TEXT_TYPES.includes(contentType)) {
+    content = body.toString("utf8").trim();
+  } else {
+    throw new Error(
+      `${contentType || "Pages without a content type"} cannot be imported.`
+    );
+  }
+  if (!content) throw new Error("No readable text found on the page.");
+
+  return {
+    id: v4(),
+    url,
+    title: documentName(url),
+    docAuthor: "No author found",
+    description: description || "a web page imported by the user.",
+    docSource: "web page imported by the user.",
+    chunkSource: `link://${url}`,
+    published: moment().format("YYYY-MM-DD HH:mm:ss"),
+    wordCount: content.length,
+    pageContent: content,
+    token_count_estimate: tokenizer().encode(content).length,
+    contentHash: crypto.createHash("sha256").update(content).digest("hex"),
+  };
+}
+
+async function sitemapPages(sitemapUrl, maxPages, failures) {
+  const queue = [sitemapUrl];
+  const visited = new Set();
+  const pages = new Set();
+  while (
+    queue.length > 0 &&
+    visited.size < MAX_SITEMAPS &&
+    pages.size < maxPages
+  ) {
+    const url = queue.shift();
+    if (visited.has(url)) continue;
+    visited.add(url);
+    try {
+      const { body } = await fetchPage(url);
+      const { pages: locations, sitemaps } = sitemapLocations(
+        body.toString("utf8")
+      );
+      locations.forEach((location) => pages.add(location));
+      queue.push(...sitemaps);
+    } catch (e) {
+      failures.push({ url, reason: `Could not read sitemap: ${e.message}` });
+    }
+  }
+  return [...pages].slice(0, maxPages);
+}
+
+// Fetches the pages an import covers and returns them as documents, along with the
+// pages that could not be imported as [{ url, reason }].
+async function crawl(startUrl, options = {}) {
+  const url = normalizeUrl(startUrl);
+  if (!url) throw new Error(`${startUrl} is not a valid http(s) url.`);
+  const { mode, maxDepth, maxPages } = crawlOptions(url, options);
+  const origin = new URL(url).origin;
+  const documents = [];
+  const failures = [];
+  const seen = new Set();
+
+  let frontier =
+    mode === "sitemap" ? await sitemapPages(url, maxPages, failures) : [url];
+  for (let depth = 0; frontier.length > 0; depth++) {
+    const next = [];
+    for (const pageUrl of frontier) {
+      if (documents.length >= maxPages) break;
+      if (seen.has(documentName(pageUrl))) continue;
+      seen.add(documentName(pageUrl));
+      try {
+        const page = await fetchPage(pageUrl);
+        if (page.url !== pageUrl) {
+          if (seen.has(documentName(page.url))) continue;
+          seen.add(documentName(page.url));
+        }
+        documents.push(await pageDocument(page));
+        if (mode === "crawl" && depth < maxDepth)
+          next.push(...pageLinks(page.body.toString("utf8"), page.url, origin));
+      } catch (e) {
+        failures.push({ url: pageUrl, reason: e.message });
+      }
+    }
+    frontier = next;
+  }
+  return { documents, failures, options: { mode, maxDepth, maxPages } };
+}
+
+module.exports = {
+  MODES,
+  normalizeUrl,
+  urlRejection,
+  crawlOptions,
+  documentName,
+  crawl,
+};
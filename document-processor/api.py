@@ -10,7 +10,9 @@ def prepare_for_embed():
   content = request.json
   target_filename = os.path.normpath(content.get('filename')).lstrip(os.pardir + os.sep)
   print(f"Processing {target_filename}")
-  success, reason, metadata = extract_text(WATCH_DIRECTORY, target_filename)
+  # Uploads are staged in their own folder, eg: hotdir/<upload id>/report.pdf
+  directory, filename = os.path.split(os.path.join(WATCH_DIRECTORY, target_filename))
+  success, reason, metadata = extract_text(directory, filename)
   return json.dumps({'filename': target_filename, 'success': success, 'reason': reason, 'metadata': metadata})
 
 @api.route('/accepts', methods=['GET'])
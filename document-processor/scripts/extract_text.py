@@ -22,7 +22,7 @@ def extract_text(directory, target_doc):
 
   if fileext not in FILETYPES.keys():
     print(f"{fileext} not a supported file type for conversion. It will not be processed.")
-    move_source(new_destination_filename=target_doc, failed=True, remove=True)
+    move_source(working_dir=directory, new_destination_filename=target_doc, failed=True, remove=True)
     return (False, f"{fileext} not a supported file type for conversion. It will not be processed.", [])
 
   metadata = FILETYPES[fileext](
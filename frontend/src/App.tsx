@@ -25,16 +25,26 @@ const OnboardingSecuritySetup = lazy(
 const OnboardingFlow = lazy(() => import('@/pages/OnboardingFlow'));
 
 const OrganizationJobsView = lazy(() => import('@/pages/Jobs'));
+const OrganizationAuditLogView = lazy(() => import('@/pages/AuditLog'));
 const OrganizationToolsView = lazy(() => import('@/pages/Tools'));
 const SystemSettingsView = lazy(() => import('@/pages/SystemSettings'));
 const MigrateConnectionView = lazy(
   () => import('@/pages/Tools/MigrateConnection')
 );
 const ResetConnectionView = lazy(() => import('@/pages/Tools/ResetConnection'));
+const SnapshotConnectionView = lazy(
+  () => import('@/pages/Tools/SnapshotConnection')
+);
 const RAGTestingView = lazy(() => import('@/pages/Tools/RAGTesting'));
 const RAGDriftTestRunsView = lazy(
   () => import('@/pages/Tools/RAGTesting/RecentRuns')
 );
+const RAGTestSuiteRunsView = lazy(
+  () => import('@/pages/Tools/RAGTesting/RecentRuns/SuiteRuns')
+);
+const RetrievalComparisonView = lazy(
+  () => import('@/pages/Tools/RetrievalComparison')
+);
 
 function App() {
   return (
@@ -63,6 +73,11 @@ function App() {
             element={<PrivateRoute Component={OrganizationJobsView} />}
           />
 
+          <Route
+            path="/dashboard/:slug/audit-log"
+            element={<PrivateRoute Component={OrganizationAuditLogView} />}
+          />
+
           <Route
             path="/dashboard/:slug/workspace/:workspaceSlug"
             element={<PrivateRoute Component={WorkspaceDashboard} />}
@@ -96,6 +111,10 @@ function App() {
             path="/dashboard/:slug/tools/db-reset"
             element={<PrivateRoute Component={ResetConnectionView} />}
           />
+          <Route
+            path="/dashboard/:slug/tools/db-snapshots"
+            element={<PrivateRoute Component={SnapshotConnectionView} />}
+          />
           <Route
             path="/dashboard/:slug/tools/rag-testing"
             element={<PrivateRoute Component={RAGTestingView} />}
@@ -104,6 +123,14 @@ function App() {
             path="/dashboard/:slug/tools/rag-testing/:testId"
             element={<PrivateRoute Component={RAGDriftTestRunsView} />}
           />
+          <Route
+            path="/dashboard/:slug/tools/rag-testing/suites/:suiteId"
+            element={<PrivateRoute Component={RAGTestSuiteRunsView} />}
+          />
+          <Route
+            path="/dashboard/:slug/tools/retrieval-comparison"
+            element={<PrivateRoute Component={RetrievalComparisonView} />}
+          />
 
           <Route path="/auth/sign-up" element={<SignUp />} />
           <Route path="/auth/sign-in" element={<SignIn />} />
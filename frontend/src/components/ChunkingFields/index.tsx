@@ -0,0 +1,105 @@
+import { useEffect, useState } from 'react';
+
+const STRATEGIES = [
+  {
+    value: 'character',
+    name: 'Character',
+    description:
+      'Split on paragraphs, lines and words to fit a character limit.',
+  },
+  {
+    value: 'token',
+    name: 'Token',
+    description: 'Split into windows of a fixed number of tokens.',
+  },
+  {
+    value: 'markdown',
+    name: 'Markdown headers',
+    description:
+      'Keep each markdown section together and prefix chunks with their headers.',
+  },
+];
+
+type ChunkingSettings = {
+  chunkingStrategy?: string;
+  chunkSize?: number;
+  chunkOverlap?: number;
+};
+
+// Inputs for a workspace chunking strategy - read them back from the parent form
+// with chunkingFromForm.
+export default function ChunkingFields({
+  settings = {},
+}: {
+  settings?: ChunkingSettings;
+}) {
+  const [strategy, setStrategy] = useState<string>(
+    settings?.chunkingStrategy || 'character'
+  );
+
+  useEffect(() => {
+    setStrategy(settings?.chunkingStrategy || 'character');
+  }, [settings?.chunkingStrategy]);
+
+  const unit = strategy === 'token' ? 'tokens' : 'characters';
+  return (
+    <div className="flex w-full flex-col gap-y-4">
+      <div>
+        <label className="mb-2.5 block text-sm font-medium text-white">
+          Chunking Strategy
+        </label>
+        <select
+          name="chunking::chunkingStrategy"
+          value={strategy}
+          onChange={(e) => setStrategy(e.target.value)}
+          className="w-full rounded-lg border border-white/10 bg-main-2 px-4 py-2 text-white"
+        >
+          {STRATEGIES.map(({ value, name }) => (
+            <option key={value} value={value}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <p className="mt-2 text-xs text-white/60">
+          {STRATEGIES.find(({ value }) => value === strategy)?.description}
+        </p>
+      </div>
+      <div className="flex gap-x-4">
+        <div className="w-full">
+          <label className="mb-2.5 block text-sm font-medium text-white">
+            Chunk size ({unit})
+          </label>
+          <input
+            type="number"
+            name="chunking::chunkSize"
+            required={true}
+            min={1}
+            defaultValue={settings?.chunkSize ?? 1000}
+            className="w-full rounded-lg border border-white/10 bg-main-2 px-4 py-2 text-sm text-white"
+          />
+        </div>
+        <div className="w-full">
+          <label className="mb-2.5 block text-sm font-medium text-white">
+            Chunk overlap ({unit})
+          </label>
+          <input
+            type="number"
+            name="chunking::chunkOverlap"
+            required={true}
+            min={0}
+            defaultValue={settings?.chunkOverlap ?? 20}
+            className="w-full rounded-lg border border-white/10 bg-main-2 px-4 py-2 text-sm text-white"
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export function chunkingFromForm(form: FormData) {
+  return {
+    chunkingStrategy: form.get('chunking::chunkingStrategy') as string,
+    chunkSize: Number(form.get('chunking::chunkSize')),
+    chunkOverlap: Number(form.get('chunking::chunkOverlap')),
+  };
+}
@@ -0,0 +1,164 @@
+import { useEffect, useState } from 'react';
+import { IEmbedder } from '@/models/organization';
+
+const PROVIDER_LABELS: { [key: string]: string } = {
+  openai: 'OpenAI',
+  cohere: 'Cohere',
+  'openai-compatible': 'OpenAI-compatible HTTP endpoint',
+};
+
+const DEFAULT_MODELS: { [key: string]: { model: string; dimensions: number } } =
+  {
+    openai: { model: 'text-embedding-ada-002', dimensions: 1536 },
+    cohere: { model: 'embed-english-v3.0', dimensions: 1024 },
+    'openai-compatible': { model: '', dimensions: 768 },
+  };
+
+type EmbedderFieldsProps = {
+  embedder: IEmbedder | null;
+  providers: string[];
+};
+
+// Inputs for an embedder config - read them back from the parent form
+// with embedderFromForm.
+export default function EmbedderFields({
+  embedder,
+  providers,
+}: EmbedderFieldsProps) {
+  const [provider, setProvider] = useState<string>(
+    embedder?.provider || 'openai'
+  );
+  const [model, setModel] = useState<string>(
+    embedder?.model || DEFAULT_MODELS.openai.model
+  );
+  const [dimensions, setDimensions] = useState<number>(
+    embedder?.dimensions || DEFAULT_MODELS.openai.dimensions
+  );
+
+  useEffect(() => {
+    setProvider(embedder?.provider || 'openai');
+    setModel(embedder?.model || DEFAULT_MODELS.openai.model);
+    setDimensions(embedder?.dimensions || DEFAULT_MODELS.openai.dimensions);
+  }, [embedder]);
+
+  const changeProvider = (value: string) => {
+    setProvider(value);
+    setModel(DEFAULT_MODELS[value]?.model ?? '');
+    setDimensions(DEFAULT_MODELS[value]?.dimensions ?? 1536);
+  };
+
+  return (
+    <div className="flex w-full flex-col gap-y-4">
+      <div>
+        <label className="mb-2.5 block text-sm font-medium text-white">
+          Embedding Provider
+        </label>
+        <select
+          name="embedder::provider"
+          value={provider}
+          onChange={(e) => changeProvider(e.target.value)}
+          className="w-full rounded-lg border border-white/10 bg-main-2 px-4 py-2 text-white"
+        >
+          {(providers.length > 0 ? providers : ['openai']).map((value) => (
+            <option key={value} value={value}>
+              {PROVIDER_LABELS[value] || value}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {provider !== 'openai' && (
+        <div>
+          <label className="mb-2.5 block text-sm font-medium text-white">
+            Endpoint
+          </label>
+          <input
+            type="url"
+            name="embedder::endpoint"
+            required={provider === 'openai-compatible'}
+            placeholder={
+              provider === 'cohere'
+                ? 'https://api.cohere.ai/v1'
+                : 'http://localhost:8080/v1'
+            }
+            defaultValue={embedder?.endpoint || ''}
+            autoComplete="off"
+            className="w-full rounded-lg border border-white/10 bg-main-2 px-4 py-2 text-sm text-white"
+          />
+        </div>
+      )}
+
+      <div>
+        <label className="mb-2.5 block text-sm font-medium text-white">
+          Model
+        </label>
+        <input
+          type="text"
+          name="embedder::model"
+          required={true}
+          value={model}
+          onChange={(e) => setModel(e.target.value)}
+          autoComplete="off"
+          className="w-full rounded-lg border border-white/10 bg-main-2 px-4 py-2 text-sm text-white"
+        />
+      </div>
+
+      <div>
+        <label className="mb-2.5 block text-sm font-medium text-white">
+          Dimensions
+        </label>
+        <p className="mb-2 text-xs text-white/60">
+          Must match the vector size of your index or collection.
+        </p>
+        <input
+          type="number"
+          name="embedder::dimensions"
+          required={true}
+          min={1}
+          value={dimensions}
+          onChange={(e) => setDimensions(Number(e.target.value))}
+          className="w-full rounded-lg border border-white/10 bg-main-2 px-4 py-2 text-sm text-white"
+        />
+      </div>
+
+      <div>
+        <label className="mb-2.5 block text-sm font-medium text-white">
+          API Key
+        </label>
+        <p className="mb-2 text-xs text-white/60">
+          {embedder?.hasApiKey
+            ? 'A key is saved - leave blank to keep using it.'
+            : provider === 'openai'
+            ? 'Leave blank to use the instance OpenAI key.'
+            : provider === 'cohere'
+            ? 'Your Cohere API key.'
+            : 'Optional for endpoints that do not require authentication.'}
+        </p>
+        <input
+          type="password"
+          name="embedder::apiKey"
+          placeholder="sk-xxxxxxxx"
+          autoComplete="off"
+          className="w-full rounded-lg border border-white/10 bg-main-2 px-4 py-2 text-sm text-white"
+        />
+      </div>
+    </div>
+  );
+}
+
+export function embedderFromForm(form: FormData) {
+  const data: { [key: string]: any } = {};
+  for (const [key, value] of form.entries()) {
+    if (!key.startsWith('embedder::')) continue;
+    data[key.replace('embedder::', '')] = value;
+  }
+  data.dimensions = Number(data.dimensions);
+  return data;
+}
+
+// Only OpenAI embedders need a key before documents can be embedded - the backend reports
+// hasApiKey for OpenAI configs that fall back to the instance key.
+export function canEmbed(embedder: IEmbedder | null) {
+  if (!embedder) return false;
+  return embedder.provider !== 'openai' || !!embedder.hasApiKey;
+}
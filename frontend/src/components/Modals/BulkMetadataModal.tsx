@@ -0,0 +1,392 @@
+import { memo, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { PlusCircle, Trash } from 'react-feather';
+import Workspace, {
+  IBulkMetadataOperation,
+  IBulkMetadataPreview,
+  IBulkMetadataSelection,
+} from '@/models/workspace';
+import Jobs from '@/models/jobs';
+import paths from '@/utils/paths';
+
+type Progress = {
+  total: number;
+  processed: number;
+  updated: number;
+  missing: number;
+};
+type EditableOperation = IBulkMetadataOperation & {
+  valueType: 'string' | 'number' | 'boolean';
+};
+const PROGRESS_POLL_INTERVAL = 3_000;
+const ACTIONS = {
+  add: 'Add key (keep existing values)',
+  set: 'Set key (overwrite values)',
+  rename: 'Rename key',
+  remove: 'Remove key',
+};
+// Weaviate cannot drop properties, so keys can only be added or updated there.
+const APPEND_ONLY_CONNECTORS = ['weaviate'];
+
+function castValue(
+  type: EditableOperation['valueType'],
+  value: IBulkMetadataOperation['value']
+) {
+  if (type === 'number') return Number(value);
+  if (type === 'boolean') return String(value).toLowerCase() === 'true';
+  return String(value ?? '');
+}
+
+function toOperations(operations: EditableOperation[]) {
+  return operations.map(({ valueType, ...operation }) => {
+    if (['add', 'set'].includes(operation.action))
+      return { ...operation, value: castValue(valueType, operation.value) };
+    const { value: _, ...rest } = operation;
+    return rest;
+  });
+}
+
+const BulkMetadataModal = memo(
+  ({
+    id,
+    title,
+    description,
+    selection,
+    connector,
+    allowFilter = false,
+  }: {
+    id: string;
+    title: string;
+    description: string;
+    selection: IBulkMetadataSelection;
+    connector: any;
+    allowFilter?: boolean;
+  }) => {
+    const { slug, workspaceSlug } = useParams();
+    const appendOnly = APPEND_ONLY_CONNECTORS.includes(connector?.type);
+    const [filter, setFilter] = useState('');
+    const [operations, setOperations] = useState<EditableOperation[]>([
+      { action: 'set', key: '', value: '', valueType: 'string' },
+    ]);
+    const [preview, setPreview] = useState<IBulkMetadataPreview | null>(null);
+    const [previewing, setPreviewing] = useState(false);
+    const [running, setRunning] = useState(false);
+    const [progress, setProgress] = useState<Progress | null>(null);
+    const [result, setResult] = useState<string | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    const request = (): IBulkMetadataSelection =>
+      allowFilter && selection.type !== 'search'
+        ? { ...selection, filter: filter.trim() || null }
+        : selection;
+
+    const updateOperation = (index: number, changes: object) => {
+      setPreview(null);
+      setOperations(
+        operations.map((operation, i) =>
+          i === index ? { ...operation, ...changes } : operation
+        )
+      );
+    };
+
+    const runPreview = async () => {
+      setError(null);
+      setPreviewing(true);
+      const { preview, error } = await Workspace.previewBulkMetadata(
+        slug as string,
+        workspaceSlug as string,
+        request(),
+        toOperations(operations)
+      );
+      setPreview(preview);
+      setError(error);
+      setPreviewing(false);
+    };
+
+    // Follows the queued job so the progress it reports shows up here.
+    const waitForJob = async (jobId: number) => {
+      while (true) {
+        const job = await Jobs.get(jobId);
+        if (!job) return;
+        const jobResult = JSON.parse(job.result || '{}');
+        if (jobResult?.progress) setProgress(jobResult.progress);
+        if (job.status !== 'pending') {
+          job.status === 'failed'
+            ? setError(jobResult?.error || jobResult?.message)
+            : setResult(jobResult?.message);
+          return;
+        }
+        await new Promise((r) => setTimeout(r, PROGRESS_POLL_INTERVAL));
+      }
+    };
+
+    const apply = async () => {
+      if (
+        !confirm(
+          `Update the metadata of ${preview?.affected} vectors? This cannot be undone.`
+        )
+      )
+        return;
+      setError(null);
+      setResult(null);
+      setRunning(true);
+      const { job, error } = await Workspace.bulkUpdateMetadata(
+        slug as string,
+        workspaceSlug as string,
+        request(),
+        toOperations(operations)
+      );
+      if (!job) {
+        setError(error);
+        setRunning(false);
+        return;
+      }
+      await waitForJob(job.id);
+      setRunning(false);
+    };
+
+    return (
+      <dialog
+        id={id}
+        className="w-1/2 rounded-xl border-2 border-white/20 bg-main shadow"
+        onClick={(event) =>
+          event.target == event.currentTarget && event.currentTarget?.close()
+        }
+      >
+        <div className="flex w-full flex-col gap-y-4 p-[20px]">
+          <div>
+            <p className="text-lg font-medium text-white">{title}</p>
+            <p className="text-sm text-white/60">{description}</p>
+          </div>
+
+          {allowFilter && selection.type !== 'search' && (
+            <div>
+              <label className="mb-2 block text-sm font-medium text-white">
+                Only embeddings matching (optional)
+              </label>
+              <input
+                type="text"
+                value={filter}
+                onChange={(e) => {
+                  setPreview(null);
+                  setFilter(e.target.value);
+                }}
+                className="w-full rounded-lg border border-white/10 bg-main-2 px-2 py-2 font-mono text-sm text-white outline-none"
+                placeholder={'source = "wiki" AND year >= 2022'}
+              />
+            </div>
+          )}
+
+          <div className="flex flex-col gap-y-2">
+            <label className="block text-sm font-medium text-white">
+              Operations
+            </label>
+            {operations.map((operation, i) => (
+              <OperationRow
+                key={i}
+                operation={operation}
+                appendOnly={appendOnly}
+                onChange={(changes) => updateOperation(i, changes)}
+                onRemove={
+                  operations.length > 1
+                    ? () => {
+                        setPreview(null);
+                        setOperations(operations.filter((_, j) => j !== i));
+                      }
+                    : null
+                }
+              />
+            ))}
+            <button
+              type="button"
+              onClick={() => {
+                setPreview(null);
+                setOperations([
+                  ...operations,
+                  { action: 'set', key: '', value: '', valueType: 'string' },
+                ]);
+              }}
+              className="flex w-fit items-center gap-x-2 rounded-lg p-2 text-xs font-medium text-white hover:bg-white/10"
+            >
+              <PlusCircle size={16} /> Add operation
+            </button>
+          </div>
+
+          {!!error && (
+            <p className="w-full rounded-lg bg-red-600/10 px-4 py-2 text-sm text-red-600">
+              {error}
+            </p>
+          )}
+          {!!preview && <PreviewDetails preview={preview} />}
+          {!!progress && (
+            <ProgressDetails progress={progress} running={running} />
+          )}
+          {!!result && (
+            <a
+              href={paths.jobs({ slug: slug as string })}
+              className="w-full rounded-lg bg-green-600/10 px-4 py-2 text-sm text-green-600"
+            >
+              {result} View job queue &rarr;
+            </a>
+          )}
+
+          <div className="flex gap-x-2">
+            <button
+              type="button"
+              disabled={previewing || running}
+              onClick={runPreview}
+              className="h-11 w-full rounded-lg p-2 text-center text-sm font-bold text-white transition-all duration-300 hover:bg-white/10"
+            >
+              {previewing ? 'Counting vectors...' : 'Preview changes'}
+            </button>
+            <button
+              type="button"
+              disabled={!preview || preview.affected === 0 || running}
+              onClick={apply}
+              className="h-11 w-full rounded-lg bg-white p-2 text-center text-sm font-bold text-main transition-all duration-300 hover:bg-opacity-90 disabled:cursor-not-allowed disabled:opacity-50"
+            >
+              {running ? 'Updating metadata...' : 'Apply to vectors'}
+            </button>
+          </div>
+        </div>
+      </dialog>
+    );
+  }
+);
+
+function OperationRow({
+  operation,
+  appendOnly,
+  onChange,
+  onRemove,
+}: {
+  operation: EditableOperation;
+  appendOnly: boolean;
+  onChange: (changes: Partial<EditableOperation>) => void;
+  onRemove: (() => void) | null;
+}) {
+  const inputClass =
+    'w-full rounded-lg border border-white/10 bg-main-2 px-2 py-2 text-sm text-white outline-none';
+  return (
+    <div className="flex items-center gap-x-2">
+      <select
+        value={operation.action}
+        onChange={(e) =>
+          onChange({
+            action: e.target.value as IBulkMetadataOperation['action'],
+          })
+        }
+        className={`${inputClass} max-w-[220px]`}
+      >
+        {Object.entries(ACTIONS).map(([action, label]) => (
+          <option
+            key={action}
+            value={action}
+            disabled={appendOnly && ['rename', 'remove'].includes(action)}
+          >
+            {label}
+          </option>
+        ))}
+      </select>
+      <input
+        type="text"
+        value={operation.key}
+        onChange={(e) => onChange({ key: e.target.value })}
+        className={inputClass}
+        placeholder="key"
+      />
+      {operation.action === 'rename' && (
+        <input
+          type="text"
+          value={operation.newKey ?? ''}
+          onChange={(e) => onChange({ newKey: e.target.value })}
+          className={inputClass}
+          placeholder="new key"
+        />
+      )}
+      {['add', 'set'].includes(operation.action) && (
+        <>
+          <select
+            value={operation.valueType}
+            onChange={(e) =>
+              onChange({
+                valueType: e.target.value as EditableOperation['valueType'],
+              })
+            }
+            className={`${inputClass} max-w-[110px]`}
+          >
+            <option value="string">String</option>
+            <option value="number">Number</option>
+            <option value="boolean">Boolean</option>
+          </select>
+          <input
+            type={operation.valueType === 'number' ? 'number' : 'text'}
+            value={String(operation.value ?? '')}
+            onChange={(e) => onChange({ value: e.target.value })}
+            className={inputClass}
+            placeholder={operation.valueType === 'boolean' ? 'true' : 'value'}
+          />
+        </>
+      )}
+      {!!onRemove && (
+        <button
+          type="button"
+          onClick={onRemove}
+          className="group rounded-full p-1 hover:bg-red-100"
+        >
+          <Trash className="text-gray-300 group-hover:text-red-600" size={18} />
+        </button>
+      )}
+    </div>
+  );
+}
+
+function PreviewDetails({ preview }: { preview: IBulkMetadataPreview }) {
+  return (
+    <div className="rounded-lg border border-white/10 p-4 text-sm text-white">
+      <p>
+        <b>{preview.affected}</b> of {preview.vectors} selected vectors in{' '}
+        {preview.documents} documents will change.
+      </p>
+      <ul className="mt-2 list-inside list-disc text-xs text-white/60">
+        {preview.operations.map((count, i) => (
+          <li key={i}>
+            Operation {i + 1} applies to {count} vectors
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function ProgressDetails({
+  progress,
+  running,
+}: {
+  progress: Progress;
+  running: boolean;
+}) {
+  const percent =
+    progress.total > 0
+      ? Math.round((progress.processed / progress.total) * 100)
+      : 100;
+  return (
+    <div className="flex flex-col gap-y-1 text-xs text-white/60">
+      <div className="h-2 w-full rounded-full bg-white/10">
+        <div
+          className="h-2 rounded-full bg-sky-400 transition-all duration-300"
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      <p>
+        {running ? 'Working' : 'Done'} - {progress.processed} of{' '}
+        {progress.total} vectors checked, {progress.updated} updated
+        {progress.missing > 0 &&
+          `, ${progress.missing} not found in the vector database`}
+        .
+      </p>
+    </div>
+  );
+}
+
+export default BulkMetadataModal;
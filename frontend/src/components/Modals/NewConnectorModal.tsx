@@ -688,6 +688,29 @@ const NewConnectorModal = memo(
                     />
                   </div>
 
+                  <div className="">
+                    <div className="mb-2 flex flex-col gap-y-1">
+                      <label
+                        htmlFor="settings::metric"
+                        className="block text-sm font-medium text-white"
+                      >
+                        Distance Metric
+                      </label>
+                      <p className="text-sm text-white/60">
+                        Distance function used to search embeddings stored in
+                        ClickHouse.
+                      </p>
+                    </div>
+                    <select
+                      name="settings::metric"
+                      defaultValue="cosine"
+                      className="w-full min-w-[350px] rounded-lg border border-white/10 bg-main-2 px-4 py-2 text-white"
+                    >
+                      <option value="cosine">Cosine (cosineDistance)</option>
+                      <option value="l2">Euclidean (L2Distance)</option>
+                    </select>
+                  </div>
+
                   <div className="">
                     <div className="mb-2 flex flex-col gap-y-1">
                       <label
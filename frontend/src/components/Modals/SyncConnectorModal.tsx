@@ -1,13 +1,66 @@
 import { useState, memo } from 'react';
 import Organization from '@/models/organization';
+import Jobs from '@/models/jobs';
 import paths from '@/utils/paths';
 import { titleCase } from 'title-case';
 
+type SyncChange = { workspace: string; name: string; vectors: number | null };
+type SyncReport = {
+  dryRun: boolean;
+  workspaces: { added: string[]; removed: string[]; matched: number };
+  documents: {
+    added: SyncChange[];
+    updated: SyncChange[];
+    removed: SyncChange[];
+    unchanged: number;
+  };
+};
+type SyncPreview = { message: string; details?: SyncReport; error?: string };
+const PREVIEW_POLL_INTERVAL = 3_000;
+
 const SyncConnectorModal = memo(
   ({ organization, connector }: { organization: any; connector: any }) => {
     const [synced, setSynced] = useState(false);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState<null | string>(null);
+    const [previewing, setPreviewing] = useState(false);
+    const [preview, setPreview] = useState<SyncPreview | null>(null);
+
+    // A dry run is queued like any other sync, so wait for its job to finish.
+    const waitForJob = async (jobId: number): Promise<any> => {
+      while (true) {
+        const job = await Jobs.get(jobId);
+        if (!job || job.status !== 'pending') return job;
+        await new Promise((r) => setTimeout(r, PREVIEW_POLL_INTERVAL));
+      }
+    };
+
+    const previewSync = async () => {
+      setError(null);
+      setPreview(null);
+      setPreviewing(true);
+      const { job, error } = await Organization.syncConnector(
+        organization.slug,
+        connector.id,
+        true
+      );
+      if (!job) {
+        setError(error);
+        setPreviewing(false);
+        return;
+      }
+
+      const finishedJob = await waitForJob(job.id);
+      if (!finishedJob) {
+        setError('Could not load the sync preview.');
+      } else {
+        const result = JSON.parse(finishedJob.result);
+        finishedJob.status === 'failed'
+          ? setError(result?.error || result?.message)
+          : setPreview(result);
+      }
+      setPreviewing(false);
+    };
     const sync = async () => {
       setError(null);
       setLoading(true);
@@ -48,6 +101,10 @@ const SyncConnectorModal = memo(
               to complete depending on how much data you have embedded already.
               <br />
               <br />
+              Only what changed since the last sync is added, updated or
+              removed. Preview the changes first to see what will happen.
+              <br />
+              <br />
               Once you start this process you can check on its progress in the{' '}
               <a
                 href={paths.jobs(organization)}
@@ -63,6 +120,11 @@ const SyncConnectorModal = memo(
                 {error}
               </p>
             )}
+            <SyncScheduleSelection
+              organization={organization}
+              connector={connector}
+            />
+            {!!preview && <SyncPreviewDetails preview={preview} />}
             {synced ? (
               <button
                 type="button"
@@ -74,14 +136,28 @@ const SyncConnectorModal = memo(
                 Check progress
               </button>
             ) : (
-              <button
-                type="button"
-                disabled={loading}
-                onClick={sync}
-                className="mb-4 h-11 w-full items-center rounded-lg bg-white p-2 text-center text-sm font-bold text-neutral-700 shadow-lg transition-all duration-300 hover:scale-105 hover:bg-opacity-90"
-              >
-                {loading ? 'Synchronizing...' : 'Synchronize embeddings'}
-              </button>
+              <>
+                <button
+                  type="button"
+                  disabled={loading || previewing}
+                  onClick={previewSync}
+                  className="mb-2 h-11 w-full items-center rounded-lg p-2 text-center text-sm font-bold text-white transition-all duration-300 hover:bg-white/10"
+                >
+                  {previewing ? 'Checking for changes...' : 'Preview changes'}
+                </button>
+                <button
+                  type="button"
+                  disabled={loading || previewing}
+                  onClick={sync}
+                  className="mb-4 h-11 w-full items-center rounded-lg bg-white p-2 text-center text-sm font-bold text-neutral-700 shadow-lg transition-all duration-300 hover:scale-105 hover:bg-opacity-90"
+                >
+                  {loading
+                    ? 'Synchronizing...'
+                    : !!preview
+                    ? 'Apply changes'
+                    : 'Synchronize embeddings'}
+                </button>
+              </>
             )}
           </div>
         </div>
@@ -90,4 +166,99 @@ const SyncConnectorModal = memo(
   }
 );
 
+function SyncScheduleSelection({
+  organization,
+  connector,
+}: {
+  organization: any;
+  connector: any;
+}) {
+  const [schedule, setSchedule] = useState(connector.syncSchedule || 'demand');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<null | string>(null);
+
+  const updateSchedule = async (e: React.ChangeEvent<HTMLSelectElement>) => {
+    const newSchedule = e.target.value;
+    setError(null);
+    setSaving(true);
+    const { connector: updatedConnector, error } =
+      await Organization.updateSyncSchedule(
+        organization.slug,
+        connector.id,
+        newSchedule
+      );
+    if (!!updatedConnector) setSchedule(updatedConnector.syncSchedule);
+    setError(error);
+    setSaving(false);
+  };
+
+  return (
+    <div className="mb-4 w-full">
+      <div className="mb-2 w-full">
+        <label className="block text-sm font-medium text-white">
+          Sync schedule
+        </label>
+        <p className="text-sm text-white/60">
+          Scheduled syncs are queued automatically and only apply what changed.
+        </p>
+      </div>
+      <select
+        name="syncSchedule"
+        disabled={saving}
+        value={schedule}
+        onChange={updateSchedule}
+        className="block w-fit rounded-lg border border-white/10 bg-main-2/10 px-2 py-2 text-sm text-white outline-none"
+      >
+        <option value="demand">Do not sync automatically</option>
+        <option value="hourly">Hourly</option>
+        <option value="daily">Once daily (6PM)</option>
+        <option value="weekly">Once weekly (Wed @ 6PM)</option>
+      </select>
+      {error && <p className="mt-2 text-sm text-red-400">{error}</p>}
+    </div>
+  );
+}
+
+const PREVIEW_LIST_LIMIT = 10;
+
+function SyncPreviewDetails({ preview }: { preview: SyncPreview }) {
+  const report = preview.details;
+  if (!report)
+    return <p className="mb-4 text-sm text-white/60">{preview.message}</p>;
+
+  const sections = [
+    { label: 'Workspaces added', items: report.workspaces.added },
+    { label: 'Workspaces removed', items: report.workspaces.removed },
+    ...(['added', 'updated', 'removed'] as const).map((change) => {
+      return {
+        label: `Documents ${change}`,
+        items: report.documents[change].map(
+          ({ workspace, name }) => `${workspace} / ${name}`
+        ),
+      };
+    }),
+  ].filter(({ items }) => items.length > 0);
+
+  return (
+    <div className="mb-4 max-h-[300px] overflow-y-auto rounded-lg bg-main-2 p-4 text-sm text-white">
+      <p className="text-white/80">{preview.message}</p>
+      {sections.map(({ label, items }) => (
+        <div key={label} className="mt-3">
+          <p className="font-semibold">
+            {label} ({items.length})
+          </p>
+          <ul className="ml-4 list-disc text-white/60">
+            {items.slice(0, PREVIEW_LIST_LIMIT).map((item, i) => (
+              <li key={i}>{item}</li>
+            ))}
+            {items.length > PREVIEW_LIST_LIMIT && (
+              <li>and {items.length - PREVIEW_LIST_LIMIT} more</li>
+            )}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 export default SyncConnectorModal;
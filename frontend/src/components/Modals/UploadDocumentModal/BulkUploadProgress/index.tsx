@@ -0,0 +1,172 @@
+import { useState, useEffect, memo } from 'react';
+import { Link } from 'react-router-dom';
+import Workspace from '@/models/workspace';
+import Jobs from '@/models/jobs';
+import paths from '@/utils/paths';
+import { humanFileSize, milliToHms } from '@/utils/numbers';
+import { CheckCircle, XCircle } from 'react-feather';
+import { Grid } from 'react-loading-icons';
+
+const JOB_POLL_INTERVAL = 3_000;
+
+export interface IBulkUploadFailure {
+  file: string;
+  reason: string;
+  retryable: boolean;
+}
+
+export interface IBulkUploadResult {
+  message?: string;
+  phase?: 'processing' | 'embedding' | 'done';
+  progress?: {
+    files: number;
+    processed: number;
+    queued: number;
+    embedded?: number;
+    failed: number;
+  };
+  processingFailures?: IBulkUploadFailure[];
+  failures?: IBulkUploadFailure[];
+  canRetryFailed?: boolean;
+}
+
+// Progress bar and failed files of a bulk upload job, shared with the jobs page.
+export function BulkUploadSummary({ result }: { result: IBulkUploadResult }) {
+  const { phase = 'processing', progress } = result;
+  const failures =
+    phase === 'processing'
+      ? result.processingFailures || []
+      : result.failures || result.processingFailures || [];
+  const [done, total] =
+    phase === 'processing'
+      ? [progress?.processed ?? 0, progress?.files ?? 0]
+      : [(progress?.embedded ?? 0) + failures.length, progress?.files ?? 0];
+  const percent = total > 0 ? Math.min(100, (done / total) * 100) : 0;
+
+  return (
+    <div className="flex w-full flex-col gap-y-2">
+      <div className="flex items-center justify-between text-xs text-white/60">
+        <p>{result.message}</p>
+        <p>
+          {done} / {total}
+        </p>
+      </div>
+      <div className="h-2 w-full overflow-hidden rounded-full bg-white/10">
+        <div
+          className={`h-full rounded-full transition-all duration-300 ${
+            phase === 'processing' ? 'bg-sky-400' : 'bg-green-500'
+          }`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      {failures.length > 0 && (
+        <div className="flex max-h-[10rem] flex-col gap-y-1 overflow-y-auto rounded-lg bg-main-2 p-2">
+          {failures.map((failure, i) => (
+            <p key={i} className="font-mono text-xs text-red-400">
+              {failure.file}: {failure.reason}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function BulkUploadProgressComponent({
+  slug,
+  workspace,
+  files,
+}: {
+  slug: string;
+  workspace: any;
+  files: File[];
+}) {
+  const [timerMs, setTimerMs] = useState(10);
+  const [status, setStatus] = useState('uploading');
+  const [error, setError] = useState<string | null>(null);
+  const [job, setJob] = useState<any>(null);
+
+  useEffect(() => {
+    async function uploadFiles() {
+      const start = Number(new Date());
+      const formData = new FormData();
+      // Files dropped as a folder carry their path, which keeps same-named files apart.
+      files.forEach((file: any) =>
+        formData.append('files', file, file.path || file.name)
+      );
+      const timer = setInterval(() => {
+        setTimerMs(Number(new Date()) - start);
+      }, 100);
+
+      const { success, job, error } = await Workspace.bulkUploadFiles(
+        slug,
+        workspace.slug,
+        formData
+      );
+      if (!success || !job) {
+        setStatus('failed');
+        setError(error);
+        clearInterval(timer);
+        return;
+      }
+
+      let current = job;
+      while (current.status === 'pending') {
+        setStatus('processing');
+        setJob(current);
+        await new Promise((r) => setTimeout(r, JOB_POLL_INTERVAL));
+        const latest = await Jobs.get(job.id);
+        if (!latest) break;
+        current = latest;
+      }
+      setJob(current);
+      setStatus(current.status);
+      clearInterval(timer);
+    }
+    files.length > 0 && uploadFiles();
+  }, []);
+
+  const result: IBulkUploadResult = job ? JSON.parse(job.result || '{}') : {};
+  const size = files.reduce((total, file) => total + file.size, 0);
+  return (
+    <div className="flex w-full flex-col gap-y-3 rounded-lg border border-blue-600 bg-blue-100 bg-opacity-50 px-3 py-3 dark:border-stone-600 dark:bg-stone-800">
+      <div className="flex items-center gap-x-4">
+        <div className="h-6 w-6">
+          {status === 'complete' ? (
+            <CheckCircle className="h-6 h-full w-6 w-full rounded-full bg-green-500 stroke-white p-1" />
+          ) : status === 'failed' ? (
+            <XCircle className="h-6 h-full w-6 w-full rounded-full bg-red-500 stroke-white p-1" />
+          ) : (
+            <Grid className="grid-loader h-6 w-6" />
+          )}
+        </div>
+        <div className="flex flex-col">
+          <p className="font-mono text-sm text-black dark:text-stone-200">
+            {files.length} files
+          </p>
+          <p className="font-mono text-xs text-gray-700 dark:text-stone-400">
+            {humanFileSize(size)} | {milliToHms(timerMs)} | {status}
+          </p>
+          {!!error && (
+            <p className="font-mono text-xs text-red-700 dark:text-red-400">
+              {error}
+            </p>
+          )}
+        </div>
+      </div>
+      {!!job && (
+        <>
+          <BulkUploadSummary result={result} />
+          <Link
+            to={paths.jobs({ slug })}
+            className="text-xs text-sky-400 hover:underline"
+          >
+            Follow job #{job.id} on the jobs page &rarr;
+          </Link>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default memo(BulkUploadProgressComponent);
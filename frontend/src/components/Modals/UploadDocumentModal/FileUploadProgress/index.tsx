@@ -1,10 +1,12 @@
 import { useState, useEffect, memo } from 'react';
-import Workspace from '@/models/workspace';
+import Workspace, { IDocumentUpload } from '@/models/workspace';
 import truncate from 'truncate';
 import { humanFileSize, milliToHms } from '@/utils/numbers';
 import { CheckCircle, XCircle } from 'react-feather';
 import { Grid } from 'react-loading-icons';
 
+const UPLOAD_POLL_INTERVAL = 2_000;
+
 function FileUploadProgressComponent({
   slug,
   workspace,
@@ -19,7 +21,8 @@ function FileUploadProgressComponent({
   reason: any;
 }) {
   const [timerMs, setTimerMs] = useState(10);
-  const [status, setStatus] = useState(file?.rejected ? 'uploading' : 'failed');
+  const [status, setStatus] = useState(rejected ? 'failed' : 'uploading');
+  const [notice, setNotice] = useState<string | null>(null);
 
   useEffect(() => {
     async function uploadFile() {
@@ -31,12 +34,38 @@ function FileUploadProgressComponent({
       }, 100);
 
       // Chunk streaming not working in production so we just sit and wait
-      const { success } = await Workspace.uploadFile(
+      const { success, error, upload } = await Workspace.uploadFile(
         slug,
         workspace.slug,
         formData
       );
-      setStatus(success ? 'complete' : 'failed');
+      if (!success || !upload) {
+        setStatus('failed');
+        setNotice(error);
+        clearInterval(timer);
+        return;
+      }
+
+      // The upload is processed and embedded in the background, so follow it until it settles.
+      let current: IDocumentUpload = upload;
+      while (['processing', 'embedding'].includes(current.status)) {
+        setStatus(current.status);
+        await new Promise((r) => setTimeout(r, UPLOAD_POLL_INTERVAL));
+        const { upload: latest } = await Workspace.uploadStatus(
+          slug,
+          workspace.slug,
+          upload.uuid
+        );
+        if (!latest) break;
+        current = latest;
+      }
+
+      setStatus(current.status);
+      if (current.status === 'failed') setNotice(current.error);
+      if (current.status !== 'failed' && current.violations.length > 0)
+        setNotice(
+          `Does not match the metadata schema: ${current.violations.join(' ')}`
+        );
       clearInterval(timer);
     }
     !!file && !rejected && uploadFile();
@@ -63,10 +92,12 @@ function FileUploadProgressComponent({
   return (
     <div className="flex w-fit items-center gap-x-4 rounded-lg border border-blue-600 bg-blue-100 bg-opacity-50 px-2 py-2 dark:border-stone-600 dark:bg-stone-800">
       <div className="h-6 w-6">
-        {status !== 'complete' ? (
-          <Grid className="grid-loader h-6 w-6" />
-        ) : (
+        {status === 'complete' ? (
           <CheckCircle className="h-6 h-full w-6 w-full rounded-full bg-green-500 stroke-white p-1" />
+        ) : status === 'failed' ? (
+          <XCircle className="h-6 h-full w-6 w-full rounded-full bg-red-500 stroke-white p-1" />
+        ) : (
+          <Grid className="grid-loader h-6 w-6" />
         )}
       </div>
       <div className="flex flex-col">
@@ -74,8 +105,19 @@ function FileUploadProgressComponent({
           {truncate(file.name, 30)}
         </p>
         <p className="font-mono text-xs text-gray-700 dark:text-stone-400">
-          {humanFileSize(file.size)} | {milliToHms(timerMs)}
+          {humanFileSize(file.size)} | {milliToHms(timerMs)} | {status}
         </p>
+        {!!notice && (
+          <p
+            className={`font-mono text-xs ${
+              status === 'failed'
+                ? 'text-red-700 dark:text-red-400'
+                : 'text-yellow-700 dark:text-yellow-400'
+            }`}
+          >
+            {notice}
+          </p>
+        )}
       </div>
     </div>
   );
@@ -6,6 +6,15 @@ import { SmileySad } from '@phosphor-icons/react';
 import System from '@/models/system';
 import { APP_NAME } from '@/utils/constants';
 import FileUploadProgress from './FileUploadProgress';
+import BulkUploadProgress from './BulkUploadProgress';
+import { humanFileSize } from '@/utils/numbers';
+
+// Batch uploads may also include archives, which are unpacked on the server.
+const ARCHIVE_TYPES = {
+  'application/zip': ['.zip'],
+  'application/x-tar': ['.tar'],
+  'application/gzip': ['.tar.gz', '.tgz'],
+};
 
 export default function UploadDocumentModal({
   workspaces,
@@ -21,15 +30,12 @@ export default function UploadDocumentModal({
   const [ready, setReady] = useState<boolean | null>(null);
   const [files, setFiles] = useState([]);
   const [fileTypes, setFileTypes] = useState({});
+  const [maxUploadSize, setMaxUploadSize] = useState<number | null>(null);
+  const [batch, setBatch] = useState(false);
+  const [batchFiles, setBatchFiles] = useState<File[]>([]);
+  const [batchStarted, setBatchStarted] = useState(false);
   const onDrop = useCallback(
     async (acceptedFiles: any[], rejections: any[]) => {
-      const newAccepted = acceptedFiles.map((file) => {
-        return {
-          uid: v4(),
-          workspaceId: targetWorkspace?.id,
-          file,
-        };
-      });
       const newRejected = rejections.map((file) => {
         return {
           uid: v4(),
@@ -38,17 +44,30 @@ export default function UploadDocumentModal({
           reason: file.errors[0].code,
         };
       });
+      if (batch) {
+        setBatchFiles((batchFiles) => [...batchFiles, ...acceptedFiles]);
+        setFiles((files) => [...files, ...newRejected]);
+        return;
+      }
 
-      setFiles([...files, ...newAccepted, ...newRejected]);
+      const newAccepted = acceptedFiles.map((file) => {
+        return {
+          uid: v4(),
+          workspaceId: targetWorkspace?.id,
+          file,
+        };
+      });
+      setFiles((files) => [...files, ...newAccepted, ...newRejected]);
     },
-    []
+    [batch, targetWorkspace]
   );
 
   useEffect(() => {
     async function checkProcessorOnline() {
       const online = await System.documentProcessorOnline();
-      const acceptedTypes = await System.acceptedDocumentTypes();
-      setFileTypes(acceptedTypes ?? {});
+      const accepted = await System.acceptedDocumentTypes();
+      setFileTypes(accepted?.types ?? {});
+      setMaxUploadSize(accepted?.maxUploadSize ?? null);
       setReady(online);
     }
     checkProcessorOnline();
@@ -58,7 +77,10 @@ export default function UploadDocumentModal({
     onDrop,
     accept: {
       ...fileTypes,
+      ...(batch ? ARCHIVE_TYPES : {}),
     },
+    maxSize: maxUploadSize ?? undefined,
+    disabled: batchStarted,
   });
 
   if (ready === null || !slug) {
@@ -139,12 +161,21 @@ export default function UploadDocumentModal({
   return (
     <ModalWrapper>
       <div className="flex w-full flex-col gap-y-1">
+        <label className="mb-2 flex w-fit cursor-pointer items-center gap-x-2 text-sm text-white/60">
+          <input
+            type="checkbox"
+            checked={batch}
+            disabled={files.length > 0 || batchFiles.length > 0}
+            onChange={(e) => setBatch(e.target.checked)}
+          />
+          Upload as one batch - also accepts folders and .zip or .tar archives
+        </label>
         <div
           {...getRootProps()}
           className="flex h-[20rem] w-full cursor-pointer overflow-x-hidden overflow-y-scroll rounded-lg border-2 border-dashed border-white/20 bg-main-2 shadow outline-none transition-all duration-300 hover:bg-white/10"
         >
           <input {...getInputProps()} />
-          {files.length === 0 ? (
+          {files.length === 0 && batchFiles.length === 0 ? (
             <div className="flex h-full w-full flex-col items-center justify-center">
               <div className="flex flex-col items-center justify-center pb-6 pt-5">
                 <svg
@@ -171,6 +202,22 @@ export default function UploadDocumentModal({
             </div>
           ) : (
             <div className="flex w-full flex-col gap-y-2 p-4">
+              {batchFiles.length > 0 &&
+                (batchStarted ? (
+                  <BulkUploadProgress
+                    slug={slug}
+                    workspace={targetWorkspace}
+                    files={batchFiles}
+                  />
+                ) : (
+                  <p className="font-mono text-sm text-white/60">
+                    {batchFiles.length} files selected (
+                    {humanFileSize(
+                      batchFiles.reduce((total, file) => total + file.size, 0)
+                    )}
+                    ) - drop more or start the upload.
+                  </p>
+                ))}
               {files.map((file) => (
                 <FileUploadProgress
                   key={file.uid}
@@ -184,11 +231,23 @@ export default function UploadDocumentModal({
             </div>
           )}
         </div>
+        {batch && batchFiles.length > 0 && !batchStarted && (
+          <button
+            type="button"
+            onClick={() => setBatchStarted(true)}
+            className="mt-2 w-full rounded-lg bg-white p-2 text-center text-sm font-bold text-neutral-700 shadow-lg transition-all duration-300 hover:bg-opacity-90"
+          >
+            Upload {batchFiles.length} files
+          </button>
+        )}
         <p className="mt-2 text-xs text-white/60 ">
           Supported file extensions are{' '}
           <code className="rounded-md bg-white/80 px-1 font-mono text-xs text-main">
-            {Object.values(fileTypes).flat().join(' ')}
+            {Object.values({ ...fileTypes, ...(batch ? ARCHIVE_TYPES : {}) })
+              .flat()
+              .join(' ')}
           </code>
+          {!!maxUploadSize && ` up to ${humanFileSize(maxUploadSize)} each`}
         </p>
       </div>
     </ModalWrapper>
@@ -6,6 +6,8 @@ import ChromaLogo from '@/images/vectordbs/chroma.png';
 import PineconeLogo from '@/images/vectordbs/pinecone-inverted.png';
 import qDrantLogo from '@/images/vectordbs/qdrant.png';
 import WeaviateLogo from '@/images/vectordbs/weaviate.png';
+import MilvusLogo from '@/images/vectordbs/milvus.png';
+import ClickHouseLogo from '@/images/vectordbs/clickhouse.png';
 import { Bell, Info, Warning, WarningOctagon } from '@phosphor-icons/react';
 
 const POLLING_INTERVAL = 30_000;
@@ -22,7 +24,9 @@ export type INotification = {
     | 'chroma'
     | 'pinecone'
     | 'weaviate'
-    | 'qdrant';
+    | 'qdrant'
+    | 'milvus'
+    | 'clickhouse';
   link?: string;
   target?: '_blank' | 'self';
   createdAt: string;
@@ -199,6 +203,22 @@ function NotificationImage({ notification }: { notification: INotification }) {
           />
         </div>
       );
+    case 'milvus':
+      return (
+        <div className="flex h-[40px] w-[40px] items-center justify-center rounded-full bg-white/10 p-0">
+          <img alt="Milvus Logo" className="rounded-full" src={MilvusLogo} />
+        </div>
+      );
+    case 'clickhouse':
+      return (
+        <div className="flex h-[40px] w-[40px] items-center justify-center rounded-full bg-white/10 p-0">
+          <img
+            alt="ClickHouse Logo"
+            className="rounded-full"
+            src={ClickHouseLogo}
+          />
+        </div>
+      );
     default:
       return (
         <div className="flex h-[40px] w-[40px] items-center justify-center rounded-full bg-white/10 p-2 text-white">
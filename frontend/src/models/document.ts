@@ -83,7 +83,11 @@ const Document = {
   updateFragmentMetadata: async (
     id: string | number,
     newMetadata: object
-  ): Promise<{ success: boolean; error: string | null }> => {
+  ): Promise<{
+    success: boolean;
+    error: string | null;
+    violations?: string[];
+  }> => {
     return fetch(`${API_BASE}/v1/document/${id}/fragment-metadata`, {
       method: 'POST',
       cache: 'no-cache',
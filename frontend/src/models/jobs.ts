@@ -2,6 +2,19 @@ import { API_BASE } from '@/utils/constants';
 import { baseHeaders } from '@/utils/request';
 
 const Jobs = {
+  get: async (jobId: number) => {
+    return fetch(`${API_BASE}/v1/jobs/${jobId}`, {
+      method: 'GET',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .then((res) => res?.job || null)
+      .catch((e) => {
+        console.error(e);
+        return null;
+      });
+  },
   kill: async (jobId: number) => {
     return fetch(`${API_BASE}/v1/jobs/${jobId}`, {
       method: 'DELETE',
@@ -26,6 +39,21 @@ const Jobs = {
         return { job: null, error: e.message };
       });
   },
+  retryFailed: async (jobId: number) => {
+    return fetch(`${API_BASE}/v1/jobs/${jobId}/retry-failed`, {
+      method: 'POST',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+    })
+      .then((res) => {
+        if (!res.ok) throw new Error('Failed files could not be retried.');
+        return res.json();
+      })
+      .catch((e) => {
+        console.error(e);
+        return { job: null, error: e.message };
+      });
+  },
 };
 
 export default Jobs;
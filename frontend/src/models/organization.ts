@@ -5,6 +5,7 @@ import { baseHeaders, getAPIUrlString } from '@/utils/request';
 const Organization = {
   documentPageSize: 10,
   workspacePageSize: 10,
+  auditPageSize: 25,
   create: async (orgName: string) => {
     let error;
     const organization = await fetch(`${API_BASE}/v1/org/create`, {
@@ -55,6 +56,19 @@ const Organization = {
 
     return { organization };
   },
+  role: async (slug: string): Promise<OrganizationRole | null> => {
+    return fetch(`${API_BASE}/v1/org/${slug}`, {
+      method: 'GET',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .then((res) => res?.role || null)
+      .catch((e) => {
+        console.error(e);
+        return null;
+      });
+  },
   all: async () => {
     return await fetch(`${API_BASE}/v1/orgs/all`, {
       method: 'GET',
@@ -163,6 +177,134 @@ const Organization = {
         return null;
       });
   },
+  embedder: async (
+    slug: string
+  ): Promise<{
+    embedder: IEmbedder | null;
+    defaults: Partial<IEmbedder>;
+    providers: string[];
+  }> => {
+    return fetch(`${API_BASE}/v1/org/${slug}/embedder`, {
+      method: 'GET',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { embedder: null, defaults: {}, providers: [] };
+      });
+  },
+  updateEmbedder: async (
+    slug: string,
+    embedder: object = {}
+  ): Promise<{ embedder: IEmbedder | null; error: null | string }> => {
+    return fetch(`${API_BASE}/v1/org/${slug}/embedder`, {
+      method: 'POST',
+      cache: 'no-cache',
+      body: JSON.stringify({ embedder }),
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { embedder: null, error: e.message };
+      });
+  },
+  resetEmbedder: async (
+    slug: string
+  ): Promise<{ success: boolean; error: null | string }> => {
+    return fetch(`${API_BASE}/v1/org/${slug}/embedder`, {
+      method: 'DELETE',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { success: false, error: e.message };
+      });
+  },
+  alertChannels: async (
+    slug: string
+  ): Promise<{ channels: IAlertChannel[]; types: AlertChannelType[] }> => {
+    return fetch(`${API_BASE}/v1/org/${slug}/alert-channels`, {
+      method: 'GET',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { channels: [], types: [] };
+      });
+  },
+  createAlertChannel: async (
+    slug: string,
+    channel: { name: string; type: AlertChannelType; config: object }
+  ): Promise<{ channel: IAlertChannel | null; error: null | string }> => {
+    return fetch(`${API_BASE}/v1/org/${slug}/alert-channels`, {
+      method: 'POST',
+      cache: 'no-cache',
+      body: JSON.stringify({ channel }),
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { channel: null, error: e.message };
+      });
+  },
+  updateAlertChannel: async (
+    slug: string,
+    channelId: number,
+    updates: { enabled: boolean }
+  ): Promise<{ channel: IAlertChannel | null; error: null | string }> => {
+    return fetch(`${API_BASE}/v1/org/${slug}/alert-channels/${channelId}`, {
+      method: 'POST',
+      cache: 'no-cache',
+      body: JSON.stringify(updates),
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { channel: null, error: e.message };
+      });
+  },
+  testAlertChannel: async (
+    slug: string,
+    channelId: number
+  ): Promise<{ success: boolean; error: null | string }> => {
+    return fetch(
+      `${API_BASE}/v1/org/${slug}/alert-channels/${channelId}/test`,
+      {
+        method: 'POST',
+        cache: 'no-cache',
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { success: false, error: e.message };
+      });
+  },
+  deleteAlertChannel: async (
+    slug: string,
+    channelId: number
+  ): Promise<{ success: boolean; error: null | string }> => {
+    return fetch(`${API_BASE}/v1/org/${slug}/alert-channels/${channelId}`, {
+      method: 'DELETE',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { success: false, error: e.message };
+      });
+  },
   connector: async (slug: string) => {
     return fetch(`${API_BASE}/v1/org/${slug}/connection`, {
       method: 'GET',
@@ -212,9 +354,14 @@ const Organization = {
   },
   syncConnector: async (
     slug: string,
-    connectorId: number
+    connectorId: number,
+    dryRun: boolean = false
   ): Promise<{ job: any; error: null | string }> => {
-    return fetch(`${API_BASE}/v1/org/${slug}/connector/${connectorId}/sync`, {
+    const url = new URL(
+      `${getAPIUrlString()}/v1/org/${slug}/connector/${connectorId}/sync`
+    );
+    if (dryRun) url.searchParams.append('dryRun', 'true');
+    return fetch(url, {
       method: 'GET',
       cache: 'no-cache',
       headers: baseHeaders(),
@@ -226,6 +373,27 @@ const Organization = {
         return { job: null, error: e.message };
       });
   },
+  updateSyncSchedule: async (
+    slug: string,
+    connectorId: number,
+    schedule: string
+  ): Promise<{ connector: any; error: null | string }> => {
+    return fetch(
+      `${API_BASE}/v1/org/${slug}/connector/${connectorId}/sync-schedule`,
+      {
+        method: 'POST',
+        cache: 'no-cache',
+        headers: baseHeaders(),
+        body: JSON.stringify({ schedule }),
+      }
+    )
+      .then((res) => res.json())
+      .then((res) => res)
+      .catch((e) => {
+        console.error(e);
+        return { connector: null, error: e.message };
+      });
+  },
   connectorCommand: async (
     slug: string,
     command: string,
@@ -303,6 +471,114 @@ const Organization = {
         return { notifications: [] };
       });
   },
+  members: async (
+    slug: string
+  ): Promise<{ members: IMember[]; roles: OrganizationRole[] }> => {
+    return fetch(`${API_BASE}/v1/org/${slug}/members`, {
+      method: 'GET',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { members: [], roles: [] };
+      });
+  },
+  updateMemberRole: async (
+    slug: string,
+    userId: number,
+    role: OrganizationRole
+  ): Promise<{ membership: object | null; error: null | string }> => {
+    return fetch(`${API_BASE}/v1/org/${slug}/members/${userId}/role`, {
+      method: 'POST',
+      cache: 'no-cache',
+      body: JSON.stringify({ role }),
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { membership: null, error: e.message };
+      });
+  },
+  removeMember: async (
+    slug: string,
+    userId: number
+  ): Promise<{ success: boolean; error: null | string }> => {
+    return fetch(`${API_BASE}/v1/org/${slug}/members/${userId}`, {
+      method: 'DELETE',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { success: false, error: e.message };
+      });
+  },
+  auditEvents: async (
+    slug: string,
+    filters: IAuditFilters = {},
+    page: number = 1
+  ): Promise<{
+    events: IAuditEvent[];
+    total: number;
+    actions: string[];
+    targets: string[];
+    error?: string | null;
+  }> => {
+    const queryURL = new URL(
+      `${getAPIUrlString()}/v1/org/${slug}/audit-events`
+    );
+    queryURL.searchParams.append('page', `${page}`);
+    queryURL.searchParams.append('pageSize', `${Organization.auditPageSize}`);
+    Object.entries(filters).forEach(([key, value]) => {
+      if (!!value) queryURL.searchParams.append(key, value);
+    });
+
+    return fetch(queryURL, {
+      method: 'GET',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return {
+          events: [],
+          total: 0,
+          actions: [],
+          targets: [],
+          error: e.message,
+        };
+      });
+  },
+  exportAuditEvents: async (
+    slug: string,
+    filters: IAuditFilters = {}
+  ): Promise<Blob | null> => {
+    const queryURL = new URL(
+      `${getAPIUrlString()}/v1/org/${slug}/audit-events/export`
+    );
+    Object.entries(filters).forEach(([key, value]) => {
+      if (!!value) queryURL.searchParams.append(key, value);
+    });
+
+    return fetch(queryURL, {
+      method: 'GET',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+    })
+      .then((res) => {
+        if (!res.ok) throw new Error('Could not export audit log.');
+        return res.blob();
+      })
+      .catch((e) => {
+        console.error(e);
+        return null;
+      });
+  },
   markNotificationsSeen: async (slug: string): Promise<boolean> => {
     return fetch(`${API_BASE}/v1/org/${slug}/notifications/mark-seen`, {
       method: 'POST',
@@ -326,3 +602,65 @@ export interface IOrganization {
   createdAt: string;
   lastUpdatedAt: string;
 }
+
+export interface IEmbedder {
+  id?: number;
+  provider: string;
+  model: string;
+  endpoint: string | null;
+  dimensions: number;
+  hasApiKey?: boolean;
+  workspace_id?: number | null;
+}
+
+export type AlertChannelType = 'webhook' | 'email' | 'nats';
+
+export interface IAlertChannel {
+  id: number;
+  name: string;
+  type: AlertChannelType;
+  config: {
+    url?: string;
+    hasSecret?: boolean;
+    recipients?: string[];
+    subject?: string;
+  };
+  enabled: boolean;
+  organization_id: number;
+  createdAt: string;
+}
+
+export type OrganizationRole = 'owner' | 'editor' | 'viewer';
+
+export interface IMember {
+  id: number;
+  user_id: number;
+  organization_id: number;
+  role: OrganizationRole;
+  email: string;
+  userRole: string;
+  createdAt: string;
+}
+
+export interface IAuditEvent {
+  id: number;
+  action: string;
+  method: string;
+  path: string;
+  statusCode: number;
+  actor: string | null;
+  target: string | null;
+  targetId: string | null;
+  before: string | null;
+  after: string | null;
+  organization_id: number | null;
+  createdAt: string;
+}
+
+export type IAuditFilters = {
+  action?: string;
+  actor?: string;
+  target?: string;
+  from?: string;
+  to?: string;
+};
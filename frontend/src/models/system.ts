@@ -59,14 +59,20 @@ const System = {
         return false;
       });
   },
-  acceptedDocumentTypes: async () => {
+  acceptedDocumentTypes: async (): Promise<{
+    types: { [mime: string]: string[] };
+    maxUploadSize: number | null;
+  } | null> => {
     return fetch(`${API_BASE}/v1/document-processor/filetypes`, {
       method: 'GET',
       cache: 'no-cache',
       headers: baseHeaders(),
     })
       .then((res) => res.json())
-      .then((res) => res?.types)
+      .then((res) => ({
+        types: res?.types ?? {},
+        maxUploadSize: res?.maxUploadSize ?? null,
+      }))
       .catch((e) => {
         console.error(e);
         return null;
@@ -117,6 +117,28 @@ const Tools = {
         return false;
       });
   },
+  updateRagTestAlertChannels: async (
+    test: IRagTest,
+    alertChannelIds: number[]
+  ): Promise<{
+    test: { id: number; alertChannelIds: number[] } | null;
+    error: null | string;
+  }> => {
+    return fetch(
+      `${API_BASE}/v1/tools/org/${test.organization.slug}/rag-tests/${test.id}/alert-channels`,
+      {
+        method: 'POST',
+        cache: 'no-cache',
+        headers: baseHeaders(),
+        body: JSON.stringify({ alertChannelIds }),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { test: null, error: e.message };
+      });
+  },
   toggleRagTest: async (test: IRagTest): Promise<boolean> => {
     return fetch(
       `${API_BASE}/v1/tools/org/${test.organization.slug}/rag-tests/${test.id}/toggle-enabled`,
@@ -132,6 +154,181 @@ const Tools = {
         return false;
       });
   },
+  ragTestSuites: async (
+    slug: string
+  ): Promise<{ suites: IRagTestSuite[]; message: null | string }> => {
+    return fetch(`${API_BASE}/v1/tools/org/${slug}/rag-test-suites`, {
+      method: 'GET',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { suites: [], message: e.message };
+      });
+  },
+  ragTestSuite: async (
+    slug: string,
+    suiteId: string | number
+  ): Promise<{
+    suite: IRagTestSuite | null;
+    runs: IRagTestSuiteRun[];
+    message: null | string;
+  }> => {
+    return fetch(
+      `${API_BASE}/v1/tools/org/${slug}/rag-test-suites/${suiteId}`,
+      {
+        method: 'GET',
+        cache: 'no-cache',
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { suite: null, runs: [], message: e.message };
+      });
+  },
+  newRagTestSuite: async (
+    slug: string,
+    settings: { name: string; workspaceId: number | string; topK: number }
+  ): Promise<{ suite: IRagTestSuite | null; error: null | string }> => {
+    return fetch(`${API_BASE}/v1/tools/org/${slug}/rag-test-suites/create`, {
+      method: 'POST',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+      body: JSON.stringify(settings),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { suite: null, error: e.message };
+      });
+  },
+  importRagTestSuitePrompts: async (
+    suite: IRagTestSuite,
+    format: 'csv' | 'jsonl',
+    content: string
+  ): Promise<{
+    imported: number;
+    errors: { line: number; message: string }[];
+    error: null | string;
+  }> => {
+    return fetch(
+      `${API_BASE}/v1/tools/org/${suite.organization.slug}/rag-test-suites/${suite.id}/import`,
+      {
+        method: 'POST',
+        cache: 'no-cache',
+        headers: baseHeaders(),
+        body: JSON.stringify({ format, content }),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { imported: 0, errors: [], error: e.message };
+      });
+  },
+  runRagTestSuite: async (
+    suite: IRagTestSuite
+  ): Promise<{ job: object | null; error: null | string }> => {
+    return fetch(
+      `${API_BASE}/v1/tools/org/${suite.organization.slug}/rag-test-suites/${suite.id}/run`,
+      {
+        method: 'POST',
+        cache: 'no-cache',
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { job: null, error: e.message };
+      });
+  },
+  deleteRagTestSuite: async (suite: IRagTestSuite): Promise<boolean> => {
+    return fetch(
+      `${API_BASE}/v1/tools/org/${suite.organization.slug}/rag-test-suites/${suite.id}`,
+      {
+        method: 'DELETE',
+        cache: 'no-cache',
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.ok)
+      .catch((e) => {
+        console.error(e);
+        return false;
+      });
+  },
+  snapshots: async (
+    slug: string
+  ): Promise<{ snapshots: ISnapshot[]; message: null | string }> => {
+    return fetch(`${API_BASE}/v1/tools/org/${slug}/snapshots`, {
+      method: 'GET',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { snapshots: [], message: e.message };
+      });
+  },
+  createSnapshot: async (
+    slug: string,
+    name: string = ''
+  ): Promise<{
+    success: boolean;
+    snapshot?: ISnapshot;
+    message: null | string;
+  }> => {
+    return fetch(`${API_BASE}/v1/tools/org/${slug}/snapshots/create`, {
+      method: 'POST',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+      body: JSON.stringify({ name }),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { success: false, message: e.message };
+      });
+  },
+  restoreSnapshot: async (
+    slug: string,
+    snapshotId: number
+  ): Promise<{ success: boolean; message: null | string }> => {
+    return fetch(
+      `${API_BASE}/v1/tools/org/${slug}/snapshots/${snapshotId}/restore`,
+      {
+        method: 'POST',
+        cache: 'no-cache',
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { success: false, message: e.message };
+      });
+  },
+  deleteSnapshot: async (
+    slug: string,
+    snapshotId: number
+  ): Promise<boolean> => {
+    return fetch(`${API_BASE}/v1/tools/org/${slug}/snapshots/${snapshotId}`, {
+      method: 'DELETE',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+    })
+      .then((res) => res.ok)
+      .catch((e) => {
+        console.error(e);
+        return false;
+      });
+  },
 
   // Generic Uitls
   workspaceSimilaritySearch: async (
@@ -139,7 +336,8 @@ const Tools = {
     input: string,
     inputType: 'vector' | 'text' = 'text',
     workspaceId: number,
-    topK: number = 3
+    topK: number = 3,
+    filter: string | null = null
   ): Promise<{ results: []; error: null | string }> => {
     return fetch(
       `${API_BASE}/v1/tools/org/${orgSlug}/workspace-similarity-search`,
@@ -152,6 +350,7 @@ const Tools = {
           input,
           inputType,
           workspaceId,
+          filter,
         }),
       }
     )
@@ -161,6 +360,30 @@ const Tools = {
         return { results: [], error: e.message };
       });
   },
+  compareRetrieval: async (
+    orgSlug: string,
+    data: {
+      prompts: string[];
+      topK: number;
+      sideA: IRetrievalComparisonTarget;
+      sideB: IRetrievalComparisonTarget;
+    }
+  ): Promise<{
+    comparison: IRetrievalComparison | null;
+    error: null | string;
+  }> => {
+    return fetch(`${API_BASE}/v1/tools/org/${orgSlug}/retrieval-comparison`, {
+      method: 'POST',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+      body: JSON.stringify(data),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { comparison: null, error: e.message };
+      });
+  },
 };
 
 export default Tools;
@@ -177,13 +400,31 @@ export interface IRagTestRun {
   results: IRagTestRunResult;
   createdAt: string;
 }
+export type IRagDriftRule =
+  | 'new_vector'
+  | 'missing_vector'
+  | 'rank_change'
+  | 'score_delta'
+  | 'min_overlap';
+export interface IRagDriftSettings {
+  scoreDeltaThreshold: number;
+  rankTolerance: number;
+  newVectorSeverity: 'alert' | 'warning';
+  minOverlapRatio: number;
+}
 export interface IRagTestRunResult {
   errorLog: {
-    vectorId: string;
+    vectorId: string | null;
     message: string;
+    // Runs logged before drift rules were configurable have neither.
+    rule?: IRagDriftRule;
+    severity?: 'alert' | 'warning';
   }[];
+  rules?: IRagDriftSettings;
+  overlapRatio?: number;
   newVectorIds: string[];
   missingVectorIds: string[];
+  shiftedVectorIds?: string[];
   highScoreDeltaVectorIds: string[];
   vectorMap: {
     [vectorId: string]: {
@@ -194,17 +435,125 @@ export interface IRagTestRunResult {
     };
   };
 }
-export interface IRagTest {
+export interface IRagTest extends IRagDriftSettings {
   id: number;
   promptText?: string;
   promptVector: number[];
   comparisons: IRagEmbedding[];
+  metadataFilter?: string | null;
   frequencyType: 'demand' | 'hourly' | 'daily' | 'weekly' | 'monthly';
   topK: number;
   lastRun?: string;
   enabled: boolean;
+  alertChannelIds: number[];
   workspace: IWorkspace;
   organization: IOrganization;
   organization_rag_test_runs: IRagTestRun[];
   createdAt: string;
 }
+
+export interface IRagSuiteMetrics {
+  recallAtK: number;
+  mrr: number;
+  ndcg: number;
+  scoredPrompts: number;
+  failedPrompts: number;
+}
+export interface IRagSuitePromptResult {
+  promptId: number;
+  promptText: string | null;
+  recall?: number;
+  reciprocalRank?: number;
+  ndcg?: number;
+  hits?: number;
+  error?: string;
+}
+export interface IRagTestSuiteRun {
+  id: number;
+  status: 'running' | 'failed' | 'complete';
+  results: {
+    topK?: number;
+    metrics?: IRagSuiteMetrics;
+    prompts?: IRagSuitePromptResult[];
+    message?: string;
+  };
+  createdAt: string;
+}
+export interface IRagTestSuite {
+  id: number;
+  name: string;
+  topK: number;
+  lastRun?: string;
+  workspace: IWorkspace;
+  organization: IOrganization;
+  _count: { prompts: number };
+  runs?: IRagTestSuiteRun[];
+  createdAt: string;
+}
+
+export interface ISnapshot {
+  id: number;
+  uuid: string;
+  name: string;
+  status: 'pending' | 'complete' | 'failed';
+  version: number;
+  connectorType: string;
+  workspaceCount: number;
+  documentCount: number;
+  vectorCount: number;
+  createdAt: string;
+  lastUpdatedAt: string;
+}
+export interface IRetrievalComparisonTarget {
+  orgSlug: string;
+  workspaceId: number;
+}
+export interface IRetrievalComparisonResult {
+  vectorId: string;
+  text: string | null;
+  score: number | null;
+  rank: number;
+}
+export interface IRetrievalComparisonPrompt {
+  prompt: string;
+  sideA: { results: IRetrievalComparisonResult[]; error: string | null };
+  sideB: { results: IRetrievalComparisonResult[]; error: string | null };
+  matches: {
+    vectorIdA: string;
+    vectorIdB: string;
+    rankA: number;
+    rankB: number;
+    rankDelta: number;
+    scoreDelta: number | null;
+  }[];
+  overlapRatio: number;
+  meanRankShift: number | null;
+  onlyInA: string[];
+  onlyInB: string[];
+}
+export interface IScoreDistribution {
+  mean: number | null;
+  median: number | null;
+  min: number | null;
+  max: number | null;
+  histogram: number[];
+}
+export interface IRetrievalComparisonSide {
+  organization: { name: string; slug: string };
+  workspace: { id: number; name: string };
+  connector: { type: string };
+}
+export interface IRetrievalComparison {
+  topK: number;
+  sideA: IRetrievalComparisonSide;
+  sideB: IRetrievalComparisonSide;
+  summary: {
+    meanOverlapRatio: number | null;
+    meanRankShift: number | null;
+    identicalPrompts: number;
+    scoreRange: { min: number; max: number };
+    scoresA: IScoreDistribution;
+    scoresB: IScoreDistribution;
+  };
+  results: IRetrievalComparisonPrompt[];
+}
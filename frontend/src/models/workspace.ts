@@ -1,9 +1,14 @@
 import { API_BASE, ISearchTypes } from '@/utils/constants';
 import { baseHeaders, getAPIUrlString } from '@/utils/request';
+import { IEmbedder } from './organization';
 
 const Workspace = {
   documentPageSize: 10,
-  createNew: async (orgSlug: string, workspaceName: string) => {
+  createNew: async (
+    orgSlug: string,
+    workspaceName: string,
+    chunking: object = {}
+  ) => {
     let error;
     const workspace = await fetch(
       `${API_BASE}/v1/org/${orgSlug}/new-workspace`,
@@ -11,7 +16,7 @@ const Workspace = {
         method: 'POST',
         cache: 'no-cache',
         headers: baseHeaders(),
-        body: JSON.stringify({ workspaceName }),
+        body: JSON.stringify({ workspaceName, chunking }),
       }
     )
       .then((res) => res.json())
@@ -135,19 +140,108 @@ const Workspace = {
       });
     return response;
   },
-  syncConnector: async (
+  bulkUploadFiles: async (
+    orgSlug: string,
+    workspaceSlug: string,
+    formData: FormData
+  ): Promise<{
+    success: boolean;
+    job: any;
+    rejected: { file: string; reason: string }[];
+    error: null | string;
+  }> => {
+    return await fetch(
+      `${API_BASE}/v1/org/${orgSlug}/workspace/${workspaceSlug}/bulk-upload`,
+      {
+        method: 'POST',
+        body: formData,
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e.message);
+        return { success: false, job: null, rejected: [], error: e.message };
+      });
+  },
+  importUrl: async (
     orgSlug: string,
     workspaceSlug: string,
-    connectorId: number
+    options: {
+      url: string;
+      mode: 'page' | 'sitemap' | 'crawl';
+      maxDepth?: number;
+      maxPages?: number;
+    }
   ): Promise<{ job: any; error: null | string }> => {
-    return fetch(
-      `${API_BASE}/v1/org/${orgSlug}/connector/${connectorId}/sync/${workspaceSlug}`,
+    return await fetch(
+      `${API_BASE}/v1/org/${orgSlug}/workspace/${workspaceSlug}/import-url`,
+      {
+        method: 'POST',
+        cache: 'no-cache',
+        headers: baseHeaders(),
+        body: JSON.stringify(options),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e.message);
+        return { job: null, error: e.message };
+      });
+  },
+  importEmbeddings: async (
+    orgSlug: string,
+    workspaceSlug: string,
+    formData: FormData
+  ): Promise<{ job: any; error: null | string }> => {
+    return await fetch(
+      `${API_BASE}/v1/org/${orgSlug}/workspace/${workspaceSlug}/import-embeddings`,
+      {
+        method: 'POST',
+        body: formData,
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e.message);
+        return { job: null, error: e.message };
+      });
+  },
+  uploadStatus: async (
+    orgSlug: string,
+    workspaceSlug: string,
+    uploadId: string
+  ): Promise<{ upload: IDocumentUpload | null; error: null | string }> => {
+    return await fetch(
+      `${API_BASE}/v1/org/${orgSlug}/workspace/${workspaceSlug}/upload/${uploadId}`,
       {
         method: 'GET',
         cache: 'no-cache',
         headers: baseHeaders(),
       }
     )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e.message);
+        return { upload: null, error: e.message };
+      });
+  },
+  syncConnector: async (
+    orgSlug: string,
+    workspaceSlug: string,
+    connectorId: number,
+    dryRun: boolean = false
+  ): Promise<{ job: any; error: null | string }> => {
+    const url = new URL(
+      `${getAPIUrlString()}/v1/org/${orgSlug}/connector/${connectorId}/sync/${workspaceSlug}`
+    );
+    if (dryRun) url.searchParams.append('dryRun', 'true');
+    return fetch(url, {
+      method: 'GET',
+      cache: 'no-cache',
+      headers: baseHeaders(),
+    })
       .then((res) => res.json())
       .then((res) => res)
       .catch((e) => {
@@ -175,6 +269,83 @@ const Workspace = {
         return { success: false, error: e.message };
       });
   },
+  updateSettings: async (
+    orgSlug: string,
+    workspaceSlug: string,
+    updates: object = {}
+  ): Promise<{ workspace: any; error: null | string }> => {
+    return await fetch(
+      `${API_BASE}/v1/org/${orgSlug}/workspace/${workspaceSlug}/settings`,
+      {
+        method: 'POST',
+        body: JSON.stringify({ updates }),
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e.message);
+        return { workspace: null, error: e.message };
+      });
+  },
+  embedder: async (
+    orgSlug: string,
+    workspaceSlug: string
+  ): Promise<{
+    embedder: IEmbedder | null;
+    effective: IEmbedder | null;
+    providers: string[];
+  }> => {
+    return await fetch(
+      `${API_BASE}/v1/org/${orgSlug}/workspace/${workspaceSlug}/embedder`,
+      {
+        method: 'GET',
+        cache: 'no-cache',
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e.message);
+        return { embedder: null, effective: null, providers: [] };
+      });
+  },
+  updateEmbedder: async (
+    orgSlug: string,
+    workspaceSlug: string,
+    embedder: object = {}
+  ): Promise<{ embedder: IEmbedder | null; error: null | string }> => {
+    return await fetch(
+      `${API_BASE}/v1/org/${orgSlug}/workspace/${workspaceSlug}/embedder`,
+      {
+        method: 'POST',
+        body: JSON.stringify({ embedder }),
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e.message);
+        return { embedder: null, error: e.message };
+      });
+  },
+  resetEmbedder: async (
+    orgSlug: string,
+    workspaceSlug: string
+  ): Promise<{ success: boolean; error: null | string }> => {
+    return await fetch(
+      `${API_BASE}/v1/org/${orgSlug}/workspace/${workspaceSlug}/embedder`,
+      {
+        method: 'DELETE',
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e.message);
+        return { success: false, error: e.message };
+      });
+  },
   searchDocuments: async (
     workspaceId: number,
     method: ISearchTypes,
@@ -196,6 +367,89 @@ const Workspace = {
         return [];
       });
   },
+  metadataProfile: async (
+    orgSlug: string,
+    workspaceSlug: string
+  ): Promise<{ profile: IMetadataProfile | null; error: null | string }> => {
+    return await fetch(
+      `${API_BASE}/v1/org/${orgSlug}/workspace/${workspaceSlug}/metadata-profile`,
+      {
+        method: 'GET',
+        cache: 'no-cache',
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e.message);
+        return { profile: null, error: e.message };
+      });
+  },
+  updateMetadataSchema: async (
+    orgSlug: string,
+    workspaceSlug: string,
+    schema: IMetadataSchema | null
+  ): Promise<{ schema: IMetadataSchema | null; error: null | string }> => {
+    return await fetch(
+      `${API_BASE}/v1/org/${orgSlug}/workspace/${workspaceSlug}/metadata-schema`,
+      {
+        method: 'POST',
+        cache: 'no-cache',
+        headers: baseHeaders(),
+        body: JSON.stringify({ schema }),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e.message);
+        return { schema: null, error: e.message };
+      });
+  },
+  previewBulkMetadata: async (
+    orgSlug: string,
+    workspaceSlug: string,
+    selection: IBulkMetadataSelection,
+    operations: IBulkMetadataOperation[]
+  ): Promise<{
+    preview: IBulkMetadataPreview | null;
+    error: null | string;
+  }> => {
+    return await fetch(
+      `${API_BASE}/v1/org/${orgSlug}/workspace/${workspaceSlug}/bulk-metadata/preview`,
+      {
+        method: 'POST',
+        cache: 'no-cache',
+        headers: baseHeaders(),
+        body: JSON.stringify({ selection, operations }),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e.message);
+        return { preview: null, error: e.message };
+      });
+  },
+  bulkUpdateMetadata: async (
+    orgSlug: string,
+    workspaceSlug: string,
+    selection: IBulkMetadataSelection,
+    operations: IBulkMetadataOperation[]
+  ): Promise<{ job: object | null; error: null | string }> => {
+    return await fetch(
+      `${API_BASE}/v1/org/${orgSlug}/workspace/${workspaceSlug}/bulk-metadata`,
+      {
+        method: 'POST',
+        cache: 'no-cache',
+        headers: baseHeaders(),
+        body: JSON.stringify({ selection, operations }),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e.message);
+        return { job: null, error: e.message };
+      });
+  },
 };
 
 export default Workspace;
@@ -210,3 +464,79 @@ export interface IWorkspace {
   lastUpdatedAt: number;
   documentCount: number;
 }
+
+export type IBulkMetadataSelection =
+  | { type: 'workspace'; filter?: string | null }
+  | { type: 'document'; documentId: number; filter?: string | null }
+  | {
+      type: 'search';
+      documentId: number;
+      method: ISearchTypes;
+      query: string;
+    };
+
+export interface IBulkMetadataOperation {
+  action: 'add' | 'set' | 'rename' | 'remove';
+  key: string;
+  newKey?: string;
+  value?: string | number | boolean;
+}
+
+export interface IBulkMetadataPreview {
+  documents: number;
+  vectors: number;
+  affected: number;
+  operations: number[];
+}
+
+export type IMetadataFieldType =
+  | 'string'
+  | 'number'
+  | 'boolean'
+  | 'array'
+  | 'object';
+
+export interface IMetadataSchema {
+  enforcement?: 'warn' | 'reject';
+  additionalKeys?: boolean;
+  fields: {
+    [key: string]: {
+      type: IMetadataFieldType;
+      required?: boolean;
+      enum?: (string | number | boolean)[];
+    };
+  };
+}
+
+export interface IMetadataProfile {
+  source: 'cache' | 'sample';
+  vectors: number;
+  keys: {
+    key: string;
+    count: number;
+    fillRate: number;
+    types: { [type: string]: number };
+    distinctValues: number;
+    truncated: boolean;
+    topValues: { value: string; count: number }[];
+  }[];
+  schema: IMetadataSchema | null;
+  violations: {
+    vectors: number;
+    examples: {
+      vectorId: string;
+      documentId: number | null;
+      messages: string[];
+    }[];
+  } | null;
+}
+
+export interface IDocumentUpload {
+  uuid: string;
+  filename: string;
+  size: number;
+  status: 'processing' | 'embedding' | 'complete' | 'failed';
+  error: string | null;
+  violations: string[];
+  job_id: number | null;
+}
@@ -0,0 +1,283 @@
+import { memo, useEffect, useState } from 'react';
+import moment from 'moment';
+import { CaretDown, DownloadSimple } from '@phosphor-icons/react';
+import Organization, {
+  IAuditEvent,
+  IAuditFilters,
+} from '@/models/organization';
+import showToast from '@/utils/toast';
+
+export default function AuditEventsList({
+  organization,
+}: {
+  organization: any;
+}) {
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [events, setEvents] = useState<IAuditEvent[]>([]);
+  const [total, setTotal] = useState(0);
+  const [actions, setActions] = useState<string[]>([]);
+  const [targets, setTargets] = useState<string[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [filters, setFilters] = useState<IAuditFilters>({});
+  const [page, setPage] = useState(1);
+  const totalPages = Math.max(1, Math.ceil(total / Organization.auditPageSize));
+
+  useEffect(() => {
+    async function fetchEvents() {
+      setLoading(true);
+      const result = await Organization.auditEvents(
+        organization.slug,
+        filters,
+        page
+      );
+      setEvents(result?.events || []);
+      setTotal(result?.total || 0);
+      setActions(result?.actions || []);
+      setTargets(result?.targets || []);
+      setError(result?.error || null);
+      setLoading(false);
+    }
+    fetchEvents();
+  }, [organization.slug, filters, page]);
+
+  const applyFilters = (e: any) => {
+    e.preventDefault();
+    const form = new FormData(e.target);
+    const from = form.get('from') as string;
+    const to = form.get('to') as string;
+    setPage(1);
+    setFilters({
+      action: form.get('action') as string,
+      target: form.get('target') as string,
+      actor: form.get('actor') as string,
+      from: !!from ? moment(from).startOf('day').toISOString() : '',
+      to: !!to ? moment(to).endOf('day').toISOString() : '',
+    });
+  };
+
+  const exportCsv = async () => {
+    setExporting(true);
+    const blob = await Organization.exportAuditEvents(
+      organization.slug,
+      filters
+    );
+    setExporting(false);
+    if (!blob) {
+      showToast('Could not export the audit log.', 'error');
+      return;
+    }
+
+    const link = document.createElement('a');
+    link.href = window.URL.createObjectURL(blob);
+    link.download = `${organization.slug}-audit-log.csv`;
+    link.click();
+    window.URL.revokeObjectURL(link.href);
+  };
+
+  return (
+    <div className="col-span-12 h-screen flex-1 rounded-sm bg-main pb-6 xl:col-span-4">
+      <div className="-mt-10 flex items-center gap-x-4">
+        <button
+          onClick={() => window.history.back()}
+          className="flex h-[34px] w-[34px] rotate-90 items-center justify-center rounded-full border border-transparent  bg-zinc-900 text-white transition-all duration-300 hover:border-white/20 hover:bg-opacity-5 hover:text-white"
+        >
+          <CaretDown weight="bold" size={18} />
+        </button>
+        <div className="text-lg font-medium text-white">Audit Log</div>
+      </div>
+
+      <div className="ml-13 pr-6">
+        <form
+          onSubmit={applyFilters}
+          className="mt-6 flex flex-wrap items-end gap-4"
+        >
+          <FilterSelect name="action" label="Action" options={actions} />
+          <FilterSelect name="target" label="Target" options={targets} />
+          <div className="flex flex-col gap-y-1">
+            <label className="text-xs font-medium text-white/60">Actor</label>
+            <input
+              type="text"
+              name="actor"
+              placeholder="Email or API key"
+              autoComplete="off"
+              className="rounded-lg border border-white/10 bg-main-2 px-3 py-2 text-sm text-white"
+            />
+          </div>
+          <div className="flex flex-col gap-y-1">
+            <label className="text-xs font-medium text-white/60">From</label>
+            <input
+              type="date"
+              name="from"
+              className="rounded-lg border border-white/10 bg-main-2 px-3 py-2 text-sm text-white"
+            />
+          </div>
+          <div className="flex flex-col gap-y-1">
+            <label className="text-xs font-medium text-white/60">To</label>
+            <input
+              type="date"
+              name="to"
+              className="rounded-lg border border-white/10 bg-main-2 px-3 py-2 text-sm text-white"
+            />
+          </div>
+          <button
+            type="submit"
+            className="rounded-lg bg-white bg-opacity-10 px-4 py-2 text-sm font-medium text-white transition-all duration-300 hover:bg-opacity-5"
+          >
+            Apply filters
+          </button>
+          <button
+            type="button"
+            onClick={exportCsv}
+            disabled={exporting || events.length === 0}
+            className="flex items-center gap-x-2 rounded-lg px-4 py-2 text-sm font-medium text-sky-400 hover:bg-white/5 disabled:text-white/40"
+          >
+            <DownloadSimple size={18} weight="bold" />
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+        </form>
+
+        {!!error ? (
+          <p className="mt-10 text-sm text-white text-opacity-60">{error}</p>
+        ) : !loading && events.length === 0 ? (
+          <p className="mt-10 text-sm text-white text-opacity-60">
+            No audit events match these filters.
+          </p>
+        ) : (
+          <div className="mt-4 overflow-y-auto">
+            {events.map((event) => (
+              <AuditEventRow key={event.id} event={event} />
+            ))}
+            <div className="mt-4 flex items-center justify-between text-sm text-white/60">
+              <span>
+                {total} event{total === 1 ? '' : 's'} - page {page} of{' '}
+                {totalPages}
+              </span>
+              <div className="flex gap-x-2">
+                <button
+                  type="button"
+                  disabled={page <= 1}
+                  onClick={() => setPage(page - 1)}
+                  className="rounded-lg px-3 py-1 text-white hover:bg-white/10 disabled:text-white/30"
+                >
+                  Previous
+                </button>
+                <button
+                  type="button"
+                  disabled={page >= totalPages}
+                  onClick={() => setPage(page + 1)}
+                  className="rounded-lg px-3 py-1 text-white hover:bg-white/10 disabled:text-white/30"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function FilterSelect({
+  name,
+  label,
+  options,
+}: {
+  name: string;
+  label: string;
+  options: string[];
+}) {
+  return (
+    <div className="flex flex-col gap-y-1">
+      <label className="text-xs font-medium text-white/60">{label}</label>
+      <select
+        name={name}
+        className="rounded-lg border border-white/10 bg-main-2 px-3 py-2 text-sm text-white"
+      >
+        <option value="">All</option>
+        {options.map((option) => (
+          <option key={option} value={option}>
+            {option}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+const AuditEventRow = ({ event }: { event: IAuditEvent }) => {
+  const [show, setShow] = useState(false);
+  const failed = event.statusCode >= 400;
+
+  return (
+    <>
+      <button
+        onClick={() => setShow(!show)}
+        type="button"
+        className="flex w-full items-center justify-between border-b border-white/20 py-4 text-left text-white"
+      >
+        <div className="flex w-full items-center justify-between pr-4">
+          <div className="flex items-center gap-x-6">
+            <span className="rounded-full bg-white/10 px-2 py-0.5 text-sm font-medium text-white shadow-sm">
+              {event.action}
+            </span>
+            <span className="text-sm">{event.actor}</span>
+            {!!event.targetId && (
+              <span className="text-sm text-white/60">
+                {event.target} #{event.targetId}
+              </span>
+            )}
+            {failed && (
+              <span className="rounded-full bg-red-600/20 px-2 py-0.5 text-sm font-medium text-red-600 shadow-sm">
+                {event.statusCode}
+              </span>
+            )}
+          </div>
+          <p
+            className="text-sm text-white/60"
+            title={moment(event.createdAt).format('LLL')}
+          >
+            {moment(event.createdAt).fromNow()}
+          </p>
+        </div>
+        <div
+          className={`${
+            show ? 'rotate-0' : 'rotate-90'
+          } transition-all duration-300`}
+        >
+          <CaretDown weight="bold" size={20} />
+        </div>
+      </button>
+      {show && <AuditEventDetail event={event} />}
+    </>
+  );
+};
+
+const AuditEventDetail = memo(({ event }: { event: IAuditEvent }) => {
+  const format = (payload: string | null) =>
+    !!payload ? JSON.stringify(JSON.parse(payload), null, 2) : 'None';
+
+  return (
+    <div className="flex w-full flex-col gap-y-2 p-2">
+      <p className="px-2 font-mono text-xs text-white/60">
+        {event.method} {event.path} - {event.statusCode}
+      </p>
+      <div className="flex w-full items-start gap-x-10 p-2">
+        <div className="flex w-1/2 flex-col gap-y-1">
+          <p className="text-md font-semibold text-white">Before</p>
+          <pre className="overflow-scroll rounded-lg bg-main-2 p-2 text-white shadow-sm">
+            {format(event.before)}
+          </pre>
+        </div>
+
+        <div className="flex w-1/2 flex-col gap-y-1">
+          <p className="text-md font-semibold text-white">After</p>
+          <pre className="overflow-scroll whitespace-pre-wrap rounded-lg bg-main-2 p-2 text-white shadow-sm">
+            {format(event.after)}
+          </pre>
+        </div>
+      </div>
+    </div>
+  );
+});
@@ -3,6 +3,7 @@ import { CheckCircle, Circle, XCircle } from 'react-feather';
 import Organization from '@/models/organization';
 import { SUPPORTED_VECTOR_DBS } from '@/utils/constants';
 import { titleCase } from 'title-case';
+import { databaseTimestampFromNow } from '@/utils/data';
 import SyncConnectorModal from '@/components/Modals/SyncConnectorModal';
 import UpdateConnectorModal from '@/components/Modals/UpdateConnectorModal';
 import NewConnectorModal from '@/components/Modals/NewConnectorModal';
@@ -132,6 +133,13 @@ export default function ConnectorCard({
           <p className="text-sm text-slate-500">
             You are currently connected to a {connector.type} instance.
           </p>
+          <p className="text-xs text-slate-400">
+            {!!connector.lastSyncedAt
+              ? `Last synced ${databaseTimestampFromNow(
+                  connector.lastSyncedAt
+                )}`
+              : 'Never synced'}
+          </p>
           <div className="flex flex-col gap-y-2">
             {canSync ? (
               <>
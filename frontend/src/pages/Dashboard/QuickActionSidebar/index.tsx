@@ -1,5 +1,6 @@
 import {
   CaretDown,
+  ClipboardText,
   ShieldCheckered,
   SpinnerGap,
   Toolbox,
@@ -78,6 +79,12 @@ export default function QuickActionsSidebar({
             <div className="text-sm font-medium">Background Jobs</div>
           </div>
         </NavLink>
+        <NavLink to={paths.auditLog(organization)}>
+          <div className="mt-5 flex items-center gap-x-2 text-white hover:cursor-pointer hover:text-sky-400 hover:underline">
+            <ClipboardText size={18} weight="bold" />
+            <div className="text-sm font-medium">Audit Log</div>
+          </div>
+        </NavLink>
       </div>
     </div>
   );
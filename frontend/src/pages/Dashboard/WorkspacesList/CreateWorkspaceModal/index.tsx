@@ -6,6 +6,7 @@ import Organization from '@/models/organization';
 import { debounce } from 'lodash';
 import { AlertCircle } from 'react-feather';
 import paths from '@/utils/paths';
+import ChunkingFields, { chunkingFromForm } from '@/components/ChunkingFields';
 
 export default function CreateWorkspaceModal({
   organization,
@@ -56,7 +57,8 @@ export default function CreateWorkspaceModal({
     setError(null);
     const { workspace, error } = await Workspace.createNew(
       organization.slug,
-      e.target.name.value
+      e.target.name.value,
+      chunkingFromForm(new FormData(e.target))
     );
     if (!workspace) {
       setLoading(false);
@@ -123,6 +125,14 @@ export default function CreateWorkspaceModal({
                 onChange={debouncedOnChange}
                 className="placeholder-text-white/60 w-full rounded-lg border border-white/10 bg-main-2 px-2.5 py-2 text-sm text-white"
               />
+              <details className="mt-4">
+                <summary className="cursor-pointer text-sm text-white/60">
+                  Chunking settings
+                </summary>
+                <div className="mt-2">
+                  <ChunkingFields />
+                </div>
+              </details>
               {error && (
                 <p className="my-2 rounded-lg border border-red-800 bg-red-600/10 p-2 px-2 text-sm text-red-600">
                   Error: {error}
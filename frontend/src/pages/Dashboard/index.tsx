@@ -10,6 +10,7 @@ import Statistics from './Statistics';
 import DocumentsList from './DocumentsList';
 import Organization from '@/models/organization';
 import truncate from 'truncate';
+import { databaseTimestampFromNow } from '@/utils/data';
 
 import ChromaLogo from '@/images/vectordbs/chroma.png';
 import PineconeLogoInverted from '@/images/vectordbs/pinecone-inverted.png';
@@ -192,6 +193,15 @@ function OrganizationHeader({ organization, connector }: any) {
           )}
         </button>
 
+        {!!connector?.type && (
+          <span className="self-center whitespace-nowrap text-xs text-white/60">
+            {!!connector.lastSyncedAt
+              ? `Last synced ${databaseTimestampFromNow(
+                  connector.lastSyncedAt
+                )}`
+              : 'Never synced'}
+          </span>
+        )}
         <button
           onClick={() =>
             document?.getElementById('sync-connector-modal')?.showModal()
@@ -36,10 +36,8 @@ const MetadataEditor = memo(
       setSaving(true);
       setError('');
       const data = constructModifiedMetadata(e.target);
-      const { success, error } = await Document.updateFragmentMetadata(
-        fragment.id,
-        data
-      );
+      const { success, error, violations } =
+        await Document.updateFragmentMetadata(fragment.id, data);
       setSaving(false);
 
       if (!success && !!error) {
@@ -47,11 +45,19 @@ const MetadataEditor = memo(
         return;
       }
 
-      showToast(
-        'Updating metadata for embedding in background job.',
-        'success',
-        { clear: true }
-      );
+      !!violations?.length
+        ? showToast(
+            `Metadata saved, but it does not match the workspace schema: ${violations.join(
+              ' '
+            )}`,
+            'warning',
+            { clear: true }
+          )
+        : showToast(
+            'Updating metadata for embedding in background job.',
+            'success',
+            { clear: true }
+          );
       document.getElementById(`${fragment.id}-metadata-editor`)?.close();
       setHasChanges(false);
       return;
@@ -8,6 +8,7 @@ import SearchView from './SearchView';
 import MetadataEditor from './MetadataEditor';
 import { Trash } from '@phosphor-icons/react';
 import { ISearchTypes, SEARCH_MODES } from '@/utils/constants';
+import BulkMetadataModal from '@/components/Modals/BulkMetadataModal';
 const DeleteEmbeddingConfirmation = lazy(
   () => import('./DeleteEmbeddingConfirmation')
 );
@@ -91,6 +92,23 @@ export default function FragmentList({
           </div>
         </div>
 
+        {searchMode && !searching && searchFragments.length > 0 && (
+          <div className="mb-2 flex items-center justify-end gap-x-2 px-2 text-xs text-white/60">
+            {pluralize('result', searchFragments.length, true)} for{' '}
+            {SEARCH_MODES[searchBy].display}
+            <button
+              type="button"
+              onClick={() =>
+                window.document
+                  .getElementById(`bulk-metadata-search-${document.id}-modal`)
+                  ?.showModal()
+              }
+              className="rounded-lg px-2 py-1 font-medium text-sky-400 hover:bg-white/10"
+            >
+              Edit metadata of results
+            </button>
+          </div>
+        )}
         <div className="flex-grow overflow-y-auto rounded-xl border-2 border-white/20 bg-main">
           {loading || searching ? (
             <div className="flex h-full w-full items-center justify-center">
@@ -183,6 +201,23 @@ export default function FragmentList({
           </div>
         )}
       </div>
+      {searchMode && (
+        <BulkMetadataModal
+          key={`${searchBy}:${searchTerm}`}
+          id={`bulk-metadata-search-${document.id}-modal`}
+          title="Edit metadata of search results"
+          description={`Applies to the ${SEARCH_MODES[
+            searchBy
+          ].display.toLowerCase()} results for "${searchTerm}" in this document. The search is run again when the changes are applied.`}
+          selection={{
+            type: 'search',
+            documentId: document.id,
+            method: searchBy,
+            query: searchTerm,
+          }}
+          connector={connector}
+        />
+      )}
     </>
   );
 }
@@ -8,13 +8,15 @@ import AppLayout from '@/layout/AppLayout';
 import { useParams } from 'react-router-dom';
 import FragmentList from './FragmentList';
 import Document from '@/models/document';
-import System from '@/models/system';
+import Workspace from '@/models/workspace';
+import { canEmbed } from '@/components/EmbedderFields';
 import Organization from '@/models/organization';
 import { APP_NAME } from '@/utils/constants';
 import { CaretDown } from '@phosphor-icons/react';
 import truncate from 'truncate';
 import UploadModalNoKey from '@/components/Modals/UploadModalNoKey';
 import UploadDocumentModal from '@/components/Modals/UploadDocumentModal';
+import BulkMetadataModal from '@/components/Modals/BulkMetadataModal';
 
 export default function DocumentView() {
   const { user } = useUser();
@@ -84,12 +86,13 @@ export default function DocumentView() {
       setConnector(_connector);
 
       const document = await Document.get(documentId);
-      const { exists: hasOpenAIKey } = await System.hasSetting(
-        'open_ai_api_key'
+      const { effective } = await Workspace.embedder(
+        focusedOrg.slug,
+        workspaceSlug as string
       );
       fetchWorkspaces(focusedOrg);
       setDocument(document);
-      setCanEdit(hasOpenAIKey);
+      setCanEdit(canEmbed(effective));
       setLoading(false);
     }
     fetchData();
@@ -135,6 +138,14 @@ export default function DocumentView() {
         workspace={workspace}
         workspaces={workspaces}
       />
+      <BulkMetadataModal
+        id={`bulk-metadata-document-${document?.id}-modal`}
+        title="Edit metadata across this document"
+        description="Add, rename, remove or set metadata keys on every embedding of this document. Narrow the selection down with a metadata filter and preview how many vectors change before applying."
+        selection={{ type: 'document', documentId: document?.id }}
+        connector={connector}
+        allowFilter={true}
+      />
 
       {canEdit ? (
         <UploadDocumentModal workspaces={workspaces} />
@@ -202,6 +213,18 @@ function DocumentViewHeader({ organization, workspace, document }: any) {
             Clone
           </div>
         </button>
+        <button
+          onClick={() =>
+            window.document
+              .getElementById(`bulk-metadata-document-${document.id}-modal`)
+              ?.showModal()
+          }
+          className="inline-flex h-11 flex-col items-center justify-center gap-2.5 rounded-lg bg-white bg-opacity-10 px-3.5 py-2.5 transition-all duration-300 hover:bg-opacity-5"
+        >
+          <div className="font-satoshi h-[25.53px] text-center text-base font-bold text-white">
+            Metadata
+          </div>
+        </button>
         <button
           onClick={deleteDocument}
           className="inline-flex h-11 w-[74px] flex-col items-center justify-center gap-2.5 rounded-lg border border-white border-opacity-20 px-3.5 py-2.5 transition-all duration-300 hover:bg-red-500"
@@ -3,6 +3,9 @@ import moment from 'moment';
 import Jobs from '@/models/jobs';
 import useUser from '@/hooks/useUser';
 import { CaretDown } from '@phosphor-icons/react';
+import { BulkUploadSummary } from '@/components/Modals/UploadDocumentModal/BulkUploadProgress';
+
+const BULK_UPLOAD_TASK = 'workspace/bulk-upload';
 
 export default function JobsList({ jobs }: { jobs: any[] }) {
   const { user } = useUser();
@@ -62,6 +65,11 @@ const JobRun = ({ job, user }: { job: any; user: any }) => {
             <span className="rounded-full bg-white/10 px-2 py-0.5 text-sm font-medium text-white shadow-sm">
               {taskName}
             </span>
+            {!!job.parent_job_id && (
+              <span className="text-sm text-white/60">
+                part of job #{job.parent_job_id}
+              </span>
+            )}
           </div>
           <p className="text-sm text-white/60">
             last updated {moment(job.lastUpdatedAt).fromNow()}
@@ -109,6 +117,7 @@ const JobDetail = memo(({ job, user }: { job: any; user: any }) => {
   const result = JSON.parse(job.result);
   const [rerun, setRerun] = useState(false);
   const [killed, setKilled] = useState(false);
+  const [retried, setRetried] = useState(false);
 
   const rerunJob = async (e: any) => {
     setRerun(true);
@@ -124,6 +133,14 @@ const JobDetail = memo(({ job, user }: { job: any; user: any }) => {
     setRerun(false);
     return false;
   };
+  const retryFailedFiles = async () => {
+    setRetried(true);
+    const { job: retriedJob, error } = await Jobs.retryFailed(job.id);
+    if (!!retriedJob) return;
+
+    alert(error);
+    setRetried(false);
+  };
   const killJob = async (e: any) => {
     setKilled(true);
     await Jobs.kill(job.id);
@@ -153,6 +170,23 @@ const JobDetail = memo(({ job, user }: { job: any; user: any }) => {
           {rerun ? 'Job is queued!' : 'Re-run Failed Job'}
         </button>
       )}
+      {user.role === 'admin' &&
+        job.taskName === BULK_UPLOAD_TASK &&
+        job.status !== 'pending' &&
+        result?.canRetryFailed && (
+          <button
+            onClick={retryFailedFiles}
+            disabled={retried}
+            className="my-2 rounded-lg bg-red-500 px-4 py-2 text-white hover:bg-red-600 disabled:bg-green-500 disabled:hover:bg-green-500"
+          >
+            {retried ? 'Failed files are queued!' : 'Retry Failed Files'}
+          </button>
+        )}
+      {job.taskName === BULK_UPLOAD_TASK && (
+        <div className="p-2">
+          <BulkUploadSummary result={result} />
+        </div>
+      )}
       <div className="flex w-full items-start gap-x-10 p-2">
         <div className="flex w-1/2 flex-col gap-y-1">
           <p className="text-md font-semibold text-white">Job Data</p>
@@ -0,0 +1,276 @@
+import { useEffect, useState } from 'react';
+import Organization, {
+  AlertChannelType,
+  IAlertChannel,
+  OrganizationRole,
+} from '@/models/organization';
+import showToast from '@/utils/toast';
+
+const TYPE_LABELS: { [key in AlertChannelType]: string } = {
+  webhook: 'Webhook',
+  email: 'Email',
+  nats: 'NATS subject',
+};
+
+export default function AlertChannels({
+  organization,
+  role,
+}: {
+  organization: any;
+  role: OrganizationRole | null;
+}) {
+  const [loading, setLoading] = useState(true);
+  const [channels, setChannels] = useState<IAlertChannel[]>([]);
+  const canManage = role === 'owner';
+
+  useEffect(() => {
+    async function fetchChannels() {
+      const { channels } = await Organization.alertChannels(organization.slug);
+      setChannels(channels || []);
+      setLoading(false);
+    }
+    fetchChannels();
+  }, [organization.slug]);
+
+  const toggleChannel = async (channel: IAlertChannel) => {
+    const { channel: updated, error } = await Organization.updateAlertChannel(
+      organization.slug,
+      channel.id,
+      { enabled: !channel.enabled }
+    );
+    if (!updated) {
+      showToast(error, 'error');
+      return;
+    }
+    setChannels((prev) =>
+      prev.map((item) => (item.id === updated.id ? updated : item))
+    );
+  };
+
+  const testChannel = async (channel: IAlertChannel) => {
+    const { success, error } = await Organization.testAlertChannel(
+      organization.slug,
+      channel.id
+    );
+    success
+      ? showToast(`Test alert sent to ${channel.name}.`, 'success')
+      : showToast(error || 'Test alert could not be sent.', 'error');
+  };
+
+  const removeChannel = async (channel: IAlertChannel) => {
+    if (
+      !confirm(
+        `Remove the ${channel.name} alert channel? Tests using it will stop alerting there.`
+      )
+    )
+      return false;
+    const { success, error } = await Organization.deleteAlertChannel(
+      organization.slug,
+      channel.id
+    );
+    if (!success) {
+      showToast(error, 'error');
+      return;
+    }
+    setChannels((prev) => prev.filter((item) => item.id !== channel.id));
+  };
+
+  if (loading) return null;
+  return (
+    <div className="ml-13 mt-10 w-[720px]">
+      <div className="text-sm font-medium text-white">Alert Channels</div>
+      <div className="mb-4 mt-1 text-sm text-white text-opacity-60">
+        Where Context Drift tests send alerts when drift is detected or a run
+        fails. Pick the channels for each test from its details.
+      </div>
+      {channels.length > 0 && (
+        <table className="w-full text-left text-sm text-white">
+          <thead className="border-b-2 border-white/10 bg-main text-sm font-medium uppercase text-white/50">
+            <tr>
+              <th scope="col" className="px-6 py-3">
+                Name
+              </th>
+              <th scope="col" className="px-6 py-3">
+                Destination
+              </th>
+              <th scope="col" className="px-6 py-3">
+                {' '}
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {channels.map((channel) => (
+              <tr
+                key={channel.id}
+                className="h-[46px] text-sm font-semibold text-white transition-all duration-300 hover:bg-white/5"
+              >
+                <td className="px-6 py-4">
+                  {channel.name}
+                  <p className="text-xs font-light text-white/60">
+                    {TYPE_LABELS[channel.type]}
+                    {!channel.enabled && ' (disabled)'}
+                  </p>
+                </td>
+                <td className="max-w-[280px] truncate px-6 py-4 font-light">
+                  {channelDestination(channel)}
+                </td>
+                <td className="px-6 py-4">
+                  {canManage && (
+                    <div className="flex items-center gap-x-2">
+                      <button
+                        type="button"
+                        onClick={() => testChannel(channel)}
+                        className="rounded-lg p-1 text-sm font-light text-sky-400 hover:bg-sky-500 hover:text-white"
+                      >
+                        Test
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => toggleChannel(channel)}
+                        className="rounded-lg p-1 text-sm font-light text-white/60 hover:bg-white/10 hover:text-white"
+                      >
+                        {channel.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => removeChannel(channel)}
+                        className="rounded-lg p-1 text-sm font-light text-red-500 hover:bg-red-500 hover:text-white"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {canManage && (
+        <NewAlertChannelForm
+          organization={organization}
+          onCreate={(channel) => setChannels((prev) => [...prev, channel])}
+        />
+      )}
+    </div>
+  );
+}
+
+function channelDestination(channel: IAlertChannel) {
+  switch (channel.type) {
+    case 'webhook':
+      return `${channel.config.url}${
+        channel.config.hasSecret ? ' (signed)' : ''
+      }`;
+    case 'email':
+      return channel.config.recipients?.join(', ');
+    case 'nats':
+      return channel.config.subject;
+    default:
+      return '--';
+  }
+}
+
+function NewAlertChannelForm({
+  organization,
+  onCreate,
+}: {
+  organization: any;
+  onCreate: (channel: IAlertChannel) => void;
+}) {
+  const [type, setType] = useState<AlertChannelType>('webhook');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e: any) => {
+    e.preventDefault();
+    setSaving(true);
+    const form = new FormData(e.target);
+    const config: { [key: string]: string } = {};
+    ['url', 'secret', 'recipients', 'subject'].forEach((key) => {
+      if (form.get(key)) config[key] = form.get(key) as string;
+    });
+
+    const { channel, error } = await Organization.createAlertChannel(
+      organization.slug,
+      { name: form.get('name') as string, type, config }
+    );
+    if (!!channel) {
+      onCreate(channel);
+      e.target.reset();
+      showToast('Alert channel added.', 'success');
+    } else {
+      showToast(error, 'error');
+    }
+    setSaving(false);
+  };
+
+  const inputClass =
+    'rounded-lg border border-white/10 bg-main-2/10 px-2 py-2 text-sm text-white outline-none';
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 flex flex-col gap-y-2">
+      <div className="flex items-center gap-x-2">
+        <input
+          type="text"
+          name="name"
+          required={true}
+          placeholder="Channel name"
+          className={inputClass}
+        />
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value as AlertChannelType)}
+          className={`${inputClass} bg-main-2`}
+        >
+          {Object.entries(TYPE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {type === 'webhook' && (
+        <div className="flex items-center gap-x-2">
+          <input
+            type="url"
+            name="url"
+            required={true}
+            placeholder="https://hooks.slack.com/services/..."
+            className={`${inputClass} w-[360px]`}
+          />
+          <input
+            type="password"
+            name="secret"
+            placeholder="Signing secret (optional)"
+            autoComplete="off"
+            className={inputClass}
+          />
+        </div>
+      )}
+      {type === 'email' && (
+        <input
+          type="text"
+          name="recipients"
+          required={true}
+          placeholder="ops@example.com, ml@example.com"
+          className={`${inputClass} w-[360px]`}
+        />
+      )}
+      {type === 'nats' && (
+        <input
+          type="text"
+          name="subject"
+          required={true}
+          placeholder="alerts.vector-admin.rag-tests"
+          className={`${inputClass} w-[360px]`}
+        />
+      )}
+      <button
+        type="submit"
+        disabled={saving}
+        className="w-fit text-center text-sm font-medium text-sky-400"
+      >
+        {saving ? 'Saving...' : 'Add alert channel'}
+      </button>
+    </form>
+  );
+}
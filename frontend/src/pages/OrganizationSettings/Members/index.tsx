@@ -0,0 +1,151 @@
+import { useEffect, useState } from 'react';
+import moment from 'moment';
+import Organization, { IMember, OrganizationRole } from '@/models/organization';
+import showToast from '@/utils/toast';
+
+const ROLE_DESCRIPTIONS: { [key: string]: string } = {
+  owner: 'Manage members, connectors and the organization itself.',
+  editor: 'Create, edit and delete workspaces and documents.',
+  viewer: 'Browse and search but never change anything.',
+};
+
+export default function Members({
+  organization,
+  role,
+}: {
+  organization: any;
+  role: OrganizationRole | null;
+}) {
+  const [loading, setLoading] = useState(true);
+  const [members, setMembers] = useState<IMember[]>([]);
+  const [roles, setRoles] = useState<OrganizationRole[]>([]);
+  const canManage = role === 'owner';
+
+  useEffect(() => {
+    async function fetchMembers() {
+      const { members, roles } = await Organization.members(organization.slug);
+      setMembers(members || []);
+      setRoles(roles || []);
+      setLoading(false);
+    }
+    fetchMembers();
+  }, [organization.slug]);
+
+  const updateRole = async (member: IMember, newRole: OrganizationRole) => {
+    const { membership, error } = await Organization.updateMemberRole(
+      organization.slug,
+      member.user_id,
+      newRole
+    );
+    if (!membership) {
+      showToast(error, 'error');
+      return;
+    }
+
+    setMembers((prev) =>
+      prev.map((item) =>
+        item.id === member.id ? { ...item, role: newRole } : item
+      )
+    );
+    showToast(
+      `${member.email} is now ${newRole === 'owner' ? 'an' : 'a'} ${newRole}.`,
+      'success'
+    );
+  };
+
+  const removeMember = async (member: IMember) => {
+    if (
+      !confirm(
+        `Remove ${member.email} from ${organization.name}? They will lose access to all of its workspaces.`
+      )
+    )
+      return false;
+    const { success, error } = await Organization.removeMember(
+      organization.slug,
+      member.user_id
+    );
+    if (!success) {
+      showToast(error, 'error');
+      return;
+    }
+
+    setMembers((prev) => prev.filter((item) => item.id !== member.id));
+    showToast(`${member.email} was removed.`, 'success');
+  };
+
+  if (loading) return null;
+  return (
+    <div className="ml-13 mt-10 w-[720px]">
+      <div className="text-sm font-medium text-white">Members</div>
+      <div className="mb-4 mt-1 text-sm text-white text-opacity-60">
+        {canManage
+          ? 'Control what each member can do in this organization. New members are added from the Users page by an admin.'
+          : 'Only owners can change member roles.'}
+      </div>
+      <table className="w-full text-left text-sm text-white">
+        <thead className="border-b-2 border-white/10 bg-main text-sm font-medium uppercase text-white/50">
+          <tr>
+            <th scope="col" className="px-6 py-3">
+              Email
+            </th>
+            <th scope="col" className="px-6 py-3">
+              Role
+            </th>
+            <th scope="col" className="px-6 py-3">
+              Joined
+            </th>
+            <th scope="col" className="px-6 py-3">
+              {' '}
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {members.map((member) => (
+            <tr
+              key={member.id}
+              className="h-[46px] text-sm font-semibold text-white transition-all duration-300 hover:bg-white/5"
+            >
+              <td className="px-6 py-4">{member.email}</td>
+              <td className="px-6 py-4 font-light capitalize">
+                {canManage ? (
+                  <select
+                    value={member.role}
+                    title={ROLE_DESCRIPTIONS[member.role]}
+                    onChange={(e) =>
+                      updateRole(member, e.target.value as OrganizationRole)
+                    }
+                    className="rounded-lg border border-white/10 bg-main-2 px-2 py-1 capitalize text-white"
+                  >
+                    {roles.map((value) => (
+                      <option key={value} value={value}>
+                        {value}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <span title={ROLE_DESCRIPTIONS[member.role]}>
+                    {member.role}
+                  </span>
+                )}
+              </td>
+              <td className="px-6 py-4 font-light">
+                {moment(member.createdAt).fromNow()}
+              </td>
+              <td className="px-6 py-4">
+                {canManage && (
+                  <button
+                    type="button"
+                    onClick={() => removeMember(member)}
+                    className="rounded-lg p-1 text-sm font-light text-red-500 hover:bg-red-500 hover:text-white"
+                  >
+                    Remove
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
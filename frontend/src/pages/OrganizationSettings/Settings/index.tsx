@@ -1,13 +1,26 @@
-import { useState } from 'react';
-import Organization from '@/models/organization';
+import { useEffect, useState } from 'react';
+import Organization, {
+  IEmbedder,
+  OrganizationRole,
+} from '@/models/organization';
 import { Loader } from 'react-feather';
 import paths from '@/utils/paths';
 import { CaretDown } from '@phosphor-icons/react';
 import showToast from '@/utils/toast';
+import EmbedderFields, { embedderFromForm } from '@/components/EmbedderFields';
+import Members from '../Members';
+import AlertChannels from '../AlertChannels';
 
-export default function OrgSettings({ organization }: { organization: any }) {
+export default function OrgSettings({
+  organization,
+  role,
+}: {
+  organization: any;
+  role: OrganizationRole | null;
+}) {
   const [hasOrgChanges, setHasOrgChanges] = useState(false);
   const [deleting, setDeleting] = useState(false);
+  const isOwner = role === 'owner';
 
   const handleOrgUpdate = async (e: any) => {
     e.preventDefault();
@@ -82,6 +95,7 @@ export default function OrgSettings({ organization }: { organization: any }) {
                 type="text"
                 name="organization_name"
                 required={true}
+                disabled={!isOwner}
                 placeholder="My Organization"
                 defaultValue={organization.name}
                 className="mt-2 inline-flex h-11 w-[210px] items-center justify-start gap-2.5 rounded-lg bg-white bg-opacity-10 p-2.5 text-sm font-medium leading-tight text-white text-opacity-60"
@@ -94,16 +108,107 @@ export default function OrgSettings({ organization }: { organization: any }) {
                 Save
               </button>
             </div>
-            <button
-              onClick={handleDelete}
-              className="mt-5 w-fit rounded-lg p-1 text-sm leading-tight text-red-500 hover:bg-red-500 hover:text-white"
-            >
-              <Loader hidden={!deleting} size={16} className="animate-spin" />
-              {deleting ? 'Removing Organization' : 'Delete Organization'}
-            </button>
+            {isOwner && (
+              <button
+                onClick={handleDelete}
+                className="mt-5 w-fit rounded-lg p-1 text-sm leading-tight text-red-500 hover:bg-red-500 hover:text-white"
+              >
+                <Loader hidden={!deleting} size={16} className="animate-spin" />
+                {deleting ? 'Removing Organization' : 'Delete Organization'}
+              </button>
+            )}
           </div>
         </form>
+        {isOwner && <EmbedderSettings organization={organization} />}
+        <Members organization={organization} role={role} />
+        <AlertChannels organization={organization} role={role} />
       </div>
     </div>
   );
 }
+
+function EmbedderSettings({ organization }: { organization: any }) {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [embedder, setEmbedder] = useState<IEmbedder | null>(null);
+  const [providers, setProviders] = useState<string[]>([]);
+
+  useEffect(() => {
+    async function fetchEmbedder() {
+      const { embedder, providers } = await Organization.embedder(
+        organization.slug
+      );
+      setEmbedder(embedder);
+      setProviders(providers);
+      setLoading(false);
+    }
+    fetchEmbedder();
+  }, [organization.slug]);
+
+  const handleSubmit = async (e: any) => {
+    e.preventDefault();
+    setSaving(true);
+    const { embedder: updated, error } = await Organization.updateEmbedder(
+      organization.slug,
+      embedderFromForm(new FormData(e.target))
+    );
+
+    if (!!updated) {
+      setEmbedder(updated);
+      e.target.reset();
+      showToast('Embedding model updated.', 'success');
+    } else {
+      showToast(error, 'error');
+    }
+    setSaving(false);
+  };
+
+  const handleReset = async () => {
+    if (
+      !confirm(
+        'Reset the embedding model for this organization? Workspaces without their own embedder will use OpenAI text-embedding-ada-002.'
+      )
+    )
+      return false;
+    const { success, error } = await Organization.resetEmbedder(
+      organization.slug
+    );
+    if (!success) {
+      showToast(error, 'error');
+      return;
+    }
+    setEmbedder(null);
+    showToast('Embedding model reset to default.', 'success');
+  };
+
+  if (loading) return null;
+  return (
+    <form onSubmit={handleSubmit} className="ml-13 mt-10 w-[420px]">
+      <div className="text-sm font-medium text-white">Embedding Model</div>
+      <div className="mb-4 mt-1 text-sm text-white text-opacity-60">
+        Used to embed uploaded documents, searches and RAG test prompts for
+        every workspace that does not set its own embedder. Changing this will
+        not re-embed existing documents.
+      </div>
+      <EmbedderFields embedder={embedder} providers={providers} />
+      <div className="mt-4 flex items-center gap-x-4">
+        <button
+          type="submit"
+          disabled={saving}
+          className="text-center text-sm font-medium text-sky-400"
+        >
+          {saving ? 'Saving...' : 'Save embedding model'}
+        </button>
+        {!!embedder && (
+          <button
+            type="button"
+            onClick={handleReset}
+            className="text-center text-sm font-medium text-red-500"
+          >
+            Reset to default
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
@@ -13,7 +13,7 @@ import PineconeLogoInverted from '@/images/vectordbs/pinecone-inverted.png';
 import qDrantLogo from '@/images/vectordbs/qdrant.png';
 import WeaviateLogo from '@/images/vectordbs/weaviate.png';
 import { GearSix, Prohibit } from '@phosphor-icons/react';
-import Organization from '@/models/organization';
+import Organization, { OrganizationRole } from '@/models/organization';
 import truncate from 'truncate';
 import SyncConnectorModal from '@/components/Modals/SyncConnectorModal';
 import UpdateConnectorModal from '@/components/Modals/UpdateConnectorModal';
@@ -26,6 +26,7 @@ export default function OrganizationSettingsView() {
   const [organizations, setOrganizations] = useState<object[]>([]);
   const [organization, setOrganization] = useState<object | null>(null);
   const [connector, setConnector] = useState<object | null | boolean>(false);
+  const [role, setRole] = useState<OrganizationRole | null>(null);
 
   useEffect(() => {
     async function fetchInfo() {
@@ -36,10 +37,12 @@ export default function OrganizationSettingsView() {
       }
       const focusedOrg = orgs?.find((org) => org.slug === slug) || orgs?.[0];
       const _connector = await Organization.connector(focusedOrg.slug);
+      const _role = await Organization.role(focusedOrg.slug);
       setOrganizations(orgs);
       setOrganization(focusedOrg);
       setLoading(false);
       setConnector(_connector);
+      setRole(_role);
     }
     fetchInfo();
   }, [user.uid]);
@@ -65,7 +68,7 @@ export default function OrganizationSettingsView() {
     >
       <div className="mt-4 grid grid-cols-12 gap-4 md:mt-6 md:gap-6 2xl:mt-7.5 2xl:gap-7.5">
         <div className="col-span-12 xl:col-span-12">
-          <OrgSettings organization={organization} />
+          <OrgSettings organization={organization} role={role} />
           {connector && (
             <>
               <UpdateConnectorModal
@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react';
+import Organization, { IAlertChannel } from '@/models/organization';
+import paths from '@/utils/paths';
+
+export default function AlertChannelsSelection({
+  organization,
+  selected = [],
+  onChange,
+}: {
+  organization: { slug: string };
+  selected?: number[];
+  onChange?: (channelIds: number[]) => void;
+}) {
+  const [loading, setLoading] = useState(true);
+  const [channels, setChannels] = useState<IAlertChannel[]>([]);
+  const [channelIds, setChannelIds] = useState<number[]>(selected);
+
+  useEffect(() => {
+    async function fetchChannels() {
+      const { channels } = await Organization.alertChannels(organization.slug);
+      setChannels(channels || []);
+      setLoading(false);
+    }
+    fetchChannels();
+  }, [organization.slug]);
+
+  const toggle = (channelId: number) => {
+    const updated = channelIds.includes(channelId)
+      ? channelIds.filter((id) => id !== channelId)
+      : [...channelIds, channelId];
+    setChannelIds(updated);
+    onChange?.(updated);
+  };
+
+  return (
+    <div className="w-full">
+      <div className="mb-2 w-full">
+        <label className="block text-sm font-medium text-white">
+          Alert channels
+        </label>
+        <p className="text-sm text-white/60">
+          Besides the in-app notification, where to send an alert when this test
+          detects drift or fails to run.
+        </p>
+      </div>
+      {loading ? null : channels.length === 0 ? (
+        <p className="text-sm text-white/60">
+          This organization has no alert channels yet.{' '}
+          <a
+            href={paths.organizationSettings(organization)}
+            className="text-sky-400 underline"
+          >
+            Add one in organization settings.
+          </a>
+        </p>
+      ) : (
+        <div className="flex flex-wrap gap-4">
+          {channels.map((channel) => (
+            <label
+              key={channel.id}
+              className="flex items-center gap-x-2 text-sm text-white"
+            >
+              <input
+                type="checkbox"
+                name="alertChannelIds"
+                value={channel.id}
+                checked={channelIds.includes(channel.id)}
+                onChange={() => toggle(channel.id)}
+              />
+              {channel.name}
+              <span className="text-xs text-white/60">
+                ({channel.type}
+                {!channel.enabled && ', disabled'})
+              </span>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -99,6 +99,7 @@ function CurrentSimilaritySearch({ organization, prompt, formData }) {
   const workspaceId = formData?.get('workspaceId') || null;
   const workspaceName = formData?.get('workspaceName') || null;
   const topK = formData?.get('topK') || 3;
+  const metadataFilter = (formData?.get('metadataFilter') as string) || null;
   const [loading, setLoading] = useState(true);
   const [similarEmbeddings, setSimilarEmbeddings] = useState([]);
   const [error, setError] = useState<string | null>(null);
@@ -114,7 +115,8 @@ function CurrentSimilaritySearch({ organization, prompt, formData }) {
         prompt.input,
         prompt.type,
         Number(workspaceId),
-        Number(topK)
+        Number(topK),
+        metadataFilter
       );
       setSimilarEmbeddings(results);
       setError(error);
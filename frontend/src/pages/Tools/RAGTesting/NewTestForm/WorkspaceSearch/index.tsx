@@ -6,8 +6,14 @@ import { IWorkspace } from '@/models/workspace';
 
 export default function WorkspaceSearch({
   organization,
+  label = 'Workspace to test',
+  description = 'This is the name of the workspace you want to run tests against. You can only run against one workspace at a time.',
+  onSelect,
 }: {
   organization: IOrganization;
+  label?: string;
+  description?: string;
+  onSelect?: (workspace: IWorkspace | null) => void;
 }) {
   const [loadingWorkspaces, setLoadingWorkspaces] = useState(true);
   const [originalWorkspaces, setOriginalWorkspaces] = useState([]);
@@ -48,17 +54,17 @@ export default function WorkspaceSearch({
     fetchWorkspaces();
   }, []);
 
+  const selectWorkspace = (workspace: IWorkspace | null) => {
+    setSelectedWorkspace(workspace);
+    onSelect?.(workspace);
+  };
+
   const debouncedSearch = debounce(handleSearch, 500);
   return (
     <div className="sm:col-span-2">
       <div className="mb-2 w-full">
-        <label className="block text-sm font-medium text-white">
-          Workspace to test
-        </label>
-        <p className="text-sm text-white/60">
-          This is the name of the workspace you want to run tests against. You
-          can only run against one workspace at a time.
-        </p>
+        <label className="block text-sm font-medium text-white">{label}</label>
+        <p className="text-sm text-white/60">{description}</p>
       </div>
       {!selectedWorkspace ? (
         <>
@@ -79,7 +85,7 @@ export default function WorkspaceSearch({
           <div className="my-4 flex w-full flex-wrap items-center gap-4">
             {workspaces.map((workspace) => (
               <button
-                onClick={() => setSelectedWorkspace(workspace)}
+                onClick={() => selectWorkspace(workspace)}
                 className="rounded-full bg-sky-600/20 px-2 py-0.5 text-sm font-medium text-sky-400 shadow-sm hover:bg-sky-800"
               >
                 {workspace.name}
@@ -109,7 +115,7 @@ export default function WorkspaceSearch({
             />
             <button
               type="button"
-              onClick={() => setSelectedWorkspace(null)}
+              onClick={() => selectWorkspace(null)}
               className="flex h-auto items-center justify-center rounded-lg p-2 text-white hover:bg-white/10"
             >
               <X size={20} />
@@ -3,6 +3,7 @@ import Tools from '@/models/tools';
 import { debounce } from 'lodash';
 import WorkspaceSearch from './WorkspaceSearch';
 import PromptInputAndSearchSubmission from './PromptInputAndSearchSubmission';
+import AlertChannelsSelection from './AlertChannelsSelection';
 import { IOrganization } from '@/models/organization';
 import { Loader } from 'react-feather';
 
@@ -37,6 +38,9 @@ export default function NewTestForm({
         const [_key] = _k.split('_');
         if (!data.hasOwnProperty(_key)) data[_key] = [];
         data[_key].push(JSON.parse(value));
+      } else if (_k === 'alertChannelIds') {
+        if (!data.hasOwnProperty(_k)) data[_k] = [];
+        data[_k].push(Number(value));
       } else {
         data[_k] = value;
       }
@@ -83,6 +87,9 @@ export default function NewTestForm({
             <FrequencySelection />
             <WorkspaceSearch organization={organization} />
             <TopKSelection />
+            <DriftRulesSelection />
+            <AlertChannelsSelection organization={organization} />
+            <MetadataFilterInput />
             <PromptInputAndSearchSubmission
               organization={organization}
               formData={formData}
@@ -156,6 +163,118 @@ function TopKSelection() {
   );
 }
 
+function MetadataFilterInput() {
+  return (
+    <div className="w-full">
+      <div className="mb-2 w-full ">
+        <label className="block text-sm font-medium text-white">
+          Metadata filter (optional)
+        </label>
+        <p className="text-sm text-white/60">
+          Only search embeddings whose metadata matches, the same way a filtered
+          query in your app would. Combine conditions with AND, OR and NOT -
+          operators are =, !=, &gt;, &gt;=, &lt;, &lt;=, IN and NOT IN.
+        </p>
+      </div>
+      <input
+        type="text"
+        name="metadataFilter"
+        autoComplete="off"
+        className="w-full rounded-lg border border-white/10 bg-main-2/10 px-2 py-2 font-mono text-sm text-white outline-none"
+        placeholder={
+          'source = "wiki" AND year >= 2022 AND tags IN ["hr", "legal"]'
+        }
+      />
+    </div>
+  );
+}
+
+function DriftRulesSelection() {
+  return (
+    <details className="w-full">
+      <summary className="cursor-pointer text-sm font-medium text-white">
+        Drift rules
+      </summary>
+      <p className="mt-1 text-sm text-white/60">
+        Decide what counts as drift. The defaults alert on any new, missing or
+        rescored vector.
+      </p>
+      <div className="mt-2 grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-white">
+            Score delta threshold (%)
+          </label>
+          <p className="text-xs text-white/60">
+            Alert when a known vector's relevancy score moves this much.
+          </p>
+          <input
+            type="number"
+            name="scoreDeltaThreshold"
+            min={0}
+            max={100}
+            step={0.5}
+            onWheel={(e) => e.target.blur()}
+            defaultValue={25}
+            className="mt-1 rounded-lg border border-white/10 bg-main-2/10 px-2 py-2 text-sm text-white outline-none"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-white">
+            Rank tolerance
+          </label>
+          <p className="text-xs text-white/60">
+            Positions a known vector may fall below the top K before it is
+            missing.
+          </p>
+          <input
+            type="number"
+            name="rankTolerance"
+            min={0}
+            max={10}
+            onWheel={(e) => e.target.blur()}
+            defaultValue={0}
+            className="mt-1 rounded-lg border border-white/10 bg-main-2/10 px-2 py-2 text-sm text-white outline-none"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-white">
+            New vectors
+          </label>
+          <p className="text-xs text-white/60">
+            How a vector that is not in the comparison data is reported.
+          </p>
+          <select
+            name="newVectorSeverity"
+            defaultValue="alert"
+            className="mt-1 block w-fit rounded-lg border border-white/10 bg-main-2/10 px-2 py-2 text-sm text-white outline-none"
+          >
+            <option value="alert">Raise an alert</option>
+            <option value="warning">Log a warning</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-white">
+            Minimum overlap (%)
+          </label>
+          <p className="text-xs text-white/60">
+            Share of the known vectors that must still be returned.
+          </p>
+          <input
+            type="number"
+            name="minOverlapRatio"
+            min={0}
+            max={100}
+            step={5}
+            onWheel={(e) => e.target.blur()}
+            defaultValue={100}
+            className="mt-1 rounded-lg border border-white/10 bg-main-2/10 px-2 py-2 text-sm text-white outline-none"
+          />
+        </div>
+      </div>
+    </details>
+  );
+}
+
 export function NewTestFormModal({
   organization,
   postCreate,
@@ -6,6 +6,7 @@ import showToast from '@/utils/toast';
 import { useState } from 'react';
 import { IRagTestRun } from '@/models/tools';
 import { StringDiff, DiffMethod } from 'react-string-diff';
+import { RAG_DRIFT_RULES } from '@/utils/constants';
 
 export default function RunsList({
   test,
@@ -74,6 +75,13 @@ function TestDetails({ test }: { test: IRagTest }) {
           <li className="flex items-center gap-x-2">
             <b>TopK:</b> {test.topK}
           </li>
+          <li className="flex items-center gap-x-2">
+            <b>Drift rules:</b> ±{(test.scoreDeltaThreshold * 100).toFixed(1)}%
+            score delta, {test.rankTolerance} rank tolerance,{' '}
+            {(test.minOverlapRatio * 100).toFixed(0)}% minimum overlap, new
+            vectors are{' '}
+            {test.newVectorSeverity === 'alert' ? 'alerts' : 'warnings'}
+          </li>
 
           <li className="flex w-full items-center gap-x-2">
             <b className="whitespace-nowrap">Prompt Text:</b>
@@ -189,6 +197,11 @@ function RunIssueList({ run }: { run: IRagTestRun }) {
           Missing expected Vectors
         </span>
       )}
+      {run.results.errorLog.some(({ rule }) => rule === 'min_overlap') && (
+        <span className="whitespace-nowrap rounded-full bg-red-500 bg-opacity-25 px-2.5 py-0.5 text-xs font-medium text-red-500">
+          Low overlap
+        </span>
+      )}
       {run.results.newVectorIds.length > 0 && (
         <span className="whitespace-nowrap rounded-full bg-red-500 bg-opacity-25 px-2.5 py-0.5 text-xs font-medium text-red-500">
           New vectors matched
@@ -245,6 +258,18 @@ function ChangeLog({ run }: { run: IRagTestRun }) {
           {errorLog.map((error, i) => {
             return (
               <li key={`${run.id}_error_${i}`} className="text-sm text-white">
+                {!!error.rule && (
+                  <span
+                    title={RAG_DRIFT_RULES[error.rule]?.description}
+                    className={`mr-2 whitespace-nowrap rounded-full bg-opacity-25 px-2 py-0.5 text-xs font-medium ${
+                      error.severity === 'alert'
+                        ? 'bg-red-500 text-red-500'
+                        : 'bg-yellow-500 text-yellow-500'
+                    }`}
+                  >
+                    {RAG_DRIFT_RULES[error.rule]?.display ?? error.rule}
+                  </span>
+                )}
                 {error.message}
               </li>
             );
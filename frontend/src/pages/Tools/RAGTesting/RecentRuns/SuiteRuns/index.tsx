@@ -0,0 +1,359 @@
+import PreLoader, { FullScreenLoader } from '@/components/Preloader';
+import useUser from '@/hooks/useUser';
+import { useState, useEffect } from 'react';
+import DefaultLayout from '@/layout/DefaultLayout';
+import User from '@/models/user';
+import paths from '@/utils/paths';
+import AppLayout from '@/layout/AppLayout';
+import { useParams } from 'react-router-dom';
+import Organization, { IOrganization } from '@/models/organization';
+import Tools, { IRagTestSuite, IRagTestSuiteRun } from '@/models/tools';
+import { RecentRunsHeader } from '@/pages/Tools/RAGTesting/RecentRuns';
+import {
+  ImportPromptsButton,
+  RunSuiteButton,
+  SuiteScores,
+} from '@/pages/Tools/RAGTesting/TestSuites';
+import showToast from '@/utils/toast';
+import { Loader } from 'react-feather';
+import moment from 'moment';
+import { CaretDown } from '@phosphor-icons/react';
+import SyncConnectorModal from '@/components/Modals/SyncConnectorModal';
+import UpdateConnectorModal from '@/components/Modals/UpdateConnectorModal';
+
+const METRICS = [
+  { key: 'recallAtK', label: 'Recall@k', color: '#38bdf8' },
+  { key: 'mrr', label: 'MRR', color: '#fb923c' },
+  { key: 'ndcg', label: 'nDCG', color: '#4ade80' },
+] as const;
+
+export default function RAGTestSuiteRuns() {
+  const { user } = useUser();
+  const { slug, suiteId } = useParams();
+  const [loading, setLoading] = useState<boolean>(true);
+  const [organizations, setOrganizations] = useState<IOrganization[]>([]);
+  const [organization, setOrganization] = useState<IOrganization | null>(null);
+  const [suite, setSuite] = useState<IRagTestSuite | null>(null);
+  const [runs, setRuns] = useState<IRagTestSuiteRun[]>([]);
+  const [connector, setConnector] = useState<object | null>(null);
+
+  useEffect(() => {
+    async function userOrgs() {
+      if (!slug || !suiteId) return false;
+
+      const orgs = await User.organizations();
+      if (orgs.length === 0) {
+        window.location.replace(paths.onboarding.orgName());
+        return false;
+      }
+      for (const org of orgs) {
+        const connector = await Organization.connector(org.slug);
+        org.connector = connector || {};
+      }
+
+      const focusedOrg =
+        orgs?.find((org: any) => org.slug === slug) || orgs?.[0];
+
+      const _connector = await Organization.connector(focusedOrg.slug);
+      setConnector(_connector);
+
+      setOrganizations(orgs);
+      setOrganization(focusedOrg);
+
+      const { suite, runs } = await Tools.ragTestSuite(
+        focusedOrg.slug,
+        suiteId
+      );
+      setSuite(suite);
+      setRuns(runs);
+      setLoading(false);
+    }
+    userOrgs();
+  }, [user.uid, window.location.pathname]);
+
+  if (organizations.length === 0 || !organization || !suite) {
+    return (
+      <DefaultLayout>
+        <FullScreenLoader />
+      </DefaultLayout>
+    );
+  }
+
+  return (
+    <AppLayout
+      headerEntity={organization}
+      headerProp="uuid"
+      organizations={organizations}
+      organization={organization}
+      workspaces={[]}
+      headerExtendedItems={
+        <RecentRunsHeader organization={organization} connector={connector} />
+      }
+    >
+      <div className="col-span-12 mt-4 h-screen flex-1 rounded-sm bg-main pb-6 xl:col-span-4">
+        <div className="-mt-10 flex items-center gap-x-4">
+          <a
+            href={paths.tools.ragTests(organization)}
+            className="flex h-[34px] w-[34px] rotate-90 items-center justify-center rounded-full border border-transparent  bg-zinc-900 text-white transition-all duration-300 hover:border-white/20 hover:bg-opacity-5 hover:text-white"
+          >
+            <CaretDown weight="bold" size={18} />
+          </a>
+          <div className="text-lg font-medium text-white">
+            Test suite "{suite.name}" recent runs
+          </div>
+        </div>
+
+        <div className="ml-13 pr-6">
+          <div className="mb-6 w-3/4">
+            <div className="flex items-center gap-x-6">
+              <RunSuiteButton suite={suite} />
+              <ImportPromptsButton
+                suite={suite}
+                onImport={(imported) =>
+                  setSuite({
+                    ...suite,
+                    _count: { prompts: suite._count.prompts + imported },
+                  })
+                }
+              />
+              <DeleteSuiteButton suite={suite} />
+            </div>
+            <p className="mt-2 w-full text-white/60">
+              {suite._count.prompts} prompts against {suite.workspace.name},
+              scored on the top {suite.topK} results.
+            </p>
+          </div>
+          <div className="flex w-3/4 flex-col gap-y-6 py-8">
+            {loading ? (
+              <PreLoader />
+            ) : (
+              <>
+                <TrendChart runs={runs} />
+                <SuiteRunsList suite={suite} runs={runs} />
+              </>
+            )}
+          </div>
+        </div>
+
+        {connector && (
+          <>
+            <UpdateConnectorModal
+              organization={organization}
+              connector={connector}
+              onUpdate={(newConnector) => setConnector(newConnector)}
+            />
+            <SyncConnectorModal
+              organization={organization}
+              connector={connector}
+            />
+          </>
+        )}
+      </div>
+    </AppLayout>
+  );
+}
+
+// Oldest run on the left; only runs that produced metrics are plotted.
+function TrendChart({ runs }: { runs: IRagTestSuiteRun[] }) {
+  const scored = runs.filter((run) => !!run.results?.metrics).reverse();
+  if (scored.length === 0) {
+    return (
+      <p className="text-sm text-white/60">
+        Scores will be charted here once this suite has completed a run.
+      </p>
+    );
+  }
+
+  const width = 600;
+  const height = 200;
+  const padding = 24;
+  const x = (i: number) =>
+    scored.length === 1
+      ? width / 2
+      : padding + (i * (width - padding * 2)) / (scored.length - 1);
+  const y = (value: number) =>
+    height - padding - value * (height - padding * 2);
+
+  return (
+    <div className="rounded-lg border-2 border-white/20 bg-main-2 p-4">
+      <div className="mb-2 flex items-center gap-x-4 text-sm text-white">
+        {METRICS.map((metric) => (
+          <span key={metric.key} className="flex items-center gap-x-1">
+            <span
+              className="inline-block h-2 w-2 rounded-full"
+              style={{ backgroundColor: metric.color }}
+            />
+            {metric.label}
+          </span>
+        ))}
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full">
+        {[0, 0.5, 1].map((tick) => (
+          <g key={tick}>
+            <line
+              x1={padding}
+              x2={width - padding}
+              y1={y(tick)}
+              y2={y(tick)}
+              stroke="rgba(255,255,255,0.1)"
+            />
+            <text
+              x={0}
+              y={y(tick) + 4}
+              fontSize={10}
+              fill="rgba(255,255,255,0.6)"
+            >
+              {tick.toFixed(1)}
+            </text>
+          </g>
+        ))}
+        {METRICS.map((metric) => (
+          <g key={metric.key}>
+            <polyline
+              fill="none"
+              stroke={metric.color}
+              strokeWidth={2}
+              points={scored
+                .map(
+                  (run, i) => `${x(i)},${y(run.results.metrics![metric.key])}`
+                )
+                .join(' ')}
+            />
+            {scored.map((run, i) => (
+              <circle
+                key={run.id}
+                cx={x(i)}
+                cy={y(run.results.metrics![metric.key])}
+                r={3}
+                fill={metric.color}
+              >
+                <title>
+                  {metric.label} {run.results.metrics![metric.key].toFixed(3)} -{' '}
+                  {moment(run.createdAt).format('lll')}
+                </title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+}
+
+function SuiteRunsList({
+  suite,
+  runs,
+}: {
+  suite: IRagTestSuite;
+  runs: IRagTestSuiteRun[];
+}) {
+  return (
+    <div className="w-full">
+      <div className="flex flex-col">
+        <div className="grid grid-cols-12 gap-3 border-b border-white/20 px-4 pb-5 text-white md:px-6 xl:px-7.5">
+          <div className="col-span-3">
+            <span className="font-medium">Run at</span>
+          </div>
+          <div className="col-span-5">
+            <span className="font-medium">Scores</span>
+          </div>
+          <div className="col-span-4">
+            <span className="font-medium">Prompts</span>
+          </div>
+        </div>
+        {runs.map((run, i) => (
+          <details
+            key={run.id}
+            open={i === 0}
+            className="border-b border-white/10 px-4 py-3 text-white md:px-6 xl:px-7.5"
+          >
+            <summary className="grid cursor-pointer grid-cols-12 gap-3">
+              <span className="col-span-3">
+                {moment(run.createdAt).fromNow()}
+              </span>
+              <span className="col-span-5">
+                <SuiteScores run={run} topK={run.results.topK ?? suite.topK} />
+              </span>
+              <span className="col-span-4 text-sm text-white/60">
+                {run.results.metrics
+                  ? `${run.results.metrics.scoredPrompts} scored, ${run.results.metrics.failedPrompts} failed`
+                  : run.results.message ?? '--'}
+              </span>
+            </summary>
+            <WorstPrompts run={run} />
+          </details>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function WorstPrompts({ run }: { run: IRagTestSuiteRun }) {
+  const prompts = [...(run.results.prompts ?? [])]
+    .sort((a, b) => (a.ndcg ?? -1) - (b.ndcg ?? -1))
+    .slice(0, 10);
+  if (prompts.length === 0) return null;
+
+  return (
+    <div className="mt-2 rounded-lg bg-main-2 p-4 text-sm">
+      <p className="mb-2 font-semibold">Lowest scoring prompts</p>
+      <ul className="flex flex-col gap-y-1">
+        {prompts.map((prompt) => (
+          <li key={prompt.promptId} className="flex justify-between gap-x-4">
+            <span className="truncate text-white/80">
+              {prompt.promptText ?? `Prompt #${prompt.promptId} (vector)`}
+            </span>
+            {prompt.error ? (
+              <span className="shrink-0 text-red-400">{prompt.error}</span>
+            ) : (
+              <span className="shrink-0 font-mono text-xs text-white/60">
+                recall {prompt.recall?.toFixed(2)} &middot; RR{' '}
+                {prompt.reciprocalRank?.toFixed(2)} &middot; nDCG{' '}
+                {prompt.ndcg?.toFixed(2)}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function DeleteSuiteButton({ suite }: { suite: IRagTestSuite }) {
+  const [loading, setLoading] = useState(false);
+  const confirmDelete = async () => {
+    if (
+      !window.confirm(
+        'Are you sure you want to remove this suite, its prompts and all of its runs?\n\nThis cannot be undone.'
+      )
+    )
+      return false;
+
+    setLoading(true);
+    const success = await Tools.deleteRagTestSuite(suite);
+    if (success) {
+      window.location.replace(paths.tools.ragTests(suite.organization));
+    } else {
+      showToast(`Test suite could not be deleted.`, 'info');
+    }
+    setLoading(false);
+  };
+
+  return (
+    <button
+      type="button"
+      disabled={loading}
+      onClick={confirmDelete}
+      className="flex items-center gap-x-2 rounded-lg px-2 py-1 text-red-400 transition-all duration-300 hover:bg-red-600 hover:text-white disabled:bg-red-600 disabled:text-white"
+    >
+      {loading ? (
+        <>
+          <Loader className="animate-spin" size={14} />
+          <p>Deleting...</p>
+        </>
+      ) : (
+        <>Delete Suite</>
+      )}
+    </button>
+  );
+}
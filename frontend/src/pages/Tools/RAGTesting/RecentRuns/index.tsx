@@ -208,7 +208,7 @@ function DeleteTestButton({ test }: { test: IRagTest }) {
   );
 }
 
-function RecentRunsHeader({ organization, connector }: any) {
+export function RecentRunsHeader({ organization, connector }: any) {
   let logo;
   switch (connector?.type) {
     case 'chroma':
@@ -13,6 +13,13 @@ export default function RecentTestRuns({
   tests: IRagTest[];
   setTests: (tests: IRagTest[]) => void;
 }) {
+  // Alert links point at #test-<id> to open that test's details.
+  useEffect(() => {
+    const [, testId] = window.location.hash.match(/^#test-(\d+)$/) || [];
+    if (!testId) return;
+    document.getElementById(`test-${testId}-details-modal`)?.showModal();
+  }, []);
+
   return (
     <>
       <div className="mt-4 w-full">
@@ -1,5 +1,8 @@
 import { Fragment, useState } from 'react';
-import { IRagTest } from '@/models/tools';
+import Tools, { IRagTest } from '@/models/tools';
+import showToast from '@/utils/toast';
+import AlertChannelsSelection from '@/pages/Tools/RAGTesting/NewTestForm/AlertChannelsSelection';
+import { RAG_DRIFT_RULES } from '@/utils/constants';
 
 export default function TestDetailsModal({ test }: { test: IRagTest }) {
   return (
@@ -33,6 +36,9 @@ function TestDetails({ test }: { test: IRagTest }) {
           <FrequencySelection test={test} />
           <WorkspaceSelection test={test} />
           <TopKSelection test={test} />
+          <MetadataFilter test={test} />
+          <DriftRules test={test} />
+          <AlertChannels test={test} />
           <PromptSelection test={test} />
           <EmbeddingSample test={test} />
         </div>
@@ -115,6 +121,117 @@ function TopKSelection({ test }: { test: IRagTest }) {
   );
 }
 
+function MetadataFilter({ test }: { test: IRagTest }) {
+  if (!test.metadataFilter) return null;
+  return (
+    <div className="w-full">
+      <div className="mb-2 w-full ">
+        <label className="block text-sm font-medium text-white">
+          Metadata filter
+        </label>
+        <p className="text-sm text-white/60">
+          Only embeddings matching this filter are searched on each run.
+        </p>
+      </div>
+      <input
+        type="text"
+        disabled={true}
+        value={test.metadataFilter}
+        className="w-full rounded-lg border border-white/10 bg-main-2/10 px-2 py-2 font-mono text-sm text-white outline-none"
+      />
+    </div>
+  );
+}
+
+function AlertChannels({ test }: { test: IRagTest }) {
+  const [channelIds, setChannelIds] = useState<number[]>(
+    test.alertChannelIds ?? []
+  );
+  const [hasChanges, setHasChanges] = useState(false);
+
+  const handleSave = async () => {
+    const { test: updated, error } = await Tools.updateRagTestAlertChannels(
+      test,
+      channelIds
+    );
+    if (!updated) {
+      showToast(error || 'Alert channels could not be saved.', 'error');
+      return;
+    }
+    setChannelIds(updated.alertChannelIds);
+    setHasChanges(false);
+    showToast('Alert channels saved.', 'success');
+  };
+
+  return (
+    <div className="w-full">
+      <AlertChannelsSelection
+        organization={test.organization}
+        selected={channelIds}
+        onChange={(ids) => {
+          setChannelIds(ids);
+          setHasChanges(true);
+        }}
+      />
+      <button
+        type="button"
+        hidden={!hasChanges}
+        onClick={handleSave}
+        className="mt-2 text-center text-sm font-medium text-sky-400"
+      >
+        Save alert channels
+      </button>
+    </div>
+  );
+}
+
+function DriftRules({ test }: { test: IRagTest }) {
+  const settings = {
+    new_vector:
+      test.newVectorSeverity === 'alert'
+        ? 'Raises an alert'
+        : 'Logged as a warning',
+    missing_vector: 'Logged as a warning',
+    rank_change: `Logged as a warning - tolerance of ${test.rankTolerance} position(s)`,
+    score_delta: `Raises an alert at ±${(
+      test.scoreDeltaThreshold * 100
+    ).toFixed(1)}%`,
+    min_overlap: `Raises an alert below ${(test.minOverlapRatio * 100).toFixed(
+      0
+    )}%`,
+  };
+
+  return (
+    <div className="w-full">
+      <div className="mb-2 w-full ">
+        <label className="block text-sm font-medium text-white">
+          Drift rules
+        </label>
+        <p className="text-sm text-white/60">
+          Every entry in a run's reported errors is tagged with the rule that
+          produced it. Only alerts mark a run as drifted.
+        </p>
+      </div>
+      <ul className="flex flex-col gap-y-2">
+        {Object.entries(RAG_DRIFT_RULES).map(
+          ([rule, { display, description }]) => (
+            <li
+              key={rule}
+              className="rounded-lg border border-white/20 bg-main-2 p-2 px-4 text-sm text-white"
+            >
+              <div className="flex items-center justify-between">
+                <b>{display}</b>
+                <span className="text-white/60">{settings[rule]}</span>
+              </div>
+              <p className="text-white/60">{description}</p>
+            </li>
+          )
+        )}
+      </ul>
+    </div>
+  );
+}
+
 function PromptSelection({ test }: { test: IRagTest }) {
   const [selection, setSelection] = useState(
     test.promptText ? 'text' : 'vector'
@@ -0,0 +1,425 @@
+import { useRef, useState } from 'react';
+import { Layers, Loader } from 'react-feather';
+import moment from 'moment';
+import Tools, { IRagTestSuite, IRagTestSuiteRun } from '@/models/tools';
+import { IOrganization } from '@/models/organization';
+import paths from '@/utils/paths';
+import showToast from '@/utils/toast';
+import WorkspaceSearch from '@/pages/Tools/RAGTesting/NewTestForm/WorkspaceSearch';
+
+export default function TestSuites({
+  organization,
+  suites,
+  setSuites,
+}: {
+  organization: IOrganization;
+  suites: IRagTestSuite[];
+  setSuites: (suites: IRagTestSuite[]) => void;
+}) {
+  return (
+    <>
+      <div className="mt-8 w-full">
+        <div className="flex items-center gap-x-2">
+          <p className="text-xl font-semibold text-white">Test suites</p>
+          <button
+            onClick={() => {
+              document.getElementById('new-rag-test-suite-modal')?.showModal();
+            }}
+            className="rounded-lg px-2 py-1 text-sky-400 transition-all duration-300 hover:bg-blue-50 hover:text-sky-600"
+          >
+            + New suite
+          </button>
+        </div>
+        <p className="mt-1 text-sm text-white/60">
+          Suites score many prompts against the vector ids they should retrieve
+          and track recall@k, MRR and nDCG across runs.
+        </p>
+
+        {suites.length > 0 && (
+          <div className="mt-4 flex flex-col">
+            <div className="border-b border-white/20 px-4 pb-5 text-white md:px-6 xl:px-7.5">
+              <div className="flex items-center gap-3">
+                <div className="w-3/12">
+                  <span className="font-medium">Suite</span>
+                </div>
+                <div className="w-2/12">
+                  <span className="font-medium">Last run</span>
+                </div>
+                <div className="w-3/12">
+                  <span className="font-medium">Latest scores</span>
+                </div>
+                <div className="w-4/12 text-center">
+                  <span className="font-medium"></span>
+                </div>
+              </div>
+            </div>
+            {suites.map((suite) => (
+              <SuiteItem
+                key={suite.id}
+                suite={suite}
+                onImport={(imported) =>
+                  setSuites(
+                    suites.map((s) =>
+                      s.id === suite.id
+                        ? {
+                            ...s,
+                            _count: { prompts: s._count.prompts + imported },
+                          }
+                        : s
+                    )
+                  )
+                }
+              />
+            ))}
+          </div>
+        )}
+      </div>
+      <NewSuiteModal
+        organization={organization}
+        postCreate={(suite) => {
+          setSuites([suite, ...suites]);
+          document.getElementById('new-rag-test-suite-modal')?.close();
+        }}
+      />
+    </>
+  );
+}
+
+function SuiteItem({
+  suite,
+  onImport,
+}: {
+  suite: IRagTestSuite;
+  onImport: (imported: number) => void;
+}) {
+  const latestRun = suite.runs?.[0];
+  return (
+    <div className="flex w-full items-center gap-5 px-7.5 py-3 text-white dark:hover:bg-meta-4">
+      <div className="flex w-full items-center gap-3">
+        <div className="flex w-3/12 flex-col overflow-x-hidden">
+          <div className="flex items-center gap-x-1">
+            <Layers className="h-4 w-4" />
+            <span className="font-medium">{suite.name}</span>
+          </div>
+          <p className="text-xs text-white/60">
+            {suite.workspace.name} &middot; {suite._count.prompts} prompts
+          </p>
+        </div>
+        <div className="flex w-2/12">
+          <span className="font-medium">
+            {suite.lastRun ? moment(suite.lastRun).fromNow() : '--'}
+          </span>
+        </div>
+        <div className="flex w-3/12">
+          <SuiteScores run={latestRun} topK={suite.topK} />
+        </div>
+        <div className="flex w-4/12 items-center justify-between">
+          {(suite.runs?.length ?? 0) > 0 && (
+            <a
+              href={paths.tools.ragTestSuiteRuns(
+                suite.organization.slug,
+                suite.id
+              )}
+              className="rounded-lg px-2 py-1 text-gray-400 transition-all duration-300 hover:bg-gray-50 hover:text-gray-600"
+            >
+              View Runs
+            </a>
+          )}
+          <ImportPromptsButton suite={suite} onImport={onImport} />
+          <RunSuiteButton suite={suite} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export function SuiteScores({
+  run,
+  topK,
+}: {
+  run?: IRagTestSuiteRun;
+  topK: number;
+}) {
+  if (!run) return <span className="text-sm text-white/60">Not run yet</span>;
+  if (run.status === 'running')
+    return (
+      <span className="inline-block rounded-full bg-sky-600/20 px-2 py-0.5 text-sm font-medium text-sky-400 shadow-sm">
+        Running
+      </span>
+    );
+  if (run.status === 'failed' || !run.results.metrics)
+    return (
+      <span className="inline-block rounded-full bg-red-500/25 px-2 py-0.5 text-sm font-medium text-red-500 shadow-sm">
+        Exited
+      </span>
+    );
+
+  const { recallAtK, mrr, ndcg } = run.results.metrics;
+  return (
+    <span className="font-mono text-xs text-white/80">
+      R@{topK} {recallAtK.toFixed(2)} &middot; MRR {mrr.toFixed(2)} &middot;
+      nDCG {ndcg.toFixed(2)}
+    </span>
+  );
+}
+
+export function ImportPromptsButton({
+  suite,
+  onImport,
+}: {
+  suite: IRagTestSuite;
+  onImport?: (imported: number) => void;
+}) {
+  const fileInput = useRef<HTMLInputElement>(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleFile = async (e: any) => {
+    const file: File | undefined = e.target.files?.[0];
+    if (!file) return;
+
+    setLoading(true);
+    const { imported, errors, error } = await importPromptFile(suite, file);
+    e.target.value = '';
+    setLoading(false);
+
+    if (error) {
+      showToast(error, 'error');
+      return;
+    }
+    showToast(
+      `Imported ${imported} prompts${
+        errors.length > 0
+          ? ` - skipped ${errors.length} (first: line ${errors[0].line}, ${errors[0].message})`
+          : ''
+      }.`,
+      errors.length > 0 ? 'info' : 'success'
+    );
+    onImport?.(imported);
+  };
+
+  return (
+    <>
+      <input
+        ref={fileInput}
+        type="file"
+        accept=".csv,.jsonl"
+        hidden={true}
+        onChange={handleFile}
+      />
+      <button
+        type="button"
+        disabled={loading}
+        onClick={() => fileInput.current?.click()}
+        className="flex items-center gap-x-2 rounded-lg px-2 py-1 text-sky-400 transition-all duration-300 hover:bg-sky-600 hover:text-white disabled:bg-sky-600 disabled:text-white"
+      >
+        {loading ? (
+          <>
+            <Loader className="animate-spin" size={14} />
+            <p>Importing</p>
+          </>
+        ) : (
+          'Import prompts'
+        )}
+      </button>
+    </>
+  );
+}
+
+export function RunSuiteButton({ suite }: { suite: IRagTestSuite }) {
+  const [loading, setLoading] = useState(false);
+  const handleRunNow = async () => {
+    setLoading(true);
+    const { job, error } = await Tools.runRagTestSuite(suite);
+    if (job) {
+      showToast(`Test suite is now running in background jobs`, 'success');
+      setLoading(false);
+      return;
+    }
+
+    showToast(error || 'Test suite could not be run.', 'error');
+    setLoading(false);
+  };
+
+  return (
+    <button
+      type="button"
+      disabled={loading}
+      onClick={handleRunNow}
+      className="flex items-center gap-x-2 rounded-lg px-2 py-1 text-orange-400 transition-all duration-300 hover:bg-orange-600 hover:text-white disabled:bg-orange-600 disabled:text-white"
+    >
+      {loading ? (
+        <>
+          <Loader className="animate-spin" size={14} />
+          <p>Running</p>
+        </>
+      ) : (
+        'Run now'
+      )}
+    </button>
+  );
+}
+
+async function importPromptFile(suite: IRagTestSuite, file: File) {
+  const format = file.name.toLowerCase().endsWith('.jsonl') ? 'jsonl' : 'csv';
+  const content = await file.text();
+  return await Tools.importRagTestSuitePrompts(suite, format, content);
+}
+
+function NewSuiteModal({
+  organization,
+  postCreate,
+}: {
+  organization: IOrganization;
+  postCreate: (suite: IRagTestSuite) => void;
+}) {
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<null | string>(null);
+
+  const handleSubmit = async (e: any) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    const form = new FormData(e.target);
+    const workspaceId = form.get('workspaceId') as string | null;
+    if (!workspaceId) {
+      setError('Select a workspace for this suite.');
+      setSaving(false);
+      return;
+    }
+
+    const { suite, error } = await Tools.newRagTestSuite(organization.slug, {
+      name: form.get('name') as string,
+      workspaceId,
+      topK: Number(form.get('topK')),
+    });
+    if (!suite) {
+      setError(error || 'Could not create test suite.');
+      setSaving(false);
+      return;
+    }
+
+    const newSuite: IRagTestSuite = {
+      ...suite,
+      organization,
+      workspace: {
+        id: Number(workspaceId),
+        name: form.get('workspaceName'),
+      } as any,
+      _count: { prompts: 0 },
+      runs: [],
+    };
+
+    const file = form.get('prompts') as File | null;
+    if (file && file.size > 0) {
+      const { imported, errors, error } = await importPromptFile(
+        newSuite,
+        file
+      );
+      if (error) showToast(error, 'error');
+      if (errors.length > 0)
+        showToast(`Skipped ${errors.length} invalid prompt rows.`, 'info');
+      newSuite._count.prompts = imported;
+    }
+
+    e.target.reset();
+    setSaving(false);
+    postCreate(newSuite);
+  };
+
+  return (
+    <dialog
+      id="new-rag-test-suite-modal"
+      className="my-4 h-fit w-1/2 rounded-lg bg-main px-4"
+    >
+      <div className="mx-auto w-full overflow-scroll p-4">
+        <h2 className="mb-4 text-lg font-medium text-white">
+          Create a new test suite
+        </h2>
+        {error && (
+          <div className="my-4 flex w-full rounded-lg bg-red-600/20 p-4 text-center text-sm text-red-800">
+            <p>{error}</p>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <div className="flex w-full flex-col gap-y-4">
+            <div className="w-full">
+              <label className="block text-sm font-medium text-white">
+                Suite name
+              </label>
+              <input
+                type="text"
+                name="name"
+                required={true}
+                className="mt-2 w-full rounded-lg border border-white/10 bg-main-2/10 px-2 py-2 text-sm text-white outline-none"
+                placeholder="Support FAQ golden set"
+                autoComplete="off"
+              />
+            </div>
+            <WorkspaceSearch organization={organization} />
+            <div className="w-full">
+              <label className="block text-sm font-medium text-white">
+                Top K
+              </label>
+              <p className="text-sm text-white/60">
+                How many results each prompt is scored on. Maximum of 50.
+              </p>
+              <input
+                type="number"
+                name="topK"
+                min={1}
+                max={50}
+                onWheel={(e) => e.target.blur()}
+                defaultValue={5}
+                required={true}
+                className="mt-2 rounded-lg border border-white/10 bg-main-2/10 px-2 py-2 text-sm text-white outline-none"
+              />
+            </div>
+            <div className="w-full">
+              <label className="block text-sm font-medium text-white">
+                Prompts (optional)
+              </label>
+              <p className="text-sm text-white/60">
+                A CSV with <code>prompt</code> and{' '}
+                <code>expected_vector_ids</code> columns (ids separated by{' '}
+                <code>|</code>), or a JSONL file of{' '}
+                <code>{'{"prompt": "...", "expectedVectorIds": ["..."]}'}</code>{' '}
+                lines. You can import more later.
+              </p>
+              <input
+                type="file"
+                name="prompts"
+                accept=".csv,.jsonl"
+                className="mt-2 text-sm text-white/60"
+              />
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={saving}
+            className="mt-6 flex h-11 w-full items-center justify-center gap-x-2 rounded-lg bg-white p-2 text-center text-sm font-bold text-neutral-700 shadow-lg transition-all duration-300 hover:scale-105 hover:bg-opacity-90"
+          >
+            {saving ? (
+              <>
+                <Loader size={14} className="animate-spin" />
+                <p>Saving suite...</p>
+              </>
+            ) : (
+              'Create suite'
+            )}
+          </button>
+        </form>
+      </div>
+      <button
+        type="button"
+        onClick={() => {
+          document.getElementById('new-rag-test-suite-modal')?.close();
+        }}
+        className="my-2 flex w-full justify-center rounded bg-transparent p-3 font-medium text-slate-500 hover:bg-slate-200"
+      >
+        Cancel
+      </button>
+    </dialog>
+  );
+}
@@ -7,9 +7,10 @@ import paths from '@/utils/paths';
 import AppLayout from '@/layout/AppLayout';
 import { NavLink, useParams } from 'react-router-dom';
 import Organization, { IOrganization } from '@/models/organization';
-import Tools, { IRagTest } from '@/models/tools';
+import Tools, { IRagTest, IRagTestSuite } from '@/models/tools';
 import NewTestForm, { NewTestFormModal } from './NewTestForm';
 import RecentTestRuns from './RecentTests';
+import TestSuites from './TestSuites';
 
 import ChromaLogo from '@/images/vectordbs/chroma.png';
 import PineconeLogoInverted from '@/images/vectordbs/pinecone-inverted.png';
@@ -28,6 +29,7 @@ export default function RAGDriftTesting() {
   const [organizations, setOrganizations] = useState<IOrganization[]>([]);
   const [organization, setOrganization] = useState<IOrganization | null>(null);
   const [ragTests, setRagTests] = useState<IRagTest[]>([]);
+  const [suites, setSuites] = useState<IRagTestSuite[]>([]);
   const [connector, setConnector] = useState<object | null>(null);
 
   useEffect(() => {
@@ -55,6 +57,8 @@ export default function RAGDriftTesting() {
 
       const { ragTests: _ragTests } = await Tools.ragTests(focusedOrg.slug);
       setRagTests(_ragTests);
+      const { suites: _suites } = await Tools.ragTestSuites(focusedOrg.slug);
+      setSuites(_suites);
       setLoading(false);
     }
     userOrgs();
@@ -135,6 +139,11 @@ export default function RAGDriftTesting() {
                   }
                 />
               )}
+              <TestSuites
+                organization={organization}
+                suites={suites}
+                setSuites={setSuites}
+              />
             </>
           )}
         </div>
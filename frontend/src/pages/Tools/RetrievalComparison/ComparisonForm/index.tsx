@@ -0,0 +1,181 @@
+import { useState } from 'react';
+import { Loader } from 'react-feather';
+import { IOrganization } from '@/models/organization';
+import Tools, { IRetrievalComparison } from '@/models/tools';
+import { IWorkspace } from '@/models/workspace';
+import WorkspaceSearch from '../../RAGTesting/NewTestForm/WorkspaceSearch';
+
+// Kept in line with MAX_PROMPTS in the backend retrievalComparison helper.
+const MAX_PROMPTS = 25;
+
+type Side = { organization: IOrganization; workspace: IWorkspace | null };
+
+export default function ComparisonForm({
+  organization,
+  organizations,
+  onCompare,
+}: {
+  organization: IOrganization;
+  organizations: IOrganization[];
+  onCompare: (comparison: IRetrievalComparison | null) => void;
+}) {
+  const [sideA, setSideA] = useState<Side>({ organization, workspace: null });
+  const [sideB, setSideB] = useState<Side>({ organization, workspace: null });
+  const [prompts, setPrompts] = useState('');
+  const [topK, setTopK] = useState(5);
+  const [comparing, setComparing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const promptList = prompts
+    .split('\n')
+    .map((prompt) => prompt.trim())
+    .filter((prompt) => prompt.length > 0);
+  const ready =
+    !!sideA.workspace &&
+    !!sideB.workspace &&
+    promptList.length > 0 &&
+    promptList.length <= MAX_PROMPTS;
+
+  const compare = async () => {
+    if (!sideA.workspace || !sideB.workspace) return;
+    setComparing(true);
+    setError(null);
+    const { comparison, error } = await Tools.compareRetrieval(
+      organization.slug,
+      {
+        prompts: promptList,
+        topK,
+        sideA: {
+          orgSlug: sideA.organization.slug,
+          workspaceId: sideA.workspace.id,
+        },
+        sideB: {
+          orgSlug: sideB.organization.slug,
+          workspaceId: sideB.workspace.id,
+        },
+      }
+    );
+    setError(error);
+    onCompare(comparison);
+    setComparing(false);
+  };
+
+  return (
+    <div className="flex flex-col gap-y-6 rounded-lg border-2 border-white/20 bg-main-2 p-6">
+      <div className="grid grid-cols-2 gap-x-6">
+        <SidePicker
+          label="A"
+          side={sideA}
+          setSide={setSideA}
+          organizations={organizations}
+        />
+        <SidePicker
+          label="B"
+          side={sideB}
+          setSide={setSideB}
+          organizations={organizations}
+        />
+      </div>
+
+      <div>
+        <div className="mb-2 w-full">
+          <label className="block text-sm font-medium text-white">
+            Prompts
+          </label>
+          <p className="text-sm text-white/60">
+            One text prompt per line, up to {MAX_PROMPTS}. Each side embeds them
+            with its own workspace embedder.
+          </p>
+        </div>
+        <textarea
+          value={prompts}
+          onChange={(e) => setPrompts(e.target.value)}
+          rows={6}
+          className="block w-full rounded-lg border border-white/10 bg-main-2/10 px-2 py-2 text-sm text-white outline-none"
+          placeholder={'What is VectorAdmin?\nHow do I reset my password?'}
+        ></textarea>
+        <p className="mt-1 text-xs text-white/60">
+          {promptList.length} / {MAX_PROMPTS} prompts
+        </p>
+      </div>
+
+      <div className="flex items-end justify-between">
+        <div>
+          <label className="block text-sm font-medium text-white">Top K</label>
+          <input
+            type="number"
+            min={1}
+            max={50}
+            value={topK}
+            onChange={(e) => setTopK(Number(e.target.value))}
+            className="mt-2 w-24 rounded-lg border border-white/10 bg-main-2/10 px-2 py-2 text-sm text-white outline-none"
+          />
+        </div>
+        <button
+          type="button"
+          disabled={!ready || comparing}
+          onClick={compare}
+          className="flex items-center gap-x-2 rounded-lg bg-sky-400 px-4 py-2 text-sm font-medium text-white hover:bg-sky-500 disabled:cursor-not-allowed disabled:opacity-50"
+        >
+          {comparing && <Loader className="animate-spin" size={16} />}
+          {comparing ? 'Comparing...' : 'Compare retrieval'}
+        </button>
+      </div>
+      {!!error && (
+        <p className="w-fit rounded-full bg-red-100 px-4 py-1 text-xs text-red-800">
+          Error: {error}
+        </p>
+      )}
+    </div>
+  );
+}
+
+function SidePicker({
+  label,
+  side,
+  setSide,
+  organizations,
+}: {
+  label: string;
+  side: Side;
+  setSide: (side: Side) => void;
+  organizations: IOrganization[];
+}) {
+  return (
+    <div className="flex flex-col gap-y-4">
+      <div>
+        <label className="block text-sm font-medium text-white">
+          Organization {label}
+        </label>
+        <p className="text-sm text-white/60">
+          Each organization searches through its own vector database.
+        </p>
+        <select
+          value={side.organization.slug}
+          onChange={(e) =>
+            setSide({
+              organization: organizations.find(
+                (org) => org.slug === e.target.value
+              )!,
+              workspace: null,
+            })
+          }
+          className="mt-2 rounded-lg border border-white/10 bg-main-2 px-2 py-2 text-sm text-white outline-none"
+        >
+          {organizations.map((org) => (
+            <option key={org.slug} value={org.slug}>
+              {org.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <WorkspaceSearch
+        key={side.organization.slug}
+        organization={side.organization}
+        label={`Workspace ${label}`}
+        description="Search and pick the workspace to query."
+        onSelect={(workspace) => setSide({ ...side, workspace })}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,287 @@
+import { useState } from 'react';
+import { CaretDown } from '@phosphor-icons/react';
+import truncate from 'truncate';
+import {
+  IRetrievalComparison,
+  IRetrievalComparisonPrompt,
+  IRetrievalComparisonResult,
+  IRetrievalComparisonSide,
+} from '@/models/tools';
+
+const SIDE_COLORS = { A: '#38bdf8', B: '#fb923c' };
+
+const percent = (value: number | null) =>
+  value === null ? '--' : `${Math.round(value * 100)}%`;
+const decimal = (value: number | null, digits = 3) =>
+  value === null ? '--' : value.toFixed(digits);
+
+export default function ComparisonResults({
+  comparison,
+}: {
+  comparison: IRetrievalComparison;
+}) {
+  const { summary, results, sideA, sideB, topK } = comparison;
+  return (
+    <div className="flex flex-col gap-y-6">
+      <div className="grid grid-cols-4 gap-4">
+        <Stat
+          label="Mean overlap"
+          value={percent(summary.meanOverlapRatio)}
+          hint={`of the top ${topK} results`}
+        />
+        <Stat
+          label="Mean rank shift"
+          value={decimal(summary.meanRankShift, 2)}
+          hint="positions, for shared chunks"
+        />
+        <Stat
+          label="Identical results"
+          value={`${summary.identicalPrompts} / ${results.length}`}
+          hint="prompts with the same chunks in the same order"
+        />
+        <Stat
+          label="Mean score"
+          value={`${decimal(summary.scoresA.mean)} / ${decimal(
+            summary.scoresB.mean
+          )}`}
+          hint="A / B"
+        />
+      </div>
+
+      <ScoreDistribution comparison={comparison} />
+
+      <div className="flex flex-col gap-y-2">
+        <div className="grid grid-cols-2 gap-x-4 text-sm font-medium text-white">
+          <SideTitle name="A" side={sideA} />
+          <SideTitle name="B" side={sideB} />
+        </div>
+        {results.map((result, i) => (
+          <PromptComparison key={i} result={result} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function Stat({
+  label,
+  value,
+  hint,
+}: {
+  label: string;
+  value: string;
+  hint: string;
+}) {
+  return (
+    <div className="rounded-lg border-2 border-white/20 bg-main-2 p-4">
+      <p className="text-xs uppercase text-white/60">{label}</p>
+      <p className="font-mono text-xl text-white">{value}</p>
+      <p className="text-xs text-white/60">{hint}</p>
+    </div>
+  );
+}
+
+function SideTitle({
+  name,
+  side,
+}: {
+  name: 'A' | 'B';
+  side: IRetrievalComparisonSide;
+}) {
+  return (
+    <div className="flex items-center gap-x-2">
+      <span
+        className="inline-block h-2 w-2 rounded-full"
+        style={{ backgroundColor: SIDE_COLORS[name] }}
+      />
+      {name}: {side.workspace.name}
+      <span className="text-xs font-light text-white/60">
+        ({side.organization.name} &middot; {side.connector.type})
+      </span>
+    </div>
+  );
+}
+
+function ScoreDistribution({
+  comparison,
+}: {
+  comparison: IRetrievalComparison;
+}) {
+  const { scoresA, scoresB, scoreRange } = comparison.summary;
+  const buckets = scoresA.histogram.length;
+  const peak = Math.max(1, ...scoresA.histogram, ...scoresB.histogram);
+
+  const width = 600;
+  const height = 160;
+  const padding = 24;
+  const bucketWidth = (width - padding * 2) / buckets;
+  const barWidth = bucketWidth / 2 - 2;
+  const barHeight = (count: number) => (count / peak) * (height - padding * 2);
+
+  return (
+    <div className="rounded-lg border-2 border-white/20 bg-main-2 p-4">
+      <div className="mb-2 flex items-center justify-between text-sm text-white">
+        <span>Score distribution</span>
+        <span className="font-mono text-xs text-white/60">
+          median A {decimal(scoresA.median)} &middot; median B{' '}
+          {decimal(scoresB.median)}
+        </span>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full">
+        <line
+          x1={padding}
+          x2={width - padding}
+          y1={height - padding}
+          y2={height - padding}
+          stroke="rgba(255,255,255,0.1)"
+        />
+        {scoresA.histogram.map((countA, i) => {
+          const countB = scoresB.histogram[i];
+          const x = padding + i * bucketWidth;
+          return (
+            <g key={i}>
+              <rect
+                x={x + 1}
+                y={height - padding - barHeight(countA)}
+                width={barWidth}
+                height={barHeight(countA)}
+                fill={SIDE_COLORS.A}
+              >
+                <title>{`A: ${countA} results`}</title>
+              </rect>
+              <rect
+                x={x + bucketWidth / 2 + 1}
+                y={height - padding - barHeight(countB)}
+                width={barWidth}
+                height={barHeight(countB)}
+                fill={SIDE_COLORS.B}
+              >
+                <title>{`B: ${countB} results`}</title>
+              </rect>
+            </g>
+          );
+        })}
+        <text
+          x={padding}
+          y={height - 6}
+          fontSize={10}
+          fill="rgba(255,255,255,0.6)"
+        >
+          {decimal(scoreRange.min)}
+        </text>
+        <text
+          x={width - padding}
+          y={height - 6}
+          fontSize={10}
+          textAnchor="end"
+          fill="rgba(255,255,255,0.6)"
+        >
+          {decimal(scoreRange.max)}
+        </text>
+      </svg>
+    </div>
+  );
+}
+
+function PromptComparison({ result }: { result: IRetrievalComparisonPrompt }) {
+  const [show, setShow] = useState(false);
+  const differing = result.onlyInA.length + result.onlyInB.length;
+  const rankDeltaA = (item: IRetrievalComparisonResult) =>
+    result.matches.find((match) => match.vectorIdA === item.vectorId)
+      ?.rankDelta ?? null;
+  const rankDeltaB = (item: IRetrievalComparisonResult) => {
+    const match = result.matches.find(
+      (match) => match.vectorIdB === item.vectorId
+    );
+    return match ? -match.rankDelta : null;
+  };
+
+  return (
+    <div className="rounded-lg border-2 border-white/20 bg-main-2">
+      <button
+        type="button"
+        onClick={() => setShow(!show)}
+        className="flex w-full items-center justify-between px-4 py-3 text-left"
+      >
+        <span className="text-sm text-white">
+          {truncate(result.prompt, 80)}
+        </span>
+        <span className="flex items-center gap-x-4 font-mono text-xs text-white/80">
+          <span>overlap {percent(result.overlapRatio)}</span>
+          <span>rank shift {decimal(result.meanRankShift, 2)}</span>
+          <span className={differing > 0 ? 'text-orange-400' : ''}>
+            {differing} differing
+          </span>
+          <CaretDown
+            size={16}
+            className={`text-white transition-all ${show ? 'rotate-180' : ''}`}
+          />
+        </span>
+      </button>
+      {show && (
+        <div className="grid grid-cols-2 gap-x-4 border-t border-white/10 p-4">
+          <ResultColumn side={result.sideA} rankDelta={rankDeltaA} />
+          <ResultColumn side={result.sideB} rankDelta={rankDeltaB} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// rankDelta is how many positions the chunk moved on the other side, or null
+// when the other side did not return it at all.
+function ResultColumn({
+  side,
+  rankDelta,
+}: {
+  side: IRetrievalComparisonPrompt['sideA'];
+  rankDelta: (item: IRetrievalComparisonResult) => number | null;
+}) {
+  if (side.error)
+    return (
+      <p className="w-fit rounded-full bg-red-100 px-4 py-1 text-xs text-red-800">
+        Error: {side.error}
+      </p>
+    );
+  if (side.results.length === 0)
+    return <p className="text-sm text-white/60">No results returned.</p>;
+
+  return (
+    <div className="flex flex-col gap-y-2">
+      {side.results.map((item) => {
+        const delta = rankDelta(item);
+        return (
+          <div
+            key={item.vectorId}
+            className={`rounded-lg border p-2 text-sm text-white ${
+              delta === null
+                ? 'border-orange-400/60 bg-orange-400/10'
+                : 'border-white/10'
+            }`}
+          >
+            <div className="mb-1 flex items-center justify-between font-mono text-xs text-white/60">
+              <span>
+                #{item.rank} &middot; {decimal(item.score)}
+              </span>
+              <RankBadge delta={delta} />
+            </div>
+            <p className="whitespace-pre-wrap break-words">
+              {truncate(item.text || item.vectorId, 300)}
+            </p>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function RankBadge({ delta }: { delta: number | null }) {
+  if (delta === null)
+    return <span className="text-orange-400">only on this side</span>;
+  if (delta === 0) return <span>same rank</span>;
+  return (
+    <span className={delta > 0 ? 'text-red-400' : 'text-green-400'}>
+      {delta > 0 ? `${delta} lower` : `${-delta} higher`} on other side
+    </span>
+  );
+}
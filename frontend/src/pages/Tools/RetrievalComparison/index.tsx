@@ -0,0 +1,101 @@
+import { FullScreenLoader } from '@/components/Preloader';
+import useUser from '@/hooks/useUser';
+import { useState, useEffect } from 'react';
+import DefaultLayout from '@/layout/DefaultLayout';
+import User from '@/models/user';
+import paths from '@/utils/paths';
+import AppLayout from '@/layout/AppLayout';
+import { useParams } from 'react-router-dom';
+import { IOrganization } from '@/models/organization';
+import { IRetrievalComparison } from '@/models/tools';
+import truncate from 'truncate';
+import { CaretDown } from '@phosphor-icons/react';
+import ComparisonForm from './ComparisonForm';
+import ComparisonResults from './ComparisonResults';
+
+export default function RetrievalComparisonView() {
+  const { user } = useUser();
+  const { slug } = useParams();
+  const [organizations, setOrganizations] = useState<IOrganization[]>([]);
+  const [organization, setOrganization] = useState<IOrganization | null>(null);
+  const [comparison, setComparison] = useState<IRetrievalComparison | null>(
+    null
+  );
+
+  useEffect(() => {
+    async function userOrgs() {
+      if (!slug) return false;
+
+      const orgs = await User.organizations();
+      if (orgs.length === 0) {
+        window.location.replace(paths.onboarding.orgName());
+        return false;
+      }
+
+      const focusedOrg =
+        orgs?.find((org: any) => org.slug === slug) || orgs?.[0];
+      setOrganizations(orgs);
+      setOrganization(focusedOrg);
+    }
+    userOrgs();
+  }, [user.uid, window.location.pathname]);
+
+  if (organizations.length === 0 || !organization) {
+    return (
+      <DefaultLayout>
+        <FullScreenLoader />
+      </DefaultLayout>
+    );
+  }
+
+  return (
+    <AppLayout
+      headerEntity={organization}
+      headerProp="uuid"
+      organizations={organizations}
+      organization={organization}
+      workspaces={[]}
+      headerExtendedItems={
+        <div className=" mr-10 w-full rounded-xl border-2 border-white/20 px-5 py-2 text-sky-400">
+          <div className="flex items-center gap-x-2">
+            <span className="text-lg font-medium text-white">
+              {truncate(organization?.name, 20)}
+            </span>
+          </div>
+        </div>
+      }
+    >
+      <div className="col-span-12 mt-4 h-screen flex-1 rounded-sm bg-main pb-6 xl:col-span-4">
+        <div className="-mt-10 flex items-center gap-x-4">
+          <button
+            onClick={() => window.history.back()}
+            className="flex h-[34px] w-[34px] rotate-90 items-center justify-center rounded-full border border-transparent  bg-zinc-900 text-white transition-all duration-300 hover:border-white/20 hover:bg-opacity-5 hover:text-white"
+          >
+            <CaretDown weight="bold" size={18} />
+          </button>
+          <div className="text-lg font-medium text-white">
+            Retrieval comparison
+          </div>
+        </div>
+
+        <div className="ml-13 pr-6">
+          <div className="mt-1 w-full text-sm text-white text-opacity-60">
+            Run the same prompts against two workspaces to see how their
+            similarity searches differ - for example before and after a
+            re-embedding, a chunking change or a migration to another vector
+            database. Chunks are matched by vector id or, across databases, by
+            identical text.
+          </div>
+        </div>
+        <div className="ml-13 mt-4 flex w-3/4 flex-col gap-y-6 pb-8">
+          <ComparisonForm
+            organization={organization}
+            organizations={organizations}
+            onCompare={setComparison}
+          />
+          {comparison && <ComparisonResults comparison={comparison} />}
+        </div>
+      </div>
+    </AppLayout>
+  );
+}
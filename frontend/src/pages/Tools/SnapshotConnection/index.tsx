@@ -0,0 +1,500 @@
+import { FullScreenLoader } from '@/components/Preloader';
+import useUser from '@/hooks/useUser';
+import { useState, useEffect, useRef } from 'react';
+import DefaultLayout from '@/layout/DefaultLayout';
+import User from '@/models/user';
+import paths from '@/utils/paths';
+import AppLayout from '@/layout/AppLayout';
+import { NavLink, useParams } from 'react-router-dom';
+import { APP_NAME } from '@/utils/constants';
+import Organization from '@/models/organization';
+import { Archive, Loader } from 'react-feather';
+import { nFormatter } from '@/utils/numbers';
+import pluralize from 'pluralize';
+import moment from 'moment';
+import Tools, { ISnapshot } from '@/models/tools';
+import showToast from '@/utils/toast';
+
+import ChromaLogo from '@/images/vectordbs/chroma.png';
+import PineconeLogoInverted from '@/images/vectordbs/pinecone-inverted.png';
+import qDrantLogo from '@/images/vectordbs/qdrant.png';
+import WeaviateLogo from '@/images/vectordbs/weaviate.png';
+import truncate from 'truncate';
+import { CaretDown, GearSix, Prohibit } from '@phosphor-icons/react';
+import SyncConnectorModal from '@/components/Modals/SyncConnectorModal';
+import UpdateConnectorModal from '@/components/Modals/UpdateConnectorModal';
+import NewConnectorModal from '@/components/Modals/NewConnectorModal';
+
+export default function SnapshotConnectionView() {
+  const { user } = useUser();
+  const { slug } = useParams();
+  const [loading, setLoading] = useState<boolean>(true);
+  const [organizations, setOrganizations] = useState<object[]>([]);
+  const [organization, setOrganization] = useState<object | null>(null);
+  const [connector, setConnector] = useState<object | null>(null);
+  const [snapshots, setSnapshots] = useState<ISnapshot[]>([]);
+
+  useEffect(() => {
+    async function userOrgs() {
+      if (!slug) return false;
+
+      const orgs = await User.organizations();
+      if (orgs.length === 0) {
+        window.location.replace(paths.onboarding.orgName());
+        return false;
+      }
+
+      const focusedOrg =
+        orgs?.find((org: any) => org.slug === slug) || orgs?.[0];
+      const _connector = await Organization.connector(focusedOrg.slug);
+      const { snapshots: _snapshots } = await Tools.snapshots(focusedOrg.slug);
+
+      setConnector(_connector);
+      setSnapshots(_snapshots);
+      setOrganizations(orgs);
+      setOrganization(focusedOrg);
+      setLoading(false);
+    }
+    userOrgs();
+  }, [user.uid, window.location.pathname]);
+
+  if (loading || organizations.length === 0) {
+    return (
+      <DefaultLayout>
+        <FullScreenLoader />
+      </DefaultLayout>
+    );
+  }
+
+  if (!organization) return null;
+  return (
+    <AppLayout
+      headerEntity={organization}
+      headerProp="uuid"
+      organizations={organizations}
+      organization={organization}
+      workspaces={[]}
+      headerExtendedItems={
+        <SnapshotConnectionHeader
+          organization={organization}
+          connector={connector}
+        />
+      }
+    >
+      <div className="col-span-12 mt-4 h-screen flex-1 rounded-sm bg-main pb-6 xl:col-span-4">
+        <div className="-mt-10 flex items-center gap-x-4">
+          <button
+            onClick={() => window.history.back()}
+            className="flex h-[34px] w-[34px] rotate-90 items-center justify-center rounded-full border border-transparent  bg-zinc-900 text-white transition-all duration-300 hover:border-white/20 hover:bg-opacity-5 hover:text-white"
+          >
+            <CaretDown weight="bold" size={18} />
+          </button>
+          <div className="text-lg font-medium text-white">
+            Snapshot your vector data
+          </div>
+        </div>
+
+        <div className="ml-13 pr-6">
+          <div className="mt-1 w-125 text-sm text-white text-opacity-60">
+            This tool will save every workspace, document and embedding known to{' '}
+            {APP_NAME} for this organization to an archive on the server.
+            <br />
+            Restoring a snapshot will re-create any missing workspaces and
+            documents in the currently connected vector database. Existing
+            documents are left untouched.
+            <br />
+            Only vectors that are synced with {APP_NAME} can be captured.
+          </div>
+        </div>
+
+        <div className="ml-13 mt-4 flex w-1/2 flex-col gap-y-2">
+          {!!connector ? (
+            <SubmitSnapshotJob
+              organization={organization}
+              onCreate={(snapshot) => setSnapshots([snapshot, ...snapshots])}
+            />
+          ) : (
+            <p className="text-sm text-white/60">
+              Connect a vector database to this organization to take a snapshot.
+            </p>
+          )}
+        </div>
+
+        <SnapshotsList
+          organization={organization}
+          snapshots={snapshots}
+          setSnapshots={setSnapshots}
+        />
+      </div>
+      {connector && (
+        <>
+          <UpdateConnectorModal
+            organization={organization}
+            connector={connector}
+            onUpdate={(newConnector) => setConnector(newConnector)}
+          />
+          <SyncConnectorModal
+            organization={organization}
+            connector={connector}
+          />
+        </>
+      )}
+    </AppLayout>
+  );
+}
+
+function SubmitSnapshotJob({
+  organization,
+  onCreate,
+}: {
+  organization: any;
+  onCreate: (snapshot: ISnapshot) => void;
+}) {
+  const [name, setName] = useState<string>('');
+  const [loading, setLoading] = useState<boolean>(false);
+
+  async function submitSnapshot() {
+    setLoading(true);
+    const { success, snapshot, message } = await Tools.createSnapshot(
+      organization.slug,
+      name
+    );
+
+    if (success && !!snapshot) {
+      showToast('Snapshot has started as background job.', 'success');
+      onCreate(snapshot);
+      setName('');
+      setLoading(false);
+      return;
+    }
+
+    showToast(message as string, 'error');
+    setLoading(false);
+  }
+
+  return (
+    <div className="mt-4 flex flex-col gap-y-2">
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Snapshot name (optional)"
+        className="w-full rounded-lg border border-white/20 bg-main-2 px-4 py-2 text-sm text-white outline-none"
+      />
+      <button
+        disabled={loading}
+        onClick={submitSnapshot}
+        className="flex h-11 w-full items-center justify-center gap-x-1 rounded-lg bg-white p-2 text-center text-sm font-bold text-neutral-700 shadow-lg transition-all duration-300 hover:scale-105 hover:bg-opacity-90"
+      >
+        {loading ? (
+          <>
+            <Loader size={14} className="animate-spin" />
+            Queueing snapshot...
+          </>
+        ) : (
+          'Take snapshot now'
+        )}
+      </button>
+      <p className="mx-auto mt-2 text-xs text-white/60">
+        This task will run in the background. You can view its progress in
+        Background Jobs.
+      </p>
+    </div>
+  );
+}
+
+function SnapshotsList({
+  organization,
+  snapshots,
+  setSnapshots,
+}: {
+  organization: any;
+  snapshots: ISnapshot[];
+  setSnapshots: (snapshots: ISnapshot[]) => void;
+}) {
+  const pollingInterval = useRef<NodeJS.Timeout | null>(null);
+  const hasPending = snapshots.some(
+    (snapshot) => snapshot.status === 'pending'
+  );
+
+  useEffect(() => {
+    if (!hasPending) {
+      if (!!pollingInterval.current) clearInterval(pollingInterval.current);
+      pollingInterval.current = null;
+      return;
+    }
+
+    if (!!pollingInterval.current) return;
+    pollingInterval.current = setInterval(async () => {
+      const { snapshots: updates } = await Tools.snapshots(organization.slug);
+      setSnapshots(updates);
+    }, 10_000);
+  }, [hasPending]);
+
+  useEffect(() => {
+    return () => {
+      if (!!pollingInterval.current) clearInterval(pollingInterval.current);
+    };
+  }, []);
+
+  return (
+    <div className="ml-13 mt-8 pr-6">
+      <p className="text-xl font-semibold text-white">Snapshots</p>
+      <div className="mt-4 flex flex-col">
+        <div className="border-b border-white/20 px-4 pb-5 text-white md:px-6 xl:px-7.5">
+          <div className="flex items-center gap-3">
+            <div className="w-3/12">
+              <span className="font-medium">Name</span>
+            </div>
+            <div className="w-2/12">
+              <span className="font-medium">Created</span>
+            </div>
+            <div className="w-3/12">
+              <span className="font-medium">Contents</span>
+            </div>
+            <div className="w-1/12">
+              <span className="font-medium">Status</span>
+            </div>
+            <div className="w-3/12 text-center">
+              <span className="font-medium"></span>
+            </div>
+          </div>
+        </div>
+        {snapshots.length === 0 && (
+          <p className="px-7.5 py-3 text-sm text-white/60">
+            No snapshots have been taken for this organization yet.
+          </p>
+        )}
+        {snapshots.map((snapshot) => (
+          <SnapshotItem
+            key={snapshot.id}
+            organization={organization}
+            snapshot={snapshot}
+            onDelete={() =>
+              setSnapshots(snapshots.filter((s) => s.id !== snapshot.id))
+            }
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function SnapshotItem({
+  organization,
+  snapshot,
+  onDelete,
+}: {
+  organization: any;
+  snapshot: ISnapshot;
+  onDelete: () => void;
+}) {
+  const [restoring, setRestoring] = useState<boolean>(false);
+  const [deleting, setDeleting] = useState<boolean>(false);
+
+  async function restoreSnapshot() {
+    if (
+      !window.confirm(
+        `Restore "${snapshot.name}" into the currently connected vector database?\nDocuments that already exist will be skipped.`
+      )
+    )
+      return false;
+
+    setRestoring(true);
+    const { success, message } = await Tools.restoreSnapshot(
+      organization.slug,
+      snapshot.id
+    );
+    if (success) {
+      showToast('Snapshot restore has started as background job.', 'success');
+    } else {
+      showToast(message as string, 'error');
+    }
+    setRestoring(false);
+  }
+
+  async function deleteSnapshot() {
+    if (
+      !window.confirm(
+        `Delete "${snapshot.name}"?\nThe archive will be removed from the server and cannot be recovered.`
+      )
+    )
+      return false;
+
+    setDeleting(true);
+    const success = await Tools.deleteSnapshot(organization.slug, snapshot.id);
+    if (success) {
+      showToast('Snapshot deleted.', 'info');
+      onDelete();
+      return;
+    }
+
+    showToast('Snapshot could not be deleted.', 'error');
+    setDeleting(false);
+  }
+
+  return (
+    <div className="flex w-full items-center gap-5 px-7.5 py-3 text-white dark:hover:bg-meta-4">
+      <div className="flex w-full items-center gap-3">
+        <div className="flex w-3/12">
+          <div className="flex items-center gap-x-1 overflow-x-hidden">
+            <Archive className="h-4 w-4 shrink-0" />
+            <span className="font-medium xl:block">
+              {truncate(snapshot.name, 40)}
+            </span>
+          </div>
+        </div>
+        <div className="flex w-2/12">
+          <span className="font-medium">
+            {moment(snapshot.createdAt).fromNow()}
+            <br />
+            <p className="text-xs font-normal italic text-gray-400">
+              from {snapshot.connectorType}
+            </p>
+          </span>
+        </div>
+        <div className="flex w-3/12 text-sm">
+          {snapshot.status === 'complete' ? (
+            <span>
+              {nFormatter(snapshot.workspaceCount)}{' '}
+              {pluralize('workspace', snapshot.workspaceCount)},{' '}
+              {nFormatter(snapshot.documentCount)}{' '}
+              {pluralize('document', snapshot.documentCount)},{' '}
+              {nFormatter(snapshot.vectorCount)}{' '}
+              {pluralize('vector', snapshot.vectorCount)}
+            </span>
+          ) : (
+            <span className="text-white/60">--</span>
+          )}
+        </div>
+        <div className="flex w-1/12">
+          <SnapshotStatusBadge status={snapshot.status} />
+        </div>
+        <div className="flex w-3/12 items-center justify-end gap-x-2">
+          {snapshot.status === 'complete' && (
+            <button
+              type="button"
+              disabled={restoring}
+              onClick={restoreSnapshot}
+              className="flex items-center gap-x-2 rounded-lg px-2 py-1 text-sky-400 transition-all duration-300 hover:bg-sky-600 hover:text-white disabled:bg-sky-600 disabled:text-white"
+            >
+              {restoring ? (
+                <>
+                  <Loader className="animate-spin" size={14} />
+                  <p>Restoring</p>
+                </>
+              ) : (
+                'Restore'
+              )}
+            </button>
+          )}
+          {snapshot.status !== 'pending' && (
+            <button
+              type="button"
+              disabled={deleting}
+              onClick={deleteSnapshot}
+              className="rounded-lg px-2 py-1 text-red-400 transition-all duration-300 hover:bg-red-600 hover:text-white disabled:bg-red-600 disabled:text-white"
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SnapshotStatusBadge({ status }: { status: ISnapshot['status'] }) {
+  switch (status) {
+    case 'pending':
+      return (
+        <span className="inline-block animate-pulse rounded-full bg-sky-600/20 px-2 py-0.5 text-sm font-medium text-sky-400 shadow-sm">
+          Running
+        </span>
+      );
+    case 'failed':
+      return (
+        <span className="inline-block rounded-full bg-red-500/25 px-2 py-0.5 text-sm font-medium text-red-500 shadow-sm">
+          Failed
+        </span>
+      );
+    case 'complete':
+      return (
+        <span className="inline-block rounded-full bg-green-600/20 px-2 py-0.5 text-sm font-medium text-green-500 shadow-sm">
+          Ready
+        </span>
+      );
+    default:
+      return null;
+  }
+}
+
+function SnapshotConnectionHeader({ organization, connector }: any) {
+  let logo;
+  switch (connector?.type) {
+    case 'chroma':
+      logo = ChromaLogo;
+      break;
+    case 'qdrant':
+      logo = qDrantLogo;
+      break;
+    case 'weaviate':
+      logo = WeaviateLogo;
+      break;
+    case 'pinecone':
+      logo = PineconeLogoInverted;
+      break;
+  }
+
+  return (
+    <>
+      <div className=" mr-10 w-full rounded-xl border-2 border-white/20 px-5 py-2 text-sky-400">
+        <div className="flex items-center gap-x-2">
+          <span className="text-lg font-medium text-white">
+            {truncate(organization?.name, 20)}
+          </span>
+        </div>
+      </div>
+      <div className="flex gap-x-3">
+        <button
+          onClick={() =>
+            window.document?.getElementById('edit-connector-modal')?.showModal()
+          }
+          className="flex h-11 w-11 items-center justify-center rounded-lg border-2 border-white border-opacity-20 transition-all duration-300 hover:bg-opacity-5"
+        >
+          {!!connector?.type ? (
+            <img src={logo} alt="Connector logo" className="h-full p-1" />
+          ) : (
+            <>
+              <NewConnectorModal
+                organization={organization}
+                onNew={() => window.location.reload()}
+              />
+              <div className="text-white/60 hover:cursor-not-allowed">
+                <Prohibit size={28} />
+              </div>
+            </>
+          )}
+        </button>
+
+        <button
+          onClick={() =>
+            document?.getElementById('sync-connector-modal')?.showModal()
+          }
+          className="inline-flex h-11 w-[74px] flex-col items-center justify-center gap-2.5 rounded-lg bg-white bg-opacity-10 px-5 py-2.5 transition-all duration-300 hover:bg-opacity-5"
+        >
+          <div className="h-[25.53px] w-11 text-center font-['Satoshi'] text-base font-bold text-white">
+            Sync
+          </div>
+        </button>
+
+        <NavLink
+          to={paths.organizationSettings(organization)}
+          className="flex h-11 w-11 items-center justify-center rounded-lg border-2 border-white border-opacity-20 text-white transition-all duration-300 hover:bg-opacity-5"
+        >
+          <GearSix size={28} />
+        </NavLink>
+      </div>
+    </>
+  );
+}
@@ -29,6 +29,12 @@ export default function ToolsList({ organization }: { organization: any }) {
           available={true}
           linkTo={paths.tools.ragTests(organization)}
         />
+        <ToolItem
+          title="Compare retrieval between workspaces"
+          description="Run the same prompts against two workspaces, even on different vector databases, and see where their results differ."
+          available={true}
+          linkTo={paths.tools.retrievalComparison(organization)}
+        />
         <ToolItem
           title="Migrate vector database to another provider"
           description="Take all of your vectors to another connected vector database provider."
@@ -38,7 +44,8 @@ export default function ToolsList({ organization }: { organization: any }) {
         <ToolItem
           title="Snapshot vector database"
           description="Take a snapshot of all of your vector data at this time to restore to at a later date."
-          available={false}
+          available={true}
+          linkTo={paths.tools.snapshotTool(organization)}
         />
         <ToolItem
           title="Reset vector database"
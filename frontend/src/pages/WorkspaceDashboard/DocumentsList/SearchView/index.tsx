@@ -53,7 +53,7 @@ export default function SearchView({
             className="z-10 inline-flex h-9 flex-shrink-0 items-center rounded-[100px] bg-zinc-700 px-5 text-center text-sm font-medium text-white transition-all duration-300 hover:bg-zinc-800 focus:outline-none"
             type="button"
           >
-            {SEARCH_MODES['exactText'].display}
+            {SEARCH_MODES[searchBy].display}
             <div
               className={`ml-2 transition-all duration-300 ${
                 showSearchMethods ? '' : 'rotate-180'
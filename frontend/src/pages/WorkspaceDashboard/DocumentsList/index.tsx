@@ -4,7 +4,7 @@ import moment from 'moment';
 import { useEffect, useState } from 'react';
 import truncate from 'truncate';
 import Workspace from '@/models/workspace';
-import System from '@/models/system';
+import { canEmbed } from '@/components/EmbedderFields';
 import Document from '@/models/document';
 import useQuery from '@/hooks/useQuery';
 import { APP_NAME } from '@/utils/constants';
@@ -70,13 +70,11 @@ export default function DocumentsList({
     async function getDocs(orgSlug: string, wsSlug?: string) {
       if (!orgSlug || !wsSlug) return false;
       const response = await Workspace.documents(orgSlug, wsSlug, currentPage);
-      const { exists: hasOpenAIKey } = await System.hasSetting(
-        'open_ai_api_key'
-      );
+      const { effective } = await Workspace.embedder(orgSlug, wsSlug);
 
       setTotalDocuments(response.totalDocuments);
       setDocuments(response.documents);
-      setCanUpload(hasOpenAIKey);
+      setCanUpload(canEmbed(effective));
       setLoading(false);
     }
     getDocs(organization.slug, workspace.slug);
@@ -0,0 +1,96 @@
+import { memo, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import Workspace from '@/models/workspace';
+import paths from '@/utils/paths';
+
+const EXAMPLE_ROW = `{"id": "intro-0", "text": "Chunk text", "values": [0.012, -0.004, ...], "metadata": {"title": "intro.md"}}`;
+
+function ImportEmbeddingsModal({ workspace }: { workspace: any }) {
+  const { slug } = useParams();
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState<{
+    show: boolean;
+    success: boolean;
+    error: null | string;
+  }>({
+    show: false,
+    success: false,
+    error: null,
+  });
+
+  const importEmbeddings = async (e: any) => {
+    e.preventDefault();
+    setResult({ show: false, success: false, error: null });
+    setLoading(true);
+    const { job, error } = await Workspace.importEmbeddings(
+      slug as string,
+      workspace.slug,
+      new FormData(e.target)
+    );
+    setResult({ show: true, success: !!job, error });
+    setLoading(false);
+    !!job && e.target.reset();
+  };
+
+  return (
+    <dialog
+      id={`import-embeddings-${workspace.id}-modal`}
+      className="w-1/2 rounded-xl border-2 border-white/20 bg-main shadow"
+      onClick={(event) => {
+        event.target == event.currentTarget && event.currentTarget?.close();
+      }}
+    >
+      <div className="flex w-full flex-col gap-y-1 p-[20px]">
+        <p className="text-lg font-medium text-white">Import embeddings</p>
+        <p className="text-sm text-white/60">
+          Add vectors you already embedded elsewhere from a .jsonl or .parquet
+          file with one chunk per row. Rows are grouped into documents by their
+          metadata title and every vector must match the dimensions of this
+          workspace. Nothing is imported if any row is invalid.
+        </p>
+        <pre className="mt-2 overflow-x-auto whitespace-pre rounded-lg bg-main-2 p-2 font-mono text-xs text-white/60">
+          {EXAMPLE_ROW}
+        </pre>
+      </div>
+      {result.show && (
+        <>
+          {result.success ? (
+            <a
+              href={paths.jobs({ slug })}
+              className="mx-2 my-2 w-full rounded-lg bg-green-600/10 px-4 py-2 text-lg text-green-600"
+            >
+              Embeddings import job created. View progress &rarr;
+            </a>
+          ) : (
+            <p className="my-2 w-full rounded-lg border-red-800 bg-red-600/10 px-4 py-2 text-lg text-red-600">
+              {result.error}
+            </p>
+          )}
+        </>
+      )}
+      <div className="my-2 flex w-full justify-center p-[20px]">
+        <form
+          onSubmit={importEmbeddings}
+          className="flex w-full flex-col gap-y-3"
+        >
+          <input
+            required={true}
+            type="file"
+            name="file"
+            accept=".jsonl,.parquet"
+            className="w-full rounded-lg border border-white/10 bg-main-2 px-2.5 py-2 text-sm text-white/60"
+          />
+          <button
+            type="submit"
+            disabled={loading}
+            className="my-2 w-full rounded-lg bg-white p-2 text-center text-sm font-bold text-neutral-700 shadow-lg transition-all duration-300 hover:scale-105 hover:bg-opacity-90"
+          >
+            {loading ? 'Uploading file...' : <>Import embeddings &rarr;</>}
+          </button>
+        </form>
+      </div>
+    </dialog>
+  );
+}
+
+export default memo(ImportEmbeddingsModal);
@@ -0,0 +1,139 @@
+import { memo, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import Workspace from '@/models/workspace';
+import paths from '@/utils/paths';
+
+const MODES = [
+  { value: 'page', label: 'Single page' },
+  { value: 'sitemap', label: 'Every page in a sitemap.xml' },
+  { value: 'crawl', label: 'Crawl links on the same site' },
+];
+
+function ImportUrlModal({ workspace }: { workspace: any }) {
+  const { slug } = useParams();
+  const [mode, setMode] = useState('page');
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState<{
+    show: boolean;
+    success: boolean;
+    error: null | string;
+  }>({
+    show: false,
+    success: false,
+    error: null,
+  });
+
+  const importUrl = async (e: any) => {
+    e.preventDefault();
+    setResult({ show: false, success: false, error: null });
+    setLoading(true);
+    const form = new FormData(e.target);
+    const { job, error } = await Workspace.importUrl(
+      slug as string,
+      workspace.slug,
+      {
+        url: form.get('url') as string,
+        mode: mode as 'page' | 'sitemap' | 'crawl',
+        maxDepth: Number(form.get('maxDepth') ?? 1),
+        maxPages: Number(form.get('maxPages') ?? 25),
+      }
+    );
+    setResult({ show: true, success: !!job, error });
+    setLoading(false);
+  };
+
+  return (
+    <dialog
+      id={`import-url-${workspace.id}-modal`}
+      className="w-1/2 rounded-xl border-2 border-white/20 bg-main shadow"
+      onClick={(event) => {
+        event.target == event.currentTarget && event.currentTarget?.close();
+      }}
+    >
+      <div className="flex w-full flex-col gap-y-1 p-[20px]">
+        <p className="text-lg font-medium text-white">Import from a URL</p>
+        <p className="text-sm text-white/60">
+          Fetch a web page, every page of a sitemap or the pages a site links to
+          and embed their readable text into this workspace. Importing the same
+          pages again only re-embeds the ones whose text changed.
+        </p>
+      </div>
+      {result.show && (
+        <>
+          {result.success ? (
+            <a
+              href={paths.jobs({ slug })}
+              className="mx-2 my-2 w-full rounded-lg bg-green-600/10 px-4 py-2 text-lg text-green-600"
+            >
+              URL import job created. View progress &rarr;
+            </a>
+          ) : (
+            <p className="my-2 w-full rounded-lg border-red-800 bg-red-600/10 px-4 py-2 text-lg text-red-600">
+              {result.error}
+            </p>
+          )}
+        </>
+      )}
+      <div className="my-2 flex w-full justify-center p-[20px]">
+        <form onSubmit={importUrl} className="flex w-full flex-col gap-y-3">
+          <input
+            required={true}
+            type="url"
+            name="url"
+            placeholder="https://example.com/docs"
+            autoComplete="off"
+            className="placeholder-text-white/60 w-full rounded-lg border border-white/10 bg-main-2 px-2.5 py-2 text-sm text-white"
+          />
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            className="rounded-lg border border-white/10 bg-main-2 px-2 py-2 text-sm text-white/60"
+          >
+            {MODES.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {mode !== 'page' && (
+            <div className="flex gap-x-4">
+              {mode === 'crawl' && (
+                <label className="flex flex-col gap-y-1 text-xs text-white/60">
+                  Link depth
+                  <input
+                    type="number"
+                    name="maxDepth"
+                    min={0}
+                    max={5}
+                    defaultValue={1}
+                    className="rounded-lg border border-white/10 bg-main-2 px-2.5 py-2 text-sm text-white"
+                  />
+                </label>
+              )}
+              <label className="flex flex-col gap-y-1 text-xs text-white/60">
+                Page limit
+                <input
+                  type="number"
+                  name="maxPages"
+                  min={1}
+                  max={500}
+                  defaultValue={25}
+                  className="rounded-lg border border-white/10 bg-main-2 px-2.5 py-2 text-sm text-white"
+                />
+              </label>
+            </div>
+          )}
+          <button
+            type="submit"
+            disabled={loading}
+            className="my-2 w-full rounded-lg bg-white p-2 text-center text-sm font-bold text-neutral-700 shadow-lg transition-all duration-300 hover:scale-105 hover:bg-opacity-90"
+          >
+            {loading ? 'Creating import...' : <>Import pages &rarr;</>}
+          </button>
+        </form>
+      </div>
+    </dialog>
+  );
+}
+
+export default memo(ImportUrlModal);
@@ -0,0 +1,268 @@
+import { memo, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import Workspace, {
+  IMetadataProfile,
+  IMetadataSchema,
+} from '@/models/workspace';
+import showToast from '@/utils/toast';
+
+function formatSchema(schema: IMetadataSchema | null) {
+  return schema ? JSON.stringify(schema, null, 2) : '';
+}
+
+// Drafts a schema from what the workspace already holds - the most common type of each key,
+// required when every vector carries it.
+function schemaFromProfile(profile: IMetadataProfile): IMetadataSchema {
+  const fields: IMetadataSchema['fields'] = {};
+  profile.keys.forEach(({ key, types, fillRate }) => {
+    const [type] = Object.entries(types)
+      .filter(([type]) => type !== 'null')
+      .sort((a, b) => b[1] - a[1])
+      .map(([type]) => type);
+    if (!type) return;
+    fields[key] = {
+      type: type as IMetadataSchema['fields'][string]['type'],
+      required: fillRate === 1,
+    };
+  });
+  return { enforcement: 'warn', additionalKeys: true, fields };
+}
+
+const MetadataProfileModal = memo(({ workspace }: { workspace: any }) => {
+  const { slug } = useParams();
+  const [profile, setProfile] = useState<IMetadataProfile | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [schemaText, setSchemaText] = useState(() => {
+    try {
+      return formatSchema(JSON.parse(workspace?.metadataSchema || 'null'));
+    } catch {
+      return '';
+    }
+  });
+
+  const loadProfile = async () => {
+    setError(null);
+    setLoading(true);
+    const { profile, error } = await Workspace.metadataProfile(
+      slug as string,
+      workspace.slug
+    );
+    setProfile(profile);
+    setError(error);
+    setLoading(false);
+  };
+
+  const saveSchema = async (schema: IMetadataSchema | null) => {
+    setError(null);
+    setSaving(true);
+    const { schema: saved, error } = await Workspace.updateMetadataSchema(
+      slug as string,
+      workspace.slug,
+      schema
+    );
+    setSaving(false);
+    if (error) {
+      setError(error);
+      return;
+    }
+    setSchemaText(formatSchema(saved));
+    showToast(
+      saved ? 'Metadata schema saved.' : 'Metadata schema removed.',
+      'success',
+      { clear: true }
+    );
+    if (profile) await loadProfile();
+  };
+
+  const handleSave = async () => {
+    if (!schemaText.trim()) return saveSchema(null);
+    try {
+      await saveSchema(JSON.parse(schemaText));
+    } catch (e: any) {
+      setError(`Schema is not valid JSON: ${e.message}`);
+    }
+  };
+
+  return (
+    <dialog
+      id={`metadata-profile-${workspace.id}-modal`}
+      className="w-2/3 rounded-xl border-2 border-white/20 bg-main shadow"
+      onClick={(event) =>
+        event.target == event.currentTarget && event.currentTarget?.close()
+      }
+    >
+      <div className="flex w-full flex-col gap-y-4 p-[20px]">
+        <div>
+          <p className="text-lg font-medium text-white">Metadata schema</p>
+          <p className="text-sm text-white/60">
+            See which metadata keys the embeddings in this workspace carry and
+            declare the keys new uploads and metadata edits should follow.
+          </p>
+        </div>
+
+        {!!error && (
+          <p className="w-full rounded-lg bg-red-600/10 px-4 py-2 text-sm text-red-600">
+            {error}
+          </p>
+        )}
+
+        <div className="flex flex-col gap-y-2">
+          <div className="flex items-center justify-between">
+            <label className="block text-sm font-medium text-white">
+              Profile
+            </label>
+            <button
+              type="button"
+              disabled={loading}
+              onClick={loadProfile}
+              className="rounded-lg p-2 text-xs font-medium text-white hover:bg-white/10"
+            >
+              {loading
+                ? 'Scanning metadata...'
+                : profile
+                ? 'Rescan'
+                : 'Scan metadata'}
+            </button>
+          </div>
+          {!!profile && <ProfileDetails profile={profile} />}
+        </div>
+
+        <div className="flex flex-col gap-y-2">
+          <div className="flex items-center justify-between">
+            <label className="block text-sm font-medium text-white">
+              Declared schema (JSON)
+            </label>
+            {!!profile && profile.keys.length > 0 && (
+              <button
+                type="button"
+                onClick={() =>
+                  setSchemaText(formatSchema(schemaFromProfile(profile)))
+                }
+                className="rounded-lg p-2 text-xs font-medium text-white hover:bg-white/10"
+              >
+                Draft from profile
+              </button>
+            )}
+          </div>
+          <textarea
+            rows={10}
+            value={schemaText}
+            onChange={(e) => setSchemaText(e.target.value)}
+            className="w-full rounded-lg border border-white/10 bg-main-2 px-2 py-2 font-mono text-xs text-white outline-none"
+            placeholder={`{
+  "enforcement": "warn",
+  "additionalKeys": true,
+  "fields": {
+    "source": { "type": "string", "required": true, "enum": ["wiki", "docs"] },
+    "year": { "type": "number" }
+  }
+}`}
+          />
+          <p className="text-xs text-white/60">
+            With "warn" enforcement mismatching metadata is saved and reported,
+            with "reject" uploads and edits that do not match are refused.
+          </p>
+        </div>
+
+        <div className="flex gap-x-2">
+          <button
+            type="button"
+            disabled={saving}
+            onClick={() => saveSchema(null)}
+            className="h-11 w-full rounded-lg p-2 text-center text-sm font-bold text-white transition-all duration-300 hover:bg-white/10"
+          >
+            Remove schema
+          </button>
+          <button
+            type="button"
+            disabled={saving}
+            onClick={handleSave}
+            className="h-11 w-full rounded-lg bg-white p-2 text-center text-sm font-bold text-main transition-all duration-300 hover:bg-opacity-90 disabled:cursor-not-allowed disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save schema'}
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+});
+
+function ProfileDetails({ profile }: { profile: IMetadataProfile }) {
+  if (profile.vectors === 0)
+    return (
+      <p className="text-sm text-white/60">
+        No embeddings found in this workspace.
+      </p>
+    );
+
+  return (
+    <div className="flex flex-col gap-y-2 text-sm text-white">
+      <p className="text-xs text-white/60">
+        {profile.source === 'cache'
+          ? `Based on all ${profile.vectors} embeddings in this workspace.`
+          : `Based on a sample of ${profile.vectors} embeddings read from the vector database.`}
+      </p>
+      {!!profile.violations && (
+        <div
+          className={`rounded-lg px-4 py-2 text-xs ${
+            profile.violations.vectors > 0
+              ? 'bg-yellow-600/10 text-yellow-500'
+              : 'bg-green-600/10 text-green-600'
+          }`}
+        >
+          <p>
+            {profile.violations.vectors > 0
+              ? `${profile.violations.vectors} of ${profile.vectors} embeddings do not match the declared schema.`
+              : 'Every embedding matches the declared schema.'}
+          </p>
+          <ul className="mt-1 list-inside list-disc">
+            {profile.violations.examples.map((example) => (
+              <li key={example.vectorId}>
+                <span className="font-mono">{example.vectorId}</span>:{' '}
+                {example.messages.join(' ')}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <div className="max-h-[300px] overflow-y-auto rounded-lg border border-white/10">
+        <table className="w-full text-left text-xs">
+          <thead className="text-white/60">
+            <tr>
+              <th className="px-3 py-2">Key</th>
+              <th className="px-3 py-2">Fill rate</th>
+              <th className="px-3 py-2">Types</th>
+              <th className="px-3 py-2">Top values</th>
+            </tr>
+          </thead>
+          <tbody>
+            {profile.keys.map((key) => (
+              <tr key={key.key} className="border-t border-white/10">
+                <td className="px-3 py-2 font-mono">{key.key}</td>
+                <td className="px-3 py-2">{Math.round(key.fillRate * 100)}%</td>
+                <td className="px-3 py-2">
+                  {Object.entries(key.types)
+                    .map(([type, count]) => `${type} (${count})`)
+                    .join(', ')}
+                </td>
+                <td className="px-3 py-2 text-white/60">
+                  {key.topValues
+                    .map(({ value, count }) => `${value} (${count})`)
+                    .join(', ')}
+                  {key.distinctValues > key.topValues.length &&
+                    ` +${key.distinctValues - key.topValues.length}${
+                      key.truncated ? '+' : ''
+                    } more`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default MetadataProfileModal;
@@ -22,6 +22,14 @@ import WeaviateLogo from '@/images/vectordbs/weaviate.png';
 import SyncConnectorModal from '@/components/Modals/SyncConnectorModal';
 import UpdateConnectorModal from '@/components/Modals/UpdateConnectorModal';
 import QuickActionsSidebar from '@/pages/Dashboard/QuickActionSidebar';
+import EmbedderFields, { embedderFromForm } from '@/components/EmbedderFields';
+import ChunkingFields, { chunkingFromForm } from '@/components/ChunkingFields';
+import { IEmbedder } from '@/models/organization';
+import showToast from '@/utils/toast';
+import BulkMetadataModal from '@/components/Modals/BulkMetadataModal';
+import MetadataProfileModal from './MetadataProfile';
+import ImportUrlModal from './ImportUrl';
+import ImportEmbeddingsModal from './ImportEmbeddings';
 
 export default function WorkspaceDashboard() {
   const { user } = useUser();
@@ -160,6 +168,18 @@ export default function WorkspaceDashboard() {
         <QuickActionsSidebar organization={organization} />
       </div>
       <CloneWorkspaceModal workspace={workspace} />
+      <WorkspaceSettingsModal workspace={workspace} />
+      <BulkMetadataModal
+        id={`bulk-metadata-workspace-${workspace.id}-modal`}
+        title="Edit metadata across this workspace"
+        description="Add, rename, remove or set metadata keys on every embedding in this workspace. Narrow the selection down with a metadata filter and preview how many vectors change before applying."
+        selection={{ type: 'workspace' }}
+        connector={connector}
+        allowFilter={true}
+      />
+      <MetadataProfileModal workspace={workspace} />
+      <ImportUrlModal workspace={workspace} />
+      <ImportEmbeddingsModal workspace={workspace} />
     </AppLayout>
   );
 }
@@ -266,6 +286,148 @@ const CloneWorkspaceModal = memo(({ workspace }: { workspace: any }) => {
   );
 });
 
+const WorkspaceSettingsModal = memo(({ workspace }: { workspace: any }) => {
+  const { slug } = useParams();
+  const [saving, setSaving] = useState(false);
+  const [embedder, setEmbedder] = useState<IEmbedder | null>(null);
+  const [effective, setEffective] = useState<IEmbedder | null>(null);
+  const [providers, setProviders] = useState<string[]>([]);
+
+  async function fetchEmbedder() {
+    if (!workspace?.slug) return;
+    const { embedder, effective, providers } = await Workspace.embedder(
+      slug as string,
+      workspace.slug
+    );
+    setEmbedder(embedder);
+    setEffective(effective);
+    setProviders(providers);
+  }
+
+  useEffect(() => {
+    fetchEmbedder();
+  }, [workspace?.slug]);
+
+  const handleChunkingSubmit = async (e: any) => {
+    e.preventDefault();
+    setSaving(true);
+    const { workspace: updated, error } = await Workspace.updateSettings(
+      slug as string,
+      workspace.slug,
+      chunkingFromForm(new FormData(e.target))
+    );
+
+    if (!!updated) {
+      showToast('Chunking settings updated.', 'success');
+    } else {
+      showToast(error, 'error');
+    }
+    setSaving(false);
+  };
+
+  const handleSubmit = async (e: any) => {
+    e.preventDefault();
+    setSaving(true);
+    const { embedder: updated, error } = await Workspace.updateEmbedder(
+      slug as string,
+      workspace.slug,
+      embedderFromForm(new FormData(e.target))
+    );
+
+    if (!!updated) {
+      await fetchEmbedder();
+      showToast('Workspace embedder updated.', 'success');
+    } else {
+      showToast(error, 'error');
+    }
+    setSaving(false);
+  };
+
+  const handleReset = async () => {
+    const { success, error } = await Workspace.resetEmbedder(
+      slug as string,
+      workspace.slug
+    );
+    if (!success) {
+      showToast(error, 'error');
+      return;
+    }
+    await fetchEmbedder();
+    showToast('Workspace now uses the organization embedder.', 'success');
+  };
+
+  return (
+    <dialog
+      id={`workspace-settings-${workspace.id}-modal`}
+      className="w-1/2 rounded-xl border-2 border-white/20 bg-main shadow"
+      onClick={(event) => {
+        event.target == event.currentTarget && event.currentTarget?.close();
+      }}
+    >
+      <div className="flex w-full flex-col gap-y-1 p-[20px]">
+        <p className="text-lg font-medium text-white">Workspace settings</p>
+        <p className="text-sm text-white/60">
+          Settings here only apply to {workspace.name}.
+        </p>
+      </div>
+      <form
+        onSubmit={handleChunkingSubmit}
+        className="flex flex-col gap-y-1 px-[20px]"
+      >
+        <p className="text-sm font-medium text-white">Chunking</p>
+        <p className="mb-4 text-sm text-white/60">
+          How new documents are split before they are embedded. Documents
+          already in this workspace will not be re-chunked.
+        </p>
+        <ChunkingFields key={workspace.id} settings={workspace} />
+        <div className="my-4 flex w-full items-center gap-x-4">
+          <button
+            type="submit"
+            disabled={saving}
+            className="w-full rounded-lg bg-white p-2 text-center text-sm font-bold text-neutral-700 shadow-lg transition-all duration-300 hover:scale-105 hover:bg-opacity-90"
+          >
+            {saving ? 'Saving...' : 'Save chunking settings'}
+          </button>
+        </div>
+      </form>
+      <form onSubmit={handleSubmit} className="flex flex-col gap-y-1 px-[20px]">
+        <p className="text-sm font-medium text-white">Embedding Model</p>
+        <p className="mb-4 text-sm text-white/60">
+          {!!embedder
+            ? 'This workspace uses its own embedder.'
+            : `This workspace uses the organization embedder (${
+                effective?.model || 'text-embedding-ada-002'
+              }).`}{' '}
+          Documents already embedded will not be re-embedded and the dimensions
+          must match the vector size of the collection.
+        </p>
+        <EmbedderFields
+          embedder={embedder || effective}
+          providers={providers}
+        />
+        <div className="my-4 flex w-full items-center gap-x-4">
+          <button
+            type="submit"
+            disabled={saving}
+            className="w-full rounded-lg bg-white p-2 text-center text-sm font-bold text-neutral-700 shadow-lg transition-all duration-300 hover:scale-105 hover:bg-opacity-90"
+          >
+            {saving ? 'Saving...' : 'Save workspace embedder'}
+          </button>
+          {!!embedder && (
+            <button
+              type="button"
+              onClick={handleReset}
+              className="w-full rounded-lg border-2 border-white/20 p-2 text-center text-sm font-bold text-white transition-all duration-300 hover:bg-red-500"
+            >
+              Use organization embedder
+            </button>
+          )}
+        </div>
+      </form>
+    </dialog>
+  );
+});
+
 function WorkspaceViewHeader({
   organization,
   workspace,
@@ -337,6 +499,66 @@ function WorkspaceViewHeader({
             Clone
           </div>
         </button>
+        <button
+          onClick={() =>
+            window.document
+              ?.getElementById(`import-url-${workspace.id}-modal`)
+              ?.showModal()
+          }
+          className="inline-flex h-11 flex-col items-center justify-center gap-2.5 rounded-lg bg-white bg-opacity-10 px-3.5 py-2.5 transition-all duration-300 hover:bg-opacity-5"
+        >
+          <div className="font-satoshi h-[25.53px] text-center text-base font-bold text-white">
+            Import URL
+          </div>
+        </button>
+        <button
+          onClick={() =>
+            window.document
+              ?.getElementById(`import-embeddings-${workspace.id}-modal`)
+              ?.showModal()
+          }
+          className="inline-flex h-11 flex-col items-center justify-center gap-2.5 rounded-lg bg-white bg-opacity-10 px-3.5 py-2.5 transition-all duration-300 hover:bg-opacity-5"
+        >
+          <div className="font-satoshi h-[25.53px] text-center text-base font-bold text-white">
+            Import Embeddings
+          </div>
+        </button>
+        <button
+          onClick={() =>
+            window.document
+              ?.getElementById(`bulk-metadata-workspace-${workspace.id}-modal`)
+              ?.showModal()
+          }
+          className="inline-flex h-11 flex-col items-center justify-center gap-2.5 rounded-lg bg-white bg-opacity-10 px-3.5 py-2.5 transition-all duration-300 hover:bg-opacity-5"
+        >
+          <div className="font-satoshi h-[25.53px] text-center text-base font-bold text-white">
+            Metadata
+          </div>
+        </button>
+        <button
+          onClick={() =>
+            window.document
+              ?.getElementById(`metadata-profile-${workspace.id}-modal`)
+              ?.showModal()
+          }
+          className="inline-flex h-11 flex-col items-center justify-center gap-2.5 rounded-lg bg-white bg-opacity-10 px-3.5 py-2.5 transition-all duration-300 hover:bg-opacity-5"
+        >
+          <div className="font-satoshi h-[25.53px] text-center text-base font-bold text-white">
+            Schema
+          </div>
+        </button>
+        <button
+          onClick={() =>
+            window.document
+              ?.getElementById(`workspace-settings-${workspace.id}-modal`)
+              ?.showModal()
+          }
+          className="inline-flex h-11 w-[74px] flex-col items-center justify-center gap-2.5 rounded-lg bg-white bg-opacity-10 px-3.5 py-2.5 transition-all duration-300 hover:bg-opacity-5"
+        >
+          <div className="font-satoshi h-[25.53px] w-[59px] text-center text-base font-bold text-white">
+            Settings
+          </div>
+        </button>
         <button
           onClick={deleteWorkspace}
           className="inline-flex h-11 w-[74px] flex-col items-center justify-center gap-2.5 rounded-lg border-2 border-white border-opacity-20 px-3.5 py-2.5 transition-all duration-300 hover:bg-red-500"
@@ -11,7 +11,13 @@ export const SUPPORTED_VECTOR_DBS = [
   'weaviate',
 ];
 
-export type ISearchTypes = 'semantic' | 'exactText' | 'metadata' | 'vectorId';
+export type ISearchTypes =
+  | 'semantic'
+  | 'exactText'
+  | 'keyword'
+  | 'hybrid'
+  | 'metadata'
+  | 'vectorId';
 export const SEARCH_MODES = {
   exactText: {
     display: 'Fuzzy Text Search',
@@ -22,13 +28,51 @@ export const SEARCH_MODES = {
     placeholder:
       'Search with natural language finding the most similar embedding by meaning. Use of this search will cost OpenAI credits to embed the query.',
   },
+  keyword: {
+    display: 'Keyword Search',
+    placeholder:
+      'Rank embeddings by how well their text matches your keywords (BM25).',
+  },
+  hybrid: {
+    display: 'Hybrid Search',
+    placeholder:
+      'Combine keyword and semantic results into one ranking. Use of this search will cost OpenAI credits to embed the query.',
+  },
   metadata: {
     display: 'Metadata',
     placeholder:
-      'Find embedding by exact key:value pair. Formatted as key:value_to_look_for',
+      'Find embedding by key:value pair or a filter like source = "wiki" AND year >= 2022',
   },
   vectorId: {
     display: 'Vector Id',
     placeholder: 'Find by a specific vector ID',
   },
 };
+
+export const RAG_DRIFT_RULES = {
+  new_vector: {
+    display: 'New vector',
+    description:
+      'A vector that is not in the comparison data was returned in the top K.',
+  },
+  missing_vector: {
+    display: 'Missing vector',
+    description:
+      'A comparison vector was not returned, even allowing for the rank tolerance.',
+  },
+  rank_change: {
+    display: 'Rank change',
+    description:
+      'A comparison vector fell below the top K but stayed within the rank tolerance.',
+  },
+  score_delta: {
+    display: 'Score delta',
+    description:
+      'The relevancy score of a comparison vector moved by at least the score-delta threshold.',
+  },
+  min_overlap: {
+    display: 'Minimum overlap',
+    description:
+      'Fewer comparison vectors were returned than the minimum overlap ratio requires.',
+  },
+};
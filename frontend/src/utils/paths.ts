@@ -43,6 +43,9 @@ const paths = {
     resetTool: function ({ slug }: { slug: string }) {
       return `/dashboard/${slug}/tools/db-reset`;
     },
+    snapshotTool: function ({ slug }: { slug: string }) {
+      return `/dashboard/${slug}/tools/db-snapshots`;
+    },
     ragTests: function ({ slug }: { slug: string }) {
       return `/dashboard/${slug}/tools/rag-testing`;
     },
@@ -52,6 +55,12 @@ const paths = {
     ragTestRuns: function (slug: string, testId: number) {
       return `/dashboard/${slug}/tools/rag-testing/${testId}`;
     },
+    ragTestSuiteRuns: function (slug: string, suiteId: number) {
+      return `/dashboard/${slug}/tools/rag-testing/suites/${suiteId}`;
+    },
+    retrievalComparison: function ({ slug }: { slug: string }) {
+      return `/dashboard/${slug}/tools/retrieval-comparison`;
+    },
   },
   dashboard: function () {
     return '/dashboard';
@@ -71,6 +80,9 @@ const paths = {
   jobs: function ({ slug }: { slug: string }) {
     return `/dashboard/${slug}/jobs`;
   },
+  auditLog: function ({ slug }: { slug: string }) {
+    return `/dashboard/${slug}/audit-log`;
+  },
   debug: {
     vdbms: function () {
       const { origin } = getServerUrl();
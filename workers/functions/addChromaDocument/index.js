@@ -3,10 +3,11 @@ const {
   Chroma,
 } = require('../../../backend/utils/vectordatabases/providers/chroma');
 const { InngestClient } = require('../../utils/inngest');
-const { SystemSettings } = require('../../../backend/models/systemSettings');
+const { embedderForWorkspace } = require('../../../backend/utils/embedders');
 const {
   WorkspaceDocument,
 } = require('../../../backend/models/workspaceDocument');
+const { textSplitterForWorkspace } = require('../../../backend/utils/chunking');
 const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
 
 const addChromaDocuments = InngestClient.createFunction(
@@ -31,16 +32,15 @@ const addChromaDocuments = InngestClient.createFunction(
       job.data
     );
     try {
-      const openAiSetting = await SystemSettings.get({
-        label: 'open_ai_api_key',
-      });
-      if (!openAiSetting) {
+      const { embedder, error } = await embedderForWorkspace(workspace);
+      if (!embedder) {
         result = {
-          message: `No OpenAI Key set for instance to be used for embedding - aborting`,
+          message: `${error} - aborting`,
         };
         await Queue.updateJob(jobId, Queue.status.failed, result);
         return { result };
       }
+      const textSplitter = textSplitterForWorkspace(workspace);
 
       for (const document of documents) {
         const exists = await WorkspaceDocument.get({
@@ -49,6 +49,7 @@ const addChromaDocuments = InngestClient.createFunction(
         });
         if (exists) {
           result.files = {
+            ...result.files,
             [document.title]: { skipped: true },
           };
           continue;
@@ -76,12 +77,14 @@ const addChromaDocuments = InngestClient.createFunction(
           await chroma.processDocument(
             workspace.fname,
             document,
-            openAiSetting.value,
-            dbDocument
+            embedder,
+            dbDocument,
+            textSplitter
           );
         if (!success)
           await WorkspaceDocument.delete({ id: Number(dbDocument.id) });
         result.files = {
+          ...result.files,
           [document.title]: {
             skipped: false,
             createStatus: success,
@@ -0,0 +1,114 @@
+const { Queue } = require('../../../backend/models/queue');
+const { InngestClient } = require('../../utils/inngest');
+const { embedderForWorkspace } = require('../../../backend/utils/embedders');
+const {
+  WorkspaceDocument,
+} = require('../../../backend/models/workspaceDocument');
+const { textSplitterForWorkspace } = require('../../../backend/utils/chunking');
+const {
+  Milvus,
+} = require('../../../backend/utils/vectordatabases/providers/milvus');
+const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+
+const addMilvusDocuments = InngestClient.createFunction(
+  { name: 'Add and Embed documents into Milvus' },
+  { event: 'milvus/addDocument' },
+  async ({ event, step: _step, logger }) => {
+    var result = {};
+    // Sometimes the passed in document may have very large pageContent, so we load it from the DB
+    // instead of passing it on the event object - which will crash Inngest.
+    const { jobId } = event.data;
+    const job = await Queue.get({ id: Number(jobId) });
+
+    if (!job) {
+      result = {
+        message: `No job data found for this operation.`,
+      };
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+      return { result };
+    }
+
+    const { documents, organization, workspace, connector } = JSON.parse(
+      job.data
+    );
+    try {
+      const { embedder, error } = await embedderForWorkspace(workspace);
+      if (!embedder) {
+        result = {
+          message: `${error} - aborting`,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+      const textSplitter = textSplitterForWorkspace(workspace);
+
+      for (const document of documents) {
+        const exists = await WorkspaceDocument.get({
+          name: document.title,
+          workspace_id: Number(workspace.id),
+        });
+        if (exists) {
+          result.files = {
+            ...result.files,
+            [document.title]: { skipped: true },
+          };
+          continue;
+        }
+
+        const { document: dbDocument, message: dBInsertResponse } =
+          await WorkspaceDocument.create({
+            id: document.id,
+            name: document.title,
+            workspaceId: workspace.id,
+            organizationId: organization.id,
+          });
+
+        if (!dbDocument) {
+          result = {
+            message: `Failed to create document ${document.id} ${document.title} - aborting`,
+            dBInsertResponse,
+          };
+          await Queue.updateJob(jobId, Queue.status.failed, result);
+          return { result };
+        }
+
+        const milvus = new Milvus(connector);
+        const { success, message: insertResponse } =
+          await milvus.processDocument(
+            workspace.fname,
+            document,
+            embedder,
+            dbDocument,
+            textSplitter
+          );
+        if (!success)
+          await WorkspaceDocument.delete({ id: Number(dbDocument.id) });
+        result.files = {
+          ...result.files,
+          [document.title]: {
+            skipped: false,
+            createStatus: success,
+            message: insertResponse,
+          },
+        };
+      }
+
+      result = { ...result, message: `Document processing complete` };
+      await Queue.updateJob(jobId, Queue.status.complete, result);
+      await vectorSpaceMetric();
+      return { result };
+    } catch (e) {
+      const result = {
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+      return { result };
+    }
+  }
+);
+
+module.exports = {
+  addMilvusDocuments,
+};
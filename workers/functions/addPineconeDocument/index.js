@@ -3,10 +3,11 @@ const {
   Pinecone,
 } = require('../../../backend/utils/vectordatabases/providers/pinecone');
 const { InngestClient } = require('../../utils/inngest');
-const { SystemSettings } = require('../../../backend/models/systemSettings');
+const { embedderForWorkspace } = require('../../../backend/utils/embedders');
 const {
   WorkspaceDocument,
 } = require('../../../backend/models/workspaceDocument');
+const { textSplitterForWorkspace } = require('../../../backend/utils/chunking');
 const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
 
 const addPineconeDocuments = InngestClient.createFunction(
@@ -31,22 +32,23 @@ const addPineconeDocuments = InngestClient.createFunction(
       job.data
     );
     try {
-      const openAiSetting = await SystemSettings.get({
-        label: 'open_ai_api_key',
-      });
-      if (!openAiSetting) {
+      const { embedder, dimensions, error } = await embedderForWorkspace(
+        workspace
+      );
+      if (!embedder) {
         result = {
-          message: `No OpenAI Key set for instance to be used for embedding - aborting`,
+          message: `${error} - aborting`,
         };
         await Queue.updateJob(jobId, Queue.status.failed, result);
         return { result };
       }
+      const textSplitter = textSplitterForWorkspace(workspace);
 
       const pineconeClient = new Pinecone(connector);
-      const dimensions = await pineconeClient.indexDimensions();
-      if (dimensions !== 1536) {
+      const indexDimensions = await pineconeClient.indexDimensions();
+      if (indexDimensions !== dimensions) {
         result = {
-          message: `Cannot use OpenAi 1536 embedding on index that is ${dimensions} dimensions - aborting.`,
+          message: `Cannot use ${dimensions} dimension embedding on index that is ${indexDimensions} dimensions - aborting.`,
         };
         await Queue.updateJob(jobId, Queue.status.failed, result);
         return { result };
@@ -60,6 +62,7 @@ const addPineconeDocuments = InngestClient.createFunction(
         });
         if (exists) {
           result.files = {
+            ...result.files,
             [document.title]: { skipped: true },
           };
           continue;
@@ -86,14 +89,16 @@ const addPineconeDocuments = InngestClient.createFunction(
           await pineconeClient.processDocument(
             workspace.fname,
             document,
-            openAiSetting.value,
+            embedder,
             dbDocument,
-            pineconeIndex
+            pineconeIndex,
+            textSplitter
           );
 
         if (!success)
           await WorkspaceDocument.delete({ id: Number(dbDocument.id) });
         result.files = {
+          ...result.files,
           [document.title]: {
             skipped: false,
             createStatus: success,
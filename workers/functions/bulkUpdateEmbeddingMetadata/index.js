@@ -0,0 +1,396 @@
+const fs = require('fs');
+const { Queue } = require('../../../backend/models/queue');
+const {
+  WorkspaceDocument,
+} = require('../../../backend/models/workspaceDocument');
+const {
+  applyOperations,
+  resolveSelection,
+} = require('../../../backend/utils/bulkMetadata');
+const { toChunks } = require('../../../backend/utils/vectordatabases/utils');
+const {
+  Chroma,
+} = require('../../../backend/utils/vectordatabases/providers/chroma');
+const {
+  Pinecone,
+} = require('../../../backend/utils/vectordatabases/providers/pinecone');
+const {
+  QDrant,
+} = require('../../../backend/utils/vectordatabases/providers/qdrant');
+const {
+  Weaviate,
+} = require('../../../backend/utils/vectordatabases/providers/weaviate');
+const {
+  Milvus,
+} = require('../../../backend/utils/vectordatabases/providers/milvus');
+const {
+  ClickHouse,
+} = require('../../../backend/utils/vectordatabases/providers/clickhouse');
+const { InngestClient } = require('../../utils/inngest');
+const { prepareMetadata } = require('../updateEmbeddingMetadata');
+
+const BATCH_SIZE = 100;
+
+// Chroma will only drop null values. So to "reset" the metadata we need to make every existing key null.
+function nullifyExisting(json = {}) {
+  const nullObj = {};
+  Object.keys(json).map((key) => (nullObj[key] = null));
+  return nullObj;
+}
+
+// Each provider reads a batch of vectors as [{ id, values, metadata }] and writes
+// back the ones whose metadata changed. metadata always includes the chunk text.
+const PROVIDERS = {
+  chroma: {
+    label: 'ChromaDB',
+    async connect(connector, namespace) {
+      const chromaClient = new Chroma(connector);
+      const { client } = await chromaClient.connect();
+      const collection = await client.getCollection({ name: namespace });
+      return collection ? { collection } : null;
+    },
+    async fetch({ collection }, _namespace, ids) {
+      const result = await collection.get({
+        ids,
+        include: ['metadatas', 'documents', 'embeddings'],
+      });
+      return result.ids.map((id, i) => ({
+        id,
+        values: result.embeddings[i],
+        metadata: { ...(result.metadatas[i] || {}), text: result.documents[i] },
+        previous: result.metadatas[i] || {},
+      }));
+    },
+    async write({ collection }, _namespace, vectors) {
+      await collection.update({
+        ids: vectors.map((vector) => vector.id),
+        metadatas: vectors.map((vector) => {
+          const { text: _, ...metadata } = vector.metadata;
+          return {
+            ...nullifyExisting(vector.previous),
+            ...metadata,
+            ...(vector.previous.hasOwnProperty('text')
+              ? { text: vector.previous.text }
+              : {}), // Persist text key if it was present
+          };
+        }),
+      });
+    },
+  },
+
+  pinecone: {
+    label: 'PineconeDB',
+    async connect(connector, namespace) {
+      const pineconeClient = new Pinecone(connector);
+      const { pineconeIndex } = await pineconeClient.connect();
+      const exists = await pineconeClient.namespaceExists(
+        pineconeIndex,
+        namespace
+      );
+      return exists ? { pineconeIndex } : null;
+    },
+    async fetch({ pineconeIndex }, namespace, ids) {
+      const { vectors = {} } = await pineconeIndex.fetch({ ids, namespace });
+      return Object.values(vectors).map((vector) => ({
+        id: vector.id,
+        values: vector.values,
+        metadata: vector.metadata || {},
+      }));
+    },
+    // An upsert replaces the whole vector, so removed keys are dropped as well.
+    async write({ pineconeIndex }, namespace, vectors) {
+      await pineconeIndex.upsert({
+        upsertRequest: {
+          vectors: vectors.map(({ id, values, metadata }) => ({
+            id,
+            values,
+            metadata,
+          })),
+          namespace,
+        },
+      });
+    },
+  },
+
+  qdrant: {
+    label: 'QDrant',
+    async connect(connector, namespace) {
+      const qdrantClient = new QDrant(connector);
+      const { client } = await qdrantClient.connect();
+      const exists = await qdrantClient.namespaceExists(client, namespace);
+      return exists ? { client } : null;
+    },
+    async fetch({ client }, namespace, ids) {
+      const points = await client.retrieve(namespace, {
+        ids,
+        with_vector: true,
+        with_payload: true,
+      });
+      return points.map((point) => ({
+        id: point.id,
+        values: point.vector,
+        metadata: point.payload || {},
+      }));
+    },
+    async write({ client }, namespace, vectors) {
+      for (const vector of vectors) {
+        await client.overwritePayload(namespace, {
+          payload: vector.metadata,
+          points: [vector.id],
+        });
+      }
+    },
+  },
+
+  // Keys cannot be renamed or removed here, validateOperations rejects those for Weaviate.
+  weaviate: {
+    label: 'Weaviate',
+    async connect(connector, namespace) {
+      const weaviateClient = new Weaviate(connector);
+      const { client } = await weaviateClient.connect();
+      const className = weaviateClient.camelCase(namespace);
+      const exists = await weaviateClient.namespaceExists(client, namespace);
+      return exists ? { client, weaviateClient, className } : null;
+    },
+    async fetch({ client, className }, _namespace, ids) {
+      const vectors = [];
+      for (const id of ids) {
+        try {
+          const match = await client.data
+            .getterById()
+            .withClassName(className)
+            .withId(id)
+            .withVector()
+            .do();
+          if (match)
+            vectors.push({
+              id,
+              values: match.vector,
+              metadata: match.properties || {},
+            });
+        } catch {}
+      }
+      return vectors;
+    },
+    async write({ client, weaviateClient, className }, _namespace, vectors) {
+      for (const vector of vectors) {
+        const schema = await weaviateClient.schemaForCollection(className);
+        const { updatedMetadata, newProperties } = prepareMetadata(
+          schema.properties,
+          vector.previous,
+          weaviateClient.flattenObjectForWeaviate(vector.metadata)
+        );
+        for (const propDef of newProperties) {
+          await client.schema
+            .propertyCreator()
+            .withClassName(className)
+            .withProperty(propDef)
+            .do();
+        }
+        await client.data
+          .updater()
+          .withId(vector.id)
+          .withClassName(className)
+          .withProperties(updatedMetadata)
+          .do();
+        vector.metadata = updatedMetadata;
+      }
+    },
+  },
+
+  milvus: {
+    label: 'Milvus',
+    async connect(connector, namespace) {
+      const milvusClient = new Milvus(connector);
+      const exists = await milvusClient.namespaceExists(null, namespace);
+      return exists ? { milvusClient } : null;
+    },
+    async fetch({ milvusClient }, namespace, ids) {
+      return await milvusClient.getVectors(namespace, ids);
+    },
+    async write({ milvusClient }, namespace, vectors) {
+      await milvusClient.upsertVectors(
+        namespace,
+        vectors.map(({ id, values, metadata }) => ({ id, values, metadata }))
+      );
+    },
+  },
+
+  clickhouse: {
+    label: 'ClickHouse',
+    async connect(connector, namespace) {
+      const clickhouseClient = new ClickHouse(connector);
+      const exists = await clickhouseClient.namespaceExists(null, namespace);
+      return exists ? { clickhouseClient } : null;
+    },
+    async fetch({ clickhouseClient }, namespace, ids) {
+      return await clickhouseClient.getVectors(namespace, ids);
+    },
+    async write({ clickhouseClient }, namespace, vectors) {
+      for (const { id, values, metadata } of vectors) {
+        await clickhouseClient.updateVector(namespace, {
+          id,
+          values,
+          metadata,
+        });
+      }
+    },
+  },
+};
+
+// Reads the document's cache file once and rewrites every updated vector in it.
+function updateVectorCache(document, vectors = []) {
+  const filepath = WorkspaceDocument.vectorFilepath(document);
+  if (!fs.existsSync(filepath)) return;
+
+  const updates = new Map(vectors.map((vector) => [String(vector.id), vector]));
+  const existingData = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  existingData.forEach((obj) => {
+    const vector = updates.get(String(obj.vectorDbId));
+    if (!vector) return;
+    obj.values = vector.values;
+    obj.metadata = { ...vector.metadata, text: obj.metadata?.text };
+  });
+  fs.writeFileSync(filepath, JSON.stringify(existingData), 'utf8');
+}
+
+async function updateBatch(provider, connection, namespace, document, batch) {
+  const { operations, vectorIds } = batch;
+  const vectors = await provider.fetch(connection, namespace, vectorIds);
+  const changed = [];
+  vectors.forEach((vector) => {
+    const { text, ...metadata } = vector.metadata || {};
+    const result = applyOperations(metadata, operations);
+    if (!result.changed) return;
+    changed.push({
+      ...vector,
+      previous: vector.previous ?? vector.metadata,
+      metadata:
+        text === undefined ? result.metadata : { ...result.metadata, text },
+    });
+  });
+
+  if (changed.length > 0) {
+    await provider.write(connection, namespace, changed);
+    updateVectorCache(document, changed);
+  }
+  return {
+    updated: changed.length,
+    missing: vectorIds.length - vectors.length,
+  };
+}
+
+function bulkMetadataFunction(type) {
+  const provider = PROVIDERS[type];
+  return InngestClient.createFunction(
+    { name: `Bulk update embedding metadata in ${provider.label}` },
+    { event: `${type}/bulkUpdateFragmentMetadata` },
+    async ({ event, step, logger }) => {
+      var result = {};
+      const { workspace, connector, selection, operations, jobId } = event.data;
+      try {
+        const connection = await provider.connect(connector, workspace.fname);
+        if (!connection) {
+          result = {
+            message: `No collection found with name ${workspace.fname} - nothing to do.`,
+          };
+          await Queue.updateJob(jobId, Queue.status.failed, result);
+          return { result };
+        }
+
+        // The function body re-runs for every step, after earlier batches may have changed the
+        // keys the selection filters on. Resolving it in a step keeps every batch on the vectors
+        // that were selected when the job started.
+        const { groups, error } = await step.run(
+          'resolve-selection',
+          async () => {
+            const { groups = [], error = null } = await resolveSelection(
+              workspace,
+              selection
+            );
+            return {
+              error,
+              groups: groups.map(({ document, chunks }) => ({
+                document: {
+                  id: document.id,
+                  name: document.name,
+                  workspace_id: document.workspace_id,
+                },
+                vectorIds: chunks.map((chunk) => chunk.vectorId),
+              })),
+            };
+          }
+        );
+        if (error) {
+          result = { message: `Job failed with error`, error, details: null };
+          await Queue.updateJob(jobId, Queue.status.failed, result);
+          return { result };
+        }
+
+        const progress = {
+          total: groups.reduce((sum, group) => sum + group.vectorIds.length, 0),
+          processed: 0,
+          updated: 0,
+          missing: 0,
+        };
+        for (const { document, vectorIds: documentVectorIds } of groups) {
+          const batches = toChunks(documentVectorIds, BATCH_SIZE);
+          for (const [index, vectorIds] of batches.entries()) {
+            // Steps are memoized, so a retried job skips the batches already written.
+            const { updated, missing } = await step.run(
+              `update-document-${document.id}-batch-${index}`,
+              async () =>
+                await updateBatch(
+                  provider,
+                  await provider.connect(connector, workspace.fname),
+                  workspace.fname,
+                  document,
+                  { operations, vectorIds }
+                )
+            );
+            progress.processed += vectorIds.length;
+            progress.updated += updated;
+            progress.missing += missing;
+            await Queue.updateJob(jobId, Queue.status.pending, {
+              message: `Updated metadata of ${progress.processed} of ${progress.total} vectors.`,
+              progress,
+            });
+          }
+        }
+
+        result = {
+          message: `Updated metadata of ${progress.updated} vectors in ${groups.length} documents.`,
+          progress,
+          operations,
+        };
+        await Queue.updateJob(jobId, Queue.status.complete, result);
+        return { result };
+      } catch (e) {
+        const result = {
+          message: `Job failed with error`,
+          error: e.message,
+          details: e,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+    }
+  );
+}
+
+const bulkUpdateChromaEmbeddingMetadata = bulkMetadataFunction('chroma');
+const bulkUpdatePineconeEmbeddingMetadata = bulkMetadataFunction('pinecone');
+const bulkUpdateQDrantEmbeddingMetadata = bulkMetadataFunction('qdrant');
+const bulkUpdateWeaviateEmbeddingMetadata = bulkMetadataFunction('weaviate');
+const bulkUpdateMilvusEmbeddingMetadata = bulkMetadataFunction('milvus');
+const bulkUpdateClickHouseEmbeddingMetadata =
+  bulkMetadataFunction('clickhouse');
+
+module.exports = {
+  bulkUpdateChromaEmbeddingMetadata,
+  bulkUpdatePineconeEmbeddingMetadata,
+  bulkUpdateQDrantEmbeddingMetadata,
+  bulkUpdateWeaviateEmbeddingMetadata,
+  bulkUpdateMilvusEmbeddingMetadata,
+  bulkUpdateClickHouseEmbeddingMetadata,
+};
@@ -0,0 +1,325 @@
+const fs = require('fs');
+const path = require('path');
+const { Queue } = require('../../../backend/models/queue');
+const {
+  DocumentProcessor,
+} = require('../../../backend/models/documentProcessor');
+const {
+  addDocumentJob,
+} = require('../../../backend/utils/jobs/addDocumentsJob');
+const {
+  refreshBulkUploadJob,
+} = require('../../../backend/utils/jobs/bulkUploadJob');
+const {
+  isArchive,
+  archiveBasename,
+  extractArchive,
+} = require('../../../backend/utils/files/archives');
+const {
+  allowedFileTypes,
+  maxUploadSize,
+  maxExtractedSize,
+  stagingFolder,
+  removeStagedUpload,
+} = require('../../../backend/utils/files/uploads');
+const {
+  workspaceSchema,
+  documentViolations,
+  rejectsViolations,
+} = require('../../../backend/utils/metadataSchema');
+const { toChunks } = require('../../../backend/utils/vectordatabases/utils');
+const { InngestClient } = require('../../utils/inngest');
+
+const BATCH_SIZE = 20;
+// Files are linked in here before processing and unlinked once they are queued for
+// embedding, so whatever is left can be processed again by "retry failed files".
+const RETRY_FOLDER = '.retry';
+
+// Every file below folder as a path relative to it, eg: handbook/intro.md
+function listFiles(folder, relative = '') {
+  const files = [];
+  const entries = fs.readdirSync(path.resolve(folder, relative), {
+    withFileTypes: true,
+  });
+  for (const entry of entries) {
+    const name = path.join(relative, entry.name);
+    if (name === RETRY_FOLDER) continue;
+    if (entry.isDirectory()) files.push(...listFiles(folder, name));
+    if (entry.isFile()) files.push(name);
+  }
+  return files;
+}
+
+// Unpacks every archive in the staging folder into a folder named after it, then drops the
+// files the processor does not accept. Returns the files left to process. All archives of
+// an upload share one maxExtractedSize budget.
+async function unpackUpload(folder) {
+  const failures = [];
+  let remaining = maxExtractedSize();
+  for (const archive of listFiles(folder).filter(isArchive)) {
+    const destination = path.resolve(
+      folder,
+      path.dirname(archive),
+      archiveBasename(archive)
+    );
+    try {
+      const { skipped, bytes } = await extractArchive(
+        path.resolve(folder, archive),
+        destination,
+        { maxFileSize: maxUploadSize(), maxTotalSize: remaining }
+      );
+      remaining -= bytes;
+      skipped.forEach(({ file, reason }) =>
+        failures.push({
+          file: path.relative(folder, path.resolve(destination, file)),
+          reason,
+          retryable: false,
+        })
+      );
+    } catch (e) {
+      failures.push({
+        file: archive,
+        reason: `Could not unpack archive: ${e.message}`,
+        retryable: false,
+      });
+    } finally {
+      fs.rmSync(path.resolve(folder, archive), { force: true });
+    }
+  }
+
+  const types = await allowedFileTypes();
+  if (!types)
+    throw new Error('Could not read the file types the processor accepts.');
+  const extensions = Object.values(types).flat();
+  const files = [];
+  for (const file of listFiles(folder)) {
+    const extension = path.extname(file).toLowerCase();
+    if (extensions.includes(extension)) {
+      files.push(file);
+      continue;
+    }
+    failures.push({
+      file,
+      reason: extension
+        ? `${extension} files cannot be uploaded.`
+        : `${path.basename(file)} has no file extension.`,
+      retryable: false,
+    });
+    fs.rmSync(path.resolve(folder, file), { force: true });
+  }
+  return { files, failures };
+}
+
+// Moves the files kept from an earlier run back into place for another attempt.
+function restoreRetryFiles(folder, retryFiles = []) {
+  const files = [];
+  const failures = [];
+  for (const file of retryFiles) {
+    const source = path.resolve(folder, RETRY_FOLDER, file);
+    if (!fs.existsSync(source)) {
+      failures.push({
+        file,
+        reason: 'The file is no longer staged and has to be uploaded again.',
+        retryable: false,
+      });
+      continue;
+    }
+    fs.mkdirSync(path.dirname(path.resolve(folder, file)), { recursive: true });
+    fs.renameSync(source, path.resolve(folder, file));
+    files.push(file);
+  }
+  return { files, failures };
+}
+
+// Converts one batch of staged files into documents and queues them as a single
+// addDocument job that is a child of the bulk upload job.
+async function processBatch(files, { uploadId, jobId, userId, ...context }) {
+  const { organization, workspace, connector } = context;
+  const folder = stagingFolder(uploadId);
+  const schema = workspaceSchema(workspace);
+  const documents = [];
+  const queued = [];
+  const failures = [];
+
+  for (const file of files) {
+    const source = path.resolve(folder, file);
+    const retryCopy = path.resolve(folder, RETRY_FOLDER, file);
+    fs.mkdirSync(path.dirname(retryCopy), { recursive: true });
+    // A batch run again after a crash picks its files back up from the retry folder.
+    if (!fs.existsSync(source)) fs.linkSync(retryCopy, source);
+    else if (!fs.existsSync(retryCopy)) fs.linkSync(source, retryCopy);
+
+    const {
+      success,
+      reason,
+      metadata = [],
+    } = await DocumentProcessor.prepareForEmbed(`${uploadId}/${file}`);
+    if (!success) {
+      failures.push({
+        file,
+        reason: reason || 'Processing failed.',
+        retryable: true,
+      });
+      continue;
+    }
+
+    // Files from folders and archives are named by their path so that two files with the
+    // same name in different folders are both embedded.
+    if (path.dirname(file) !== '.' && metadata.length === 1)
+      metadata[0].title = file;
+
+    const violations = documentViolations(workspace, metadata);
+    if (rejectsViolations(schema, violations)) {
+      failures.push({
+        file,
+        reason: `Does not match the workspace metadata schema. ${violations.join(
+          ' '
+        )}`,
+        retryable: false,
+      });
+      fs.rmSync(retryCopy, { force: true });
+      continue;
+    }
+    documents.push(...metadata);
+    queued.push(...metadata.map(({ title }) => ({ file, title })));
+  }
+  if (documents.length === 0) return { batch: null, failures };
+
+  const { job, error } = await addDocumentJob(
+    documents,
+    organization,
+    workspace,
+    connector,
+    { id: userId },
+    jobId
+  );
+  if (!job) {
+    const failed = [...new Set(queued.map(({ file }) => file))];
+    return {
+      batch: null,
+      failures: [
+        ...failures,
+        ...failed.map((file) => ({
+          file,
+          reason: error || 'Could not queue the file for embedding.',
+          retryable: true,
+        })),
+      ],
+    };
+  }
+
+  queued.forEach(({ file }) =>
+    fs.rmSync(path.resolve(folder, RETRY_FOLDER, file), { force: true })
+  );
+  return { batch: { jobId: job.id, documents: queued }, failures };
+}
+
+const bulkUploadDocuments = InngestClient.createFunction(
+  { name: 'Process a bulk document upload' },
+  { event: 'workspace/bulk-upload' },
+  async ({ event, step, logger }) => {
+    var result = {};
+    const { jobId, uploadId, retry = false } = event.data;
+    const folder = stagingFolder(uploadId);
+    try {
+      const { previous, files, failures } = await step.run(
+        'unpack-upload',
+        async () => {
+          const job = await Queue.get({ id: Number(jobId) });
+          const previous = JSON.parse(job?.result || '{}');
+          if (!retry) return { previous, ...(await unpackUpload(folder)) };
+
+          const retryFiles = (previous.processingFailures || [])
+            .filter((failure) => failure.retryable)
+            .map((failure) => failure.file);
+          return {
+            previous: {
+              ...previous,
+              processingFailures: previous.processingFailures.filter(
+                (failure) => !failure.retryable
+              ),
+            },
+            ...restoreRetryFiles(folder, retryFiles),
+          };
+        }
+      );
+
+      const processingFailures = [
+        ...(previous.processingFailures || []),
+        ...failures,
+      ];
+      const batches = [...(previous.batches || [])];
+      const progress = {
+        ...previous.progress,
+        files: retry
+          ? previous.progress.files
+          : files.length + processingFailures.length,
+        processed: retry
+          ? previous.progress.files - files.length
+          : processingFailures.length,
+        queued: previous.progress?.queued || 0,
+        failed: processingFailures.length,
+      };
+
+      for (const [index, batchFiles] of toChunks(files, BATCH_SIZE).entries()) {
+        // Steps are memoized, so a restarted job does not queue a batch twice.
+        const { batch, failures } = await step.run(
+          `process-batch-${index}`,
+          async () => await processBatch(batchFiles, event.data)
+        );
+        if (batch) batches.push(batch);
+        processingFailures.push(...failures);
+        progress.processed += batchFiles.length;
+        progress.queued += batch?.documents.length || 0;
+        progress.failed = processingFailures.length;
+        await Queue.updateJob(jobId, Queue.status.pending, {
+          ...previous,
+          message: `Processed ${progress.processed} of ${progress.files} files.`,
+          phase: 'processing',
+          progress,
+          processingFailures,
+          batches,
+        });
+      }
+
+      // Only the files that can be retried are kept on disk.
+      if (processingFailures.some((failure) => failure.retryable)) {
+        fs.readdirSync(folder)
+          .filter((name) => name !== RETRY_FOLDER)
+          .forEach((name) =>
+            fs.rmSync(path.resolve(folder, name), {
+              recursive: true,
+              force: true,
+            })
+          );
+      } else {
+        removeStagedUpload(uploadId);
+      }
+
+      result = {
+        ...previous,
+        message: `Queued ${progress.queued} documents for embedding.`,
+        phase: 'embedding',
+        progress,
+        processingFailures,
+        failures: processingFailures,
+        batches,
+      };
+      const job = await Queue.updateJob(jobId, Queue.status.pending, result);
+      // Batches that finished before the upload reached embedding could not settle it.
+      await refreshBulkUploadJob(job);
+      return { result };
+    } catch (e) {
+      removeStagedUpload(uploadId);
+      const result = {
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+      return { result };
+    }
+  }
+);
+
+module.exports = { bulkUploadDocuments };
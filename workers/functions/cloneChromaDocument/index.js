@@ -6,14 +6,12 @@ const { InngestClient } = require('../../utils/inngest');
 const {
   WorkspaceDocument,
 } = require('../../../backend/models/workspaceDocument');
-const {
-  cachedVectorInformation,
-  storeVectorResult,
-} = require('../../../backend/utils/storage');
+const { storeVectorResult } = require('../../../backend/utils/storage');
 const { toChunks } = require('../../../backend/utils/vectordatabases/utils');
 const { v4 } = require('uuid');
 const { DocumentVectors } = require('../../../backend/models/documentVectors');
 const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+const { documentVectorData } = require('../../utils/vectorSpace');
 
 const cloneChromaDocument = InngestClient.createFunction(
   { name: 'Clone document into ChromaDB' },
@@ -24,12 +22,11 @@ const cloneChromaDocument = InngestClient.createFunction(
     const newDocId = v4();
 
     try {
-      const cacheInfo = await cachedVectorInformation(
-        WorkspaceDocument.vectorFilename(document)
-      );
+      const chromaClient = new Chroma(connector);
+      const cacheInfo = await documentVectorData(chromaClient, document);
       if (!cacheInfo.exists) {
         result = {
-          message: `No vector cache file was found for ${document.name} - cannot clone. Aborting.`,
+          message: `No vector cache or stored vectors were found for ${document.name} - cannot clone. Aborting.`,
         };
         await Queue.updateJob(jobId, Queue.status.failed, result);
         return { result };
@@ -51,7 +48,6 @@ const cloneChromaDocument = InngestClient.createFunction(
 
       const newFragments = [];
       const newCacheInfo = [];
-      const chromaClient = new Chroma(connector);
       const { client } = await chromaClient.connect();
       const collection = await client.getCollection({
         name: destinationWs.fname,
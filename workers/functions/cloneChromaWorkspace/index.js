@@ -6,17 +6,19 @@ const { InngestClient } = require('../../utils/inngest');
 const {
   WorkspaceDocument,
 } = require('../../../backend/models/workspaceDocument');
-const {
-  cachedVectorInformation,
-  storeVectorResult,
-} = require('../../../backend/utils/storage');
+const { storeVectorResult } = require('../../../backend/utils/storage');
 const { toChunks } = require('../../../backend/utils/vectordatabases/utils');
 const { v4 } = require('uuid');
 const { DocumentVectors } = require('../../../backend/models/documentVectors');
 const {
   OrganizationWorkspace,
 } = require('../../../backend/models/organizationWorkspace');
+const {
+  OrganizationEmbedder,
+} = require('../../../backend/models/organizationEmbedder');
+const { chunkingSettings } = require('../../../backend/utils/chunking');
 const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+const { documentVectorData } = require('../../utils/vectorSpace');
 
 const cloneChromaWorkspace = InngestClient.createFunction(
   { name: 'Clone workspace into ChromaDB' },
@@ -28,9 +30,14 @@ const cloneChromaWorkspace = InngestClient.createFunction(
       await OrganizationWorkspace.safeCreate(
         newWorkspaceName,
         workspace.organization_id,
-        connector
+        connector,
+        chunkingSettings(workspace)
       );
     try {
+      await OrganizationEmbedder.cloneForWorkspace(
+        workspace.id,
+        clonedWorkspace
+      );
       const chromaClient = new Chroma(connector);
       const { client } = await chromaClient.connect();
       const collection = await client.createCollection({
@@ -44,12 +51,10 @@ const cloneChromaWorkspace = InngestClient.createFunction(
         const newDocId = v4();
 
         try {
-          const cacheInfo = await cachedVectorInformation(
-            WorkspaceDocument.vectorFilename(document)
-          );
+          const cacheInfo = await documentVectorData(chromaClient, document);
           if (!cacheInfo.exists) {
             console.error(
-              `No vector cache file was found for ${document.name} - cannot clone. Skipping.`
+              `No vector cache or stored vectors were found for ${document.name} - cannot clone. Skipping.`
             );
             continue;
           }
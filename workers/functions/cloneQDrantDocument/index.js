@@ -3,10 +3,7 @@ const { InngestClient } = require('../../utils/inngest');
 const {
   WorkspaceDocument,
 } = require('../../../backend/models/workspaceDocument');
-const {
-  cachedVectorInformation,
-  storeVectorResult,
-} = require('../../../backend/utils/storage');
+const { storeVectorResult } = require('../../../backend/utils/storage');
 const { toChunks } = require('../../../backend/utils/vectordatabases/utils');
 const { v4 } = require('uuid');
 const { DocumentVectors } = require('../../../backend/models/documentVectors');
@@ -14,6 +11,7 @@ const {
   QDrant,
 } = require('../../../backend/utils/vectordatabases/providers/qdrant');
 const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+const { documentVectorData } = require('../../utils/vectorSpace');
 
 const cloneQDrantDocument = InngestClient.createFunction(
   { name: 'Clone document into QDrant' },
@@ -24,12 +22,11 @@ const cloneQDrantDocument = InngestClient.createFunction(
     const newDocId = v4();
 
     try {
-      const cacheInfo = await cachedVectorInformation(
-        WorkspaceDocument.vectorFilename(document)
-      );
+      const qdrantClient = new QDrant(connector);
+      const cacheInfo = await documentVectorData(qdrantClient, document);
       if (!cacheInfo.exists) {
         result = {
-          message: `No vector cache file was found for ${document.name} - cannot clone. Aborting.`,
+          message: `No vector cache or stored vectors were found for ${document.name} - cannot clone. Aborting.`,
         };
         await Queue.updateJob(jobId, Queue.status.failed, result);
         return { result };
@@ -51,7 +48,6 @@ const cloneQDrantDocument = InngestClient.createFunction(
 
       const newFragments = [];
       const newCacheInfo = [];
-      const qdrantClient = new QDrant(connector);
       const { client } = await qdrantClient.connect();
 
       for (const chunks of toChunks(cacheInfo.chunks, 500)) {
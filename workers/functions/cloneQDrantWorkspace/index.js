@@ -3,10 +3,7 @@ const { InngestClient } = require('../../utils/inngest');
 const {
   WorkspaceDocument,
 } = require('../../../backend/models/workspaceDocument');
-const {
-  cachedVectorInformation,
-  storeVectorResult,
-} = require('../../../backend/utils/storage');
+const { storeVectorResult } = require('../../../backend/utils/storage');
 const { toChunks } = require('../../../backend/utils/vectordatabases/utils');
 const { v4 } = require('uuid');
 const { DocumentVectors } = require('../../../backend/models/documentVectors');
@@ -16,7 +13,15 @@ const {
 const {
   QDrant,
 } = require('../../../backend/utils/vectordatabases/providers/qdrant');
+const {
+  OrganizationEmbedder,
+} = require('../../../backend/models/organizationEmbedder');
+const {
+  embedderConfigForWorkspace,
+} = require('../../../backend/utils/embedders');
+const { chunkingSettings } = require('../../../backend/utils/chunking');
 const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+const { documentVectorData } = require('../../utils/vectorSpace');
 
 const cloneQDrantWorkspace = InngestClient.createFunction(
   { name: 'Clone workspace into QDrant' },
@@ -28,14 +33,20 @@ const cloneQDrantWorkspace = InngestClient.createFunction(
       await OrganizationWorkspace.safeCreate(
         newWorkspaceName,
         workspace.organization_id,
-        connector
+        connector,
+        chunkingSettings(workspace)
       );
     try {
+      await OrganizationEmbedder.cloneForWorkspace(
+        workspace.id,
+        clonedWorkspace
+      );
+      const { dimensions } = await embedderConfigForWorkspace(workspace);
       const qdrantClient = new QDrant(connector);
       const { client } = await qdrantClient.connect();
       await client.createCollection(clonedWorkspace.fname, {
         vectors: {
-          size: 1536, // TODO: Fixed to OpenAI models - when other embeddings exist make variable.
+          size: dimensions,
           distance: 'Cosine',
         },
       });
@@ -48,12 +59,10 @@ const cloneQDrantWorkspace = InngestClient.createFunction(
         const newDocId = v4();
 
         try {
-          const cacheInfo = await cachedVectorInformation(
-            WorkspaceDocument.vectorFilename(document)
-          );
+          const cacheInfo = await documentVectorData(qdrantClient, document);
           if (!cacheInfo.exists) {
             console.error(
-              `No vector cache file was found for ${document.name} - cannot clone. Skipping.`
+              `No vector cache or stored vectors were found for ${document.name} - cannot clone. Skipping.`
             );
             continue;
           }
@@ -3,10 +3,7 @@ const { InngestClient } = require('../../utils/inngest');
 const {
   WorkspaceDocument,
 } = require('../../../backend/models/workspaceDocument');
-const {
-  cachedVectorInformation,
-  storeVectorResult,
-} = require('../../../backend/utils/storage');
+const { storeVectorResult } = require('../../../backend/utils/storage');
 const { toChunks } = require('../../../backend/utils/vectordatabases/utils');
 const { v4 } = require('uuid');
 const { DocumentVectors } = require('../../../backend/models/documentVectors');
@@ -16,7 +13,12 @@ const {
 const {
   Weaviate,
 } = require('../../../backend/utils/vectordatabases/providers/weaviate');
+const {
+  OrganizationEmbedder,
+} = require('../../../backend/models/organizationEmbedder');
+const { chunkingSettings } = require('../../../backend/utils/chunking');
 const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+const { documentVectorData } = require('../../utils/vectorSpace');
 
 const cloneWeaviateWorkspace = InngestClient.createFunction(
   { name: 'Clone workspace into Weaviate' },
@@ -28,10 +30,15 @@ const cloneWeaviateWorkspace = InngestClient.createFunction(
       await OrganizationWorkspace.safeCreate(
         newWorkspaceName,
         workspace.organization_id,
-        connector
+        connector,
+        chunkingSettings(workspace)
       );
 
     try {
+      await OrganizationEmbedder.cloneForWorkspace(
+        workspace.id,
+        clonedWorkspace
+      );
       const weaviateClient = new Weaviate(connector);
       const { client } = await weaviateClient.connect();
       const className = weaviateClient.camelCase(clonedWorkspace.fname);
@@ -52,12 +59,10 @@ const cloneWeaviateWorkspace = InngestClient.createFunction(
         const newDocId = v4();
 
         try {
-          const cacheInfo = await cachedVectorInformation(
-            WorkspaceDocument.vectorFilename(document)
-          );
+          const cacheInfo = await documentVectorData(weaviateClient, document);
           if (!cacheInfo.exists) {
             console.error(
-              `No vector cache file was found for ${document.name} - cannot clone. Skipping.`
+              `No vector cache or stored vectors were found for ${document.name} - cannot clone. Skipping.`
             );
             continue;
           }
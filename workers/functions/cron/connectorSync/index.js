@@ -0,0 +1,113 @@
+const { Organization } = require('../../../../backend/models/organization');
+const {
+  OrganizationConnection,
+} = require('../../../../backend/models/organizationConnection');
+const { Queue } = require('../../../../backend/models/queue');
+const { InngestClient } = require('../../../utils/inngest');
+
+const runHourlyConnectorSync = InngestClient.createFunction(
+  {
+    id: 'connector-sync-hourly-cron',
+    name: 'Sync Organization Connector - Hourly Cron',
+  },
+  { cron: 'TZ=America/Los_Angeles 0 * * * *' },
+  async () => {
+    try {
+      console.log(
+        `\n\x1b[33m[CRON: Running hourly Connector Sync Cron]\x1b[0m`
+      );
+      await queueScheduledSyncs(OrganizationConnection.syncSchedules.hourly);
+      return;
+    } catch (e) {
+      console.error(e.message);
+      return;
+    }
+  }
+);
+
+const runDailyConnectorSync = InngestClient.createFunction(
+  {
+    id: 'connector-sync-daily-cron',
+    name: 'Sync Organization Connector - Daily Cron',
+  },
+  { cron: 'TZ=America/Los_Angeles 0 18 * * *' },
+  async () => {
+    try {
+      console.log(`\n\x1b[33m[CRON: Running daily Connector Sync Cron]\x1b[0m`);
+      await queueScheduledSyncs(OrganizationConnection.syncSchedules.daily);
+      return;
+    } catch (e) {
+      console.error(e.message);
+      return;
+    }
+  }
+);
+
+const runWeeklyConnectorSync = InngestClient.createFunction(
+  {
+    id: 'connector-sync-weekly-cron',
+    name: 'Sync Organization Connector - Weekly Cron',
+  },
+  { cron: 'TZ=America/Los_Angeles 0 18 * * WED' },
+  async () => {
+    try {
+      console.log(
+        `\n\x1b[33m[CRON: Running weekly Connector Sync Cron]\x1b[0m`
+      );
+      await queueScheduledSyncs(OrganizationConnection.syncSchedules.weekly);
+      return;
+    } catch (e) {
+      console.error(e.message);
+      return;
+    }
+  }
+);
+
+// Scheduled syncs are queued as regular sync jobs so they show up in the job list.
+// An organization that still has a sync pending is skipped until that job finishes.
+async function queueScheduledSyncs(schedule) {
+  const eligibleConnectors = await OrganizationConnection.where({
+    syncSchedule: schedule,
+  });
+  if (eligibleConnectors.length === 0) return;
+
+  console.log(
+    `\x1b[34m[INFO]\x1b[0m ${eligibleConnectors.length} eligible connectors to sync. Fanning out workers.`
+  );
+  for (const connector of eligibleConnectors) {
+    const taskName = `${connector.type}/sync`;
+    const organization = await Organization.get({
+      id: Number(connector.organization_id),
+    });
+    if (!organization) continue;
+
+    const hasPendingJob = await Queue.get({
+      organization_id: Number(organization.id),
+      status: Queue.status.pending,
+      taskName,
+    });
+    if (!!hasPendingJob) continue;
+
+    const jobData = { organization, connector, scheduled: true };
+    const { job, error } =
+      (await Queue.create(taskName, jobData, null, organization.id)) || {};
+    if (!job) {
+      console.error(error || `Could not queue ${taskName} job.`);
+      continue;
+    }
+
+    await InngestClient.send({
+      name: taskName,
+      data: {
+        jobId: job.id,
+        ...jobData,
+      },
+    });
+  }
+}
+
+module.exports = {
+  runHourlyConnectorSync,
+  runDailyConnectorSync,
+  runWeeklyConnectorSync,
+};
@@ -17,6 +17,12 @@ const {
 const {
   Weaviate,
 } = require('../../../backend/utils/vectordatabases/providers/weaviate');
+const {
+  Milvus,
+} = require('../../../backend/utils/vectordatabases/providers/milvus');
+const {
+  ClickHouse,
+} = require('../../../backend/utils/vectordatabases/providers/clickhouse');
 
 const deleteChromaDocument = InngestClient.createFunction(
   { name: 'Delete Document From ChromaDB' },
@@ -205,9 +211,113 @@ const deleteWeaviateDocument = InngestClient.createFunction(
   }
 );
 
+const deleteMilvusDocument = InngestClient.createFunction(
+  { name: 'Delete Document From Milvus' },
+  { event: 'milvus/deleteDocument' },
+  async ({ event, step: _step, logger }) => {
+    var result = {};
+    const { workspace, document, connector, jobId } = event.data;
+    try {
+      const milvusClient = new Milvus(connector);
+      const hasNamespace = await milvusClient.namespaceExists(
+        null,
+        workspace.fname
+      );
+
+      if (!hasNamespace) {
+        result = {
+          message: `No namespace found with name ${workspace.fname} - nothing to do.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      const vectors = await DocumentVectors.where({
+        document_id: Number(document.id),
+      });
+      const vectorIds = vectors.map((vector) => vector.vectorId);
+      const { success, error } = await milvusClient.deleteVectors(
+        workspace.fname,
+        vectorIds
+      );
+      if (!success) throw new Error(error);
+
+      await WorkspaceDocument.delete({ id: Number(document.id) });
+      await deleteVectorCacheFile(WorkspaceDocument.vectorFilename(document));
+
+      result = {
+        message: `Document ${document.name} removed from ${connector.type} collection ${workspace.name}.`,
+      };
+      await Queue.updateJob(jobId, Queue.status.complete, result);
+      return { result };
+    } catch (e) {
+      const result = {
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+      return { result };
+    }
+  }
+);
+
+const deleteClickHouseDocument = InngestClient.createFunction(
+  { name: 'Delete Document From ClickHouse' },
+  { event: 'clickhouse/deleteDocument' },
+  async ({ event, step: _step, logger }) => {
+    var result = {};
+    const { workspace, document, connector, jobId } = event.data;
+    try {
+      const clickhouseClient = new ClickHouse(connector);
+      const hasNamespace = await clickhouseClient.namespaceExists(
+        null,
+        workspace.fname
+      );
+
+      if (!hasNamespace) {
+        result = {
+          message: `No namespace found with name ${workspace.fname} - nothing to do.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      const vectors = await DocumentVectors.where({
+        document_id: Number(document.id),
+      });
+      const vectorIds = vectors.map((vector) => vector.vectorId);
+      const { success, error } = await clickhouseClient.deleteVectors(
+        workspace.fname,
+        vectorIds
+      );
+      if (!success) throw new Error(error);
+
+      await WorkspaceDocument.delete({ id: Number(document.id) });
+      await deleteVectorCacheFile(WorkspaceDocument.vectorFilename(document));
+
+      result = {
+        message: `Document ${document.name} removed from ${connector.type} collection ${workspace.name}.`,
+      };
+      await Queue.updateJob(jobId, Queue.status.complete, result);
+      return { result };
+    } catch (e) {
+      const result = {
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+      return { result };
+    }
+  }
+);
+
 module.exports = {
   deleteChromaDocument,
   deletePineconeDocument,
   deleteQdrantDocument,
   deleteWeaviateDocument,
+  deleteMilvusDocument,
+  deleteClickHouseDocument,
 };
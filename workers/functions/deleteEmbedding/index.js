@@ -20,6 +20,12 @@ const {
 const {
   Weaviate,
 } = require('../../../backend/utils/vectordatabases/providers/weaviate');
+const {
+  Milvus,
+} = require('../../../backend/utils/vectordatabases/providers/milvus');
+const {
+  ClickHouse,
+} = require('../../../backend/utils/vectordatabases/providers/clickhouse');
 
 const deleteSingleChromaEmbedding = InngestClient.createFunction(
   { name: 'Delete Single Embedding From ChromaDB' },
@@ -216,6 +222,106 @@ const deleteSingleWeaviateEmbedding = InngestClient.createFunction(
   }
 );
 
+const deleteSingleMilvusEmbedding = InngestClient.createFunction(
+  { name: 'Delete Single Embedding From Milvus' },
+  { event: 'milvus/deleteFragment' },
+  async ({ event, step: _step, logger }) => {
+    var result = {};
+    const { documentVector, workspace, connector, jobId } = event.data;
+    try {
+      const milvusClient = new Milvus(connector);
+      const hasNamespace = await milvusClient.namespaceExists(
+        null,
+        workspace.fname
+      );
+
+      if (!hasNamespace) {
+        result = {
+          message: `No namespace found with name ${workspace.fname} - nothing to do.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      logger.info(
+        `Deleting vector ${documentVector.vectorId} from ${workspace.name}.`
+      );
+
+      const { success, error } = await milvusClient.deleteVectors(
+        workspace.fname,
+        [documentVector.vectorId]
+      );
+      if (!success) throw new Error(error);
+      await DocumentVectors.delete({ id: Number(documentVector.id) });
+      await cleanupCacheFile(documentVector);
+
+      result = {
+        message: `Vector ${documentVector.vectorId} removed from Milvus collection ${workspace.name}.`,
+      };
+      await Queue.updateJob(jobId, Queue.status.complete, result);
+      return { result };
+    } catch (e) {
+      const result = {
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+      return { result };
+    }
+  }
+);
+
+const deleteSingleClickHouseEmbedding = InngestClient.createFunction(
+  { name: 'Delete Single Embedding From ClickHouse' },
+  { event: 'clickhouse/deleteFragment' },
+  async ({ event, step: _step, logger }) => {
+    var result = {};
+    const { documentVector, workspace, connector, jobId } = event.data;
+    try {
+      const clickhouseClient = new ClickHouse(connector);
+      const hasNamespace = await clickhouseClient.namespaceExists(
+        null,
+        workspace.fname
+      );
+
+      if (!hasNamespace) {
+        result = {
+          message: `No namespace found with name ${workspace.fname} - nothing to do.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      logger.info(
+        `Deleting vector ${documentVector.vectorId} from ${workspace.name}.`
+      );
+
+      const { success, error } = await clickhouseClient.deleteVectors(
+        workspace.fname,
+        [documentVector.vectorId]
+      );
+      if (!success) throw new Error(error);
+      await DocumentVectors.delete({ id: Number(documentVector.id) });
+      await cleanupCacheFile(documentVector);
+
+      result = {
+        message: `Vector ${documentVector.vectorId} removed from ClickHouse table ${workspace.name}.`,
+      };
+      await Queue.updateJob(jobId, Queue.status.complete, result);
+      return { result };
+    } catch (e) {
+      const result = {
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+      return { result };
+    }
+  }
+);
+
 // Keep cache file in sync with changes so when user copies it later the information is not out of sync.
 async function cleanupCacheFile(documentVector) {
   const document = await WorkspaceDocument.get({
@@ -239,4 +345,6 @@ module.exports = {
   deleteSinglePineconeEmbedding,
   deleteSingleQDrantEmbedding,
   deleteSingleWeaviateEmbedding,
+  deleteSingleMilvusEmbedding,
+  deleteSingleClickHouseEmbedding,
 };
@@ -15,6 +15,12 @@ const {
 const {
   Weaviate,
 } = require('../../../backend/utils/vectordatabases/providers/weaviate');
+const {
+  Milvus,
+} = require('../../../backend/utils/vectordatabases/providers/milvus');
+const {
+  ClickHouse,
+} = require('../../../backend/utils/vectordatabases/providers/clickhouse');
 const { InngestClient } = require('../../utils/inngest');
 
 const workspaceDeleted = InngestClient.createFunction(
@@ -180,6 +186,82 @@ const workspaceDeleted = InngestClient.createFunction(
       }
     }
 
+    if (connector.type === 'milvus') {
+      try {
+        const milvusClient = new Milvus(connector);
+        const collection = await milvusClient.namespaceExists(
+          null,
+          workspace.fname
+        );
+
+        if (!collection) {
+          result = {
+            message: `No collection found with name ${workspace.fname} - nothing to do.`,
+          };
+          await Queue.updateJob(jobId, Queue.status.complete, result);
+          return { result };
+        }
+
+        for (const document of documents) {
+          const digestFilename = WorkspaceDocument.vectorFilename(document);
+          await deleteVectorCacheFile(digestFilename);
+        }
+
+        await milvusClient.dropCollection(workspace.fname);
+        result = {
+          message: `Collection ${workspace.fname} deleted from Milvus along with ${documents.length} vectorized documents.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.complete, result);
+        return { result };
+      } catch (e) {
+        const result = {
+          message: `Job failed with error`,
+          error: e.message,
+          details: e,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+    }
+
+    if (connector.type === 'clickhouse') {
+      try {
+        const clickhouseClient = new ClickHouse(connector);
+        const collection = await clickhouseClient.namespaceExists(
+          null,
+          workspace.fname
+        );
+
+        if (!collection) {
+          result = {
+            message: `No table found with name ${workspace.fname} - nothing to do.`,
+          };
+          await Queue.updateJob(jobId, Queue.status.complete, result);
+          return { result };
+        }
+
+        for (const document of documents) {
+          const digestFilename = WorkspaceDocument.vectorFilename(document);
+          await deleteVectorCacheFile(digestFilename);
+        }
+
+        await clickhouseClient.dropTable(workspace.fname);
+        result = {
+          message: `Table ${workspace.fname} deleted from ClickHouse along with ${documents.length} vectorized documents.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.complete, result);
+        return { result };
+      } catch (e) {
+        const result = {
+          message: `Job failed with error`,
+          error: e.message,
+          details: e,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+    }
+
     result = { message: `Nothing to do.` };
     await Queue.updateJob(jobId, Queue.status.complete, result);
     return { result };
@@ -0,0 +1,199 @@
+const path = require('path');
+const { v4 } = require('uuid');
+const { Queue } = require('../../../backend/models/queue');
+const {
+  WorkspaceDocument,
+} = require('../../../backend/models/workspaceDocument');
+const { DocumentVectors } = require('../../../backend/models/documentVectors');
+const { storeVectorResult } = require('../../../backend/utils/storage');
+const {
+  selectConnector,
+} = require('../../../backend/utils/vectordatabases/providers');
+const { readEmbeddingsFile } = require('../../../backend/utils/embeddingsFile');
+const {
+  stagingFolder,
+  removeStagedUpload,
+} = require('../../../backend/utils/files/uploads');
+const {
+  workspaceSchema,
+  documentViolations,
+  rejectsViolations,
+} = require('../../../backend/utils/metadataSchema');
+const { InngestClient } = require('../../utils/inngest');
+const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+
+// Rows are grouped into documents by their metadata.title. Rows without one belong to
+// a document named after the imported file.
+function groupByDocument(rows = [], filename) {
+  const documents = new Map();
+  for (const row of rows) {
+    const name = String(row.metadata.title || filename);
+    if (!documents.has(name)) documents.set(name, []);
+    documents.get(name).push(row);
+  }
+  return documents;
+}
+
+// Writes the vectors of one document as they are, without an embedder, and records them
+// the same way processDocument does so the document can be browsed and edited.
+async function importDocument(vectorDb, organization, workspace, name, rows) {
+  const { document: dbDocument, message } = await WorkspaceDocument.create({
+    id: v4(),
+    name,
+    workspaceId: workspace.id,
+    organizationId: organization.id,
+  });
+  if (!dbDocument)
+    return { success: false, message: message || 'Failed to create document' };
+
+  // [DO NOT REMOVE] LangChain needs the chunk text under the `text` key.
+  const vectors = rows.map(({ id, text, values, metadata }) => ({
+    id,
+    values,
+    metadata: { ...metadata, title: name, text },
+  }));
+  const { success, message: insertResponse } = await vectorDb.importVectors(
+    workspace.fname,
+    vectors
+  );
+  if (!success) {
+    await WorkspaceDocument.delete({ id: Number(dbDocument.id) });
+    return { success, message: insertResponse };
+  }
+
+  await DocumentVectors.createMany(
+    vectors.map((vector) => ({
+      docId: dbDocument.docId,
+      vectorId: vector.id,
+      documentId: dbDocument.id,
+      workspaceId: dbDocument.workspace_id,
+      organizationId: dbDocument.organization_id,
+    }))
+  );
+  await storeVectorResult(
+    vectors.map((vector) => ({
+      vectorDbId: vector.id,
+      values: vector.values,
+      metadata: vector.metadata,
+    })),
+    WorkspaceDocument.vectorFilename(dbDocument)
+  );
+  return { success: true, message: null };
+}
+
+const importEmbeddings = InngestClient.createFunction(
+  { name: 'Import pre-computed embeddings into a workspace' },
+  { event: 'workspace/import-embeddings' },
+  async ({ event, step: _step, logger }) => {
+    var result = {};
+    const { organization, workspace, connector, uploadId, filename, jobId } =
+      event.data;
+    try {
+      await Queue.updateJob(jobId, Queue.status.pending, {
+        message: `Reading embeddings from ${filename}.`,
+      });
+      const vectorDb = selectConnector(connector);
+      const dimensions = await vectorDb.indexDimensions(workspace.fname);
+      const { rows, errors, invalid } = await readEmbeddingsFile(
+        path.resolve(stagingFolder(uploadId), path.basename(filename)),
+        dimensions
+      );
+
+      // Nothing is written unless every row is valid, so a file can be fixed and imported again.
+      if (errors.length > 0) {
+        result = {
+          message: `${filename} was not imported.`,
+          error:
+            invalid > 0
+              ? `${invalid} rows are invalid. Fix them and import the file again.`
+              : errors[0],
+          errors,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      const schema = workspaceSchema(workspace);
+      const documents = groupByDocument(rows, filename);
+      const counts = { imported: 0, skipped: 0, failed: 0, vectors: 0 };
+      let done = 0;
+      for (const [name, documentRows] of documents) {
+        await Queue.updateJob(jobId, Queue.status.pending, {
+          message: `Importing document ${++done} of ${documents.size}.`,
+        });
+        const exists = await WorkspaceDocument.get({
+          name,
+          workspace_id: Number(workspace.id),
+        });
+        if (exists) {
+          counts.skipped++;
+          result.files = { ...result.files, [name]: { skipped: true } };
+          continue;
+        }
+
+        const violations = documentViolations(
+          workspace,
+          documentRows.map(({ metadata }) => ({ ...metadata, title: name }))
+        );
+        if (rejectsViolations(schema, violations)) {
+          counts.failed++;
+          result.files = {
+            ...result.files,
+            [name]: {
+              skipped: false,
+              createStatus: false,
+              message: `Does not match the workspace metadata schema. ${[
+                ...new Set(violations),
+              ].join(' ')}`,
+            },
+          };
+          continue;
+        }
+
+        const { success, message } = await importDocument(
+          vectorDb,
+          organization,
+          workspace,
+          name,
+          documentRows
+        );
+        if (success) {
+          counts.imported++;
+          counts.vectors += documentRows.length;
+        } else {
+          counts.failed++;
+        }
+        result.files = {
+          ...result.files,
+          [name]: { skipped: false, createStatus: success, message },
+        };
+      }
+
+      result = {
+        ...result,
+        message: `Imported ${counts.vectors} vectors into ${counts.imported} documents, ${counts.skipped} already existed and ${counts.failed} failed.`,
+        documents: counts,
+        dimensions: rows[0].values.length,
+      };
+      const status =
+        counts.imported === 0 && counts.failed > 0
+          ? Queue.status.failed
+          : Queue.status.complete;
+      await Queue.updateJob(jobId, status, result);
+      await vectorSpaceMetric();
+      return { result };
+    } catch (e) {
+      const result = {
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+      return { result };
+    } finally {
+      removeStagedUpload(uploadId);
+    }
+  }
+);
+
+module.exports = { importEmbeddings };
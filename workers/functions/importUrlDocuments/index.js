@@ -0,0 +1,227 @@
+const { Queue } = require('../../../backend/models/queue');
+const {
+  WorkspaceDocument,
+} = require('../../../backend/models/workspaceDocument');
+const { crawl } = require('../../../backend/utils/webCrawler');
+const { cachedVectorInformation } = require('../../../backend/utils/storage');
+const {
+  addDocumentJob,
+} = require('../../../backend/utils/jobs/addDocumentsJob');
+const {
+  documentDeletedJob,
+} = require('../../../backend/utils/jobs/documentDeleteJob');
+const {
+  workspaceSchema,
+  documentViolations,
+  rejectsViolations,
+} = require('../../../backend/utils/metadataSchema');
+const { toChunks } = require('../../../backend/utils/vectordatabases/utils');
+const { InngestClient } = require('../../utils/inngest');
+
+const BATCH_SIZE = 20;
+const DELETE_POLL_INTERVAL = '10s';
+// Checked every DELETE_POLL_INTERVAL, so deletions get about 5 minutes to finish.
+const DELETE_POLLS = 30;
+
+// The content hash a page had when it was last imported, read from its cached vectors.
+async function importedContentHash(document) {
+  const { chunks } = await cachedVectorInformation(
+    WorkspaceDocument.vectorFilename(document)
+  );
+  return chunks.flat()[0]?.metadata?.contentHash ?? null;
+}
+
+// Queues the documents as addDocument jobs of BATCH_SIZE that are children of the import.
+// Returns the ids of the queued jobs, the urls they cover and the pages that failed.
+async function queueDocuments(documents, context) {
+  const { organization, workspace, connector, userId, jobId } = context;
+  const jobs = [];
+  const queued = [];
+  const failures = [];
+  for (const batch of toChunks(documents, BATCH_SIZE)) {
+    const { job, error } = await addDocumentJob(
+      batch,
+      organization,
+      workspace,
+      connector,
+      { id: userId },
+      jobId
+    );
+    if (!job) {
+      batch.forEach((document) =>
+        failures.push({
+          url: document.url,
+          reason: error || 'Could not queue the page for embedding.',
+        })
+      );
+      continue;
+    }
+    jobs.push(job.id);
+    queued.push(...batch.map((document) => document.url));
+  }
+  return { jobs, queued, failures };
+}
+
+// Crawls the pages of the import and queues the new ones for embedding right away. The
+// previous version of a changed page is queued for deletion, the new version is returned
+// so it can be queued once the deletion finished.
+async function crawlPages(context) {
+  const { organization, workspace, connector, url, options, userId, jobId } =
+    context;
+  await Queue.updateJob(jobId, Queue.status.pending, {
+    message: `Fetching pages from ${url}.`,
+  });
+  const { documents, failures } = await crawl(url, options);
+  const schema = workspaceSchema(workspace);
+  const added = [];
+  const replaced = [];
+  let unchanged = 0;
+
+  for (const document of documents) {
+    const violations = documentViolations(workspace, [document]);
+    if (rejectsViolations(schema, violations)) {
+      failures.push({
+        url: document.url,
+        reason: `Does not match the workspace metadata schema. ${violations.join(
+          ' '
+        )}`,
+      });
+      continue;
+    }
+
+    const previous = await WorkspaceDocument.get({
+      name: document.title,
+      workspace_id: Number(workspace.id),
+    });
+    if (!previous) {
+      added.push(document);
+      continue;
+    }
+    if ((await importedContentHash(previous)) === document.contentHash) {
+      unchanged++;
+      continue;
+    }
+
+    const { job } = await documentDeletedJob(
+      organization,
+      workspace,
+      previous,
+      connector,
+      { id: userId },
+      jobId
+    );
+    if (!job) {
+      failures.push({
+        url: document.url,
+        reason: 'The previous version of the page could not be removed.',
+      });
+      continue;
+    }
+    replaced.push({ document, deleteJobId: job.id });
+  }
+
+  const queuedNew = await queueDocuments(added, context);
+  return {
+    crawled: documents.length,
+    unchanged,
+    replaced,
+    jobs: queuedNew.jobs,
+    queued: queuedNew.queued.length,
+    failures: [...failures, ...queuedNew.failures],
+  };
+}
+
+// The final status of the given jobs by job id, for the ones that left pending.
+async function settledJobs(jobIds = []) {
+  if (jobIds.length === 0) return {};
+  const statuses = {};
+  const jobs = await Queue.where({ id: { in: jobIds } });
+  jobs
+    .filter((job) => job.status !== Queue.status.pending)
+    .forEach((job) => (statuses[job.id] = job.status));
+  return statuses;
+}
+
+const importUrlDocuments = InngestClient.createFunction(
+  { name: 'Import documents from a URL or sitemap' },
+  { event: 'workspace/import-url' },
+  async ({ event, step, logger }) => {
+    var result = {};
+    const { jobId } = event.data;
+    try {
+      // Steps are memoized, so a restarted import does not crawl or queue pages twice.
+      const crawled = await step.run(
+        'crawl-pages',
+        async () => await crawlPages(event.data)
+      );
+      const failures = [...crawled.failures];
+
+      // The add workers skip documents whose name already exists, so the previous version
+      // of a changed page has to be removed before the new one is queued.
+      const deleteJobIds = crawled.replaced.map(
+        ({ deleteJobId }) => deleteJobId
+      );
+      let statuses = {};
+      for (
+        let poll = 0;
+        poll < DELETE_POLLS &&
+        Object.keys(statuses).length < deleteJobIds.length;
+        poll++
+      ) {
+        await step.sleep(DELETE_POLL_INTERVAL);
+        statuses = await step.run(`check-deletions-${poll}`, async () => {
+          await Queue.updateJob(jobId, Queue.status.pending, {
+            message: `Removing the previous version of ${deleteJobIds.length} changed pages.`,
+          });
+          return await settledJobs(deleteJobIds);
+        });
+      }
+
+      const updated = [];
+      for (const { document, deleteJobId } of crawled.replaced) {
+        if (statuses[deleteJobId] === Queue.status.complete) {
+          updated.push(document);
+          continue;
+        }
+        failures.push({
+          url: document.url,
+          reason: 'The previous version of the page could not be removed.',
+        });
+      }
+      const queuedUpdates = await step.run(
+        'queue-changed-pages',
+        async () => await queueDocuments(updated, event.data)
+      );
+      failures.push(...queuedUpdates.failures);
+
+      const pages = {
+        new: crawled.queued,
+        updated: queuedUpdates.queued.length,
+        unchanged: crawled.unchanged,
+        failed: failures.length,
+      };
+      result = {
+        message: `Queued ${pages.new} new and ${pages.updated} changed pages for embedding, ${pages.unchanged} unchanged and ${pages.failed} failed.`,
+        pages,
+        failures,
+        jobs: [...crawled.jobs, ...queuedUpdates.jobs],
+      };
+      const status =
+        crawled.crawled === 0 && failures.length > 0
+          ? Queue.status.failed
+          : Queue.status.complete;
+      await Queue.updateJob(jobId, status, result);
+      return { result };
+    } catch (e) {
+      const result = {
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+      return { result };
+    }
+  }
+);
+
+module.exports = { importUrlDocuments };
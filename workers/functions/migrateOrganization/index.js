@@ -1,4 +1,7 @@
 const { DocumentVectors } = require('../../../backend/models/documentVectors');
+const {
+  MigrationCheckpoint,
+} = require('../../../backend/models/migrationCheckpoint');
 const {
   OrganizationConnection,
 } = require('../../../backend/models/organizationConnection');
@@ -9,26 +12,41 @@ const { Queue } = require('../../../backend/models/queue');
 const {
   WorkspaceDocument,
 } = require('../../../backend/models/workspaceDocument');
-const {
-  cachedVectorInformation,
-  storeVectorResult,
-} = require('../../../backend/utils/storage');
+const { storeVectorResult } = require('../../../backend/utils/storage');
 const {
   selectConnector,
 } = require('../../../backend/utils/vectordatabases/providers');
 const { toChunks } = require('../../../backend/utils/vectordatabases/utils');
-const { v4 } = require('uuid');
+const {
+  embedderConfigForWorkspace,
+} = require('../../../backend/utils/embedders');
+const { v5 } = require('uuid');
 const { InngestClient } = require('../../utils/inngest');
 const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+const {
+  namespaceExists,
+  createVectorSpace,
+  upsertVectors,
+  documentVectorData,
+} = require('../../utils/vectorSpace');
+
+// Namespace for the deterministic ids of migrated documents and vectors.
+const MIGRATION_NAMESPACE = '0c3e6a52-4c55-4f4e-9a43-8b4f3d1d2a71';
 
+// Every workspace and document is migrated in its own step and checkpointed, so a retried
+// job picks up where the last one stopped instead of copying everything again.
 const migrateOrganization = InngestClient.createFunction(
   { name: 'Migrate all vector data from one vector db to another' },
   { event: 'organization/migrate' },
-  async ({ event, step: _step, logger }) => {
+  async ({ event, step, logger }) => {
     var result = {};
     const { organization, destinationOrganization, jobId } = event.data;
+    const migration = {
+      organizationId: organization.id,
+      destinationOrganizationId: destinationOrganization.id,
+    };
+
     try {
-      const skipped = [];
       const orgConnector = await OrganizationConnection.get({
         organization_id: Number(organization.id),
       });
@@ -41,129 +59,78 @@ const migrateOrganization = InngestClient.createFunction(
           message: `Job failed with error`,
           error:
             'The organization or destination organization does not have a connected vector database.',
-          details: e,
+          details: null,
         };
         await Queue.updateJob(jobId, Queue.status.failed, result);
         return { result };
       }
 
+      const sourceVectorDb = selectConnector(orgConnector);
       const destinationVectorDb = selectConnector(destinationConnector);
-
-      var count = 1;
       const workspaces = await OrganizationWorkspace.where({
         organization_id: Number(organization.id),
       });
 
-      for (const workspace of workspaces) {
-        await Queue.updateJob(jobId, Queue.status.pending, {
-          message: `Working on namespace ${count} of ${workspaces.length}`,
-        });
-
-        const migratedWorkspace = await createMigrationWorkspace(
-          destinationVectorDb,
-          workspace,
-          destinationOrganization
+      for (const [index, workspace] of workspaces.entries()) {
+        const migratedWorkspaceId = await step.run(
+          `migrate-workspace-${workspace.id}`,
+          async () => {
+            await Queue.updateJob(jobId, Queue.status.pending, {
+              message: `Working on namespace ${index + 1} of ${
+                workspaces.length
+              }`,
+            });
+            const migratedWorkspace = await migrateWorkspace(
+              destinationVectorDb,
+              workspace,
+              destinationOrganization,
+              migration
+            );
+            return migratedWorkspace?.id ?? null;
+          }
         );
-        if (!migratedWorkspace) {
-          skipped.push(workspace.fname);
-          count++;
-          continue;
-        }
+        if (!migratedWorkspaceId) continue;
 
         const documentsToClone = await WorkspaceDocument.where({
           workspace_id: Number(workspace.id),
         });
-
-        console.log(
-          `Migrating ${documentsToClone.length} documents to ${destinationOrganization.name}:${migratedWorkspace.fname}`
-        );
         for (const document of documentsToClone) {
-          const newDocId = v4();
-          const cacheInfo = await cachedVectorInformation(
-            WorkspaceDocument.vectorFilename(document)
-          );
-          if (!cacheInfo.exists) {
-            console.error(
-              `No vector cache file was found for ${document.name} - cannot clone. Skipping.`
-            );
-            continue;
-          }
-
-          const { document: migratedDocument } = await WorkspaceDocument.create(
-            {
-              id: newDocId,
-              name: document.name,
-              workspaceId: migratedWorkspace.id,
-              organizationId: migratedWorkspace.organization_id,
-            }
-          );
-
-          if (!migratedDocument) {
-            console.error(
-              `Failed to migrate document for ${document.name}. Skipping.`
-            );
-            continue;
-          }
-
-          const newFragments = [];
-          const newCacheInfo = [];
-
-          for (const chunks of toChunks(cacheInfo.chunks, 500)) {
-            const chunk = chunks.map((chunk) => {
-              const vectorDbId = v4();
-              const { metadata, values } = chunk;
-              newFragments.push({
-                docId: newDocId,
-                vectorId: vectorDbId,
-                documentId: migratedDocument.id,
-                workspaceId: migratedDocument.workspace_id,
-                organizationId: migratedDocument.organization_id,
-              });
-              newCacheInfo.push({
-                vectorDbId: vectorDbId,
-                values,
-                metadata,
-              });
-              return {
-                metadata,
-                values,
-                id: vectorDbId,
-              };
+          await step.run(`migrate-document-${document.id}`, async () => {
+            const migratedWorkspace = await OrganizationWorkspace.get({
+              id: Number(migratedWorkspaceId),
             });
-
-            console.log(
-              `Need to insert ${chunk.length} vectors into ${destinationConnector.type}`
-            );
-            await upsertVectors(
+            return await migrateDocument(
+              sourceVectorDb,
               destinationVectorDb,
-              migratedWorkspace.fname,
-              chunk
+              document,
+              migratedWorkspace,
+              destinationOrganization,
+              migration
             );
-          }
-
-          await DocumentVectors.createMany(newFragments);
-          await storeVectorResult(
-            newCacheInfo,
-            WorkspaceDocument.vectorFilename(migratedDocument)
-          );
+          });
         }
-        count++;
       }
 
-      result = {
-        message: `Organization ${organization.name} vectors migrated to ${destinationOrganization.name}.`,
-        details: {
-          skippedNamespaces: skipped,
-        },
-      };
-      await Queue.updateJob(jobId, Queue.status.complete, result);
-      await vectorSpaceMetric();
+      result = await step.run('summarize-migration', async () => {
+        const summary = await MigrationCheckpoint.summary(migration);
+        const result = {
+          message: `Organization ${organization.name} vectors migrated to ${destinationOrganization.name}.`,
+          details: summary,
+        };
+        if (summary.skipped.length > 0)
+          result.message += ` ${summary.skipped.length} item(s) were skipped - see details.`;
+
+        await Queue.updateJob(jobId, Queue.status.complete, result);
+        await vectorSpaceMetric();
+        return result;
+      });
       return { result };
     } catch (e) {
       const result = {
         message: `Job failed with error`,
         error: e.message,
         details: e,
+        canRetry: true,
       };
       await Queue.updateJob(jobId, Queue.status.failed, result);
       return { result };
@@ -171,231 +138,246 @@ const migrateOrganization = InngestClient.createFunction(
   }
 );
 
-// Pinecone, which has a default empty namespace needs to be able to be ported.
-// since this namespace will exist for every pinecone instance we need to skip
-// the check + creation of workspace for the empty workspace and allow it to pass-through
-async function createMigrationWorkspace(
+// Stable uuid for something copied into the destination organization - writing it again
+// on a resumed migration overwrites the earlier copy instead of duplicating it.
+function migrationId(destinationOrganization, key) {
+  return v5(`${destinationOrganization.id}:${key}`, MIGRATION_NAMESPACE);
+}
+
+async function migrateWorkspace(
   vectorDBClient,
   workspace,
-  destinationOrganization
+  destinationOrganization,
+  migration
 ) {
-  if (
-    vectorDBClient.name === 'pinecone' &&
-    vectorDBClient.isStarterTier() &&
-    workspace.fname !== ''
-  ) {
-    console.log(
-      `Destination Pinecone vector DB does not support namespace - so must skip upsert for ${workspace.fname}`
-    );
-    return null;
+  const checkpoint = await MigrationCheckpoint.forWorkspace(
+    migration,
+    workspace.id
+  );
+  if (!!checkpoint?.destinationWorkspaceId) {
+    const migratedWorkspace = await OrganizationWorkspace.get({
+      id: Number(checkpoint.destinationWorkspaceId),
+    });
+    if (!!migratedWorkspace) return migratedWorkspace;
+
+    // The destination workspace was deleted since - start this workspace over.
+    await MigrationCheckpoint.reset(migration, workspace.id);
   }
 
-  if (vectorDBClient.name === 'pinecone' && workspace.fname === '') {
-    const { workspace: migratedWorkspace } = await OrganizationWorkspace.create(
-      '(default)',
-      destinationOrganization.id,
-      ''
+  // A pending checkpoint means an earlier attempt stopped after it may have created the namespace.
+  const resuming = checkpoint?.status === MigrationCheckpoint.status.pending;
+  await MigrationCheckpoint.mark(migration, {
+    sourceWorkspaceId: workspace.id,
+    status: MigrationCheckpoint.status.pending,
+  });
+
+  const { workspace: migratedWorkspace, reason } =
+    await createMigrationWorkspace(
+      vectorDBClient,
+      workspace,
+      destinationOrganization,
+      resuming
     );
-    return migratedWorkspace;
-  }
-
-  // Otherwise migrate over as normal
-  const existsInDestination = await namespaceExists(
-    vectorDBClient,
-    workspace.fname
-  );
-  if (existsInDestination) return null;
-
-  const collection = await createVectorSpace(vectorDBClient, workspace.fname);
-  const { workspace: migratedWorkspace } = await OrganizationWorkspace.create(
-    collection.name,
-    destinationOrganization.id
-  );
-
+  await MigrationCheckpoint.mark(migration, {
+    sourceWorkspaceId: workspace.id,
+    destinationWorkspaceId: migratedWorkspace?.id,
+    status: !!migratedWorkspace
+      ? MigrationCheckpoint.status.copied
+      : MigrationCheckpoint.status.skipped,
+    reason,
+  });
   return migratedWorkspace;
 }
 
-async function namespaceExists(vectorDBClient, namespace) {
-  if (vectorDBClient.name === 'pinecone') {
-    try {
-      const { pineconeIndex } = await vectorDBClient.connect();
-      return await vectorDBClient.namespaceExists(pineconeIndex, namespace);
-    } catch (e) {
-      return null;
-    }
-  }
-
-  if (vectorDBClient.name === 'chroma') {
-    try {
-      return await vectorDBClient.namespaceExists(null, namespace);
-    } catch (e) {
-      return null;
-    }
-  }
+async function migrateDocument(
+  sourceVectorDBClient,
+  vectorDBClient,
+  document,
+  migratedWorkspace,
+  destinationOrganization,
+  migration
+) {
+  const checkpoint = await MigrationCheckpoint.forDocument(
+    migration,
+    document.id
+  );
+  // A copied document is only skipped while its copy still exists, one deleted since is copied again.
+  if (
+    checkpoint?.status === MigrationCheckpoint.status.copied &&
+    !!checkpoint.destinationDocumentId &&
+    !!(await WorkspaceDocument.get({
+      id: Number(checkpoint.destinationDocumentId),
+    }))
+  )
+    return checkpoint.status;
+
+  // The reason is kept on the checkpoint and reported in the job result.
+  const skip = async (reason) => {
+    await MigrationCheckpoint.mark(migration, {
+      sourceWorkspaceId: document.workspace_id,
+      destinationWorkspaceId: migratedWorkspace?.id,
+      sourceDocumentId: document.id,
+      status: MigrationCheckpoint.status.skipped,
+      reason,
+    });
+    return MigrationCheckpoint.status.skipped;
+  };
+
+  if (!migratedWorkspace)
+    return await skip(
+      `Destination workspace for ${document.name} no longer exists. Skipping.`
+    );
 
-  if (vectorDBClient.name === 'qdrant') {
-    try {
-      const { client } = await vectorDBClient.connect();
-      return await vectorDBClient.namespaceExists(client, namespace);
-    } catch (e) {
-      return null;
-    }
-  }
+  const cacheInfo = await documentVectorData(sourceVectorDBClient, document);
+  if (!cacheInfo.exists)
+    return await skip(
+      `No vector cache or stored vectors were found for ${document.name} - cannot clone. Skipping.`
+    );
 
-  if (vectorDBClient.name === 'weaviate') {
-    try {
-      const className = vectorDBClient.camelCase(namespace);
-      return await vectorDBClient.namespaceExists(null, className);
-    } catch (e) {
-      return null;
-    }
+  // Reuse a document left behind by an interrupted attempt and replace its fragments.
+  const newDocId = migrationId(destinationOrganization, document.docId);
+  let migratedDocument = await WorkspaceDocument.get({ docId: newDocId });
+  if (!!migratedDocument) {
+    await DocumentVectors.delete({ document_id: Number(migratedDocument.id) });
+  } else {
+    const { document: createdDocument } =
+      (await WorkspaceDocument.create({
+        id: newDocId,
+        name: document.name,
+        workspaceId: migratedWorkspace.id,
+        organizationId: migratedWorkspace.organization_id,
+      })) || {};
+    migratedDocument = createdDocument;
   }
 
-  return null;
-}
+  if (!migratedDocument)
+    return await skip(
+      `Failed to migrate document for ${document.name}. Skipping.`
+    );
 
-async function createVectorSpace(vectorDBClient, namespace) {
-  if (vectorDBClient.name === 'chroma') {
-    try {
-      const { client } = await vectorDBClient.connect();
-      const collection = await client.createCollection({
-        name: namespace,
+  const newFragments = [];
+  const newCacheInfo = [];
+  let position = 0;
+
+  for (const chunks of toChunks(cacheInfo.chunks, 500)) {
+    const chunk = chunks.map((chunk) => {
+      const vectorDbId = migrationId(
+        destinationOrganization,
+        `${document.docId}:${position++}`
+      );
+      const { metadata, values } = chunk;
+      newFragments.push({
+        docId: newDocId,
+        vectorId: vectorDbId,
+        documentId: migratedDocument.id,
+        workspaceId: migratedDocument.workspace_id,
+        organizationId: migratedDocument.organization_id,
       });
-
-      return { name: namespace, ...collection };
-    } catch (e) {
-      return null;
-    }
-  }
-
-  if (vectorDBClient.name === 'qdrant') {
-    try {
-      const { client } = await vectorDBClient.connect();
-      const collectionCreated = await client.createCollection(namespace, {
-        vectors: {
-          size: 1536, // TODO: Fixed to OpenAI models - when other embeddings exist make variable.
-          distance: 'Cosine',
-        },
+      newCacheInfo.push({
+        vectorDbId: vectorDbId,
+        values,
+        metadata,
       });
-      return collectionCreated ? { name: namespace } : null;
-    } catch (e) {
-      return null;
-    }
-  }
-
-  if (vectorDBClient.name === 'weaviate') {
-    try {
-      const className = vectorDBClient.camelCase(namespace);
-      const { client } = await vectorDBClient.connect();
-      const collectionCreated = await client.schema
-        .classCreator()
-        .withClass({
-          class: className,
-          description: `Class created by VectorAdmin named ${className}`,
-          vectorizer: 'none',
-        })
-        .do();
+      return {
+        metadata,
+        values,
+        id: vectorDbId,
+      };
+    });
 
-      return collectionCreated?.class ? { name: className } : null;
-    } catch (e) {
-      return null;
-    }
+    // Throwing fails the step so it is retried, rather than checkpointing vectors that were never written.
+    if (!(await upsertVectors(vectorDBClient, migratedWorkspace.fname, chunk)))
+      throw new Error(
+        `Failed to insert vectors for ${document.name} into ${vectorDBClient.name}.`
+      );
   }
 
-  return { name: namespace };
+  await DocumentVectors.createMany(newFragments);
+  await storeVectorResult(
+    newCacheInfo,
+    WorkspaceDocument.vectorFilename(migratedDocument)
+  );
+  await MigrationCheckpoint.mark(migration, {
+    sourceWorkspaceId: document.workspace_id,
+    destinationWorkspaceId: migratedWorkspace.id,
+    sourceDocumentId: document.id,
+    destinationDocumentId: migratedDocument.id,
+    status: MigrationCheckpoint.status.copied,
+  });
+  return MigrationCheckpoint.status.copied;
 }
 
-// Data will always be an object[] with the following schema:
-// metadata: {object with key value pairs}
-// values: number[]
-// id: string
-// This function will take a known format and re-format it to be able to
-// be easily inserted into the correct vector database.
-async function upsertVectors(vectorDBClient, namespace, data = []) {
-  if (vectorDBClient.name === 'pinecone') {
-    try {
-      const { pineconeIndex } = await vectorDBClient.connect();
-      const upserts = data; // data array is fine in default format.
-      await pineconeIndex.upsert({
-        upsertRequest: {
-          vectors: upserts,
-          namespace: namespace,
-        },
-      });
-      return true;
-    } catch (e) {
-      console.error(e);
-      return false;
-    }
+// Pinecone, which has a default empty namespace needs to be able to be ported.
+// since this namespace will exist for every pinecone instance we need to skip
+// the check + creation of workspace for the empty workspace and allow it to pass-through
+async function createMigrationWorkspace(
+  vectorDBClient,
+  workspace,
+  destinationOrganization,
+  resuming = false
+) {
+  if (resuming) {
+    const existingWorkspace = await OrganizationWorkspace.get({
+      organization_id: Number(destinationOrganization.id),
+      fname: workspace.fname,
+    });
+    if (!!existingWorkspace) return { workspace: existingWorkspace };
   }
 
-  if (vectorDBClient.name === 'chroma') {
-    try {
-      const { client } = await vectorDBClient.connect();
-      const collection = await client.getCollection({ name: namespace });
-      const upserts = {
-        ids: [],
-        embeddings: [],
-        metadatas: [],
-        documents: [],
-      };
-      data.forEach((chunk) => {
-        upserts.ids.push(chunk.id);
-        upserts.embeddings.push(chunk.values);
-        upserts.metadatas.push(chunk.metadata);
-        upserts.documents.push(chunk.metadata?.text || '');
-      });
-      await collection.add(upserts);
-      return true;
-    } catch (e) {
-      console.error(e);
-      return false;
-    }
+  if (
+    vectorDBClient.name === 'pinecone' &&
+    vectorDBClient.isStarterTier() &&
+    workspace.fname !== ''
+  ) {
+    return {
+      workspace: null,
+      reason: `Destination Pinecone vector DB does not support namespace - so must skip upsert for ${workspace.fname}`,
+    };
   }
 
-  if (vectorDBClient.name === 'qdrant') {
-    try {
-      const { client } = await vectorDBClient.connect();
-      const upserts = {
-        ids: [],
-        vectors: [],
-        payloads: [],
-      };
-      data.forEach((chunk) => {
-        upserts.ids.push(chunk.id);
-        upserts.vectors.push(chunk.values);
-        upserts.payloads.push(chunk.metadata);
-      });
-
-      await client.upsert(namespace, {
-        wait: true,
-        batch: upserts,
-      });
-      return true;
-    } catch (e) {
-      return null;
-    }
+  if (vectorDBClient.name === 'pinecone' && workspace.fname === '') {
+    const { workspace: migratedWorkspace } =
+      (await OrganizationWorkspace.create(
+        '(default)',
+        destinationOrganization.id,
+        ''
+      )) || {};
+    return { workspace: migratedWorkspace };
   }
 
-  if (vectorDBClient.name === 'weaviate') {
-    try {
-      const { client } = await vectorDBClient.connect();
-      const weaviateVectors = [];
-
-      data.forEach((chunk) => {
-        weaviateVectors.push({
-          id: chunk.id,
-          class: namespace,
-          vector: chunk.values,
-          properties: vectorDBClient.flattenObjectForWeaviate(chunk.metadata),
-        });
-      });
-      await vectorDBClient.addVectors(client, weaviateVectors);
-      return true;
-    } catch (e) {
-      return null;
-    }
+  // Otherwise migrate over as normal - a namespace we did not create is never written to.
+  const existsInDestination = await namespaceExists(
+    vectorDBClient,
+    workspace.fname
+  );
+  if (existsInDestination && !resuming)
+    return {
+      workspace: null,
+      reason: `Namespace ${workspace.fname} already exists in the destination vector database.`,
+    };
+
+  let collectionName = workspace.fname;
+  if (!existsInDestination) {
+    const { dimensions } = await embedderConfigForWorkspace(workspace);
+    const collection = await createVectorSpace(
+      vectorDBClient,
+      workspace.fname,
+      dimensions
+    );
+    collectionName = collection.name;
   }
+
+  const { workspace: migratedWorkspace } =
+    (await OrganizationWorkspace.create(
+      collectionName,
+      destinationOrganization.id
+    )) || {};
+  return {
+    workspace: migratedWorkspace,
+    reason: !migratedWorkspace
+      ? `Could not create a workspace for ${workspace.fname} in the destination organization.`
+      : null,
+  };
 }
 
 module.exports = {
@@ -8,6 +8,15 @@ const {
 const {
   Weaviate,
 } = require('../../../backend/utils/vectordatabases/providers/weaviate');
+const {
+  Milvus,
+} = require('../../../backend/utils/vectordatabases/providers/milvus');
+const {
+  ClickHouse,
+} = require('../../../backend/utils/vectordatabases/providers/clickhouse');
+const {
+  embedderConfigForWorkspace,
+} = require('../../../backend/utils/embedders');
 const { InngestClient } = require('../../utils/inngest');
 
 const newWorkspaceCreated = InngestClient.createFunction(
@@ -16,7 +25,11 @@ const newWorkspaceCreated = InngestClient.createFunction(
   async ({ event, step: _step, logger }) => {
     var result = {};
     const { workspace, connector, jobId } = event.data;
-    if (!['chroma', 'qdrant', 'weaviate'].includes(connector.type)) {
+    if (
+      !['chroma', 'qdrant', 'weaviate', 'milvus', 'clickhouse'].includes(
+        connector.type
+      )
+    ) {
       result = {
         message: `Connector type does not support empty collection creation - nothing to do.`,
       };
@@ -24,6 +37,9 @@ const newWorkspaceCreated = InngestClient.createFunction(
       return { result };
     }
 
+    // Collections must be sized to the output of the embedder the workspace will use.
+    const { dimensions } = await embedderConfigForWorkspace(workspace);
+
     if (connector.type === 'chroma') {
       try {
         const chromaClient = new Chroma(connector);
@@ -64,7 +80,7 @@ const newWorkspaceCreated = InngestClient.createFunction(
           workspace.fname,
           {
             vectors: {
-              size: 1536, // TODO: Fixed to OpenAI models - when other embeddings exist make variable.
+              size: dimensions,
               distance: 'Cosine',
             },
           }
@@ -132,6 +148,69 @@ const newWorkspaceCreated = InngestClient.createFunction(
       }
     }
 
+    if (connector.type === 'milvus') {
+      try {
+        const milvusClient = new Milvus(connector);
+        const collectionCreated = await milvusClient.createCollection(
+          workspace.fname,
+          dimensions
+        );
+
+        if (!collectionCreated) {
+          result = {
+            message: `No collection could be created with name ${workspace.fname} - nothing to do.`,
+          };
+          await Queue.updateJob(jobId, Queue.status.failed, result);
+          return { result };
+        }
+
+        result = {
+          message: `Collection ${workspace.fname} created in Milvus.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.complete, result);
+        return { result };
+      } catch (e) {
+        const result = {
+          message: `Job failed with error`,
+          error: e.message,
+          details: e,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+    }
+
+    if (connector.type === 'clickhouse') {
+      try {
+        const clickhouseClient = new ClickHouse(connector);
+        const collectionCreated = await clickhouseClient.createTable(
+          workspace.fname
+        );
+
+        if (!collectionCreated) {
+          result = {
+            message: `No table could be created with name ${workspace.fname} - nothing to do.`,
+          };
+          await Queue.updateJob(jobId, Queue.status.failed, result);
+          return { result };
+        }
+
+        result = {
+          message: `Table ${workspace.fname} created in ClickHouse.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.complete, result);
+        return { result };
+      } catch (e) {
+        const result = {
+          message: `Job failed with error`,
+          error: e.message,
+          details: e,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+    }
+
     result = { message: `Nothing to do.` };
     await Queue.updateJob(jobId, Queue.status.complete, result);
     return { result };
@@ -0,0 +1,268 @@
+const { DocumentVectors } = require('../../../backend/models/documentVectors');
+const {
+  OrganizationConnection,
+} = require('../../../backend/models/organizationConnection');
+const {
+  OrganizationSnapshot,
+} = require('../../../backend/models/organizationSnapshot');
+const {
+  OrganizationWorkspace,
+} = require('../../../backend/models/organizationWorkspace');
+const { Queue } = require('../../../backend/models/queue');
+const {
+  WorkspaceDocument,
+} = require('../../../backend/models/workspaceDocument');
+const { storeVectorResult } = require('../../../backend/utils/storage');
+const {
+  readSnapshotManifest,
+  readSnapshotDocument,
+} = require('../../../backend/utils/storage/snapshots');
+const {
+  selectConnector,
+} = require('../../../backend/utils/vectordatabases/providers');
+const { toChunks } = require('../../../backend/utils/vectordatabases/utils');
+const { v4 } = require('uuid');
+const { InngestClient } = require('../../utils/inngest');
+const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+const {
+  namespaceExists,
+  createVectorSpace,
+  upsertVectors,
+} = require('../../utils/vectorSpace');
+
+// Restores are additive - workspaces are matched by their namespace name and
+// documents already present (by docId) are left untouched, so a restore can
+// be safely re-run. Original vector ids are reused so anything keyed on them
+// (eg: RAG tests) still lines up after a reset + restore.
+const restoreOrganizationSnapshot = InngestClient.createFunction(
+  { name: 'Restore a local snapshot into an organization vector db' },
+  { event: 'organization/snapshot-restore' },
+  async ({ event, step: _step, logger }) => {
+    var result = {};
+    const { organization, snapshot, jobId } = event.data;
+    try {
+      const connector = await OrganizationConnection.get({
+        organization_id: Number(organization.id),
+      });
+      if (!connector) {
+        result = {
+          message: `Job failed with error`,
+          error: 'The organization does not have a connected vector database.',
+          details: null,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      const manifest = readSnapshotManifest(snapshot.uuid);
+      if (!manifest) {
+        result = {
+          message: `Job failed with error`,
+          error: `No archive was found on disk for snapshot ${snapshot.name}.`,
+          details: null,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      if (manifest.version > OrganizationSnapshot.version) {
+        result = {
+          message: `Job failed with error`,
+          error: `Snapshot archive version ${manifest.version} is not supported by this version of the application.`,
+          details: null,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      const vectorDb = selectConnector(connector);
+      const skippedNamespaces = [];
+      const skippedDocuments = [];
+      var restoredDocuments = 0;
+      var existingDocuments = 0;
+      var count = 1;
+
+      for (const workspaceData of manifest.workspaces) {
+        await Queue.updateJob(jobId, Queue.status.pending, {
+          message: `Restoring namespace ${count} of ${manifest.workspaces.length}`,
+        });
+
+        const workspace = await restoreWorkspace(
+          vectorDb,
+          workspaceData,
+          organization,
+          snapshotDimensions(snapshot.uuid, workspaceData)
+        );
+        if (!workspace) {
+          skippedNamespaces.push(workspaceData.fname);
+          count++;
+          continue;
+        }
+
+        logger.info(
+          `Restoring ${workspaceData.documents.length} documents into ${connector.type}:${workspace.fname}`
+        );
+        for (const docId of workspaceData.documents) {
+          const existingDocument = await WorkspaceDocument.get({ docId });
+          if (!!existingDocument) {
+            existingDocuments++;
+            continue;
+          }
+
+          const data = readSnapshotDocument(snapshot.uuid, docId);
+          if (!data?.cache) {
+            skippedDocuments.push(data?.document?.name || docId);
+            continue;
+          }
+
+          const restored = await restoreDocument(
+            vectorDb,
+            workspace,
+            data.document,
+            data.cache
+          );
+          if (!restored) {
+            skippedDocuments.push(data.document.name);
+            continue;
+          }
+          restoredDocuments++;
+        }
+        count++;
+      }
+
+      result = {
+        message: `Snapshot "${snapshot.name}" restored into ${organization.name}.`,
+        details: {
+          restoredDocuments,
+          existingDocuments,
+          skippedNamespaces,
+          skippedDocuments,
+        },
+      };
+      await Queue.updateJob(jobId, Queue.status.complete, result);
+      await vectorSpaceMetric();
+      return { result };
+    } catch (e) {
+      result = {
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+      return { result };
+    }
+  }
+);
+
+// The length of the first vector stored for the namespace, so a recreated collection has
+// the size its vectors need. Namespaces without vectors fall back to openai's 1536.
+function snapshotDimensions(snapshotUuid, workspaceData) {
+  for (const docId of workspaceData.documents) {
+    const values = readSnapshotDocument(snapshotUuid, docId)?.cache?.find(
+      (chunk) => chunk?.values?.length > 0
+    )?.values;
+    if (!!values) return values.length;
+  }
+  return 1536;
+}
+
+// Find the workspace for this namespace or create it, making sure the namespace/collection
+// exists in the vector db. Pinecone starter indexes have no namespace support so only the
+// default namespace can be restored into them.
+async function restoreWorkspace(
+  vectorDBClient,
+  workspaceData,
+  organization,
+  dimensions
+) {
+  if (
+    vectorDBClient.name === 'pinecone' &&
+    vectorDBClient.isStarterTier() &&
+    workspaceData.fname !== ''
+  ) {
+    console.log(
+      `Pinecone vector DB does not support namespace - so must skip restore of ${workspaceData.fname}`
+    );
+    return null;
+  }
+
+  var fname = workspaceData.fname;
+  const exists = await namespaceExists(vectorDBClient, fname);
+  if (!exists) {
+    const collection = await createVectorSpace(
+      vectorDBClient,
+      fname,
+      dimensions
+    );
+    if (!collection) return null;
+    fname = collection.name;
+  }
+
+  const existingWorkspace = await OrganizationWorkspace.get({
+    organization_id: Number(organization.id),
+    fname,
+  });
+  if (!!existingWorkspace) return existingWorkspace;
+
+  const { workspace } = await OrganizationWorkspace.create(
+    workspaceData.name || '(default)',
+    organization.id,
+    fname
+  );
+  return workspace;
+}
+
+async function restoreDocument(vectorDBClient, workspace, document, cache) {
+  const { document: restoredDocument } = await WorkspaceDocument.create({
+    id: document.docId,
+    name: document.name,
+    workspaceId: workspace.id,
+    organizationId: workspace.organization_id,
+  });
+  if (!restoredDocument) {
+    console.error(`Failed to restore document ${document.name}. Skipping.`);
+    return false;
+  }
+
+  const fragments = [];
+  const cacheInfo = [];
+  for (const chunks of toChunks(cache, 500)) {
+    const upserts = chunks.map((chunk) => {
+      const vectorDbId = chunk.vectorDbId || v4();
+      const { metadata, values } = chunk;
+      fragments.push({
+        docId: restoredDocument.docId,
+        vectorId: vectorDbId,
+        documentId: restoredDocument.id,
+        workspaceId: restoredDocument.workspace_id,
+        organizationId: restoredDocument.organization_id,
+      });
+      cacheInfo.push({ vectorDbId, values, metadata });
+      return { id: vectorDbId, values, metadata };
+    });
+
+    const success = await upsertVectors(
+      vectorDBClient,
+      workspace.fname,
+      upserts
+    );
+    if (!success) {
+      console.error(
+        `Failed to upsert vectors for ${document.name} into ${workspace.fname}. Skipping.`
+      );
+      await WorkspaceDocument.delete({ id: restoredDocument.id });
+      return false;
+    }
+  }
+
+  await DocumentVectors.createMany(fragments);
+  await storeVectorResult(
+    cacheInfo,
+    WorkspaceDocument.vectorFilename(restoredDocument)
+  );
+  return true;
+}
+
+module.exports = {
+  restoreOrganizationSnapshot,
+};
@@ -1,3 +1,4 @@
+const { AlertChannel } = require('../../../backend/models/alertChannel');
 const { Notification } = require('../../../backend/models/notification');
 const {
   OrganizationConnection,
@@ -7,12 +8,15 @@ const {
 } = require('../../../backend/models/organizationWorkspace');
 const { Queue } = require('../../../backend/models/queue');
 const { RagTest } = require('../../../backend/models/ragTest');
+const { sendAlerts } = require('../../../backend/utils/alerts');
+const {
+  parseFilter,
+} = require('../../../backend/utils/vectordatabases/metadataFilter');
 const {
   selectConnector,
 } = require('../../../backend/utils/vectordatabases/providers');
 const { InngestClient } = require('../../utils/inngest');
 
-const DELTA_THRESHOLD = 0.25;
 const runRAGTest = InngestClient.createFunction(
   { name: 'RAG Test for Workspace' },
   { event: 'rag-test/run' },
@@ -37,22 +41,43 @@ const runRAGTest = InngestClient.createFunction(
       Object.values(test.comparisons).forEach((obj) => {
         knownVectors[obj.vectorId] = obj;
       });
+      const rules = {
+        scoreDeltaThreshold: test.scoreDeltaThreshold,
+        rankTolerance: test.rankTolerance,
+        newVectorSeverity: test.newVectorSeverity,
+        minOverlapRatio: test.minOverlapRatio,
+      };
+
+      const { filter, error: filterError } = parseFilter(test.metadataFilter);
+      if (filterError) throw new Error(filterError);
 
+      // Search past top-K by the rank tolerance so a known vector that only slipped
+      // a few places is not reported as missing.
       const vectorDB = selectConnector(connector);
       const { vectorIds, contextTexts, scores } =
         await vectorDB.similarityResponse(
           workspace.fname,
           test.promptVector,
-          test.topK
+          test.topK + rules.rankTolerance,
+          filter
         );
+      const topKVectorIds = vectorIds.slice(0, test.topK);
 
       // Check if searched vectorIds all appear in known ids
-      const newVectorIds = vectorIds.filter(
+      const newVectorIds = topKVectorIds.filter(
         (id) => !knownVectors.hasOwnProperty(id)
       );
       const missingVectorIds = Object.keys(knownVectors).filter(
         (id) => !vectorIds.includes(id)
       );
+      const shiftedVectorIds = Object.keys(knownVectors).filter(
+        (id) => vectorIds.includes(id) && !topKVectorIds.includes(id)
+      );
+      const knownCount = Object.keys(knownVectors).length;
+      const overlapRatio =
+        knownCount > 0
+          ? (knownCount - missingVectorIds.length) / knownCount
+          : 1;
 
       // Calculate Score deviations for known vectors
       const highScoreDeltaVectorIds = [];
@@ -68,7 +93,7 @@ const runRAGTest = InngestClient.createFunction(
         const signMultiple = score < currentScore ? -1 : 1;
         const delta = (currentScore - score) * signMultiple;
 
-        if (Math.abs(delta) >= DELTA_THRESHOLD)
+        if (Math.abs(delta) >= rules.scoreDeltaThreshold)
           highScoreDeltaVectorIds.push(vectorId);
         knownVectors[vectorId].newScore = score;
         knownVectors[vectorId].deltaScore = delta;
@@ -81,26 +106,61 @@ const runRAGTest = InngestClient.createFunction(
       newVectorIds.forEach((vectorId) => {
         errorLog.push({
           vectorId,
+          rule: RagTest.rules.newVector,
+          severity: rules.newVectorSeverity,
           message: `A new vector ${vectorId} was returned. It was not previously seen in the comparison data.`,
         });
       });
 
+      shiftedVectorIds.forEach((vectorId) => {
+        errorLog.push({
+          vectorId,
+          rule: RagTest.rules.rankChange,
+          severity: RagTest.severity.warning,
+          message: `Known vector ${vectorId} fell to position ${
+            vectorIds.indexOf(vectorId) + 1
+          }, outside the top ${test.topK} but within the rank tolerance of ${
+            rules.rankTolerance
+          }.`,
+        });
+      });
+
       missingVectorIds.forEach((vectorId) => {
         errorLog.push({
           vectorId,
+          rule: RagTest.rules.missingVector,
+          severity: RagTest.severity.warning,
           message: `Vector ${vectorId} was expected to be present, but is missing.`,
         });
       });
 
+      if (overlapRatio < rules.minOverlapRatio) {
+        errorLog.push({
+          vectorId: null,
+          rule: RagTest.rules.minOverlap,
+          severity: RagTest.severity.alert,
+          message: `Only ${(overlapRatio * 100).toFixed(
+            0
+          )}% of the known vectors were returned, below the minimum overlap of ${(
+            rules.minOverlapRatio * 100
+          ).toFixed(0)}%.`,
+        });
+      }
+
       highScoreDeltaVectorIds.forEach((vectorId) => {
         const delta = knownVectors[vectorId].deltaScore;
         errorLog.push({
           vectorId,
+          rule: RagTest.rules.scoreDelta,
+          severity: RagTest.severity.alert,
           message: `Known vector ${vectorId} had a relevancy score deviation greater than ±${
-            DELTA_THRESHOLD * 100
+            rules.scoreDeltaThreshold * 100
           }% with ${(delta * 100).toFixed(2)}%.`,
         });
       });
+      const hasAlerts = errorLog.some(
+        (entry) => entry.severity === RagTest.severity.alert
+      );
 
       const compactResult = {};
       Object.keys(knownVectors).map((vector) => {
@@ -119,25 +179,53 @@ const runRAGTest = InngestClient.createFunction(
       });
 
       await RagTest.updateRun(run?.id, {
-        status:
-          errorLog.length > 0 ? RagTest.status.alert : RagTest.status.complete,
+        status: hasAlerts ? RagTest.status.alert : RagTest.status.complete,
         results: {
           errorLog,
+          rules,
+          overlapRatio,
           newVectorIds,
           missingVectorIds,
+          shiftedVectorIds,
           highScoreDeltaVectorIds,
           vectorMap: compactResult,
         },
       });
 
       // If test failed - push to notifications
-      if (errorLog.length > 0) {
+      if (hasAlerts) {
         await Notification.create(test.organization_id, {
           textContent: 'Your Context Drift test did not pass.',
           symbol: Notification.symbols.error,
           link: `/dashboard/${organization.slug}/tools/rag-testing/${test.id}`,
           target: '_blank',
         });
+        await sendAlerts(await alertChannelsFor(test), {
+          event: 'rag_test.drift_detected',
+          title: `Context Drift test #${test.id} did not pass`,
+          text: [
+            `Workspace "${workspace.name}" drifted for this test's prompt:`,
+            ...errorLog
+              .filter((entry) => entry.severity === RagTest.severity.alert)
+              .slice(0, 10)
+              .map((entry) => `- ${entry.message}`),
+          ].join('\n'),
+          link: testDetailsLink(organization, test),
+          details: {
+            testId: test.id,
+            runId: run?.id,
+            status: RagTest.status.alert,
+            results: {
+              errorLog,
+              rules,
+              overlapRatio,
+              newVectorIds,
+              missingVectorIds,
+              shiftedVectorIds,
+              highScoreDeltaVectorIds,
+            },
+          },
+        });
       }
 
       result = {
@@ -155,6 +243,16 @@ const runRAGTest = InngestClient.createFunction(
         textContent: 'Your Context Drift test failed to run.',
         symbol: Notification.symbols.error,
       });
+      const test = await RagTest.get({ id: Number(testId) });
+      if (test) {
+        await sendAlerts(await alertChannelsFor(test), {
+          event: 'rag_test.failed',
+          title: `Context Drift test #${test.id} failed to run`,
+          text: e.message,
+          link: testDetailsLink(organization, test),
+          details: { testId: test.id, runId: run?.id, error: e.message },
+        });
+      }
       await RagTest.updateRun(run?.id, {
         status: RagTest.status.failed,
         results: {
@@ -167,6 +265,20 @@ const runRAGTest = InngestClient.createFunction(
   }
 );
 
+async function alertChannelsFor(test) {
+  if (!test.alertChannelIds?.length) return [];
+  return await AlertChannel.where({
+    id: { in: test.alertChannelIds },
+    organization_id: test.organization_id,
+    enabled: true,
+  });
+}
+
+// The RAG testing page opens the TestDetails modal for the test in the hash.
+function testDetailsLink(organization, test) {
+  return `/dashboard/${organization.slug}/tools/rag-testing#test-${test.id}`;
+}
+
 module.exports = {
   runRAGTest,
 };
@@ -0,0 +1,161 @@
+const { Notification } = require('../../../backend/models/notification');
+const {
+  OrganizationConnection,
+} = require('../../../backend/models/organizationConnection');
+const {
+  OrganizationWorkspace,
+} = require('../../../backend/models/organizationWorkspace');
+const { Queue } = require('../../../backend/models/queue');
+const { RagTestSuite } = require('../../../backend/models/ragTestSuite');
+const { promptToVector } = require('../../../backend/utils/toolHelpers/utils');
+const {
+  selectConnector,
+} = require('../../../backend/utils/vectordatabases/providers');
+const { toChunks } = require('../../../backend/utils/vectordatabases/utils');
+const { InngestClient } = require('../../utils/inngest');
+const {
+  promptMetrics,
+  aggregateMetrics,
+} = require('../../utils/retrievalMetrics');
+
+const PROMPTS_PER_STEP = 25;
+
+// Prompts are scored in batches, each in its own step, so a retried run does not
+// search or embed the batches that already finished.
+const runRAGTestSuite = InngestClient.createFunction(
+  { name: 'RAG Test Suite for Workspace' },
+  { event: 'rag-test-suite/run' },
+  async ({ event, step }) => {
+    var result = {};
+    const { organization, suiteId, jobId = null } = event.data;
+    const { run } = await step.run('create-suite-run', async () => {
+      return await RagTestSuite.createRun(suiteId, RagTestSuite.status.running);
+    });
+
+    try {
+      const suite = await RagTestSuite.get({ id: Number(suiteId) });
+      if (!suite) throw new Error(`No test suite found for id ${suiteId}`);
+      const workspace = await OrganizationWorkspace.get({
+        id: suite.workspace_id,
+      });
+      const connector = await OrganizationConnection.get({
+        organization_id: Number(organization.id),
+      });
+      if (!connector) throw new Error(`No vector database connection found.`);
+
+      const prompts = await RagTestSuite.prompts(suite.id);
+      if (prompts.length === 0) throw new Error('This suite has no prompts.');
+
+      const promptResults = [];
+      for (const [index, batch] of toChunks(
+        prompts,
+        PROMPTS_PER_STEP
+      ).entries()) {
+        const batchResults = await step.run(
+          `score-prompts-${index}`,
+          async () => {
+            await Queue.updateJob(jobId, Queue.status.pending, {
+              message: `Scoring prompts ${index * PROMPTS_PER_STEP + 1}-${
+                index * PROMPTS_PER_STEP + batch.length
+              } of ${prompts.length}`,
+            });
+            const vectorDB = selectConnector(connector);
+            const results = [];
+            for (const prompt of batch)
+              results.push(
+                await scorePrompt(vectorDB, workspace, suite.topK, prompt)
+              );
+            return results;
+          }
+        );
+        promptResults.push(...batchResults);
+      }
+
+      result = await step.run('summarize-suite-run', async () => {
+        const metrics = aggregateMetrics(promptResults);
+        const status =
+          metrics.scoredPrompts > 0
+            ? RagTestSuite.status.complete
+            : RagTestSuite.status.failed;
+        await RagTestSuite.updateRun(run?.id, {
+          status,
+          results: { topK: suite.topK, metrics, prompts: promptResults },
+        });
+
+        const result = {
+          message: `Test suite "${suite.name}" scored ${
+            metrics.scoredPrompts
+          } prompts - recall@${suite.topK} ${metrics.recallAtK.toFixed(
+            3
+          )}, MRR ${metrics.mrr.toFixed(3)}, nDCG ${metrics.ndcg.toFixed(3)}.`,
+          details: metrics,
+        };
+        await Queue.updateJob(
+          jobId,
+          status === RagTestSuite.status.complete
+            ? Queue.status.complete
+            : Queue.status.failed,
+          result
+        );
+        return result;
+      });
+      return { result };
+    } catch (e) {
+      const result = {
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Notification.create(organization.id, {
+        textContent: 'Your RAG test suite failed to run.',
+        symbol: Notification.symbols.error,
+      });
+      await RagTestSuite.updateRun(run?.id, {
+        status: RagTestSuite.status.failed,
+        results: {
+          message: e.message,
+        },
+      });
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+      return { result };
+    }
+  }
+);
+
+async function scorePrompt(vectorDB, workspace, topK, prompt) {
+  const summary = {
+    promptId: prompt.id,
+    promptText: prompt.promptText?.slice(0, 200) ?? null,
+  };
+
+  try {
+    let promptVector = prompt.promptVector;
+    if (!promptVector || promptVector.length === 0) {
+      const { queryVector, error } = await promptToVector(
+        prompt.promptText ?? '',
+        'text',
+        workspace
+      );
+      if (!queryVector)
+        return { ...summary, error: error || 'Could not embed prompt.' };
+      await RagTestSuite.updatePromptVector(prompt.id, queryVector);
+      promptVector = queryVector;
+    }
+
+    const { vectorIds = [] } = await vectorDB.similarityResponse(
+      workspace.fname,
+      promptVector,
+      topK
+    );
+    return {
+      ...summary,
+      ...promptMetrics(vectorIds, prompt.expectedVectorIds, topK),
+    };
+  } catch (e) {
+    return { ...summary, error: e.message };
+  }
+}
+
+module.exports = {
+  runRAGTestSuite,
+};
@@ -0,0 +1,153 @@
+const { DocumentVectors } = require('../../../backend/models/documentVectors');
+const {
+  OrganizationConnection,
+} = require('../../../backend/models/organizationConnection');
+const {
+  OrganizationSnapshot,
+} = require('../../../backend/models/organizationSnapshot');
+const {
+  OrganizationWorkspace,
+} = require('../../../backend/models/organizationWorkspace');
+const { Queue } = require('../../../backend/models/queue');
+const {
+  WorkspaceDocument,
+} = require('../../../backend/models/workspaceDocument');
+const {
+  writeSnapshotManifest,
+  writeSnapshotDocument,
+  deleteSnapshotArchive,
+} = require('../../../backend/utils/storage/snapshots');
+const {
+  selectConnector,
+} = require('../../../backend/utils/vectordatabases/providers');
+const { InngestClient } = require('../../utils/inngest');
+const { documentVectorData } = require('../../utils/vectorSpace');
+
+const snapshotOrganization = InngestClient.createFunction(
+  { name: 'Snapshot all vector data of an organization to local disk' },
+  { event: 'organization/snapshot' },
+  async ({ event, step: _step, logger }) => {
+    var result = {};
+    const { organization, snapshot, jobId } = event.data;
+    try {
+      const connector = await OrganizationConnection.get({
+        organization_id: Number(organization.id),
+      });
+      if (!connector) {
+        result = {
+          message: `Job failed with error`,
+          error: 'The organization does not have a connected vector database.',
+          details: null,
+        };
+        await OrganizationSnapshot.update(snapshot.id, {
+          status: OrganizationSnapshot.status.failed,
+        });
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      const vectorDb = selectConnector(connector);
+      const missingCache = [];
+      const manifest = {
+        version: OrganizationSnapshot.version,
+        uuid: snapshot.uuid,
+        name: snapshot.name,
+        createdAt: new Date().toISOString(),
+        organization: {
+          id: organization.id,
+          name: organization.name,
+          slug: organization.slug,
+        },
+        connector: { type: connector.type },
+        workspaces: [],
+      };
+
+      var count = 1;
+      var documentCount = 0;
+      var vectorCount = 0;
+      const workspaces = await OrganizationWorkspace.where({
+        organization_id: Number(organization.id),
+      });
+
+      for (const workspace of workspaces) {
+        await Queue.updateJob(jobId, Queue.status.pending, {
+          message: `Snapshotting namespace ${count} of ${workspaces.length}`,
+        });
+
+        const documents = await WorkspaceDocument.where({
+          workspace_id: Number(workspace.id),
+        });
+        logger.info(
+          `Snapshotting ${documents.length} documents from ${workspace.fname}`
+        );
+
+        const documentIds = [];
+        for (const document of documents) {
+          const vectors = await DocumentVectors.where({
+            document_id: Number(document.id),
+          });
+          // Documents without a vector cache are read from the vector database instead.
+          const cacheInfo = await documentVectorData(vectorDb, document);
+          if (!cacheInfo.exists) missingCache.push(document.docId);
+
+          writeSnapshotDocument(snapshot.uuid, document.docId, {
+            document: { name: document.name, docId: document.docId },
+            vectors: vectors.map(({ docId, vectorId }) => {
+              return { docId, vectorId };
+            }),
+            cache: cacheInfo.exists ? cacheInfo.chunks : null,
+          });
+
+          documentIds.push(document.docId);
+          vectorCount += vectors.length;
+        }
+
+        manifest.workspaces.push({
+          name: workspace.name,
+          slug: workspace.slug,
+          fname: workspace.fname,
+          documents: documentIds,
+        });
+        documentCount += documentIds.length;
+        count++;
+      }
+
+      manifest.missingCache = missingCache;
+      writeSnapshotManifest(snapshot.uuid, manifest);
+      await OrganizationSnapshot.update(snapshot.id, {
+        status: OrganizationSnapshot.status.complete,
+        workspaceCount: workspaces.length,
+        documentCount,
+        vectorCount,
+      });
+
+      result = {
+        message: `Snapshot "${snapshot.name}" of ${organization.name} created.`,
+        details: {
+          workspaces: workspaces.length,
+          documents: documentCount,
+          vectors: vectorCount,
+          documentsWithoutVectors: missingCache,
+        },
+      };
+      await Queue.updateJob(jobId, Queue.status.complete, result);
+      return { result };
+    } catch (e) {
+      deleteSnapshotArchive(snapshot.uuid);
+      await OrganizationSnapshot.update(snapshot.id, {
+        status: OrganizationSnapshot.status.failed,
+      });
+      result = {
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+      return { result };
+    }
+  }
+);
+
+module.exports = {
+  snapshotOrganization,
+};
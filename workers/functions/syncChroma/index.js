@@ -1,26 +1,34 @@
-const {
-  OrganizationWorkspace,
-} = require('../../../backend/models/organizationWorkspace');
 const { Queue } = require('../../../backend/models/queue');
 const {
   Chroma,
 } = require('../../../backend/utils/vectordatabases/providers/chroma');
 const { InngestClient } = require('../../utils/inngest');
 const { v4, v5 } = require('uuid');
-const path = require('path');
-const {
-  WorkspaceDocument,
-} = require('../../../backend/models/workspaceDocument');
-const { DocumentVectors } = require('../../../backend/models/documentVectors');
 const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+const {
+  syncReport,
+  syncSummary,
+  syncWorkspace,
+  removeMissingWorkspaces,
+  syncDocuments,
+} = require('../../utils/incrementalSync');
 const { Notification } = require('../../../backend/models/notification');
+const {
+  OrganizationConnection,
+} = require('../../../backend/models/organizationConnection');
 
 const syncChromaInstance = InngestClient.createFunction(
   { name: 'Sync Chroma Instance' },
   { event: 'chroma/sync' },
   async ({ event, step: _step, logger }) => {
     var result = {};
-    const { organization, connector, jobId } = event.data;
+    const {
+      organization,
+      connector,
+      jobId,
+      dryRun = false,
+      scheduled = false,
+    } = event.data;
     try {
       const failedToSync = [];
       const chromaClient = new Chroma(connector);
@@ -32,20 +40,13 @@ const syncChromaInstance = InngestClient.createFunction(
         return { result };
       }
 
-      logger.info(
-        `Deleting ALL existing workspaces for ${organization.name} and reseeding.`
-      );
-      await OrganizationWorkspace.delete({
-        organization_id: Number(organization.id),
-      });
+      const report = syncReport(dryRun);
 
       for (const collection of collections) {
-        logger.info(
-          `Creating new workspace ${collection.name} for ${organization.name}`
-        );
-        const { workspace } = await OrganizationWorkspace.create(
-          collection.name,
-          organization.id
+        const workspace = await syncWorkspace(
+          organization,
+          { name: collection.name },
+          report
         );
         if (!workspace || collection.count === 0) continue;
 
@@ -58,7 +59,8 @@ const syncChromaInstance = InngestClient.createFunction(
             chromaClient,
             collection,
             workspace,
-            organization
+            organization,
+            report
           );
         } catch (e) {
           logger.error(
@@ -72,19 +74,33 @@ const syncChromaInstance = InngestClient.createFunction(
         }
       }
 
+      await removeMissingWorkspaces(
+        organization,
+        collections.map((collection) => collection.name),
+        report
+      );
       result = {
-        message: `Chroma instance vector data has been synced for ${
-          collections.length
-        } of ${collections.length - failedToSync.length} collections.`,
+        message: report.dryRun
+          ? `Sync preview - ${syncSummary(report)}`
+          : `Chroma instance vector data has been synced for ${
+              collections.length
+            } of ${
+              collections.length - failedToSync.length
+            } collections. ${syncSummary(report)}`,
         failedToSync,
+        details: report,
       };
 
-      await Notification.create(organization.id, {
-        textContent: 'Your Chroma instance has been fully synced.',
-        symbol: Notification.symbols.chroma,
-        link: `/dashboard/${organization.slug}`,
-        target: '_blank',
-      });
+      if (!report.dryRun) {
+        await OrganizationConnection.markSynced(connector.id);
+        if (!scheduled)
+          await Notification.create(organization.id, {
+            textContent: 'Your Chroma instance has been fully synced.',
+            symbol: Notification.symbols.chroma,
+            link: `/dashboard/${organization.slug}`,
+            target: '_blank',
+          });
+      }
       await Queue.updateJob(jobId, Queue.status.complete, result);
       await vectorSpaceMetric();
       return { result };
@@ -110,7 +126,8 @@ async function paginateAndStore(
   chromaClient,
   collection,
   workspace,
-  organization
+  organization,
+  report
 ) {
   const PAGE_SIZE = 10;
   var syncing = true;
@@ -146,10 +163,6 @@ async function paginateAndStore(
           currentLine: 0,
           name: documentName,
           documentId: v4(),
-          cacheFilename: `${WorkspaceDocument.vectorFilenameRaw(
-            documentName,
-            workspace.id
-          )}.json`,
           ids: [],
           embeddings: [],
           metadatas: [],
@@ -175,88 +188,7 @@ async function paginateAndStore(
     offset += PAGE_SIZE;
   }
 
-  console.log('Creating Workspace Documents & Document Vectors');
-  await createDocuments(files, workspace, organization);
-  await createDocumentVectors(files);
-
-  for (const fileKey of Object.keys(files)) {
-    console.log('Creating vector cache for ', fileKey);
-    await saveVectorCache(files[fileKey]);
-  }
-
-  return;
-}
-
-async function createDocuments(files, workspace, organization) {
-  const documents = [];
-  Object.values(files).map((data) => {
-    documents.push({
-      documentId: data.documentId,
-      name: data.name,
-      workspaceId: workspace.id,
-      organizationId: organization.id,
-    });
-  });
-
-  await WorkspaceDocument.createMany(documents);
-  return;
-}
-
-async function createDocumentVectors(files) {
-  const docIds = Object.values(files).map((data) => data.documentId);
-  const existingDocuments = await WorkspaceDocument.where({
-    docId: { in: docIds },
-  });
-  const vectors = [];
-
-  Object.values(files).map((data) => {
-    const dbDocument = existingDocuments.find(
-      (doc) => doc.docId === data.documentId
-    );
-    if (!dbDocument) {
-      console.error(
-        'Could not find a database workspace document for ',
-        data.documentId
-      );
-      return;
-    }
-
-    data.ids.map((vectorId) => {
-      vectors.push({
-        docId: data.documentId,
-        vectorId,
-        documentId: dbDocument.id,
-        workspaceId: dbDocument.workspace_id,
-        organizationId: dbDocument.organization_id,
-      });
-    });
-  });
-
-  await DocumentVectors.createMany(vectors);
-  return;
-}
-
-async function saveVectorCache(data) {
-  const fs = require('fs');
-  const folder = path.resolve(
-    __dirname,
-    '../../../backend/storage/vector-cache'
-  );
-  if (!fs.existsSync(folder)) fs.mkdirSync(folder, { recursive: true });
-
-  const destination = path.resolve(
-    __dirname,
-    `../../../backend/storage/vector-cache/${data.cacheFilename}`
-  );
-  const toSave = [];
-  for (let i = 0; i < data.ids.length; i++) {
-    toSave.push({
-      vectorDbId: data.ids[i],
-      values: data.embeddings[i],
-      metadata: data.metadatas[i],
-    });
-  }
-  fs.writeFileSync(destination, JSON.stringify(toSave), 'utf8');
+  await syncDocuments(files, workspace, organization, report);
   return;
 }
 
@@ -4,13 +4,12 @@ const {
 } = require('../../../backend/utils/vectordatabases/providers/chroma');
 const { InngestClient } = require('../../utils/inngest');
 const { v4 } = require('uuid');
-const path = require('path');
-const {
-  WorkspaceDocument,
-} = require('../../../backend/models/workspaceDocument');
-const { DocumentVectors } = require('../../../backend/models/documentVectors');
-const { deleteVectorCacheFile } = require('../../../backend/utils/storage');
 const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+const {
+  syncReport,
+  syncSummary,
+  syncDocuments,
+} = require('../../utils/incrementalSync');
 const { Notification } = require('../../../backend/models/notification');
 
 const syncChromaWorkspace = InngestClient.createFunction(
@@ -18,7 +17,13 @@ const syncChromaWorkspace = InngestClient.createFunction(
   { event: 'chroma/sync-workspace' },
   async ({ event, step: _step, logger }) => {
     var result = {};
-    const { organization, workspace, connector, jobId } = event.data;
+    const {
+      organization,
+      workspace,
+      connector,
+      jobId,
+      dryRun = false,
+    } = event.data;
     try {
       const chromaClient = new Chroma(connector);
       const collection = await chromaClient.namespace(workspace.fname);
@@ -42,18 +47,30 @@ const syncChromaWorkspace = InngestClient.createFunction(
       logger.info(
         `Working on ${collection.count} embeddings of ${collection.name}`
       );
-      await paginateAndStore(chromaClient, collection, workspace, organization);
+      const report = syncReport(dryRun);
+      await paginateAndStore(
+        chromaClient,
+        collection,
+        workspace,
+        organization,
+        report
+      );
 
       result = {
-        message:
-          'Chroma instance vector data has been synced. Workspaces data synced.',
+        message: report.dryRun
+          ? `Sync preview - ${syncSummary(report)}`
+          : `Chroma instance vector data has been synced. Workspaces data synced. ${syncSummary(
+              report
+            )}`,
+        details: report,
       };
-      await Notification.create(organization.id, {
-        textContent: 'Your Chroma workspace has been fully synced.',
-        symbol: Notification.symbols.chroma,
-        link: `/dashboard/${organization.slug}/workspace/${workspace.fname}`,
-        target: '_blank',
-      });
+      if (!report.dryRun)
+        await Notification.create(organization.id, {
+          textContent: 'Your Chroma workspace has been fully synced.',
+          symbol: Notification.symbols.chroma,
+          link: `/dashboard/${organization.slug}/workspace/${workspace.fname}`,
+          target: '_blank',
+        });
       await Queue.updateJob(jobId, Queue.status.complete, result);
       await vectorSpaceMetric();
       return { result };
@@ -79,7 +96,8 @@ async function paginateAndStore(
   chromaClient,
   collection,
   workspace,
-  organization
+  organization,
+  report
 ) {
   const PAGE_SIZE = 10;
   var syncing = true;
@@ -115,10 +133,6 @@ async function paginateAndStore(
           currentLine: 0,
           name: documentName,
           documentId: v4(),
-          cacheFilename: `${WorkspaceDocument.vectorFilenameRaw(
-            documentName,
-            workspace.id
-          )}.json`,
           ids: [],
           embeddings: [],
           metadatas: [],
@@ -144,101 +158,7 @@ async function paginateAndStore(
     offset += PAGE_SIZE;
   }
 
-  console.log('Removing existing Workspace Documents & Document Vectors');
-  const documents = await WorkspaceDocument.where({
-    workspace_id: Number(workspace.id),
-  });
-  for (const document of documents) {
-    const digestFilename = WorkspaceDocument.vectorFilename(document);
-    await deleteVectorCacheFile(digestFilename);
-  }
-  await WorkspaceDocument.delete({ workspace_id: Number(workspace.id) });
-  console.log(
-    `Removed ${documents.length} existing Workspace Documents & Document Vectors`
-  );
-
-  console.log('Creating Workspace Documents & Document Vectors');
-  await createDocuments(files, workspace, organization);
-  await createDocumentVectors(files);
-
-  for (const fileKey of Object.keys(files)) {
-    console.log('Creating vector cache for ', fileKey);
-    await saveVectorCache(files[fileKey]);
-  }
-
-  return;
-}
-
-async function createDocuments(files, workspace, organization) {
-  const documents = [];
-  Object.values(files).map((data) => {
-    documents.push({
-      documentId: data.documentId,
-      name: data.name,
-      workspaceId: workspace.id,
-      organizationId: organization.id,
-    });
-  });
-
-  await WorkspaceDocument.createMany(documents);
-  return;
-}
-
-async function createDocumentVectors(files) {
-  const docIds = Object.values(files).map((data) => data.documentId);
-  const existingDocuments = await WorkspaceDocument.where({
-    docId: { in: docIds },
-  });
-  const vectors = [];
-
-  Object.values(files).map((data) => {
-    const dbDocument = existingDocuments.find(
-      (doc) => doc.docId === data.documentId
-    );
-    if (!dbDocument) {
-      console.error(
-        'Could not find a database workspace document for ',
-        data.documentId
-      );
-      return;
-    }
-
-    data.ids.map((vectorId) => {
-      vectors.push({
-        docId: data.documentId,
-        vectorId,
-        documentId: dbDocument.id,
-        workspaceId: dbDocument.workspace_id,
-        organizationId: dbDocument.organization_id,
-      });
-    });
-  });
-
-  await DocumentVectors.createMany(vectors);
-  return;
-}
-
-async function saveVectorCache(data) {
-  const fs = require('fs');
-  const folder = path.resolve(
-    __dirname,
-    '../../../backend/storage/vector-cache'
-  );
-  if (!fs.existsSync(folder)) fs.mkdirSync(folder, { recursive: true });
-
-  const destination = path.resolve(
-    __dirname,
-    `../../../backend/storage/vector-cache/${data.cacheFilename}`
-  );
-  const toSave = [];
-  for (let i = 0; i < data.ids.length; i++) {
-    toSave.push({
-      vectorDbId: data.ids[i],
-      values: data.embeddings[i],
-      metadata: data.metadatas[i],
-    });
-  }
-  fs.writeFileSync(destination, JSON.stringify(toSave), 'utf8');
+  await syncDocuments(files, workspace, organization, report);
   return;
 }
 
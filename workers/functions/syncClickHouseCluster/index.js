@@ -0,0 +1,214 @@
+const { Queue } = require('../../../backend/models/queue');
+const { InngestClient } = require('../../utils/inngest');
+const { v4 } = require('uuid');
+const {
+  ClickHouse,
+} = require('../../../backend/utils/vectordatabases/providers/clickhouse');
+const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+const {
+  syncReport,
+  syncSummary,
+  syncWorkspace,
+  removeMissingWorkspaces,
+  syncDocuments,
+} = require('../../utils/incrementalSync');
+const { Notification } = require('../../../backend/models/notification');
+const {
+  OrganizationConnection,
+} = require('../../../backend/models/organizationConnection');
+
+const syncClickHouseCluster = InngestClient.createFunction(
+  { name: 'Sync ClickHouse Instance' },
+  { event: 'clickhouse/sync' },
+  async ({ event, step: _step, logger }) => {
+    var result = {};
+    const {
+      organization,
+      connector,
+      jobId,
+      dryRun = false,
+      scheduled = false,
+    } = event.data;
+    try {
+      const failedToSync = [];
+      const clickhouseClient = new ClickHouse(connector);
+      const collections = [];
+
+      // Only tables with the embedding layout hold vectors - anything else in the
+      // database is regular OLAP data and is left alone.
+      for (const table of await clickhouseClient.collections()) {
+        if (!(await clickhouseClient.isVectorTable(table.name))) continue;
+        collections.push(table);
+      }
+
+      if (collections.length === 0) {
+        result = { message: 'No vector tables found - nothing to do.' };
+        await Queue.updateJob(jobId, Queue.status.complete, result);
+        return { result };
+      }
+
+      const report = syncReport(dryRun);
+
+      for (const collection of collections) {
+        const workspace = await syncWorkspace(
+          organization,
+          { name: collection.name },
+          report
+        );
+        if (!workspace || collection.count === 0) continue;
+
+        logger.info(
+          `Working on ${collection.count} embeddings of ${collection.name}`
+        );
+
+        try {
+          await paginateAndStore(
+            clickhouseClient,
+            collection,
+            workspace,
+            organization,
+            report
+          );
+        } catch (e) {
+          logger.error(
+            `Failed to paginate records for ${collection.name} - workspace will remain in db but may be incomplete.`,
+            e
+          );
+          failedToSync.push({
+            namespace: collection.name,
+            reason: e.message,
+          });
+        }
+      }
+
+      await removeMissingWorkspaces(
+        organization,
+        collections.map((collection) => collection.name),
+        report
+      );
+      result = {
+        message: report.dryRun
+          ? `Sync preview - ${syncSummary(report)}`
+          : `ClickHouse instance vector data has been synced for ${
+              collections.length - failedToSync.length
+            } of ${collections.length} tables. ${syncSummary(report)}`,
+        failedToSync,
+        details: report,
+      };
+
+      if (!report.dryRun) {
+        await OrganizationConnection.markSynced(connector.id);
+        if (!scheduled)
+          await Notification.create(organization.id, {
+            textContent: 'Your ClickHouse database has been fully synced.',
+            symbol: Notification.symbols.clickhouse,
+            link: `/dashboard/${organization.slug}`,
+            target: '_blank',
+          });
+      }
+      await Queue.updateJob(jobId, Queue.status.complete, result);
+      await vectorSpaceMetric();
+      return { result };
+    } catch (e) {
+      const result = {
+        canRetry: true,
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Notification.create(organization.id, {
+        textContent: 'Your ClickHouse database failed to sync.',
+        symbol: Notification.symbols.clickhouse,
+        link: `/dashboard/${organization.slug}/jobs`,
+        target: '_blank',
+      });
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+    }
+  }
+);
+
+async function paginateAndStore(
+  clickhouseClient,
+  collection,
+  workspace,
+  organization,
+  report
+) {
+  const PAGE_SIZE = 100;
+  var syncing = true;
+  var offset = 0;
+  const files = {};
+
+  while (syncing) {
+    const records = await clickhouseClient.paginateVectors(
+      collection.name,
+      PAGE_SIZE,
+      offset
+    );
+
+    // If nothing to do - exit loop early
+    if (records.length === 0) {
+      syncing = false;
+      continue;
+    }
+
+    // A short page means we are on the last page - so don't loop again after this
+    // iteration.
+    if (records.length < PAGE_SIZE) syncing = false;
+
+    const data = {
+      ids: [],
+      embeddings: [],
+      metadatas: [],
+      documents: [],
+    };
+    records.forEach(({ id, values, metadata }) => {
+      data.ids.push(id);
+      data.embeddings.push(values);
+      data.metadatas.push(metadata);
+      data.documents.push(metadata?.text ?? '');
+    });
+
+    const { ids, metadatas, embeddings, documents } = data;
+    for (let i = 0; i < ids.length; i++) {
+      const documentName =
+        metadatas[i]?.title ||
+        metadatas[i]?.name ||
+        `imported-document-${v4()}.txt`;
+      if (!files.hasOwnProperty(documentName)) {
+        files[documentName] = {
+          currentLine: 0,
+          name: documentName,
+          documentId: v4(),
+          ids: [],
+          embeddings: [],
+          metadatas: [],
+          fullText: '',
+        };
+      }
+      const text = documents[i];
+      const totalLines = (String(text).match(/\n/g) || '').length;
+      files[documentName].ids.push(ids[i]);
+      files[documentName].embeddings.push(embeddings[i]);
+      files[documentName].metadatas.push({
+        title: documentName,
+        'loc.lines.from': files[documentName].currentLine + 1,
+        'loc.lines.to': files[documentName].currentLine + 1 + totalLines,
+        ...metadatas[i],
+        text,
+      });
+      files[documentName].fullText += text;
+      files[documentName].currentLine =
+        files[documentName].currentLine + 1 + totalLines;
+    }
+
+    offset += records.length;
+  }
+
+  await syncDocuments(files, workspace, organization, report);
+  return;
+}
+
+module.exports = {
+  syncClickHouseCluster,
+};
@@ -0,0 +1,189 @@
+const { Queue } = require('../../../backend/models/queue');
+const { InngestClient } = require('../../utils/inngest');
+const { v4 } = require('uuid');
+const {
+  ClickHouse,
+} = require('../../../backend/utils/vectordatabases/providers/clickhouse');
+const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+const {
+  syncReport,
+  syncSummary,
+  syncDocuments,
+} = require('../../utils/incrementalSync');
+const { Notification } = require('../../../backend/models/notification');
+
+const syncClickHouseWorkspace = InngestClient.createFunction(
+  { name: 'Sync ClickHouse Workspace' },
+  { event: 'clickhouse/sync-workspace' },
+  async ({ event, step: _step, logger }) => {
+    var result = {};
+    const {
+      organization,
+      workspace,
+      connector,
+      jobId,
+      dryRun = false,
+    } = event.data;
+    try {
+      const clickhouseClient = new ClickHouse(connector);
+      const collection = await clickhouseClient.namespace(workspace.fname);
+
+      if (!collection) {
+        result = {
+          message: `No table ${workspace.fname} found - nothing to do.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.complete, result);
+        return { result };
+      }
+
+      if (!(await clickhouseClient.isVectorTable(workspace.fname))) {
+        result = {
+          message: `ClickHouse table ${workspace.fname} does not have the id, vector, text and metadata columns of a vector table - nothing to do.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.complete, result);
+        return { result };
+      }
+
+      if (collection.count === 0) {
+        result = {
+          message: `ClickHouse table ${workspace.fname} has no data - nothing to do.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.complete, result);
+        return { result };
+      }
+
+      logger.info(
+        `Working on ${collection.count} embeddings of ${collection.name}`
+      );
+      const report = syncReport(dryRun);
+      await paginateAndStore(
+        clickhouseClient,
+        collection,
+        workspace,
+        organization,
+        report
+      );
+
+      result = {
+        message: report.dryRun
+          ? `Sync preview - ${syncSummary(report)}`
+          : `ClickHouse instance vector data has been synced. Workspaces data synced. ${syncSummary(
+              report
+            )}`,
+        details: report,
+      };
+
+      if (!report.dryRun)
+        await Notification.create(organization.id, {
+          textContent: 'Your ClickHouse namespace has been fully synced.',
+          symbol: Notification.symbols.clickhouse,
+          link: `/dashboard/${organization.slug}/workspace/${workspace.fname}`,
+          target: '_blank',
+        });
+      await Queue.updateJob(jobId, Queue.status.complete, result);
+      await vectorSpaceMetric();
+      return { result };
+    } catch (e) {
+      const result = {
+        canRetry: true,
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+
+      await Notification.create(organization.id, {
+        textContent: 'Your ClickHouse namespace failed to sync.',
+        symbol: Notification.symbols.clickhouse,
+        link: `/dashboard/${organization.slug}/jobs`,
+        target: '_blank',
+      });
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+    }
+  }
+);
+
+async function paginateAndStore(
+  clickhouseClient,
+  collection,
+  workspace,
+  organization,
+  report
+) {
+  const PAGE_SIZE = 100;
+  var syncing = true;
+  var offset = 0;
+  const files = {};
+
+  while (syncing) {
+    const records = await clickhouseClient.paginateVectors(
+      collection.name,
+      PAGE_SIZE,
+      offset
+    );
+
+    // If nothing to do - exit loop early
+    if (records.length === 0) {
+      syncing = false;
+      continue;
+    }
+
+    // A short page means we are on the last page - so don't loop again after this
+    // iteration.
+    if (records.length < PAGE_SIZE) syncing = false;
+
+    const data = {
+      ids: [],
+      embeddings: [],
+      metadatas: [],
+      documents: [],
+    };
+    records.forEach(({ id, values, metadata }) => {
+      data.ids.push(id);
+      data.embeddings.push(values);
+      data.metadatas.push(metadata);
+      data.documents.push(metadata?.text ?? '');
+    });
+
+    const { ids, metadatas, embeddings, documents } = data;
+    for (let i = 0; i < ids.length; i++) {
+      const documentName =
+        metadatas[i]?.title ||
+        metadatas[i]?.name ||
+        `imported-document-${v4()}.txt`;
+      if (!files.hasOwnProperty(documentName)) {
+        files[documentName] = {
+          currentLine: 0,
+          name: documentName,
+          documentId: v4(),
+          ids: [],
+          embeddings: [],
+          metadatas: [],
+          fullText: '',
+        };
+      }
+      const text = documents[i];
+      const totalLines = (String(text).match(/\n/g) || '').length;
+      files[documentName].ids.push(ids[i]);
+      files[documentName].embeddings.push(embeddings[i]);
+      files[documentName].metadatas.push({
+        title: documentName,
+        'loc.lines.from': files[documentName].currentLine + 1,
+        'loc.lines.to': files[documentName].currentLine + 1 + totalLines,
+        ...metadatas[i],
+        text,
+      });
+      files[documentName].fullText += text;
+      files[documentName].currentLine =
+        files[documentName].currentLine + 1 + totalLines;
+    }
+
+    offset += records.length;
+  }
+
+  await syncDocuments(files, workspace, organization, report);
+  return;
+}
+
+module.exports = {
+  syncClickHouseWorkspace,
+};
@@ -0,0 +1,197 @@
+const { Queue } = require('../../../backend/models/queue');
+const { InngestClient } = require('../../utils/inngest');
+const { v4 } = require('uuid');
+const {
+  Milvus,
+} = require('../../../backend/utils/vectordatabases/providers/milvus');
+const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+const {
+  syncReport,
+  syncSummary,
+  syncWorkspace,
+  removeMissingWorkspaces,
+  syncDocuments,
+} = require('../../utils/incrementalSync');
+const { Notification } = require('../../../backend/models/notification');
+const {
+  OrganizationConnection,
+} = require('../../../backend/models/organizationConnection');
+
+const syncMilvusCluster = InngestClient.createFunction(
+  { name: 'Sync Milvus Instance' },
+  { event: 'milvus/sync' },
+  async ({ event, step: _step, logger }) => {
+    var result = {};
+    const {
+      organization,
+      connector,
+      jobId,
+      dryRun = false,
+      scheduled = false,
+    } = event.data;
+    try {
+      const failedToSync = [];
+      const milvusClient = new Milvus(connector);
+      const collections = await milvusClient.collections();
+
+      if (collections.length === 0) {
+        result = { message: 'No collections found - nothing to do.' };
+        await Queue.updateJob(jobId, Queue.status.complete, result);
+        return { result };
+      }
+
+      const report = syncReport(dryRun);
+
+      for (const collection of collections) {
+        const workspace = await syncWorkspace(
+          organization,
+          { name: collection.name },
+          report
+        );
+        if (!workspace || collection.count === 0) continue;
+
+        logger.info(
+          `Working on ${collection.count} embeddings of ${collection.name}`
+        );
+
+        try {
+          await paginateAndStore(
+            milvusClient,
+            collection,
+            workspace,
+            organization,
+            report
+          );
+        } catch (e) {
+          logger.error(
+            `Failed to paginate records for ${collection.name} - workspace will remain in db but may be incomplete.`,
+            e
+          );
+          failedToSync.push({
+            namespace: collection.name,
+            reason: e.message,
+          });
+        }
+      }
+
+      await removeMissingWorkspaces(
+        organization,
+        collections.map((collection) => collection.name),
+        report
+      );
+      result = {
+        message: report.dryRun
+          ? `Sync preview - ${syncSummary(report)}`
+          : `Milvus instance vector data has been synced for ${
+              collections.length - failedToSync.length
+            } of ${collections.length} collections. ${syncSummary(report)}`,
+        failedToSync,
+        details: report,
+      };
+
+      if (!report.dryRun) {
+        await OrganizationConnection.markSynced(connector.id);
+        if (!scheduled)
+          await Notification.create(organization.id, {
+            textContent: 'Your Milvus cluster has been fully synced.',
+            symbol: Notification.symbols.milvus,
+            link: `/dashboard/${organization.slug}`,
+            target: '_blank',
+          });
+      }
+      await Queue.updateJob(jobId, Queue.status.complete, result);
+      await vectorSpaceMetric();
+      return { result };
+    } catch (e) {
+      const result = {
+        canRetry: true,
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Notification.create(organization.id, {
+        textContent: 'Your Milvus cluster failed to sync.',
+        symbol: Notification.symbols.milvus,
+        link: `/dashboard/${organization.slug}/jobs`,
+        target: '_blank',
+      });
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+    }
+  }
+);
+
+async function paginateAndStore(
+  milvusClient,
+  collection,
+  workspace,
+  organization,
+  report
+) {
+  const PAGE_SIZE = 100;
+  const files = {};
+  const { client } = await milvusClient.connect();
+  await client.loadCollection({ collection_name: collection.name });
+
+  const iterator = await client.queryIterator({
+    collection_name: collection.name,
+    batchSize: PAGE_SIZE,
+    output_fields: ['id', 'vector', 'text', 'metadata'],
+  });
+
+  for await (const records of iterator) {
+    // Normalize Milvus rows into vectors with known keys.
+    const data = {
+      ids: [],
+      embeddings: [],
+      metadatas: [],
+      documents: [],
+    };
+    records.forEach((record) => {
+      const { id, values, metadata } = milvusClient.recordToVector(record);
+      data.ids.push(id);
+      data.embeddings.push(values);
+      data.metadatas.push(metadata);
+      data.documents.push(metadata?.text ?? '');
+    });
+
+    const { ids, metadatas, embeddings, documents } = data;
+    for (let i = 0; i < ids.length; i++) {
+      const documentName =
+        metadatas[i]?.title ||
+        metadatas[i]?.name ||
+        `imported-document-${v4()}.txt`;
+      if (!files.hasOwnProperty(documentName)) {
+        files[documentName] = {
+          currentLine: 0,
+          name: documentName,
+          documentId: v4(),
+          ids: [],
+          embeddings: [],
+          metadatas: [],
+          fullText: '',
+        };
+      }
+      const text = documents[i];
+      const totalLines = (String(text).match(/\n/g) || '').length;
+      files[documentName].ids.push(ids[i]);
+      files[documentName].embeddings.push(embeddings[i]);
+      files[documentName].metadatas.push({
+        title: documentName,
+        'loc.lines.from': files[documentName].currentLine + 1,
+        'loc.lines.to': files[documentName].currentLine + 1 + totalLines,
+        ...metadatas[i],
+        text,
+      });
+      files[documentName].fullText += text;
+      files[documentName].currentLine =
+        files[documentName].currentLine + 1 + totalLines;
+    }
+  }
+
+  await syncDocuments(files, workspace, organization, report);
+  return;
+}
+
+module.exports = {
+  syncMilvusCluster,
+};
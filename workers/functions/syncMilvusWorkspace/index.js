@@ -0,0 +1,171 @@
+const { Queue } = require('../../../backend/models/queue');
+const { InngestClient } = require('../../utils/inngest');
+const { v4 } = require('uuid');
+const {
+  Milvus,
+} = require('../../../backend/utils/vectordatabases/providers/milvus');
+const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+const {
+  syncReport,
+  syncSummary,
+  syncDocuments,
+} = require('../../utils/incrementalSync');
+const { Notification } = require('../../../backend/models/notification');
+
+const syncMilvusWorkspace = InngestClient.createFunction(
+  { name: 'Sync Milvus Workspace' },
+  { event: 'milvus/sync-workspace' },
+  async ({ event, step: _step, logger }) => {
+    var result = {};
+    const {
+      organization,
+      workspace,
+      connector,
+      jobId,
+      dryRun = false,
+    } = event.data;
+    try {
+      const milvusClient = new Milvus(connector);
+      const collection = await milvusClient.namespace(workspace.fname);
+
+      if (!collection) {
+        result = {
+          message: `No collection ${workspace.fname} found - nothing to do.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.complete, result);
+        return { result };
+      }
+
+      if (collection.count === 0) {
+        result = {
+          message: `Milvus collection ${workspace.fname} has no data - nothing to do.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.complete, result);
+        return { result };
+      }
+
+      logger.info(
+        `Working on ${collection.count} embeddings of ${collection.name}`
+      );
+      const report = syncReport(dryRun);
+      await paginateAndStore(
+        milvusClient,
+        collection,
+        workspace,
+        organization,
+        report
+      );
+
+      result = {
+        message: report.dryRun
+          ? `Sync preview - ${syncSummary(report)}`
+          : `Milvus instance vector data has been synced. Workspaces data synced. ${syncSummary(
+              report
+            )}`,
+        details: report,
+      };
+
+      if (!report.dryRun)
+        await Notification.create(organization.id, {
+          textContent: 'Your Milvus namespace has been fully synced.',
+          symbol: Notification.symbols.milvus,
+          link: `/dashboard/${organization.slug}/workspace/${workspace.fname}`,
+          target: '_blank',
+        });
+      await Queue.updateJob(jobId, Queue.status.complete, result);
+      await vectorSpaceMetric();
+      return { result };
+    } catch (e) {
+      const result = {
+        canRetry: true,
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+
+      await Notification.create(organization.id, {
+        textContent: 'Your Milvus namespace failed to sync.',
+        symbol: Notification.symbols.milvus,
+        link: `/dashboard/${organization.slug}/jobs`,
+        target: '_blank',
+      });
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+    }
+  }
+);
+
+async function paginateAndStore(
+  milvusClient,
+  collection,
+  workspace,
+  organization,
+  report
+) {
+  const PAGE_SIZE = 100;
+  const files = {};
+  const { client } = await milvusClient.connect();
+  await client.loadCollection({ collection_name: collection.name });
+
+  const iterator = await client.queryIterator({
+    collection_name: collection.name,
+    batchSize: PAGE_SIZE,
+    output_fields: ['id', 'vector', 'text', 'metadata'],
+  });
+
+  for await (const records of iterator) {
+    // Normalize Milvus rows into vectors with known keys.
+    const data = {
+      ids: [],
+      embeddings: [],
+      metadatas: [],
+      documents: [],
+    };
+    records.forEach((record) => {
+      const { id, values, metadata } = milvusClient.recordToVector(record);
+      data.ids.push(id);
+      data.embeddings.push(values);
+      data.metadatas.push(metadata);
+      data.documents.push(metadata?.text ?? '');
+    });
+
+    const { ids, metadatas, embeddings, documents } = data;
+    for (let i = 0; i < ids.length; i++) {
+      const documentName =
+        metadatas[i]?.title ||
+        metadatas[i]?.name ||
+        `imported-document-${v4()}.txt`;
+      if (!files.hasOwnProperty(documentName)) {
+        files[documentName] = {
+          currentLine: 0,
+          name: documentName,
+          documentId: v4(),
+          ids: [],
+          embeddings: [],
+          metadatas: [],
+          fullText: '',
+        };
+      }
+      const text = documents[i];
+      const totalLines = (String(text).match(/\n/g) || '').length;
+      files[documentName].ids.push(ids[i]);
+      files[documentName].embeddings.push(embeddings[i]);
+      files[documentName].metadatas.push({
+        title: documentName,
+        'loc.lines.from': files[documentName].currentLine + 1,
+        'loc.lines.to': files[documentName].currentLine + 1 + totalLines,
+        ...metadatas[i],
+        text,
+      });
+      files[documentName].fullText += text;
+      files[documentName].currentLine =
+        files[documentName].currentLine + 1 + totalLines;
+    }
+  }
+
+  await syncDocuments(files, workspace, organization, report);
+  return;
+}
+
+module.exports = {
+  syncMilvusWorkspace,
+};
@@ -4,13 +4,12 @@ const {
 } = require('../../../backend/utils/vectordatabases/providers/pinecone');
 const { InngestClient } = require('../../utils/inngest');
 const { v4 } = require('uuid');
-const path = require('path');
-const {
-  WorkspaceDocument,
-} = require('../../../backend/models/workspaceDocument');
-const { DocumentVectors } = require('../../../backend/models/documentVectors');
-const { deleteVectorCacheFile } = require('../../../backend/utils/storage');
 const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+const {
+  syncReport,
+  syncSummary,
+  syncDocuments,
+} = require('../../utils/incrementalSync');
 const { Notification } = require('../../../backend/models/notification');
 
 // Will sync ENTIRE workspace - from a fresh pull.
@@ -20,7 +19,13 @@ const syncPineconeWorkspace = InngestClient.createFunction(
   { event: 'pinecone/sync-workspace' },
   async ({ event, step: _step, logger }) => {
     var result = {};
-    const { organization, workspace, connector, jobId } = event.data;
+    const {
+      organization,
+      workspace,
+      connector,
+      jobId,
+      dryRun = false,
+    } = event.data;
     try {
       const pineconeClient = new Pinecone(connector);
       const collection = await pineconeClient.namespace(workspace.fname);
@@ -47,24 +52,31 @@ const syncPineconeWorkspace = InngestClient.createFunction(
       logger.info(
         `Syncing on ${collection.count} embeddings of ${collection.name}`
       );
+      const report = syncReport(dryRun);
       await paginateAndStore(
         pineconeClient,
         collection,
         workspace,
-        organization
+        organization,
+        report
       );
 
       result = {
-        message:
-          'Pinecone instance vector data has been synced. Workspace updated.',
+        message: report.dryRun
+          ? `Sync preview - ${syncSummary(report)}`
+          : `Pinecone instance vector data has been synced. Workspace updated. ${syncSummary(
+              report
+            )}`,
+        details: report,
       };
 
-      await Notification.create(organization.id, {
-        textContent: 'Your Pinecone namespace has been fully synced.',
-        symbol: Notification.symbols.pinecone,
-        link: `/dashboard/${organization.slug}/workspace/${workspace.fname}`,
-        target: '_blank',
-      });
+      if (!report.dryRun)
+        await Notification.create(organization.id, {
+          textContent: 'Your Pinecone namespace has been fully synced.',
+          symbol: Notification.symbols.pinecone,
+          link: `/dashboard/${organization.slug}/workspace/${workspace.fname}`,
+          target: '_blank',
+        });
       await Queue.updateJob(jobId, Queue.status.complete, result);
       await vectorSpaceMetric();
       return { result };
@@ -90,7 +102,8 @@ async function paginateAndStore(
   pineconeClient,
   collection,
   workspace,
-  organization
+  organization,
+  report
 ) {
   const runId = v4();
   const { pineconeIndex, host } = await pineconeClient.connect();
@@ -132,10 +145,6 @@ async function paginateAndStore(
           currentLine: 0,
           name: documentName,
           documentId: v4(),
-          cacheFilename: `${WorkspaceDocument.vectorFilenameRaw(
-            documentName,
-            workspace.id
-          )}.json`,
           ids: [],
           embeddings: [],
           metadatas: [],
@@ -175,28 +184,7 @@ async function paginateAndStore(
     }
   }
 
-  console.log('Removing existing Workspace Documents & Document Vectors');
-  const documents = await WorkspaceDocument.where({
-    workspace_id: Number(workspace.id),
-  });
-  for (const document of documents) {
-    const digestFilename = WorkspaceDocument.vectorFilename(document);
-    await deleteVectorCacheFile(digestFilename);
-  }
-  await WorkspaceDocument.delete({ workspace_id: Number(workspace.id) });
-  console.log(
-    `Removed ${documents.length} existing Workspace Documents & Document Vectors`
-  );
-
-  console.log('Creating Workspace Documents & Document Vectors');
-  await createDocuments(files, workspace, organization);
-  await createDocumentVectors(files);
-
-  for (const fileKey of Object.keys(files)) {
-    console.log('Creating vector cache for ', fileKey);
-    await saveVectorCache(files[fileKey]);
-  }
-
+  await syncDocuments(files, workspace, organization, report);
   return;
 }
 
@@ -229,79 +217,6 @@ async function updateAllPineconeIds(pineconeIndex, namespace, ids = [], runId) {
   return true;
 }
 
-async function createDocuments(files, workspace, organization) {
-  const documents = [];
-  Object.values(files).map((data) => {
-    documents.push({
-      documentId: data.documentId,
-      name: data.name,
-      workspaceId: workspace.id,
-      organizationId: organization.id,
-    });
-  });
-
-  await WorkspaceDocument.createMany(documents);
-  return;
-}
-
-async function createDocumentVectors(files) {
-  const docIds = Object.values(files).map((data) => data.documentId);
-  const existingDocuments = await WorkspaceDocument.where({
-    docId: { in: docIds },
-  });
-  const vectors = [];
-
-  Object.values(files).map((data) => {
-    const dbDocument = existingDocuments.find(
-      (doc) => doc.docId === data.documentId
-    );
-    if (!dbDocument) {
-      console.error(
-        'Could not find a database workspace document for ',
-        data.documentId
-      );
-      return;
-    }
-
-    data.ids.map((vectorId) => {
-      vectors.push({
-        docId: data.documentId,
-        vectorId,
-        documentId: dbDocument.id,
-        workspaceId: dbDocument.workspace_id,
-        organizationId: dbDocument.organization_id,
-      });
-    });
-  });
-
-  await DocumentVectors.createMany(vectors);
-  return;
-}
-
-async function saveVectorCache(data) {
-  const fs = require('fs');
-  const folder = path.resolve(
-    __dirname,
-    '../../../backend/storage/vector-cache'
-  );
-  if (!fs.existsSync(folder)) fs.mkdirSync(folder, { recursive: true });
-
-  const destination = path.resolve(
-    __dirname,
-    `../../../backend/storage/vector-cache/${data.cacheFilename}`
-  );
-  const toSave = [];
-  for (let i = 0; i < data.ids.length; i++) {
-    toSave.push({
-      vectorDbId: data.ids[i],
-      values: data.embeddings[i],
-      metadata: data.metadatas[i],
-    });
-  }
-  fs.writeFileSync(destination, JSON.stringify(toSave), 'utf8');
-  return;
-}
-
 module.exports = {
   syncPineconeWorkspace,
 };
@@ -1,16 +1,15 @@
 const { Queue } = require('../../../backend/models/queue');
 const { InngestClient } = require('../../utils/inngest');
 const { v4 } = require('uuid');
-const path = require('path');
-const {
-  WorkspaceDocument,
-} = require('../../../backend/models/workspaceDocument');
-const { DocumentVectors } = require('../../../backend/models/documentVectors');
-const { deleteVectorCacheFile } = require('../../../backend/utils/storage');
 const {
   Weaviate,
 } = require('../../../backend/utils/vectordatabases/providers/weaviate');
 const { vectorSpaceMetric } = require('../../utils/telemetryHelpers');
+const {
+  syncReport,
+  syncSummary,
+  syncDocuments,
+} = require('../../utils/incrementalSync');
 const { Notification } = require('../../../backend/models/notification');
 
 const syncWeaviateWorkspace = InngestClient.createFunction(
@@ -18,7 +17,13 @@ const syncWeaviateWorkspace = InngestClient.createFunction(
   { event: 'weaviate/sync-workspace' },
   async ({ event, step: _step, logger }) => {
     var result = {};
-    const { organization, workspace, connector, jobId } = event.data;
+    const {
+      organization,
+      workspace,
+      connector,
+      jobId,
+      dryRun = false,
+    } = event.data;
     try {
       const weaviateClient = new Weaviate(connector);
       const { client } = await weaviateClient.connect();
@@ -46,24 +51,31 @@ const syncWeaviateWorkspace = InngestClient.createFunction(
       logger.info(
         `Working on ${collection.count} embeddings of ${collection.name}`
       );
+      const report = syncReport(dryRun);
       await paginateAndStore(
         weaviateClient,
         collection,
         workspace,
-        organization
+        organization,
+        report
       );
 
       result = {
-        message:
-          'Weaviate instance vector data has been synced. Workspaces data synced.',
+        message: report.dryRun
+          ? `Sync preview - ${syncSummary(report)}`
+          : `Weaviate instance vector data has been synced. Workspaces data synced. ${syncSummary(
+              report
+            )}`,
+        details: report,
       };
 
-      await Notification.create(organization.id, {
-        textContent: 'Your Weaviate namespace has been fully synced.',
-        symbol: Notification.symbols.weaviate,
-        link: `/dashboard/${organization.slug}/workspace/${workspace.fname}`,
-        target: '_blank',
-      });
+      if (!report.dryRun)
+        await Notification.create(organization.id, {
+          textContent: 'Your Weaviate namespace has been fully synced.',
+          symbol: Notification.symbols.weaviate,
+          link: `/dashboard/${organization.slug}/workspace/${workspace.fname}`,
+          target: '_blank',
+        });
       await Queue.updateJob(jobId, Queue.status.complete, result);
       await vectorSpaceMetric();
       return { result };
@@ -93,7 +105,8 @@ async function paginateAndStore(
   weaviateClient,
   collection,
   workspace,
-  organization
+  organization,
+  report
 ) {
   const PAGE_SIZE = 10;
   var syncing = true;
@@ -147,10 +160,6 @@ async function paginateAndStore(
           currentLine: 0,
           name: documentName,
           documentId: v4(),
-          cacheFilename: `${WorkspaceDocument.vectorFilenameRaw(
-            documentName,
-            workspace.id
-          )}.json`,
           ids: [],
           embeddings: [],
           metadatas: [],
@@ -177,101 +186,7 @@ async function paginateAndStore(
     offset = objects[objects.length - 1]._additional.id;
   }
 
-  console.log('Removing existing Workspace Documents & Document Vectors');
-  const documents = await WorkspaceDocument.where({
-    workspace_id: Number(workspace.id),
-  });
-  for (const document of documents) {
-    const digestFilename = WorkspaceDocument.vectorFilename(document);
-    await deleteVectorCacheFile(digestFilename);
-  }
-  await WorkspaceDocument.delete({ workspace_id: Number(workspace.id) });
-  console.log(
-    `Removed ${documents.length} existing Workspace Documents & Document Vectors`
-  );
-
-  console.log('Creating Workspace Documents & Document Vectors');
-  await createDocuments(files, workspace, organization);
-  await createDocumentVectors(files);
-
-  for (const fileKey of Object.keys(files)) {
-    console.log('Creating vector cache for ', fileKey);
-    await saveVectorCache(files[fileKey]);
-  }
-
-  return;
-}
-
-async function createDocuments(files, workspace, organization) {
-  const documents = [];
-  Object.values(files).map((data) => {
-    documents.push({
-      documentId: data.documentId,
-      name: data.name,
-      workspaceId: workspace.id,
-      organizationId: organization.id,
-    });
-  });
-
-  await WorkspaceDocument.createMany(documents);
-  return;
-}
-
-async function createDocumentVectors(files) {
-  const docIds = Object.values(files).map((data) => data.documentId);
-  const existingDocuments = await WorkspaceDocument.where({
-    docId: { in: docIds },
-  });
-  const vectors = [];
-
-  Object.values(files).map((data) => {
-    const dbDocument = existingDocuments.find(
-      (doc) => doc.docId === data.documentId
-    );
-    if (!dbDocument) {
-      console.error(
-        'Could not find a database workspace document for ',
-        data.documentId
-      );
-      return;
-    }
-
-    data.ids.map((vectorId) => {
-      vectors.push({
-        docId: data.documentId,
-        vectorId,
-        documentId: dbDocument.id,
-        workspaceId: dbDocument.workspace_id,
-        organizationId: dbDocument.organization_id,
-      });
-    });
-  });
-
-  await DocumentVectors.createMany(vectors);
-  return;
-}
-
-async function saveVectorCache(data) {
-  const fs = require('fs');
-  const folder = path.resolve(
-    __dirname,
-    '../../../backend/storage/vector-cache'
-  );
-  if (!fs.existsSync(folder)) fs.mkdirSync(folder, { recursive: true });
-
-  const destination = path.resolve(
-    __dirname,
-    `../../../backend/storage/vector-cache/${data.cacheFilename}`
-  );
-  const toSave = [];
-  for (let i = 0; i < data.ids.length; i++) {
-    toSave.push({
-      vectorDbId: data.ids[i],
-      values: data.embeddings[i],
-      metadata: data.metadatas[i],
-    });
-  }
-  fs.writeFileSync(destination, JSON.stringify(toSave), 'utf8');
+  await syncDocuments(files, workspace, organization, report);
   return;
 }
 
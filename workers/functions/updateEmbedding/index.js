@@ -3,8 +3,7 @@ const {
   Chroma,
 } = require('../../../backend/utils/vectordatabases/providers/chroma');
 const { InngestClient } = require('../../utils/inngest');
-const { SystemSettings } = require('../../../backend/models/systemSettings');
-const { OpenAi } = require('../../../backend/utils/openAi');
+const { embedderForWorkspace } = require('../../../backend/utils/embedders');
 const { validEmbedding } = require('../../../backend/utils/tokenizer');
 const path = require('path');
 const {
@@ -19,6 +18,12 @@ const {
 const {
   Weaviate,
 } = require('../../../backend/utils/vectordatabases/providers/weaviate');
+const {
+  Milvus,
+} = require('../../../backend/utils/vectordatabases/providers/milvus');
+const {
+  ClickHouse,
+} = require('../../../backend/utils/vectordatabases/providers/clickhouse');
 
 const updateSingleChromaEmbedding = InngestClient.createFunction(
   { name: 'Update Single Embedding From ChromaDB' },
@@ -62,20 +67,19 @@ const updateSingleChromaEmbedding = InngestClient.createFunction(
         return { result };
       }
 
-      const config = await SystemSettings.get({ label: 'open_ai_api_key' });
-      if (!config || !config.value) {
+      const { embedder, error } = await embedderForWorkspace(workspace);
+      if (!embedder) {
         result = {
-          message: `No OpenAI API Key set for instance - cannot embed text - aborting.`,
+          message: `${error} - cannot embed text - aborting.`,
         };
         await Queue.updateJob(jobId, Queue.status.failed, result);
         return { result };
       }
 
-      logger.info(`Embedding text via OpenAi.`);
-      const openAi = new OpenAi(config.value);
-      const embedding = await openAi.embedTextChunk(newText);
+      logger.info(`Embedding text via workspace embedder.`);
+      const embedding = await embedder.embedTextChunk(newText);
       if (!embedding || embedding.length === 0) {
-        result = { message: `Failed to embed text chunk using OpenAI.` };
+        result = { message: `Failed to embed text chunk.` };
         await Queue.updateJob(jobId, Queue.status.failed, result);
         return { result };
       }
@@ -165,20 +169,19 @@ const updateSinglePineconeEmbedding = InngestClient.createFunction(
         return { result };
       }
 
-      const config = await SystemSettings.get({ label: 'open_ai_api_key' });
-      if (!config || !config.value) {
+      const { embedder, error } = await embedderForWorkspace(workspace);
+      if (!embedder) {
         result = {
-          message: `No OpenAI API Key set for instance - cannot embed text - aborting.`,
+          message: `${error} - cannot embed text - aborting.`,
         };
         await Queue.updateJob(jobId, Queue.status.failed, result);
         return { result };
       }
 
-      logger.info(`Embedding text via OpenAi.`);
-      const openAi = new OpenAi(config.value);
-      const embedding = await openAi.embedTextChunk(newText);
+      logger.info(`Embedding text via workspace embedder.`);
+      const embedding = await embedder.embedTextChunk(newText);
       if (!embedding || embedding.length === 0) {
-        result = { message: `Failed to embed text chunk using OpenAI.` };
+        result = { message: `Failed to embed text chunk.` };
         await Queue.updateJob(jobId, Queue.status.failed, result);
         return { result };
       }
@@ -271,20 +274,19 @@ const updateSingleQDrantEmbedding = InngestClient.createFunction(
         return { result };
       }
 
-      const config = await SystemSettings.get({ label: 'open_ai_api_key' });
-      if (!config || !config.value) {
+      const { embedder, error } = await embedderForWorkspace(workspace);
+      if (!embedder) {
         result = {
-          message: `No OpenAI API Key set for instance - cannot embed text - aborting.`,
+          message: `${error} - cannot embed text - aborting.`,
         };
         await Queue.updateJob(jobId, Queue.status.failed, result);
         return { result };
       }
 
-      logger.info(`Embedding text via OpenAi.`);
-      const openAi = new OpenAi(config.value);
-      const embedding = await openAi.embedTextChunk(newText);
+      logger.info(`Embedding text via workspace embedder.`);
+      const embedding = await embedder.embedTextChunk(newText);
       if (!embedding || embedding.length === 0) {
-        result = { message: `Failed to embed text chunk using OpenAI.` };
+        result = { message: `Failed to embed text chunk.` };
         await Queue.updateJob(jobId, Queue.status.failed, result);
         return { result };
       }
@@ -382,20 +384,19 @@ const updateSingleWeaviateEmbedding = InngestClient.createFunction(
         return { result };
       }
 
-      const config = await SystemSettings.get({ label: 'open_ai_api_key' });
-      if (!config || !config.value) {
+      const { embedder, error } = await embedderForWorkspace(workspace);
+      if (!embedder) {
         result = {
-          message: `No OpenAI API Key set for instance - cannot embed text - aborting.`,
+          message: `${error} - cannot embed text - aborting.`,
         };
         await Queue.updateJob(jobId, Queue.status.failed, result);
         return { result };
       }
 
-      logger.info(`Embedding text via OpenAi.`);
-      const openAi = new OpenAi(config.value);
-      const embedding = await openAi.embedTextChunk(newText);
+      logger.info(`Embedding text via workspace embedder.`);
+      const embedding = await embedder.embedTextChunk(newText);
       if (!embedding || embedding.length === 0) {
-        result = { message: `Failed to embed text chunk using OpenAI.` };
+        result = { message: `Failed to embed text chunk.` };
         await Queue.updateJob(jobId, Queue.status.failed, result);
         return { result };
       }
@@ -443,6 +444,210 @@ const updateSingleWeaviateEmbedding = InngestClient.createFunction(
   }
 );
 
+const updateSingleMilvusEmbedding = InngestClient.createFunction(
+  { name: 'Update Single Embedding From Milvus' },
+  { event: 'milvus/updateFragment' },
+  async ({ event, step: _step, logger }) => {
+    var result = {};
+    const { documentVector, document, workspace, connector, newText, jobId } =
+      event.data;
+    try {
+      const milvusClient = new Milvus(connector);
+      const collection = await milvusClient.namespaceExists(
+        null,
+        workspace.fname
+      );
+
+      if (!collection) {
+        result = {
+          message: `No collection found with name ${workspace.fname} - nothing to do.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      const vectorMatches = await milvusClient.getVectors(workspace.fname, [
+        documentVector.vectorId,
+      ]);
+
+      if (vectorMatches.length === 0) {
+        result = {
+          message: `No vectors found with ID ${documentVector.vectorId}!`,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+      const milvusVector = vectorMatches[0];
+
+      const { length, valid } = validEmbedding(newText);
+      if (length === 0 || !valid) {
+        result = {
+          message: `Text input valid tokenization pre-flight check.`,
+          length,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      const { embedder, error } = await embedderForWorkspace(workspace);
+      if (!embedder) {
+        result = {
+          message: `${error} - cannot embed text - aborting.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      logger.info(`Embedding text via workspace embedder.`);
+      const embedding = await embedder.embedTextChunk(newText);
+      if (!embedding || embedding.length === 0) {
+        result = { message: `Failed to embed text chunk.` };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      const existingMetadata = milvusVector?.metadata || {};
+      const updatedMetadata = {
+        ...existingMetadata,
+        wordCount: newText.split(' ').length,
+        token_count_estimate: length,
+        text: newText,
+      };
+
+      await milvusClient.upsertVectors(workspace.fname, [
+        {
+          id: documentVector.vectorId,
+          values: embedding,
+          metadata: updatedMetadata,
+        },
+      ]);
+
+      await updateVectorCache({
+        vectorId: documentVector.vectorId,
+        cacheFilename: `${WorkspaceDocument.vectorFilename(document)}.json`,
+        values: embedding,
+        metadata: updatedMetadata,
+      });
+      result = {
+        message: `Document ${document.id} with Milvus vector ${documentVector.vectorId} updated with newly embedded text.`,
+        oldText: existingMetadata.text,
+        newText,
+      };
+      await Queue.updateJob(jobId, Queue.status.complete, result);
+      return { result };
+    } catch (e) {
+      const result = {
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+      return { result };
+    }
+  }
+);
+
+const updateSingleClickHouseEmbedding = InngestClient.createFunction(
+  { name: 'Update Single Embedding From ClickHouse' },
+  { event: 'clickhouse/updateFragment' },
+  async ({ event, step: _step, logger }) => {
+    var result = {};
+    const { documentVector, document, workspace, connector, newText, jobId } =
+      event.data;
+    try {
+      const clickhouseClient = new ClickHouse(connector);
+      const collection = await clickhouseClient.namespaceExists(
+        null,
+        workspace.fname
+      );
+
+      if (!collection) {
+        result = {
+          message: `No table found with name ${workspace.fname} - nothing to do.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      const vectorMatches = await clickhouseClient.getVectors(workspace.fname, [
+        documentVector.vectorId,
+      ]);
+
+      if (vectorMatches.length === 0) {
+        result = {
+          message: `No vectors found with ID ${documentVector.vectorId}!`,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+      const clickhouseVector = vectorMatches[0];
+
+      const { length, valid } = validEmbedding(newText);
+      if (length === 0 || !valid) {
+        result = {
+          message: `Text input valid tokenization pre-flight check.`,
+          length,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      const { embedder, error } = await embedderForWorkspace(workspace);
+      if (!embedder) {
+        result = {
+          message: `${error} - cannot embed text - aborting.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      logger.info(`Embedding text via workspace embedder.`);
+      const embedding = await embedder.embedTextChunk(newText);
+      if (!embedding || embedding.length === 0) {
+        result = { message: `Failed to embed text chunk.` };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      const existingMetadata = clickhouseVector?.metadata || {};
+      const updatedMetadata = {
+        ...existingMetadata,
+        wordCount: newText.split(' ').length,
+        token_count_estimate: length,
+        text: newText,
+      };
+
+      await clickhouseClient.updateVector(workspace.fname, {
+        id: documentVector.vectorId,
+        values: embedding,
+        metadata: updatedMetadata,
+      });
+
+      await updateVectorCache({
+        vectorId: documentVector.vectorId,
+        cacheFilename: `${WorkspaceDocument.vectorFilename(document)}.json`,
+        values: embedding,
+        metadata: updatedMetadata,
+      });
+      result = {
+        message: `Document ${document.id} with ClickHouse vector ${documentVector.vectorId} updated with newly embedded text.`,
+        oldText: existingMetadata.text,
+        newText,
+      };
+      await Queue.updateJob(jobId, Queue.status.complete, result);
+      return { result };
+    } catch (e) {
+      const result = {
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+      return { result };
+    }
+  }
+);
+
 async function updateVectorCache({
   vectorId,
   cacheFilename,
@@ -473,4 +678,6 @@ module.exports = {
   updateSinglePineconeEmbedding,
   updateSingleQDrantEmbedding,
   updateSingleWeaviateEmbedding,
+  updateSingleMilvusEmbedding,
+  updateSingleClickHouseEmbedding,
 };
@@ -16,6 +16,12 @@ const {
 const {
   Weaviate,
 } = require('../../../backend/utils/vectordatabases/providers/weaviate');
+const {
+  Milvus,
+} = require('../../../backend/utils/vectordatabases/providers/milvus');
+const {
+  ClickHouse,
+} = require('../../../backend/utils/vectordatabases/providers/clickhouse');
 
 // Chroma will only drop null values. So to "reset" the metadata we need to make every existing key null.
 function nullifyExisting(json = {}) {
@@ -376,6 +382,168 @@ const updateSingleWeaviateEmbeddingMetadata = InngestClient.createFunction(
   }
 );
 
+const updateSingleMilvusEmbeddingMetadata = InngestClient.createFunction(
+  { name: "Update Single Embedding's metadata in Milvus" },
+  { event: 'milvus/updateFragmentMetadata' },
+  async ({ event, step: _step, logger }) => {
+    var result = {};
+    const {
+      documentVector,
+      document,
+      workspace,
+      connector,
+      newMetadata,
+      jobId,
+    } = event.data;
+    try {
+      const milvusClient = new Milvus(connector);
+      const collection = await milvusClient.namespaceExists(
+        null,
+        workspace.fname
+      );
+
+      if (!collection) {
+        result = {
+          message: `No collection found with name ${workspace.fname} - nothing to do.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      const vectorMatches = await milvusClient.getVectors(workspace.fname, [
+        documentVector.vectorId,
+      ]);
+
+      if (vectorMatches.length === 0) {
+        result = {
+          message: `No vectors found with ID ${documentVector.vectorId}!`,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+      const milvusVector = vectorMatches[0];
+      const existingMetadata = milvusVector.metadata || {};
+      const updatedMetadata = {
+        ...newMetadata,
+        ...(existingMetadata.hasOwnProperty('text')
+          ? { text: existingMetadata.text }
+          : {}), // Persist text key if it was present
+      };
+
+      await milvusClient.upsertVectors(workspace.fname, [
+        {
+          id: documentVector.vectorId,
+          values: milvusVector.values,
+          metadata: updatedMetadata,
+        },
+      ]);
+
+      await updateVectorCache({
+        vectorId: documentVector.vectorId,
+        cacheFilename: `${WorkspaceDocument.vectorFilename(document)}.json`,
+        values: milvusVector.values, // in Cache we make sure we keep embeddings in sync
+        metadata: updatedMetadata,
+      });
+
+      result = {
+        message: `Document ${document.id} with Milvus vector ${documentVector.vectorId} updated with new metadata.`,
+        oldMetadata: existingMetadata,
+        updatedMetadata,
+      };
+      await Queue.updateJob(jobId, Queue.status.complete, result);
+      return { result };
+    } catch (e) {
+      const result = {
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+      return { result };
+    }
+  }
+);
+
+const updateSingleClickHouseEmbeddingMetadata = InngestClient.createFunction(
+  { name: "Update Single Embedding's metadata in ClickHouse" },
+  { event: 'clickhouse/updateFragmentMetadata' },
+  async ({ event, step: _step, logger }) => {
+    var result = {};
+    const {
+      documentVector,
+      document,
+      workspace,
+      connector,
+      newMetadata,
+      jobId,
+    } = event.data;
+    try {
+      const clickhouseClient = new ClickHouse(connector);
+      const collection = await clickhouseClient.namespaceExists(
+        null,
+        workspace.fname
+      );
+
+      if (!collection) {
+        result = {
+          message: `No table found with name ${workspace.fname} - nothing to do.`,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+
+      const vectorMatches = await clickhouseClient.getVectors(workspace.fname, [
+        documentVector.vectorId,
+      ]);
+
+      if (vectorMatches.length === 0) {
+        result = {
+          message: `No vectors found with ID ${documentVector.vectorId}!`,
+        };
+        await Queue.updateJob(jobId, Queue.status.failed, result);
+        return { result };
+      }
+      const clickhouseVector = vectorMatches[0];
+      const existingMetadata = clickhouseVector.metadata || {};
+      const updatedMetadata = {
+        ...newMetadata,
+        ...(existingMetadata.hasOwnProperty('text')
+          ? { text: existingMetadata.text }
+          : {}), // Persist text key if it was present
+      };
+
+      await clickhouseClient.updateVector(workspace.fname, {
+        id: documentVector.vectorId,
+        values: clickhouseVector.values,
+        metadata: updatedMetadata,
+      });
+
+      await updateVectorCache({
+        vectorId: documentVector.vectorId,
+        cacheFilename: `${WorkspaceDocument.vectorFilename(document)}.json`,
+        values: clickhouseVector.values, // in Cache we make sure we keep embeddings in sync
+        metadata: updatedMetadata,
+      });
+
+      result = {
+        message: `Document ${document.id} with ClickHouse vector ${documentVector.vectorId} updated with new metadata.`,
+        oldMetadata: existingMetadata,
+        updatedMetadata,
+      };
+      await Queue.updateJob(jobId, Queue.status.complete, result);
+      return { result };
+    } catch (e) {
+      const result = {
+        message: `Job failed with error`,
+        error: e.message,
+        details: e,
+      };
+      await Queue.updateJob(jobId, Queue.status.failed, result);
+      return { result };
+    }
+  }
+);
+
 // https://weaviate.io/developers/weaviate/config-refs/datatypes
 function jsTypeToWeaviateType(value) {
   const jsType = typeof value;
@@ -486,4 +654,7 @@ module.exports = {
   updateSinglePineconeEmbeddingMetadata,
   updateSingleQDrantEmbeddingMetadata,
   updateSingleWeaviateEmbeddingMetadata,
+  updateSingleMilvusEmbeddingMetadata,
+  updateSingleClickHouseEmbeddingMetadata,
+  prepareMetadata,
 };
@@ -13,12 +13,12 @@ const { syncChromaInstance } = require("./functions/syncChroma");
 const { setupFunctions } = require("./utils/boot");
 const { reqBody } = require("./utils/http");
 const { Queue } = require("../backend/models/queue");
-const { deleteSingleChromaEmbedding, deleteSinglePineconeEmbedding, deleteSingleQDrantEmbedding, deleteSingleWeaviateEmbedding } = require("./functions/deleteEmbedding");
-const { updateSingleChromaEmbedding, updateSinglePineconeEmbedding, updateSingleQDrantEmbedding, updateSingleWeaviateEmbedding } = require("./functions/updateEmbedding");
+const { deleteSingleChromaEmbedding, deleteSinglePineconeEmbedding, deleteSingleQDrantEmbedding, deleteSingleWeaviateEmbedding, deleteSingleMilvusEmbedding, deleteSingleClickHouseEmbedding } = require("./functions/deleteEmbedding");
+const { updateSingleChromaEmbedding, updateSinglePineconeEmbedding, updateSingleQDrantEmbedding, updateSingleWeaviateEmbedding, updateSingleMilvusEmbedding, updateSingleClickHouseEmbedding } = require("./functions/updateEmbedding");
 const { newWorkspaceCreated } = require("./functions/newWorkspace");
 const { workspaceDeleted } = require("./functions/deleteWorkspace");
 const { addChromaDocuments } = require("./functions/addChromaDocument");
-const { deleteChromaDocument, deletePineconeDocument, deleteQdrantDocument, deleteWeaviateDocument } = require("./functions/deleteDocument");
+const { deleteChromaDocument, deletePineconeDocument, deleteQdrantDocument, deleteWeaviateDocument, deleteMilvusDocument, deleteClickHouseDocument } = require("./functions/deleteDocument");
 const { syncPineconeIndex } = require("./functions/syncPinecone");
 const { addPineconeDocuments } = require("./functions/addPineconeDocument");
 const { syncChromaWorkspace } = require("./functions/syncChromaWorkspace");
@@ -27,7 +27,8 @@ const { clonePineconeDocument } = require("./functions/clonePineconeDocument");
 const { cloneChromaDocument } = require("./functions/cloneChromaDocument");
 const { cloneChromaWorkspace } = require("./functions/cloneChromaWorkspace");
 const { clonePineconeWorkspace } = require("./functions/clonePineconeWorkspace");
-const { updateSinglePineconeEmbeddingMetadata, updateSingleChromaEmbeddingMetadata, updateSingleQDrantEmbeddingMetadata, updateSingleWeaviateEmbeddingMetadata } = require("./functions/updateEmbeddingMetadata");
+const { updateSinglePineconeEmbeddingMetadata, updateSingleChromaEmbeddingMetadata, updateSingleQDrantEmbeddingMetadata, updateSingleWeaviateEmbeddingMetadata, updateSingleMilvusEmbeddingMetadata, updateSingleClickHouseEmbeddingMetadata } = require("./functions/updateEmbeddingMetadata");
+const { bulkUpdatePineconeEmbeddingMetadata, bulkUpdateChromaEmbeddingMetadata, bulkUpdateQDrantEmbeddingMetadata, bulkUpdateWeaviateEmbeddingMetadata, bulkUpdateMilvusEmbeddingMetadata, bulkUpdateClickHouseEmbeddingMetadata } = require("./functions/bulkUpdateEmbeddingMetadata");
 const { syncQDrantCluster } = require("./functions/syncQDrantCluster");
 const { syncQDrantWorkspace } = require("./functions/syncQDrantWorkspace");
 const { cloneQDrantWorkspace } = require("./functions/cloneQDrantWorkspace");
@@ -38,10 +39,27 @@ const { syncWeaviateWorkspace } = require("./functions/syncWeaviateWorkspace");
 const { cloneWeaviateWorkspace } = require("./functions/cloneWeaviateWorkspace");
 const { cloneWeaviateDocument } = require("./functions/cloneWeaviateDocument");
 const { addWeaviateDocuments } = require("./functions/addWeaviateDocuments");
+const { syncMilvusCluster } = require("./functions/syncMilvusCluster");
+const { syncMilvusWorkspace } = require("./functions/syncMilvusWorkspace");
+const { cloneMilvusWorkspace } = require("./functions/cloneMilvusWorkspace");
+const { cloneMilvusDocument } = require("./functions/cloneMilvusDocument");
+const { addMilvusDocuments } = require("./functions/addMilvusDocuments");
+const { syncClickHouseCluster } = require("./functions/syncClickHouseCluster");
+const { syncClickHouseWorkspace } = require("./functions/syncClickHouseWorkspace");
+const { cloneClickHouseWorkspace } = require("./functions/cloneClickHouseWorkspace");
+const { cloneClickHouseDocument } = require("./functions/cloneClickHouseDocument");
+const { addClickHouseDocuments } = require("./functions/addClickHouseDocuments");
 const { migrateOrganization } = require("./functions/migrateOrganization");
 const { resetOrganization } = require("./functions/resetOrganization");
+const { snapshotOrganization } = require("./functions/snapshotOrganization");
+const { restoreOrganizationSnapshot } = require("./functions/restoreOrganizationSnapshot");
+const { bulkUploadDocuments } = require("./functions/bulkUploadDocuments");
+const { importUrlDocuments } = require("./functions/importUrlDocuments");
+const { importEmbeddings } = require("./functions/importEmbeddings");
 const { runRAGTest } = require("./functions/runRAGTest");
+const { runRAGTestSuite } = require("./functions/runRAGTestSuite");
 const { runHourlyRagTest, runDailyRagTest, runWeeklyRagTest, runMonthlyRagTest } = require("./functions/cron/ragTesting");
+const { runHourlyConnectorSync, runDailyConnectorSync, runWeeklyConnectorSync } = require("./functions/cron/connectorSync");
 const app = express();
 
 app.use(cors({ origin: true }));
@@ -67,6 +85,7 @@ app.use(
     deleteSingleChromaEmbedding,
     updateSingleChromaEmbedding,
     updateSingleChromaEmbeddingMetadata,
+    bulkUpdateChromaEmbeddingMetadata,
     cloneChromaDocument,
 
     // Pinecone
@@ -78,6 +97,7 @@ app.use(
     deleteSinglePineconeEmbedding,
     updateSinglePineconeEmbedding,
     updateSinglePineconeEmbeddingMetadata,
+    bulkUpdatePineconeEmbeddingMetadata,
     clonePineconeDocument,
 
     // QDrant
@@ -89,6 +109,7 @@ app.use(
     deleteSingleQDrantEmbedding,
     updateSingleQDrantEmbedding,
     updateSingleQDrantEmbeddingMetadata,
+    bulkUpdateQDrantEmbeddingMetadata,
     cloneQDrantDocument,
 
     // Weaviate
@@ -100,22 +121,56 @@ app.use(
     deleteSingleWeaviateEmbedding,
     updateSingleWeaviateEmbedding,
     updateSingleWeaviateEmbeddingMetadata,
+    bulkUpdateWeaviateEmbeddingMetadata,
     cloneWeaviateDocument,
 
+    // Milvus
+    syncMilvusCluster,
+    cloneMilvusWorkspace,
+    syncMilvusWorkspace,
+    addMilvusDocuments,
+    deleteMilvusDocument,
+    deleteSingleMilvusEmbedding,
+    updateSingleMilvusEmbedding,
+    updateSingleMilvusEmbeddingMetadata,
+    bulkUpdateMilvusEmbeddingMetadata,
+    cloneMilvusDocument,
+
+    // ClickHouse
+    syncClickHouseCluster,
+    cloneClickHouseWorkspace,
+    syncClickHouseWorkspace,
+    addClickHouseDocuments,
+    deleteClickHouseDocument,
+    deleteSingleClickHouseEmbedding,
+    updateSingleClickHouseEmbedding,
+    updateSingleClickHouseEmbeddingMetadata,
+    bulkUpdateClickHouseEmbeddingMetadata,
+    cloneClickHouseDocument,
+
     // Generics
     newWorkspaceCreated,
     workspaceDeleted,
     migrateOrganization,
     resetOrganization,
+    snapshotOrganization,
+    restoreOrganizationSnapshot,
+    bulkUploadDocuments,
+    importUrlDocuments,
+    importEmbeddings,
 
     // RAGTesting
     runRAGTest,
+    runRAGTestSuite,
 
     // Cron Jobs
     runHourlyRagTest,
     runDailyRagTest,
     runWeeklyRagTest,
     runMonthlyRagTest,
+    runHourlyConnectorSync,
+    runDailyConnectorSync,
+    runWeeklyConnectorSync,
   ], { landingPage: true })
 );
 
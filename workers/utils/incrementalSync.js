@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const { DocumentVectors } = require('../../backend/models/documentVectors');
+const {
+  OrganizationWorkspace,
+} = require('../../backend/models/organizationWorkspace');
+const { WorkspaceDocument } = require('../../backend/models/workspaceDocument');
+const {
+  cachedVectorInformation,
+  deleteVectorCacheFile,
+  storeVectorResult,
+} = require('../../backend/utils/storage');
+
+// Diff-based sync shared by the connector sync jobs. Workspaces are matched to namespaces by
+// fname and documents by the docId stored against their vectors, so only what changed in the
+// vector database is added, updated or removed. On a dry run nothing is written and the
+// report lists what would have changed.
+function syncReport(dryRun = false) {
+  return {
+    dryRun: !!dryRun,
+    workspaces: { added: [], removed: [], matched: 0 },
+    documents: { added: [], updated: [], removed: [], unchanged: 0 },
+  };
+}
+
+function syncSummary(report) {
+  const { workspaces, documents } = report;
+  const verb = report.dryRun ? 'would be' : 'were';
+  return `${workspaces.added.length} workspace(s) ${verb} added and ${workspaces.removed.length} removed. ${documents.added.length} document(s) ${verb} added, ${documents.updated.length} updated and ${documents.removed.length} removed - ${documents.unchanged} unchanged.`;
+}
+
+// Returns the workspace for a namespace, creating it when it is new.
+// A new namespace has no workspace yet on a dry run, so null is returned.
+async function syncWorkspace(organization, { name, fname = null }, report) {
+  const namespace = fname ?? name;
+  const existing = await OrganizationWorkspace.get({
+    organization_id: Number(organization.id),
+    fname: namespace,
+  });
+  if (!!existing) {
+    report.workspaces.matched++;
+    return existing;
+  }
+
+  report.workspaces.added.push(name);
+  if (report.dryRun) return null;
+  const { workspace } =
+    (await OrganizationWorkspace.create(name, organization.id, namespace)) ||
+    {};
+  return workspace ?? null;
+}
+
+// Removes workspaces whose namespace no longer exists in the vector database.
+async function removeMissingWorkspaces(organization, namespaces = [], report) {
+  const workspaces = await OrganizationWorkspace.where({
+    organization_id: Number(organization.id),
+  });
+
+  for (const workspace of workspaces) {
+    if (namespaces.includes(workspace.fname)) continue;
+    report.workspaces.removed.push(workspace.name);
+    if (report.dryRun) continue;
+
+    const documents = await WorkspaceDocument.where({
+      workspace_id: Number(workspace.id),
+    });
+    for (const document of documents)
+      await deleteVectorCacheFile(WorkspaceDocument.vectorFilename(document));
+    await OrganizationWorkspace.delete({ id: Number(workspace.id) });
+  }
+}
+
+// `files` are the documents rebuilt from the vector database by a sync job's paginateAndStore,
+// keyed by document name with their vector ids, embeddings and metadatas.
+async function syncDocuments(files = {}, workspace, organization, report) {
+  const documents = await WorkspaceDocument.where({
+    workspace_id: Number(workspace.id),
+  });
+  const fragments = await DocumentVectors.where({
+    workspace_id: Number(workspace.id),
+  });
+  const documentForVector = new Map(
+    fragments.map((fragment) => [
+      String(fragment.vectorId),
+      fragment.document_id,
+    ])
+  );
+  const claimed = new Set();
+  const added = [];
+  const updated = [];
+
+  for (const file of Object.values(files)) {
+    const document = matchDocument(file, documents, documentForVector, claimed);
+    if (!document) {
+      added.push(file);
+      continue;
+    }
+
+    claimed.add(document.id);
+    file.documentId = document.docId;
+    if (isGeneratedName(file.name)) renameFile(file, document.name);
+
+    const cacheInfo = await cachedVectorInformation(
+      WorkspaceDocument.vectorFilename(document)
+    );
+    const unchanged =
+      document.name === file.name &&
+      cacheInfo.exists &&
+      fingerprint(cacheInfo.chunks) === fingerprint(cacheVectors(file));
+
+    if (unchanged) {
+      report.documents.unchanged++;
+      continue;
+    }
+    updated.push({ file, document });
+  }
+  const removed = documents.filter((document) => !claimed.has(document.id));
+
+  const describe = (name, vectors = null) => {
+    return { workspace: workspace.name, name, vectors };
+  };
+  report.documents.added.push(
+    ...added.map((file) => describe(file.name, file.ids.length))
+  );
+  report.documents.updated.push(
+    ...updated.map(({ file }) => describe(file.name, file.ids.length))
+  );
+  report.documents.removed.push(
+    ...removed.map((document) => describe(document.name))
+  );
+  if (report.dryRun) return;
+
+  await WorkspaceDocument.createMany(
+    added.map((file) => {
+      return {
+        documentId: file.documentId,
+        name: file.name,
+        workspaceId: workspace.id,
+        organizationId: organization.id,
+      };
+    })
+  );
+
+  for (const { file, document } of updated) {
+    await DocumentVectors.delete({ document_id: Number(document.id) });
+    if (document.name === file.name) continue;
+    await deleteVectorCacheFile(WorkspaceDocument.vectorFilename(document));
+    await WorkspaceDocument.update(document.id, { name: file.name });
+  }
+
+  if (removed.length > 0) {
+    for (const document of removed)
+      await deleteVectorCacheFile(WorkspaceDocument.vectorFilename(document));
+    await WorkspaceDocument.delete({
+      id: { in: removed.map((document) => Number(document.id)) },
+    });
+  }
+
+  const changed = [...added, ...updated.map(({ file }) => file)];
+  await createDocumentVectors(changed);
+  for (const file of changed) {
+    console.log('Creating vector cache for ', file.name);
+    await storeVectorResult(
+      cacheVectors(file),
+      WorkspaceDocument.vectorFilenameRaw(file.name, workspace.id)
+    );
+  }
+}
+
+// Prefers the document that already owns most of the file's vectors, then one with the same name.
+function matchDocument(file, documents, documentForVector, claimed) {
+  const votes = {};
+  for (const vectorId of file.ids) {
+    const documentId = documentForVector.get(String(vectorId));
+    if (!documentId || claimed.has(documentId)) continue;
+    votes[documentId] = (votes[documentId] || 0) + 1;
+  }
+
+  const [bestMatch] =
+    Object.entries(votes).sort((a, b) => b[1] - a[1])[0] || [];
+  if (!!bestMatch)
+    return documents.find((document) => document.id === Number(bestMatch));
+  return (
+    documents.find(
+      (document) => document.name === file.name && !claimed.has(document.id)
+    ) || null
+  );
+}
+
+// Vectors without a title are grouped under a random name on every sync - keep the name
+// the document already has so it is not reported as renamed.
+function isGeneratedName(name = '') {
+  return name.startsWith('imported-document-');
+}
+
+function renameFile(file, name) {
+  file.name = name;
+  file.metadatas = file.metadatas.map((metadata) => {
+    return { ...metadata, title: name };
+  });
+}
+
+function cacheVectors(file) {
+  return file.ids.map((vectorDbId, i) => {
+    return {
+      vectorDbId,
+      values: file.embeddings[i],
+      metadata: file.metadatas[i],
+    };
+  });
+}
+
+function fingerprint(vectors = []) {
+  const hash = crypto.createHash('sha256');
+  vectors
+    .map(({ vectorDbId, metadata }) => `${vectorDbId}:${metadata?.text ?? ''}`)
+    .sort()
+    .forEach((line) => hash.update(line));
+  return hash.digest('hex');
+}
+
+async function createDocumentVectors(files = []) {
+  if (files.length === 0) return;
+  const docIds = files.map((data) => data.documentId);
+  const existingDocuments = await WorkspaceDocument.where({
+    docId: { in: docIds },
+  });
+  const vectors = [];
+
+  files.forEach((data) => {
+    const dbDocument = existingDocuments.find(
+      (doc) => doc.docId === data.documentId
+    );
+    if (!dbDocument) {
+      console.error(
+        'Could not find a database workspace document for ',
+        data.documentId
+      );
+      return;
+    }
+
+    data.ids.forEach((vectorId) => {
+      vectors.push({
+        docId: data.documentId,
+        vectorId,
+        documentId: dbDocument.id,
+        workspaceId: dbDocument.workspace_id,
+        organizationId: dbDocument.organization_id,
+      });
+    });
+  });
+
+  await DocumentVectors.createMany(vectors);
+}
+
+module.exports = {
+  syncReport,
+  syncSummary,
+  syncWorkspace,
+  removeMissingWorkspaces,
+  syncDocuments,
+};
@@ -1,6 +1,7 @@
 require("dotenv").config();
 const { Inngest } = require("inngest");
 const natsLogger = require("./logger");
+const { settleParentJob } = require("../../backend/utils/jobs/bulkUploadJob");
 
 /**
  * Inngest middleware for NATS-based job logging
@@ -47,10 +48,36 @@ const natsLoggingMiddleware = {
   },
 };
 
+/**
+ * Inngest middleware that settles the parent of addDocument jobs
+ * A bulk upload finishes with its last addDocument job, not when something reads it
+ */
+const parentJobMiddleware = {
+  name: "Parent Job Settling",
+
+  init() {
+    return {
+      onFunctionRun({ ctx }) {
+        if (!ctx.event?.name?.endsWith("/addDocument")) return {};
+
+        return {
+          async afterExecution() {
+            try {
+              await settleParentJob(ctx.event.data?.jobId);
+            } catch (e) {
+              console.error(`settleParentJob`, e.message);
+            }
+          },
+        };
+      },
+    };
+  },
+};
+
 const InngestClient = new Inngest({
   name: "VDMS Background Workers",
   eventKey: process.env.INNGEST_EVENT_KEY || "background_workers",
-  middleware: [natsLoggingMiddleware],
+  middleware: [natsLoggingMiddleware, parentJobMiddleware],
 });
 
 /**
@@ -0,0 +1,43 @@
+// Binary-relevance retrieval metrics for one prompt - a retrieved vector is relevant
+// when it is one of the prompt's expected vector ids.
+function promptMetrics(retrievedIds = [], expectedIds = [], topK = 5) {
+  const expected = new Set(expectedIds.map(String));
+  const retrieved = retrievedIds.slice(0, topK).map(String);
+  const ranks = retrieved
+    .map((id, i) => (expected.has(id) ? i + 1 : null))
+    .filter((rank) => rank !== null);
+
+  const dcg = ranks.reduce((sum, rank) => sum + 1 / Math.log2(rank + 1), 0);
+  let idealDcg = 0;
+  for (let rank = 1; rank <= Math.min(expected.size, topK); rank++)
+    idealDcg += 1 / Math.log2(rank + 1);
+
+  return {
+    recall: expected.size > 0 ? ranks.length / expected.size : 0,
+    reciprocalRank: ranks.length > 0 ? 1 / ranks[0] : 0,
+    ndcg: idealDcg > 0 ? dcg / idealDcg : 0,
+    hits: ranks.length,
+  };
+}
+
+// Mean of every metric over the prompts that could be scored.
+function aggregateMetrics(results = []) {
+  const scored = results.filter((result) => !result.error);
+  const mean = (key) =>
+    scored.length > 0
+      ? scored.reduce((sum, result) => sum + result[key], 0) / scored.length
+      : 0;
+
+  return {
+    recallAtK: mean('recall'),
+    mrr: mean('reciprocalRank'),
+    ndcg: mean('ndcg'),
+    scoredPrompts: scored.length,
+    failedPrompts: results.length - scored.length,
+  };
+}
+
+module.exports = {
+  promptMetrics,
+  aggregateMetrics,
+};
@@ -0,0 +1,403 @@
+const { DocumentVectors } = require('../../backend/models/documentVectors');
+const {
+  OrganizationWorkspace,
+} = require('../../backend/models/organizationWorkspace');
+const { WorkspaceDocument } = require('../../backend/models/workspaceDocument');
+const { cachedVectorInformation } = require('../../backend/utils/storage');
+const { toChunks } = require('../../backend/utils/vectordatabases/utils');
+
+// Provider-agnostic helpers for creating namespaces/collections and writing
+// pre-computed vectors into any connected vector database. Used by jobs that
+// move vectors around without re-embedding (migrations, snapshot restores).
+async function namespaceExists(vectorDBClient, namespace) {
+  if (vectorDBClient.name === 'pinecone') {
+    try {
+      const { pineconeIndex } = await vectorDBClient.connect();
+      return await vectorDBClient.namespaceExists(pineconeIndex, namespace);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  if (vectorDBClient.name === 'chroma') {
+    try {
+      return await vectorDBClient.namespaceExists(null, namespace);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  if (vectorDBClient.name === 'qdrant') {
+    try {
+      const { client } = await vectorDBClient.connect();
+      return await vectorDBClient.namespaceExists(client, namespace);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  if (vectorDBClient.name === 'weaviate') {
+    try {
+      const className = vectorDBClient.camelCase(namespace);
+      return await vectorDBClient.namespaceExists(null, className);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  if (['milvus', 'clickhouse'].includes(vectorDBClient.name)) {
+    try {
+      return await vectorDBClient.namespaceExists(null, namespace);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+async function createVectorSpace(vectorDBClient, namespace, dimensions = 1536) {
+  if (vectorDBClient.name === 'chroma') {
+    try {
+      const { client } = await vectorDBClient.connect();
+      const collection = await client.createCollection({
+        name: namespace,
+      });
+
+      return { name: namespace, ...collection };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  if (vectorDBClient.name === 'qdrant') {
+    try {
+      const { client } = await vectorDBClient.connect();
+      const collectionCreated = await client.createCollection(namespace, {
+        vectors: {
+          size: dimensions,
+          distance: 'Cosine',
+        },
+      });
+      return collectionCreated ? { name: namespace } : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  if (vectorDBClient.name === 'weaviate') {
+    try {
+      const className = vectorDBClient.camelCase(namespace);
+      const { client } = await vectorDBClient.connect();
+      const collectionCreated = await client.schema
+        .classCreator()
+        .withClass({
+          class: className,
+          description: `Class created by VectorAdmin named ${className}`,
+          vectorizer: 'none',
+        })
+        .do();
+
+      return collectionCreated?.class ? { name: className } : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  if (vectorDBClient.name === 'milvus') {
+    try {
+      return await vectorDBClient.createCollection(namespace, dimensions);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  if (vectorDBClient.name === 'clickhouse') {
+    try {
+      return await vectorDBClient.createTable(namespace);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return { name: namespace };
+}
+
+// Data will always be an object[] with the following schema:
+// metadata: {object with key value pairs}
+// values: number[]
+// id: string
+// This function will take a known format and re-format it to be able to
+// be easily inserted into the correct vector database.
+async function upsertVectors(vectorDBClient, namespace, data = []) {
+  if (vectorDBClient.name === 'pinecone') {
+    try {
+      const { pineconeIndex } = await vectorDBClient.connect();
+      const upserts = data; // data array is fine in default format.
+      await pineconeIndex.upsert({
+        upsertRequest: {
+          vectors: upserts,
+          namespace: namespace,
+        },
+      });
+      return true;
+    } catch (e) {
+      console.error(e);
+      return false;
+    }
+  }
+
+  if (vectorDBClient.name === 'chroma') {
+    try {
+      const { client } = await vectorDBClient.connect();
+      const collection = await client.getCollection({ name: namespace });
+      const upserts = {
+        ids: [],
+        embeddings: [],
+        metadatas: [],
+        documents: [],
+      };
+      data.forEach((chunk) => {
+        upserts.ids.push(chunk.id);
+        upserts.embeddings.push(chunk.values);
+        upserts.metadatas.push(chunk.metadata);
+        upserts.documents.push(chunk.metadata?.text || '');
+      });
+      await collection.upsert(upserts);
+      return true;
+    } catch (e) {
+      console.error(e);
+      return false;
+    }
+  }
+
+  if (vectorDBClient.name === 'qdrant') {
+    try {
+      const { client } = await vectorDBClient.connect();
+      const upserts = {
+        ids: [],
+        vectors: [],
+        payloads: [],
+      };
+      data.forEach((chunk) => {
+        upserts.ids.push(chunk.id);
+        upserts.vectors.push(chunk.values);
+        upserts.payloads.push(chunk.metadata);
+      });
+
+      await client.upsert(namespace, {
+        wait: true,
+        batch: upserts,
+      });
+      return true;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  if (vectorDBClient.name === 'weaviate') {
+    try {
+      const { client } = await vectorDBClient.connect();
+      const weaviateVectors = [];
+
+      data.forEach((chunk) => {
+        weaviateVectors.push({
+          id: chunk.id,
+          class: namespace,
+          vector: chunk.values,
+          properties: vectorDBClient.flattenObjectForWeaviate(chunk.metadata),
+        });
+      });
+      const { success, errors } = await vectorDBClient.addVectors(
+        client,
+        weaviateVectors
+      );
+      if (!success) console.error(errors);
+      return success;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  if (vectorDBClient.name === 'milvus') {
+    try {
+      return await vectorDBClient.upsertVectors(namespace, data);
+    } catch (e) {
+      console.error(e);
+      return null;
+    }
+  }
+
+  if (vectorDBClient.name === 'clickhouse') {
+    try {
+      return await vectorDBClient.upsertVectors(namespace, data);
+    } catch (e) {
+      console.error(e);
+      return null;
+    }
+  }
+}
+
+// Reads stored vectors back out of a vector database by id in the same
+// { vectorDbId, values, metadata } shape as the vector cache.
+async function fetchVectors(vectorDBClient, namespace, vectorIds = []) {
+  const vectors = [];
+  if (vectorIds.length === 0) return vectors;
+
+  if (vectorDBClient.name === 'pinecone') {
+    const { pineconeIndex } = await vectorDBClient.connect();
+    for (const ids of toChunks(vectorIds, 100)) {
+      const { vectors: fetched = {} } = await pineconeIndex.fetch({
+        ids,
+        namespace,
+      });
+      Object.values(fetched).forEach((vector) => {
+        vectors.push({
+          vectorDbId: vector.id,
+          values: vector.values || [],
+          metadata: vector.metadata || {},
+        });
+      });
+    }
+    return vectors;
+  }
+
+  if (vectorDBClient.name === 'chroma') {
+    const { client } = await vectorDBClient.connect();
+    const collection = await client.getCollection({ name: namespace });
+    for (const ids of toChunks(vectorIds, 100)) {
+      const result = await collection.get({
+        ids,
+        include: ['embeddings', 'metadatas', 'documents'],
+      });
+      result.ids.forEach((id, i) => {
+        const metadata = result.metadatas?.[i] || {};
+        vectors.push({
+          vectorDbId: id,
+          values: result.embeddings?.[i] || [],
+          metadata: {
+            ...metadata,
+            text: metadata.text ?? result.documents?.[i] ?? '',
+          },
+        });
+      });
+    }
+    return vectors;
+  }
+
+  if (vectorDBClient.name === 'qdrant') {
+    const { client } = await vectorDBClient.connect();
+    for (const ids of toChunks(vectorIds, 100)) {
+      const points = await client.retrieve(namespace, {
+        ids,
+        with_payload: true,
+        with_vector: true,
+      });
+      points.forEach((point) => {
+        vectors.push({
+          vectorDbId: point.id,
+          values: point.vector || [],
+          metadata: point.payload || {},
+        });
+      });
+    }
+    return vectors;
+  }
+
+  // Weaviate cannot fetch a batch of objects by id, so page through the class
+  // until every requested vector has been seen.
+  if (vectorDBClient.name === 'weaviate') {
+    const PAGE_SIZE = 100;
+    const { client } = await vectorDBClient.connect();
+    const className = vectorDBClient.camelCase(namespace);
+    const fieldNames = await vectorDBClient.fieldNamesForCollection(namespace);
+    const queryString = `${fieldNames.join(' ')} _additional { id vector }`;
+    const remaining = new Set(vectorIds.map(String));
+    var cursor = null;
+
+    while (remaining.size > 0) {
+      var query = client.graphql
+        .get()
+        .withClassName(className)
+        .withFields(queryString)
+        .withLimit(PAGE_SIZE);
+      if (!!cursor) query.withAfter(cursor);
+
+      const objects = (await query.do())?.data?.Get?.[className] || [];
+      if (objects.length === 0) break;
+
+      objects.forEach((object) => {
+        const { _additional, ...metadata } = object;
+        if (!remaining.has(_additional.id)) return;
+        remaining.delete(_additional.id);
+        vectors.push({
+          vectorDbId: _additional.id,
+          values: _additional.vector || [],
+          metadata,
+        });
+      });
+      cursor = objects[objects.length - 1]._additional.id;
+    }
+    return vectors;
+  }
+
+  if (['milvus', 'clickhouse'].includes(vectorDBClient.name)) {
+    for (const ids of toChunks(vectorIds, 100)) {
+      const fetched = await vectorDBClient.getVectors(namespace, ids);
+      fetched.forEach(({ id, values, metadata }) => {
+        vectors.push({ vectorDbId: id, values, metadata });
+      });
+    }
+    return vectors;
+  }
+
+  return vectors;
+}
+
+// Vector data for copying a document without re-embedding it. Documents that were
+// synced or imported may have no local vector cache, so their vectors are read from
+// the source vector database instead. Returns the same shape as cachedVectorInformation.
+async function documentVectorData(vectorDBClient, document) {
+  const cacheInfo = await cachedVectorInformation(
+    WorkspaceDocument.vectorFilename(document)
+  );
+  if (cacheInfo.exists) return cacheInfo;
+
+  try {
+    const workspace = await OrganizationWorkspace.get({
+      id: Number(document.workspace_id),
+    });
+    const fragments = await DocumentVectors.where({
+      document_id: Number(document.id),
+    });
+    if (!workspace || fragments.length === 0) return cacheInfo;
+
+    console.log(
+      `No vector cache for ${document.name} - reading ${fragments.length} vectors from ${vectorDBClient.name}.`
+    );
+    const chunks = await fetchVectors(
+      vectorDBClient,
+      workspace.fname,
+      fragments.map((fragment) => fragment.vectorId)
+    );
+    if (chunks.length < fragments.length)
+      console.error(
+        `Only ${chunks.length} of ${fragments.length} vectors for ${document.name} were found in ${vectorDBClient.name}.`
+      );
+    return { exists: chunks.length > 0, chunks };
+  } catch (e) {
+    console.error(
+      `Could not read vectors for ${document.name} from ${vectorDBClient.name}.`,
+      e.message
+    );
+    return cacheInfo;
+  }
+}
+
+module.exports = {
+  namespaceExists,
+  createVectorSpace,
+  upsertVectors,
+  fetchVectors,
+  documentVectorData,
+};